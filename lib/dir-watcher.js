@@ -0,0 +1,120 @@
+/**
+ * Event-driven directory watching with a polling safety net.
+ *
+ * fs.watch reports changes within milliseconds, but it can miss events:
+ * directories created after the watch starts, files replaced by rename,
+ * network filesystems. Every watcher therefore also runs a slow fallback
+ * poll, and re-arms itself when the directory appears or is recreated.
+ *
+ * Where fs.watch cannot be used at all — recursive watching is unavailable
+ * on Linux before Node 20 — the poll runs at `unwatchedFallbackMs` instead.
+ */
+
+import { watch, statSync } from 'fs';
+
+/**
+ * Call `onChange` shortly after anything in `dir` changes, and at least
+ * every `fallbackMs` regardless. Bursts of events within `debounceMs`
+ * coalesce into one call. Calls never overlap: a change that arrives while
+ * `onChange` is still running triggers exactly one more call afterwards.
+ * @param {string} dir - directory to watch; it does not have to exist yet
+ * @param {() => (void|Promise<void>)} onChange
+ * @param {{ debounceMs?: number, fallbackMs?: number, unwatchedFallbackMs?: number, recursive?: boolean, filter?: (filename: string|null) => boolean }} [options]
+ *   `filter` receives the changed path relative to `dir` (null when the platform does not report it);
+ *   `unwatchedFallbackMs` (default `fallbackMs`) is the poll interval while fs.watch is unavailable
+ * @returns {{ trigger: () => void, close: () => void }} `trigger` schedules a call as if a change was seen
+ */
+export function watchDirectory(dir, onChange, { debounceMs = 100, fallbackMs = 10000, unwatchedFallbackMs = fallbackMs, recursive = false, filter = null } = {}) {
+  let watcher = null;
+  let unsupported = false; // fs.watch threw for an existing directory
+  let watchedId = null; // identity of the watched directory, to notice it being recreated
+  let debounceTimer = null;
+  let running = false;
+  let rerun = false;
+  let closed = false;
+
+  const run = async () => {
+    debounceTimer = null;
+    if (closed) return;
+    if (running) {
+      rerun = true;
+      return;
+    }
+    running = true;
+    try {
+      await onChange();
+    } catch (err) {
+      console.error(`[dir-watcher] Change handler for ${dir} failed: ${err.message}`);
+    } finally {
+      running = false;
+      if (rerun) {
+        rerun = false;
+        trigger();
+      }
+    }
+  };
+
+  const trigger = () => {
+    if (closed || debounceTimer) return;
+    debounceTimer = setTimeout(run, debounceMs);
+  };
+
+  const disarm = () => {
+    if (!watcher) return;
+    watcher.close();
+    watcher = null;
+  };
+
+  // Inode numbers are reused quickly, so the creation time is part of the identity
+  const dirId = () => {
+    try {
+      const s = statSync(dir);
+      return `${s.ino}:${s.birthtimeMs}`;
+    } catch {
+      return null;
+    }
+  };
+
+  const arm = () => {
+    if (closed) return;
+    const id = dirId();
+    if (watcher && id === watchedId) return;
+    disarm();
+    if (id === null) return;
+    try {
+      watchedId = id;
+      watcher = watch(dir, { recursive, persistent: false }, (_event, filename) => {
+        if (!filter || filter(filename ? String(filename) : null)) trigger();
+      });
+      // The directory was removed — the fallback poll re-arms once it is back
+      watcher.on('error', disarm);
+    } catch (err) {
+      watcher = null;
+      if (!unsupported) console.warn(`[dir-watcher] Cannot watch ${dir} (${err.code || err.message}); polling every ${unwatchedFallbackMs}ms`);
+      unsupported = true;
+    }
+  };
+
+  let fallbackTimer = null;
+  const schedulePoll = () => {
+    fallbackTimer = setTimeout(() => {
+      arm();
+      trigger();
+      schedulePoll();
+    }, unsupported ? unwatchedFallbackMs : fallbackMs);
+  };
+
+  arm();
+  schedulePoll();
+
+  return {
+    trigger,
+    close() {
+      closed = true;
+      clearTimeout(fallbackTimer);
+      clearTimeout(debounceTimer);
+      debounceTimer = null;
+      disarm();
+    },
+  };
+}
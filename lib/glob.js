@@ -0,0 +1,33 @@
+/**
+ * Glob matching for workdir-relative paths (map node globs, agent Glob tool).
+ */
+
+/**
+ * Convert a workdir-relative glob ("tests/**\/*.test.js", "src/{a,b}/*.ts")
+ * into an anchored RegExp over forward-slash paths.
+ */
+export function globToRegExp(glob) {
+  let re = '';
+  for (let i = 0; i < glob.length; i++) {
+    const ch = glob[i];
+    if (ch === '*') {
+      if (glob[i + 1] === '*') {
+        const slash = glob[i + 2] === '/';
+        re += slash ? '(?:.*/)?' : '.*';
+        i += slash ? 2 : 1;
+      } else {
+        re += '[^/]*';
+      }
+    } else if (ch === '?') {
+      re += '[^/]';
+    } else if (ch === '{') {
+      const end = glob.indexOf('}', i);
+      if (end === -1) { re += '\\{'; continue; }
+      re += '(?:' + glob.slice(i + 1, end).split(',').map(p => p.replace(/[.+^$()|[\]\\]/g, '\\$&').replace(/\*/g, '[^/]*')).join('|') + ')';
+      i = end;
+    } else {
+      re += ch.replace(/[.+^$()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${re}$`);
+}
@@ -15,13 +15,38 @@ import {
   updateRun,
   deleteRun,
   getRunMessages,
+  getEngineSettings,
+  getTranscript,
+  listSchedules,
+  getSchedule,
+  listMissionRevisions,
+  getMissionRevision,
+  restoreMissionRevision,
 } from './mission-store.js';
 import { missionEngine } from './mission-engine.js';
-import { getAvailableProviders } from './provider/provider-registry.js';
+import { missionScheduler } from './mission-scheduler.js';
+import { collectNodeUsage, aggregateUsage } from './mission-budget.js';
+import { checkSchema } from './output-schema.js';
+import { checkInputDefinitions, resolveLaunchContext } from './mission-inputs.js';
+import { diffMissions } from './mission-diff.js';
+import { getAvailableProviders, getProvider } from './provider/provider-registry.js';
+import { getProviderLoadFailures } from './provider/provider-loader.js';
 import { getActiveAgents, completeAgent } from './activity-handler.js';
 
 // ─── REST Handlers ────────────────────────────────────────────────────────────
 
+/** First invalid `inputs` definition or `config.outputSchema` in a mission body, as an error message. */
+function findSchemaError(body) {
+  const inputError = checkInputDefinitions(body?.inputs);
+  if (inputError) return inputError;
+  for (const node of body?.nodes || []) {
+    if (node?.config?.outputSchema === undefined) continue;
+    const err = checkSchema(node.config.outputSchema);
+    if (err) return `Invalid outputSchema on node "${node.label || node.id}": ${err}`;
+  }
+  return null;
+}
+
 async function handleListMissions(req, res) {
   try {
     const data = listMissions();
@@ -34,6 +59,11 @@ async function handleListMissions(req, res) {
 
 async function handleCreateMission(req, res) {
   try {
+    const schemaError = findSchemaError(req.body);
+    if (schemaError) {
+      sendJson(res, 400, { error: schemaError });
+      return;
+    }
     const data = createMission(req.body);
     sendJson(res, 201, { data });
   } catch (error) {
@@ -58,6 +88,11 @@ async function handleGetMission(req, res) {
 
 async function handleUpdateMission(req, res) {
   try {
+    const schemaError = findSchemaError(req.body);
+    if (schemaError) {
+      sendJson(res, 400, { error: schemaError });
+      return;
+    }
     const data = updateMission(req.params.id, req.body);
     if (!data) {
       sendJson(res, 404, { error: 'Mission not found' });
@@ -84,11 +119,103 @@ async function handleDeleteMission(req, res) {
   }
 }
 
+async function handleListRevisions(req, res) {
+  try {
+    const data = listMissionRevisions(req.params.id);
+    if (!data) {
+      sendJson(res, 404, { error: 'Mission not found' });
+      return;
+    }
+    sendJson(res, 200, { data });
+  } catch (error) {
+    console.error('[missions] Error listing revisions:', error);
+    sendJson(res, 500, { error: 'Failed to list revisions' });
+  }
+}
+
+async function handleGetRevision(req, res) {
+  try {
+    const data = getMissionRevision(req.params.id, req.params.revision);
+    if (!data) {
+      sendJson(res, 404, { error: 'Revision not found' });
+      return;
+    }
+    sendJson(res, 200, { data });
+  } catch (error) {
+    console.error('[missions] Error getting revision:', error);
+    sendJson(res, 500, { error: 'Failed to get revision' });
+  }
+}
+
+/** Diff two revisions: `?from=&to=` — `to` defaults to the latest, `from` to the one before `to`. */
+async function handleDiffRevisions(req, res) {
+  try {
+    const revisions = listMissionRevisions(req.params.id);
+    if (!revisions) {
+      sendJson(res, 404, { error: 'Mission not found' });
+      return;
+    }
+    const parse = (value, fallback) => (value === undefined || value === '' ? fallback : parseInt(value, 10));
+    const to = parse(req.query?.to, revisions[0]?.revision);
+    const from = parse(req.query?.from, to - 1);
+    if (!(to > 0) || !(from >= 0)) {
+      sendJson(res, 400, { error: 'from and to must be revision numbers' });
+      return;
+    }
+    const after = getMissionRevision(req.params.id, to);
+    // Revision 1 is diffed against an empty mission
+    const before = from === 0 ? { nodes: [], edges: [] } : getMissionRevision(req.params.id, from);
+    if (!after || !before) {
+      sendJson(res, 404, { error: `Revision not found: ${!after ? to : from}` });
+      return;
+    }
+    sendJson(res, 200, { data: diffMissions(before, after) });
+  } catch (error) {
+    console.error('[missions] Error diffing revisions:', error);
+    sendJson(res, 500, { error: 'Failed to diff revisions' });
+  }
+}
+
+async function handleRestoreRevision(req, res) {
+  try {
+    const data = restoreMissionRevision(req.params.id, req.params.revision);
+    if (!data) {
+      sendJson(res, 404, { error: 'Revision not found' });
+      return;
+    }
+    sendJson(res, 200, { data });
+  } catch (error) {
+    console.error('[missions] Error restoring revision:', error);
+    sendJson(res, 500, { error: 'Failed to restore revision' });
+  }
+}
+
 async function handleRunMission(req, res) {
   try {
-    const data = await missionEngine.startMission(req.params.id, req.body?.context);
+    const mission = getMission(req.params.id);
+    if (!mission) {
+      sendJson(res, 404, { error: 'Mission not found' });
+      return;
+    }
+    const context = req.body?.context;
+    if (context !== undefined && (typeof context !== 'object' || Array.isArray(context) || context === null)) {
+      sendJson(res, 400, { error: 'Invalid context: must be an object' });
+      return;
+    }
+    const { errors, unresolved } = resolveLaunchContext(mission, context);
+    if (errors.length || unresolved.length) {
+      const error = errors.length ? 'Invalid mission inputs' : 'Unresolved placeholders';
+      sendJson(res, 400, { error, errors, unresolved });
+      return;
+    }
+    const data = await missionEngine.startMission(req.params.id, context);
     sendJson(res, 201, { data });
   } catch (error) {
+    // Graph problems (cycles, broken sub-mission references) are the caller's to fix
+    if (/^(Cycle detected|Sub-mission|Mission graph)/.test(error.message)) {
+      sendJson(res, 400, { error: error.message });
+      return;
+    }
     console.error('[missions] Error running mission:', error);
     sendJson(res, 500, { error: 'Failed to start mission run' });
   }
@@ -128,6 +255,28 @@ async function handleAbortRun(req, res) {
   }
 }
 
+async function handlePauseRun(req, res) {
+  try {
+    const data = await missionEngine.pauseMission(req.params.id, { suspend: req.body?.suspend === true });
+    sendJson(res, 200, { data });
+  } catch (error) {
+    console.error('[missions] Error pausing run:', error);
+    const status = error.message.includes('not found') ? 404 : error.message.includes('not running') ? 409 : 500;
+    sendJson(res, status, { error: error.message || 'Failed to pause run' });
+  }
+}
+
+async function handleResumeRun(req, res) {
+  try {
+    const data = await missionEngine.resumeMission(req.params.id, { limits: req.body?.limits });
+    sendJson(res, 200, { data });
+  } catch (error) {
+    console.error('[missions] Error resuming run:', error);
+    const status = error.message.includes('not found') ? 404 : error.message.includes('not paused') ? 409 : 500;
+    sendJson(res, status, { error: error.message || 'Failed to resume run' });
+  }
+}
+
 async function handleDeleteRun(req, res) {
   try {
     const ok = deleteRun(req.params.id);
@@ -149,6 +298,53 @@ async function handleRetryNode(req, res) {
   }
 }
 
+function approvalHandler(approved) {
+  return async (req, res) => {
+    try {
+      const { comment, by } = req.body || {};
+      const data = await missionEngine.decideApproval(req.params.id, req.params.nodeId, { approved, comment, by });
+      sendJson(res, 200, { data });
+    } catch (error) {
+      console.error(`[missions] Error ${approved ? 'approving' : 'rejecting'} node:`, error);
+      const status = error.message.includes('not found') ? 404
+        : error.message.includes('not awaiting approval') ? 409 : 500;
+      sendJson(res, status, { error: error.message || 'Failed to record approval decision' });
+    }
+  };
+}
+
+async function handleRerunFromNode(req, res) {
+  try {
+    const { fromNodeId, context } = req.body || {};
+    if (!fromNodeId) {
+      sendJson(res, 400, { error: 'Missing required field: fromNodeId' });
+      return;
+    }
+    if (context !== undefined && (typeof context !== 'object' || Array.isArray(context) || context === null)) {
+      sendJson(res, 400, { error: 'Invalid context: must be an object' });
+      return;
+    }
+    // Same input checks as a fresh launch, over the source run's context
+    const source = getRun(req.params.id);
+    const mission = source && getMission(source.missionId);
+    if (mission) {
+      const { errors, unresolved } = resolveLaunchContext(mission, { ...(source.context || {}), ...context });
+      if (errors.length || unresolved.length) {
+        const error = errors.length ? 'Invalid mission inputs' : 'Unresolved placeholders';
+        sendJson(res, 400, { error, errors, unresolved });
+        return;
+      }
+    }
+    const data = await missionEngine.rerunFromNode(req.params.id, fromNodeId, context);
+    sendJson(res, 201, { data });
+  } catch (error) {
+    console.error('[missions] Error re-running from node:', error);
+    const status = error.message.includes('not found') ? 404
+      : error.message.includes('still active') || error.message.includes('not completed') ? 409 : 500;
+    sendJson(res, status, { error: error.message || 'Failed to re-run from node' });
+  }
+}
+
 async function handleRelayMessage(req, res) {
   try {
     const { from, to, content } = req.body || {};
@@ -165,6 +361,34 @@ async function handleRelayMessage(req, res) {
   }
 }
 
+/** Compare two runs of one mission: `?a=<baseline runId>&b=<runId>` */
+async function handleCompareRuns(req, res) {
+  try {
+    const { a, b } = req.query || {};
+    if (!a || !b) {
+      sendJson(res, 400, { error: 'Missing required query parameters: a, b' });
+      return;
+    }
+    sendJson(res, 200, { data: missionEngine.compareRuns(a, b) });
+  } catch (error) {
+    console.error('[missions] Error comparing runs:', error);
+    const status = error.message.includes('not found') ? 404
+      : error.message.includes('different missions') ? 400 : 500;
+    sendJson(res, status, { error: error.message || 'Failed to compare runs' });
+  }
+}
+
+async function handleGetNodeDiff(req, res) {
+  try {
+    const data = await missionEngine.getNodeDiff(req.params.id, req.params.nodeId, { path: req.query?.path || undefined });
+    sendJson(res, 200, { data });
+  } catch (error) {
+    console.error('[missions] Error reading node diff:', error);
+    const status = error.message.includes('not found') || error.message.includes('No diff') ? 404 : 500;
+    sendJson(res, status, { error: error.message || 'Failed to read node diff' });
+  }
+}
+
 async function handleGetRunSummary(req, res) {
   try {
     const run = getRun(req.params.id);
@@ -179,6 +403,122 @@ async function handleGetRunSummary(req, res) {
   }
 }
 
+const USAGE_GROUPINGS = {
+  agentType: r => r.agentType,
+  mission: r => r.missionId,
+  provider: r => r.provider,
+  model: r => r.model,
+  node: r => `${r.missionId}/${r.label}`,
+};
+
+async function handleGetTranscript(req, res) {
+  try {
+    if (!getRun(req.params.id)) {
+      sendJson(res, 404, { error: 'Run not found' });
+      return;
+    }
+    const offset = Math.max(0, parseInt(req.query?.offset, 10) || 0);
+    const limit = parseInt(req.query?.limit, 10) > 0 ? parseInt(req.query.limit, 10) : undefined;
+    const data = getTranscript(req.params.id, req.params.nodeId, { offset, limit });
+    if (!data) {
+      sendJson(res, 404, { error: 'Transcript not found' });
+      return;
+    }
+    sendJson(res, 200, { data });
+  } catch (error) {
+    console.error('[missions] Error reading transcript:', error);
+    sendJson(res, 500, { error: 'Failed to read transcript' });
+  }
+}
+
+/**
+ * The definition a run was started from: its pinned revision, else the
+ * current one. Usage is attributed by it, so nodes renamed or removed later
+ * keep their labels. `cache` spares re-reading a revision many runs share.
+ */
+function runMission(run, cache = new Map()) {
+  const key = `${run.missionId}@${run.missionRevision}`;
+  if (!cache.has(key)) {
+    cache.set(key, getMissionRevision(run.missionId, run.missionRevision) || getMission(run.missionId));
+  }
+  return cache.get(key);
+}
+
+async function handleGetRunUsage(req, res) {
+  try {
+    const run = getRun(req.params.id);
+    if (!run) {
+      sendJson(res, 404, { error: 'Run not found' });
+      return;
+    }
+    const nodes = collectNodeUsage(run, runMission(run));
+    sendJson(res, 200, { data: { ...aggregateUsage(nodes, r => r.agentType), nodes } });
+  } catch (error) {
+    console.error('[missions] Error getting run usage:', error);
+    sendJson(res, 500, { error: 'Failed to get run usage' });
+  }
+}
+
+async function handleGetMissionUsage(req, res) {
+  try {
+    const mission = getMission(req.params.id);
+    if (!mission) {
+      sendJson(res, 404, { error: 'Mission not found' });
+      return;
+    }
+    const runs = listRuns(mission.id);
+    const revisions = new Map();
+    const records = runs.flatMap(run => collectNodeUsage(run, runMission(run, revisions)));
+    sendJson(res, 200, { data: { runs: runs.length, ...aggregateUsage(records, USAGE_GROUPINGS.node) } });
+  } catch (error) {
+    console.error('[missions] Error getting mission usage:', error);
+    sendJson(res, 500, { error: 'Failed to get mission usage' });
+  }
+}
+
+async function handleGetUsage(req, res) {
+  try {
+    const groupBy = req.query?.groupBy || 'agentType';
+    if (!USAGE_GROUPINGS[groupBy]) {
+      sendJson(res, 400, { error: `groupBy must be one of: ${Object.keys(USAGE_GROUPINGS).join(', ')}` });
+      return;
+    }
+    const revisions = new Map();
+    const records = listRuns(req.query?.missionId)
+      .flatMap(run => collectNodeUsage(run, runMission(run, revisions)));
+    sendJson(res, 200, { data: { groupBy, ...aggregateUsage(records, USAGE_GROUPINGS[groupBy]) } });
+  } catch (error) {
+    console.error('[missions] Error aggregating usage:', error);
+    sendJson(res, 500, { error: 'Failed to aggregate usage' });
+  }
+}
+
+async function handleGetSettings(req, res) {
+  try {
+    sendJson(res, 200, { data: getEngineSettings() });
+  } catch (error) {
+    console.error('[missions] Error reading engine settings:', error);
+    sendJson(res, 500, { error: 'Failed to read engine settings' });
+  }
+}
+
+async function handleUpdateSettings(req, res) {
+  try {
+    const { maxParallelAgents } = req.body || {};
+    if (maxParallelAgents !== undefined && (!Number.isInteger(maxParallelAgents) || maxParallelAgents < 0)) {
+      sendJson(res, 400, { error: 'maxParallelAgents must be a non-negative integer (0 = unlimited)' });
+      return;
+    }
+    const patch = {};
+    if (maxParallelAgents !== undefined) patch.maxParallelAgents = maxParallelAgents;
+    const data = await missionEngine.updateSettings(patch);
+    sendJson(res, 200, { data });
+  } catch (error) {
+    console.error('[missions] Error updating engine settings:', error);
+    sendJson(res, 500, { error: 'Failed to update engine settings' });
+  }
+}
+
 async function handleGetRunProgress(req, res) {
   try {
     const progress = missionEngine.getProgress(req.params.id);
@@ -203,9 +543,33 @@ async function handleGetRunMessages(req, res) {
   }
 }
 
+// A provider whose isAvailable() takes longer than this is reported unavailable
+const AVAILABILITY_TIMEOUT_MS = 3000;
+
+/** A provider entry with `available` from its isAvailable(); a throw or timeout adds the error. */
+async function withAvailability(entry) {
+  if (!entry.available) return entry;
+  let timer;
+  try {
+    const available = await Promise.race([
+      Promise.resolve().then(() => getProvider(entry.name).isAvailable()),
+      new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`isAvailable() did not answer within ${AVAILABILITY_TIMEOUT_MS}ms`)), AVAILABILITY_TIMEOUT_MS);
+      }),
+    ]);
+    return { ...entry, available: !!available };
+  } catch (err) {
+    return { ...entry, available: false, error: err.message };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
 async function handleGetProviders(req, res) {
   try {
-    const data = getAvailableProviders();
+    // Plugins that failed to load are listed too, with `loaded: false` and the error
+    const providers = await Promise.all(getAvailableProviders().map(withAvailability));
+    const data = [...providers, ...getProviderLoadFailures()];
     sendJson(res, 200, { data });
   } catch (error) {
     console.error('[missions] Error getting providers:', error);
@@ -291,18 +655,104 @@ async function handleLaunchRun(req, res) {
   }
 }
 
+// ─── Schedules ────────────────────────────────────────────────────────────────
+
+function scheduleErrorStatus(error) {
+  if (error.message.startsWith('Schedule not found')) return 404;
+  if (/^(Missing required field|Mission not found|Invalid|Unresolved|Cron)/.test(error.message)) return 400;
+  return 500;
+}
+
+async function handleListSchedules(req, res) {
+  try {
+    sendJson(res, 200, { data: listSchedules(req.query?.missionId) });
+  } catch (error) {
+    console.error('[missions] Error listing schedules:', error);
+    sendJson(res, 500, { error: 'Failed to list schedules' });
+  }
+}
+
+async function handleGetSchedule(req, res) {
+  try {
+    const data = getSchedule(req.params.id);
+    if (!data) {
+      sendJson(res, 404, { error: 'Schedule not found' });
+      return;
+    }
+    sendJson(res, 200, { data });
+  } catch (error) {
+    console.error('[missions] Error getting schedule:', error);
+    sendJson(res, 500, { error: 'Failed to get schedule' });
+  }
+}
+
+async function handleCreateSchedule(req, res) {
+  try {
+    sendJson(res, 201, { data: missionScheduler.create(req.body) });
+  } catch (error) {
+    console.error('[missions] Error creating schedule:', error.message);
+    sendJson(res, scheduleErrorStatus(error), { error: error.message });
+  }
+}
+
+async function handleUpdateSchedule(req, res) {
+  try {
+    sendJson(res, 200, { data: missionScheduler.update(req.params.id, req.body) });
+  } catch (error) {
+    console.error('[missions] Error updating schedule:', error.message);
+    sendJson(res, scheduleErrorStatus(error), { error: error.message });
+  }
+}
+
+async function handleDeleteSchedule(req, res) {
+  try {
+    missionScheduler.remove(req.params.id);
+    sendJson(res, 200, { data: { deleted: true } });
+  } catch (error) {
+    console.error('[missions] Error deleting schedule:', error.message);
+    sendJson(res, scheduleErrorStatus(error), { error: error.message });
+  }
+}
+
+async function handleRunScheduleNow(req, res) {
+  try {
+    sendJson(res, 200, { data: await missionScheduler.runNow(req.params.id) });
+  } catch (error) {
+    console.error('[missions] Error running schedule:', error.message);
+    sendJson(res, scheduleErrorStatus(error), { error: error.message });
+  }
+}
+
 // ─── Route Registration ───────────────────────────────────────────────────────
 
 export function registerMissionRoutes(router) {
   // IMPORTANT: Specific routes MUST come before parameterized routes
+  router.get('/api/missions/settings', handleGetSettings);
+  router.put('/api/missions/settings', handleUpdateSettings);
+  router.get('/api/missions/usage', handleGetUsage);
+  router.get('/api/missions/schedules', handleListSchedules);
+  router.post('/api/missions/schedules', handleCreateSchedule);
+  router.get('/api/missions/schedules/:id', handleGetSchedule);
+  router.put('/api/missions/schedules/:id', handleUpdateSchedule);
+  router.delete('/api/missions/schedules/:id', handleDeleteSchedule);
+  router.post('/api/missions/schedules/:id/run', handleRunScheduleNow);
   router.get('/api/missions/runs', handleListRuns);
+  router.get('/api/missions/runs/compare', handleCompareRuns);
   router.get('/api/missions/runs/:id', handleGetRun);
   router.get('/api/missions/runs/:id/progress', handleGetRunProgress);
   router.get('/api/missions/runs/:id/summary', handleGetRunSummary);
+  router.get('/api/missions/runs/:id/usage', handleGetRunUsage);
+  router.get('/api/missions/runs/:id/nodes/:nodeId/transcript', handleGetTranscript);
+  router.get('/api/missions/runs/:id/nodes/:nodeId/diff', handleGetNodeDiff);
   router.post('/api/missions/runs/:id/abort', handleAbortRun);
+  router.post('/api/missions/runs/:id/pause', handlePauseRun);
+  router.post('/api/missions/runs/:id/resume', handleResumeRun);
   router.post('/api/missions/runs/:id/messages', handleRelayMessage);
   router.get('/api/missions/runs/:id/messages', handleGetRunMessages);
   router.post('/api/missions/runs/:id/retry/:nodeId', handleRetryNode);
+  router.post('/api/missions/runs/:id/rerun', handleRerunFromNode);
+  router.post('/api/missions/runs/:id/nodes/:nodeId/approve', approvalHandler(true));
+  router.post('/api/missions/runs/:id/nodes/:nodeId/reject', approvalHandler(false));
   router.post('/api/missions/runs/:id/launch', handleLaunchRun);
   router.delete('/api/missions/runs/:id', handleDeleteRun);
 
@@ -311,6 +761,11 @@ export function registerMissionRoutes(router) {
   router.get('/api/missions', handleListMissions);
   router.post('/api/missions', handleCreateMission);
   router.get('/api/missions/:id', handleGetMission);
+  router.get('/api/missions/:id/usage', handleGetMissionUsage);
+  router.get('/api/missions/:id/revisions', handleListRevisions);
+  router.get('/api/missions/:id/revisions/:revision', handleGetRevision);
+  router.post('/api/missions/:id/revisions/:revision/restore', handleRestoreRevision);
+  router.get('/api/missions/:id/diff', handleDiffRevisions);
   router.put('/api/missions/:id', handleUpdateMission);
   router.delete('/api/missions/:id', handleDeleteMission);
   router.post('/api/missions/:id/run', handleRunMission);
@@ -361,14 +816,26 @@ export function initMissionWebSocket() {
   // Subscribe to engine events and broadcast
   const events = [
     'run_started',
+    'node_queued',
     'node_scheduled',
     'node_started',
     'node_completed',
     'node_failed',
     'node_retrying',
+    'node_skipped',
+    'approval_requested',
+    'approval_decided',
+    'edge_resolved',
+    'file_conflict',
+    'map_expanded',
+    'child_run_started',
+    'usage_updated',
     'run_completed',
     'run_failed',
     'run_aborted',
+    'run_paused',
+    'run_resumed',
+    'run_limit_exceeded',
     'message_logged',
     'message_relayed',
   ];
@@ -377,6 +844,11 @@ export function initMissionWebSocket() {
       broadcastMissionEvent({ type: event, ...data });
     });
   }
+  for (const event of ['schedule_fired', 'schedule_skipped', 'schedule_failed']) {
+    missionScheduler.on(event, (data) => {
+      broadcastMissionEvent({ type: event, ...data });
+    });
+  }
 
   // Clean up activity agents when a mission run ends
   for (const endEvent of ['run_completed', 'run_failed', 'run_aborted']) {
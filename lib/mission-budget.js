@@ -0,0 +1,168 @@
+/**
+ * Token/cost accounting and mission-level limits.
+ *
+ * Providers report usage on the task file as `usage` — either already in
+ * the normalized shape below or in the Anthropic API shape
+ * (`input_tokens`, `output_tokens`, `cache_read_input_tokens`, ...,
+ * plus `total_cost_usd` from the CLI result event).
+ *
+ * Missions opt into limits with `config.limits`:
+ *   {
+ *     timeoutSec: 3600,   // run wall-clock time, excluding time spent paused
+ *     maxTokens: 2000000, // input + output + cache tokens across all nodes
+ *     maxCostUsd: 5,      // total reported cost across all nodes
+ *     onExceed: 'abort'   // or 'pause' (running agents are suspended)
+ *   }
+ */
+
+export const LIMIT_ACTIONS = ['abort', 'pause'];
+
+/** @returns {{ inputTokens: number, outputTokens: number, cacheReadTokens: number, cacheCreationTokens: number, costUsd: number }} */
+export function emptyUsage() {
+  return { inputTokens: 0, outputTokens: 0, cacheReadTokens: 0, cacheCreationTokens: 0, costUsd: 0 };
+}
+
+function num(value) {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? n : 0;
+}
+
+/**
+ * Coerce provider-reported usage into the normalized shape.
+ * @param {object|null|undefined} raw
+ * @returns {ReturnType<typeof emptyUsage>}
+ */
+export function normalizeUsage(raw) {
+  if (!raw || typeof raw !== 'object') return emptyUsage();
+  return {
+    inputTokens: num(raw.inputTokens ?? raw.input_tokens),
+    outputTokens: num(raw.outputTokens ?? raw.output_tokens),
+    cacheReadTokens: num(raw.cacheReadTokens ?? raw.cache_read_input_tokens),
+    cacheCreationTokens: num(raw.cacheCreationTokens ?? raw.cache_creation_input_tokens),
+    costUsd: num(raw.costUsd ?? raw.total_cost_usd ?? raw.cost_usd),
+  };
+}
+
+/**
+ * Sum any number of usage records.
+ * @param {...object} records
+ * @returns {ReturnType<typeof emptyUsage>}
+ */
+export function addUsage(...records) {
+  const total = emptyUsage();
+  for (const record of records) {
+    const u = normalizeUsage(record);
+    for (const key of Object.keys(total)) total[key] += u[key];
+  }
+  total.costUsd = Math.round(total.costUsd * 1e6) / 1e6;
+  return total;
+}
+
+/** Total tokens counted against `maxTokens`. */
+export function totalTokens(usage) {
+  const u = normalizeUsage(usage);
+  return u.inputTokens + u.outputTokens + u.cacheReadTokens + u.cacheCreationTokens;
+}
+
+/**
+ * Effective limits for a mission, or null when it sets none.
+ * @param {object} mission
+ * @param {object} [overrides] - per-run overrides (e.g. raised on resume)
+ * @returns {{ timeoutSec: number|null, maxTokens: number|null, maxCostUsd: number|null, onExceed: string }|null}
+ */
+export function resolveLimits(mission, overrides = {}) {
+  const merged = { ...(mission?.config?.limits || {}), ...(overrides || {}) };
+  const limits = {
+    timeoutSec: num(merged.timeoutSec) || null,
+    maxTokens: num(merged.maxTokens) || null,
+    maxCostUsd: num(merged.maxCostUsd) || null,
+    onExceed: LIMIT_ACTIONS.includes(merged.onExceed) ? merged.onExceed : 'abort',
+  };
+  if (!limits.timeoutSec && !limits.maxTokens && !limits.maxCostUsd) return null;
+  return limits;
+}
+
+/**
+ * Check a run against its limits.
+ * @param {ReturnType<typeof resolveLimits>} limits
+ * @param {object} run
+ * @param {number} [now]
+ * @returns {{ limit: string, value: number, max: number, message: string }|null} the first limit exceeded
+ */
+export function checkLimits(limits, run, now = Date.now()) {
+  if (!limits || !run) return null;
+
+  if (limits.timeoutSec && run.startedAt) {
+    const elapsedSec = (now - new Date(run.startedAt).getTime() - (run.pausedMs || 0)) / 1000;
+    if (elapsedSec > limits.timeoutSec) {
+      return { limit: 'timeoutSec', value: Math.round(elapsedSec), max: limits.timeoutSec, message: `Run exceeded its ${limits.timeoutSec}s time limit` };
+    }
+  }
+
+  const usage = normalizeUsage(run.usage);
+  if (limits.maxTokens) {
+    const tokens = totalTokens(usage);
+    if (tokens > limits.maxTokens) {
+      return { limit: 'maxTokens', value: tokens, max: limits.maxTokens, message: `Run used ${tokens} tokens, over its ${limits.maxTokens} token budget` };
+    }
+  }
+  if (limits.maxCostUsd && usage.costUsd > limits.maxCostUsd) {
+    return { limit: 'maxCostUsd', value: usage.costUsd, max: limits.maxCostUsd, message: `Run cost $${usage.costUsd.toFixed(2)}, over its $${limits.maxCostUsd} budget` };
+  }
+  return null;
+}
+
+// ─── Aggregation ──────────────────────────────────────────────────────────────
+
+/**
+ * Flatten a run into one usage record per executed node. Map children are
+ * attributed to their map node's definition (agentType, provider, model).
+ * @param {object} run
+ * @param {object|null} mission
+ * @returns {Array<{ runId: string, missionId: string, nodeId: string, label: string, agentType: string|null, provider: string|null, model: string|null, status: string, usage: ReturnType<typeof emptyUsage>, metrics: object|null }>}
+ */
+export function collectNodeUsage(run, mission) {
+  const defs = new Map((mission?.nodes || []).map(n => [n.id, n]));
+  const records = [];
+  for (const [nodeId, state] of Object.entries(run?.nodeStates || {})) {
+    if (!state?.usage && !state?.metrics) continue;
+    const def = defs.get(state.mapParent || nodeId) || {};
+    records.push({
+      runId: run.id,
+      missionId: run.missionId,
+      nodeId,
+      label: def.label || nodeId,
+      agentType: def.agentType || null,
+      provider: state.provider || def.provider || null,
+      model: state.metrics?.models?.[0] || def.model || null,
+      status: state.status,
+      usage: normalizeUsage(state.usage),
+      metrics: state.metrics || null,
+    });
+  }
+  return records;
+}
+
+/**
+ * Group node usage records and total each group, most expensive first.
+ * @param {ReturnType<typeof collectNodeUsage>} records
+ * @param {(record: object) => string|null} keyFn
+ * @returns {{ total: ReturnType<typeof emptyUsage>, groups: Array<{ key: string, runs: number, nodes: number, usage: ReturnType<typeof emptyUsage>, durationMs: number, numTurns: number }> }}
+ */
+export function aggregateUsage(records, keyFn) {
+  const groups = new Map();
+  for (const record of records) {
+    const key = keyFn(record) ?? 'unknown';
+    if (!groups.has(key)) groups.set(key, { key, runIds: new Set(), nodes: 0, usage: emptyUsage(), durationMs: 0, numTurns: 0 });
+    const group = groups.get(key);
+    group.runIds.add(record.runId);
+    group.nodes++;
+    group.usage = addUsage(group.usage, record.usage);
+    group.durationMs += num(record.metrics?.durationMs);
+    group.numTurns += num(record.metrics?.numTurns);
+  }
+
+  const list = [...groups.values()].map(({ runIds, ...group }) => ({ ...group, runs: runIds.size }));
+  list.sort((a, b) => (b.usage.costUsd - a.usage.costUsd) || (totalTokens(b.usage) - totalTokens(a.usage)));
+  return { total: addUsage(...list.map(g => g.usage)), groups: list };
+}
@@ -0,0 +1,164 @@
+/**
+ * Edge condition evaluation for mission DAGs.
+ *
+ * An edge may carry a `condition` that is evaluated against the upstream
+ * node's state once it completes. Edges without a condition are always taken.
+ *
+ * Supported condition shapes:
+ *   { type: 'regex',    pattern: 'issues? found', flags: 'i', negate?: boolean }
+ *   { type: 'jsonpath', path: '$.issues.length', equals?: any, negate?: boolean }
+ *   { type: 'verdict',  equals: 'fail', negate?: boolean }
+ *
+ * This module has no Node dependencies: the UI loads it too (served at
+ * /shared/mission-conditions.js) so edge labels are worded in one place.
+ */
+
+const VERDICT_PATTERN = /\bVERDICT\s*[:=]\s*([A-Za-z0-9_-]+)/gi;
+
+/**
+ * Walk a dotted / bracketed path ("issues[0].file", "$.a.b") into a value.
+ * @param {unknown} obj
+ * @param {string} path
+ * @returns {unknown} undefined when any segment is missing
+ */
+export function getPath(obj, path) {
+  if (!path) return obj;
+  const segments = String(path)
+    .replace(/^\$\.?/, '')
+    .replace(/\[(\d+)\]/g, '.$1')
+    .split('.')
+    .filter(Boolean);
+
+  let current = obj;
+  for (const seg of segments) {
+    if (current === null || current === undefined) return undefined;
+    if (seg === 'length' && (Array.isArray(current) || typeof current === 'string')) {
+      current = current.length;
+      continue;
+    }
+    current = current[seg];
+  }
+  return current;
+}
+
+/**
+ * Pull a JSON value out of free-form agent output. Tries the whole string,
+ * then the last fenced ```json block, then the outermost {...} or [...] span.
+ * @param {unknown} text
+ * @returns {unknown} parsed value, or undefined if nothing parses
+ */
+export function extractJson(text) {
+  if (text === null || text === undefined) return undefined;
+  if (typeof text !== 'string') return text;
+
+  const trimmed = text.trim();
+  try { return JSON.parse(trimmed); } catch { /* fall through */ }
+
+  const fences = [...trimmed.matchAll(/```(?:json)?\s*\n([\s\S]*?)```/g)];
+  for (let i = fences.length - 1; i >= 0; i--) {
+    try { return JSON.parse(fences[i][1]); } catch { /* try the next one */ }
+  }
+
+  for (const [open, close] of [['{', '}'], ['[', ']']]) {
+    const start = trimmed.indexOf(open);
+    const end = trimmed.lastIndexOf(close);
+    if (start !== -1 && end > start) {
+      try { return JSON.parse(trimmed.slice(start, end + 1)); } catch { /* not JSON */ }
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Extract a verdict token ("VERDICT: pass") from node output. The last
+ * occurrence wins so agents can revise their verdict while working.
+ * @param {unknown} output
+ * @returns {string|null} lower-cased verdict
+ */
+export function parseVerdict(output) {
+  if (typeof output !== 'string') return null;
+  let verdict = null;
+  for (const match of output.matchAll(VERDICT_PATTERN)) {
+    verdict = match[1].toLowerCase();
+  }
+  return verdict;
+}
+
+/**
+ * Evaluate an edge condition against the upstream node state.
+ * @param {object|undefined} condition
+ * @param {{ output?: unknown, outputData?: unknown, verdict?: string|null }} sourceState
+ * @returns {boolean} whether the edge is taken
+ */
+export function evaluateCondition(condition, sourceState = {}) {
+  if (!condition || !condition.type) return true;
+
+  const output = sourceState.output ?? '';
+  let result;
+
+  switch (condition.type) {
+    case 'regex': {
+      try {
+        result = new RegExp(condition.pattern || '', condition.flags || '').test(String(output));
+      } catch {
+        result = false; // Invalid pattern never matches
+      }
+      break;
+    }
+    case 'jsonpath': {
+      const data = sourceState.outputData ?? extractJson(output);
+      const value = data === undefined ? undefined : getPath(data, condition.path);
+      if (condition.equals !== undefined && condition.equals !== '') {
+        result = value !== undefined && String(value) === String(condition.equals);
+      } else {
+        result = Array.isArray(value) ? value.length > 0 : Boolean(value);
+      }
+      break;
+    }
+    case 'verdict': {
+      const verdict = sourceState.verdict ?? parseVerdict(output);
+      result = verdict !== null && verdict === String(condition.equals || '').toLowerCase();
+      break;
+    }
+    default:
+      result = false;
+  }
+
+  return condition.negate ? !result : result;
+}
+
+/**
+ * Short human-readable description of a condition, used in logs and the UI.
+ * @param {object|undefined} condition
+ * @returns {string}
+ */
+export function describeCondition(condition) {
+  if (!condition || !condition.type) return 'always';
+  const not = condition.negate ? 'not ' : '';
+  switch (condition.type) {
+    case 'regex': return `${not}/${condition.pattern || ''}/${condition.flags || ''}`;
+    case 'jsonpath': return condition.equals !== undefined && condition.equals !== ''
+      ? `${not}${condition.path} == ${condition.equals}`
+      : `${not}${condition.path}`;
+    case 'verdict': return `${not}verdict == ${condition.equals}`;
+    default: return condition.type;
+  }
+}
+
+/**
+ * Label drawn on an edge in the UI — empty for an unconditional edge.
+ * @param {object|undefined} condition
+ * @returns {string}
+ */
+export function edgeLabel(condition) {
+  return condition && condition.type ? describeCondition(condition) : '';
+}
+
+/**
+ * Stable key for an edge — the builder assigns ids, older definitions may not.
+ * @param {{ id?: string, from: string, to: string }} edge
+ * @returns {string}
+ */
+export function edgeKey(edge) {
+  return edge.id || `${edge.from}->${edge.to}`;
+}
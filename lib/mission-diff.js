@@ -0,0 +1,146 @@
+/**
+ * Structural diff between two versions of a mission definition.
+ *
+ * Nodes are matched by id and edges by edgeKey(). Node and edge fields are
+ * compared as flattened paths (`config.timeout`, `condition.pattern`);
+ * prompts also get a line diff. Canvas positions are ignored.
+ */
+
+import { edgeKey } from './mission-conditions.js';
+
+// Layout-only node fields
+const IGNORED_NODE_FIELDS = new Set(['x', 'y', 'position']);
+// Mission-level fields worth reporting; nodes and edges are diffed separately
+const MISSION_FIELDS = ['name', 'description', 'context', 'inputs', 'config'];
+
+function same(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/** Flatten nested plain objects into path → leaf value. Arrays are leaves. */
+function flatten(value, prefix = '', out = {}) {
+  if (value && typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length > 0) {
+    for (const [key, child] of Object.entries(value)) flatten(child, prefix ? `${prefix}.${key}` : key, out);
+  } else if (prefix) {
+    out[prefix] = value;
+  }
+  return out;
+}
+
+/**
+ * Changed leaf paths between two objects.
+ * @returns {Array<{ path: string, before: unknown, after: unknown }>}
+ */
+function diffFields(before, after, ignored = new Set()) {
+  const a = flatten(before || {});
+  const b = flatten(after || {});
+  const changes = [];
+  for (const path of new Set([...Object.keys(a), ...Object.keys(b)])) {
+    if (ignored.has(path.split('.')[0])) continue;
+    if (!same(a[path], b[path])) changes.push({ path, before: a[path] ?? null, after: b[path] ?? null });
+  }
+  return changes.sort((x, y) => x.path.localeCompare(y.path));
+}
+
+/**
+ * Line diff of two texts (longest common subsequence).
+ * @param {string} before
+ * @param {string} after
+ * @returns {Array<{ op: 'same'|'add'|'remove', text: string }>}
+ */
+export function diffLines(before, after) {
+  // Empty text has no lines, so an added prompt or output is all additions
+  const a = before ? String(before).split('\n') : [];
+  const b = after ? String(after).split('\n') : [];
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      lines.push({ op: 'same', text: a[i++] });
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      lines.push({ op: 'remove', text: a[i++] });
+    } else {
+      lines.push({ op: 'add', text: b[j++] });
+    }
+  }
+  while (i < a.length) lines.push({ op: 'remove', text: a[i++] });
+  while (j < b.length) lines.push({ op: 'add', text: b[j++] });
+  return lines;
+}
+
+function nodeRef(node) {
+  return { id: node.id, label: node.label || node.id };
+}
+
+function edgeRef(edge) {
+  return { key: edgeKey(edge), from: edge.from, to: edge.to, condition: edge.condition ?? null };
+}
+
+/**
+ * Compare two mission definitions.
+ * @param {object} before - older definition (or revision snapshot)
+ * @param {object} after - newer definition
+ * @returns {{
+ *   from: number|null, to: number|null,
+ *   mission: Array<{ path: string, before: unknown, after: unknown }>,
+ *   nodes: { added: object[], removed: object[], changed: Array<{ id: string, label: string, changes: object[], prompt: object[]|null }> },
+ *   edges: { added: object[], removed: object[], changed: Array<{ key: string, from: string, to: string, changes: object[] }> },
+ *   unchanged: boolean
+ * }}
+ */
+export function diffMissions(before, after) {
+  const mission = diffFields(
+    Object.fromEntries(MISSION_FIELDS.map(f => [f, before?.[f]])),
+    Object.fromEntries(MISSION_FIELDS.map(f => [f, after?.[f]])),
+  );
+
+  const oldNodes = new Map((before?.nodes || []).map(n => [n.id, n]));
+  const newNodes = new Map((after?.nodes || []).map(n => [n.id, n]));
+  const nodes = { added: [], removed: [], changed: [] };
+  for (const [id, node] of newNodes) {
+    if (!oldNodes.has(id)) nodes.added.push(nodeRef(node));
+  }
+  for (const [id, node] of oldNodes) {
+    const next = newNodes.get(id);
+    if (!next) {
+      nodes.removed.push(nodeRef(node));
+      continue;
+    }
+    const changes = diffFields(node, next, IGNORED_NODE_FIELDS);
+    if (changes.length === 0) continue;
+    const promptChanged = changes.some(c => c.path === 'prompt');
+    nodes.changed.push({
+      ...nodeRef(next),
+      changes: changes.filter(c => c.path !== 'prompt'),
+      prompt: promptChanged ? diffLines(node.prompt, next.prompt) : null,
+    });
+  }
+
+  const oldEdges = new Map((before?.edges || []).map(e => [edgeKey(e), e]));
+  const newEdges = new Map((after?.edges || []).map(e => [edgeKey(e), e]));
+  const edges = { added: [], removed: [], changed: [] };
+  for (const [key, edge] of newEdges) {
+    if (!oldEdges.has(key)) edges.added.push(edgeRef(edge));
+  }
+  for (const [key, edge] of oldEdges) {
+    const next = newEdges.get(key);
+    if (!next) {
+      edges.removed.push(edgeRef(edge));
+      continue;
+    }
+    const changes = diffFields(edge, next);
+    if (changes.length > 0) edges.changed.push({ key, from: next.from, to: next.to, changes });
+  }
+
+  const unchanged = mission.length === 0
+    && [nodes, edges].every(d => d.added.length === 0 && d.removed.length === 0 && d.changed.length === 0);
+  return { from: before?.revision ?? null, to: after?.revision ?? null, mission, nodes, edges, unchanged };
+}
@@ -1,38 +1,92 @@
 import { EventEmitter } from 'events';
-import { existsSync, readdirSync, mkdirSync, readFileSync } from 'fs';
-import { join, resolve, relative } from 'path';
+import { existsSync, readdirSync, mkdirSync, readFileSync, statSync } from 'fs';
+import { join, resolve, relative, isAbsolute, sep } from 'path';
 import { homedir } from 'os';
 import { randomUUID } from 'crypto';
 import * as store from './mission-store.js';
 import { getProvider } from './provider/provider-registry.js';
 import './provider/claude-code-provider.js'; // Auto-registers 'claude-code' provider
+import './provider/shell-provider.js'; // Auto-registers 'shell' provider
+import './provider/anthropic-api-provider.js'; // Auto-registers 'anthropic-api' provider
+import './provider/openai-compatible-provider.js'; // Auto-registers 'openai' provider
 import { TASKS_DIR, safeReadJson } from './paths.js';
-import { NODE_STATUS, RUN_STATUS, ACTIVE_NODE_STATUSES, getProgress, writeJsonAtomic } from './mission-state.js';
-
-const POLL_INTERVAL = 2000; // 2 seconds
+import { NODE_STATUS, RUN_STATUS, ACTIVE_NODE_STATUSES, TERMINAL_NODE_STATUSES, getProgress, writeJsonAtomic } from './mission-state.js';
+import { evaluateCondition, describeCondition, parseVerdict, edgeKey, extractJson, getPath } from './mission-conditions.js';
+import { RETRY_REASONS, resolveRetryPolicy, shouldRetry, computeDelay } from './retry-policy.js';
+import { addUsage, normalizeUsage, resolveLimits, checkLimits } from './mission-budget.js';
+import { parseStructuredOutput, schemaInstructions } from './output-schema.js';
+import { resolveLaunchContext, describeLaunchErrors } from './mission-inputs.js';
+import { watchDirectory } from './dir-watcher.js';
+import { globToRegExp } from './glob.js';
+import { buildRunComparison } from './run-compare.js';
+import { isolationMode, prepareRepo, createWorktree, mergeWorktree, removeWorktree, cleanupRunWorktrees } from './worktree-manager.js';
+import { snapshotTree, repoGitDir, diffChanges, unifiedDiff } from './shadow-git.js';
+
+// Runs are polled when a task file in TASKS_DIR/<runId> changes. The fallback
+// poll catches missed events and drives time-based checks (node timeouts,
+// orphan detection, run time limits).
+const POLL_DEBOUNCE_MS = 100;
+const FALLBACK_POLL_INTERVAL = 5000;
+const DEFAULT_MAP_CONCURRENCY = 3;
+
+/**
+ * Compare two workdir snapshots (path → signature). Line counts are unknown
+ * here — they come from the shadow repository when git is available.
+ * @returns {{ changes: Array<{ path: string, status: 'added'|'modified'|'deleted', insertions: null, deletions: null }>, versions: Object<string, string|null> }}
+ *   `versions` maps every changed path to its new signature (null when deleted)
+ */
+function diffSnapshots(before, after) {
+  const changes = [];
+  const versions = {};
+  for (const [path, signature] of after) {
+    if (!before.has(path)) changes.push({ path, status: 'added', insertions: null, deletions: null });
+    else if (before.get(path) !== signature) changes.push({ path, status: 'modified', insertions: null, deletions: null });
+    else continue;
+    versions[path] = signature;
+  }
+  for (const path of before.keys()) {
+    if (after.has(path)) continue;
+    changes.push({ path, status: 'deleted', insertions: null, deletions: null });
+    versions[path] = null;
+  }
+  changes.sort((a, b) => a.path.localeCompare(b.path));
+  return { changes, versions };
+}
 
 class MissionEngine extends EventEmitter {
   constructor() {
     super();
-    this.activePolls = new Map(); // runId → intervalId
-    this._preSnapshots = new Map(); // `${runId}/${nodeId}` → Set<relativePath>
+    this.activePolls = new Map(); // runId → task directory watcher
+    this._preSnapshots = new Map(); // `${runId}/${nodeId}` → Map<relativePath, signature>
     this._polling = new Set(); // runIds currently inside pollRun — prevents tick overlap
+    this._draining = false; // _drainQueue() in progress
+    this._drainAgain = false; // another drain was requested mid-drain
+    this._retryTimers = new Map(); // `${runId}/${nodeId}` → backoff timeout
   }
 
   /**
    * Start a mission run for the given missionId.
    * @param {string} missionId
-   * @param {object} contextOverrides
+   * @param {object} contextOverrides - launch values, including typed mission inputs
+   * @param {{ parent?: { runId: string, nodeId: string } }} [options] - set for sub-mission child runs
    * @returns {object} run record
+   * @throws {Error} "Invalid mission inputs: …" / "Unresolved placeholders: …" before anything is spawned
    */
-  async startMission(missionId, contextOverrides = {}) {
+  async startMission(missionId, contextOverrides = {}, { parent = null } = {}) {
     const mission = await store.getMission(missionId);
     if (!mission) {
       throw new Error(`Mission not found: ${missionId}`);
     }
 
-    // Merge context overrides
-    const resolvedContext = { ...mission.context, ...contextOverrides };
+    // Validate DAG and sub-mission references — throws on cycle
+    this.topologicalSort(mission.nodes, mission.edges, { missionId });
+
+    // Merge context overrides, coerce typed inputs, and refuse to spawn
+    // anything while a prompt placeholder has nothing to resolve to
+    const launch = resolveLaunchContext(mission, contextOverrides);
+    const launchError = describeLaunchErrors(launch);
+    if (launchError) throw new Error(launchError);
+    const resolvedContext = launch.context;
 
     // Resolve workdir to absolute path, or auto-assign a default output directory
     if (!resolvedContext.workdir) {
@@ -60,17 +114,22 @@ class MissionEngine extends EventEmitter {
       try { mkdirSync(wd, { recursive: true }); } catch { /* best effort */ }
     }
 
+    // Isolated nodes branch from the workdir, so it has to be a clean git repo
+    const isolation = isolationMode(mission);
+    if (isolation === 'worktree') await prepareRepo(resolvedContext.workdir);
+
     // Create run record
     const run = await store.createRun(missionId);
     const runId = run.id;
 
-    // Store workdir on run record
-    if (resolvedContext.workdir) {
-      await store.updateRun(runId, { workdir: resolvedContext.workdir });
-    }
-
-    // Validate DAG — throws on cycle
-    this.topologicalSort(mission.nodes, mission.edges);
+    // Store workdir and the resolved context on the run record so nodes
+    // scheduled later (downstream, retries, after resume) see the same values
+    await store.updateRun(runId, {
+      workdir: resolvedContext.workdir || null,
+      context: resolvedContext,
+      isolation,
+      ...(parent ? { parent } : {}),
+    });
 
     // Find root nodes (no incoming edges)
     const nodesWithIncoming = new Set((mission.edges || []).map(e => e.to));
@@ -81,15 +140,7 @@ class MissionEngine extends EventEmitter {
     }
 
     // Initialize team config with all members before any task files are written
-    const providerName = mission.nodes[0]?.provider || 'claude-code';
-    try {
-      const provider = getProvider(providerName);
-      if (typeof provider.initializeTeam === 'function') {
-        await provider.initializeTeam(runId, mission);
-      }
-    } catch {
-      // Non-fatal — team config is a best-effort enhancement
-    }
+    await this._initializeTeam(runId, mission);
 
     // Start polling before scheduling so we don't miss fast completions
     this._startPolling(runId, mission);
@@ -99,18 +150,46 @@ class MissionEngine extends EventEmitter {
       await this.scheduleNode(runId, node, mission, resolvedContext);
     }
 
-    this.emit('run_started', { runId, missionId });
+    this.emit('run_started', { runId, missionId, ...(parent ? { parentRunId: parent.runId, parentNodeId: parent.nodeId } : {}) });
 
     return run;
   }
 
   /**
-   * Kahn's algorithm topological sort.
+   * Initialize the provider's team config with all members before any task
+   * files are written. Branch and sub-mission nodes are handled by the engine
+   * and never become agents; map nodes stay listed so their per-item agents
+   * have a team to join. Each provider is given only its own nodes.
+   */
+  async _initializeTeam(runId, mission) {
+    const byProvider = new Map();
+    for (const node of mission.nodes.filter(n => n.kind !== 'branch' && n.kind !== 'mission')) {
+      const name = node.provider || 'claude-code';
+      if (!byProvider.has(name)) byProvider.set(name, []);
+      byProvider.get(name).push(node);
+    }
+    for (const [providerName, agentNodes] of byProvider) {
+      try {
+        const provider = getProvider(providerName);
+        if (typeof provider?.initializeTeam === 'function') {
+          await provider.initializeTeam(runId, { ...mission, nodes: agentNodes });
+        }
+      } catch {
+        // Non-fatal — team config is a best-effort enhancement
+      }
+    }
+  }
+
+  /**
+   * Kahn's algorithm topological sort. Sub-mission nodes are followed into
+   * the missions they reference, so a mission that (transitively) includes
+   * itself is reported as a cycle too.
    * @param {Array} nodes
    * @param {Array} edges
+   * @param {{ missionId?: string, trail?: string[] }} [refs] - id of the mission being sorted, and the missions that include it
    * @returns {string[]} ordered node IDs
    */
-  topologicalSort(nodes = [], edges = []) {
+  topologicalSort(nodes = [], edges = [], { missionId = null, trail = [] } = {}) {
     const inDegree = new Map();
     const adjList = new Map();
 
@@ -145,16 +224,30 @@ class MissionEngine extends EventEmitter {
       throw new Error('Cycle detected in mission graph');
     }
 
+    const path = missionId ? [...trail, missionId] : trail;
+    for (const node of nodes) {
+      if (node.kind !== 'mission') continue;
+      const childId = node.config?.missionId;
+      if (!childId) throw new Error(`Sub-mission node "${node.label || node.id}" has no config.missionId`);
+      if (path.includes(childId)) {
+        throw new Error(`Cycle detected in mission references: ${[...path, childId].join(' → ')}`);
+      }
+      const child = store.getMission(childId);
+      if (!child) throw new Error(`Sub-mission not found: ${childId}`);
+      this.topologicalSort(child.nodes, child.edges, { missionId: childId, trail: path });
+    }
+
     return sorted;
   }
 
   /**
-   * Recursively walk a directory and return a Set of relative file paths.
-   * Skips dotfiles/dirs and node_modules. Returns null if >10,000 files.
+   * Recursively walk a directory and return a Map of relative file path →
+   * `size:mtimeMs` signature, so edits and deletions show up as well as new
+   * files. Skips dotfiles/dirs and node_modules. Returns null if >10,000 files.
    */
   _snapshotDir(dir) {
-    if (!dir || !existsSync(dir)) return new Set();
-    const files = new Set();
+    if (!dir || !existsSync(dir)) return new Map();
+    const files = new Map();
     const LIMIT = 10000;
 
     const walk = (current) => {
@@ -167,7 +260,10 @@ class MissionEngine extends EventEmitter {
         if (entry.isDirectory()) {
           walk(fullPath);
         } else if (entry.isFile()) {
-          files.add(relative(dir, fullPath));
+          try {
+            const st = statSync(fullPath);
+            files.set(relative(dir, fullPath), `${st.size}:${st.mtimeMs}`);
+          } catch { /* removed mid-walk */ }
         }
         if (files.size > LIMIT) return;
       }
@@ -177,38 +273,196 @@ class MissionEngine extends EventEmitter {
     return files.size > LIMIT ? null : files;
   }
 
+  /**
+   * What changed in the shared workdir since a node started. File snapshots
+   * give the changed paths and their versions (for write-conflict
+   * detection); when the node's start was recorded in the run's shadow
+   * repository, that diff supplies the change set with line counts. When the
+   * provider reports the paths its agent wrote, both are narrowed to those
+   * paths; otherwise the change set includes whatever concurrently running
+   * nodes changed and `writesReported` is false.
+   * @returns {Promise<{ changes: object[]|null, diff: object|null, fileVersions: object|null, writesReported: boolean }>}
+   */
+  async _workdirChanges(runId, node, taskData) {
+    const result = { changes: null, diff: null, fileVersions: null, writesReported: false };
+    const snapshotKey = `${runId}/${node.id}`;
+    const preSnap = this._preSnapshots.get(snapshotKey);
+    this._preSnapshots.delete(snapshotKey);
+    const run = store.getRun(runId);
+    const workdir = run?.workdir;
+    const diffBase = run?.nodeStates?.[node.id]?._diffBase;
+    if (!workdir) return result;
+
+    // Paths the agent reports writing through its own tool calls pin down
+    // what it wrote, as opposed to what changed meanwhile
+    let written = null;
+    if (Array.isArray(taskData.writes)) {
+      result.writesReported = true;
+      written = [...new Set(taskData.writes
+        .map(path => relative(workdir, resolve(workdir, String(path))))
+        .filter(rel => rel && !rel.startsWith('..') && !isAbsolute(rel)))];
+    }
+
+    const postSnap = preSnap ? this._snapshotDir(workdir) : null;
+    if (postSnap) {
+      const { changes, versions } = diffSnapshots(preSnap, postSnap);
+      result.changes = written ? changes.filter(c => written.includes(c.path)) : changes;
+      result.fileVersions = versions;
+      if (written) {
+        result.fileVersions = {};
+        for (const rel of written) result.fileVersions[rel] = postSnap.get(rel) ?? null;
+      }
+    }
+
+    if (diffBase) {
+      try {
+        const { gitDir, tree } = await snapshotTree(runId, workdir);
+        result.diff = { gitDir, from: diffBase, to: tree };
+        if (written) result.diff.paths = written.map(rel => rel.split(sep).join('/'));
+        result.changes = await diffChanges(result.diff);
+      } catch (err) {
+        console.error(`[mission-engine] Could not diff node "${node.id}" in run ${runId}: ${err.message}`);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Flag paths that a just-completed node and a concurrently running node
+   * both wrote. When both agents reported their writes, any shared path is a
+   * conflict. Otherwise a node's paths are everything that changed in the
+   * workdir while it ran, which cannot tell two writers from one — so a path
+   * that changed within both nodes' windows is flagged as a possible
+   * conflict (`possible: true`) rather than passed over. Conflicts
+   * accumulate on the run as `fileConflicts`.
+   */
+  async _detectWriteConflicts(runId, nodeId) {
+    const run = store.getRun(runId);
+    const states = run?.nodeStates || {};
+    const mine = states[nodeId];
+    if (!mine?._fileVersions || !mine.startedAt) return;
+    const startedAt = new Date(mine.startedAt).getTime();
+
+    const fileConflicts = (run.fileConflicts || []).map(c => ({ ...c }));
+    let found = false;
+    for (const [otherId, other] of Object.entries(states)) {
+      if (otherId === nodeId || !other._fileVersions || !other.completedAt) continue;
+      // The other node finished before this one started — they never overlapped
+      if (new Date(other.completedAt).getTime() <= startedAt) continue;
+
+      const paths = Object.keys(mine._fileVersions).filter(path => path in other._fileVersions).sort();
+      if (paths.length === 0) continue;
+      const possible = !(mine._writesReported && other._writesReported);
+
+      found = true;
+      const nodeIds = [otherId, nodeId];
+      const existing = fileConflicts.find(c => c.nodeIds.includes(otherId) && c.nodeIds.includes(nodeId));
+      if (existing) {
+        existing.paths = [...new Set([...existing.paths, ...paths])].sort();
+        existing.possible = !!existing.possible && possible;
+      } else {
+        fileConflicts.push({ nodeIds, paths, possible, detectedAt: new Date().toISOString() });
+      }
+
+      console.error(`[mission-engine] ${possible ? 'Possible write' : 'Write'} conflict in run ${runId}: ${otherId} and ${nodeId} both changed ${paths.join(', ')}`);
+      this.emit('file_conflict', { runId, nodeIds, paths, possible });
+    }
+
+    if (found) await store.updateRun(runId, { fileConflicts });
+  }
+
   /**
    * Schedule a node for execution.
    *
+   * Agent nodes are not spawned directly: they enter the engine-wide queue
+   * (PENDING/RETRYING → QUEUED) and _drainQueue() spawns them as slots free
+   * up. Branch nodes bypass the provider entirely and complete immediately.
+   * Map nodes expand into one child execution per item (see _startMapNode).
+   * Approval nodes park until a human approves or rejects them. Sub-mission
+   * nodes start a child run of another mission (see _startSubMission).
+   */
+  async scheduleNode(runId, node, mission, resolvedContext) {
+    // Paused runs hold new work; resumeMission() picks pending nodes back up
+    if (store.getRun(runId)?.status === RUN_STATUS.PAUSED) {
+      await store.updateNodeState(runId, node.id, { status: NODE_STATUS.PENDING });
+      return;
+    }
+
+    if (node.kind === 'branch') {
+      await this._completeBranchNode(runId, node, mission);
+      return;
+    }
+    if (node.kind === 'map') {
+      await this._startMapNode(runId, node, mission);
+      return;
+    }
+    if (node.kind === 'approval') {
+      await this._requestApproval(runId, node, mission);
+      return;
+    }
+    if (node.kind === 'mission') {
+      await this._startSubMission(runId, node, mission);
+      return;
+    }
+
+    await store.updateNodeState(runId, node.id, {
+      status: NODE_STATUS.QUEUED,
+      queuedAt: new Date().toISOString(),
+    });
+    this.emit('node_queued', { runId, nodeId: node.id, priority: Number(node.config?.priority) || 0 });
+    await this._drainQueue();
+  }
+
+  /**
+   * Spawn a dequeued node through its provider.
+   *
    * State transitions performed here:
-   *   PENDING → SPAWNING (provider.executeNode is called)
+   *   QUEUED → SPAWNING (provider.executeNode is called)
    *   SPAWNING → RUNNING (process confirmed started)
-   *   SPAWNING/RUNNING → RETRYING → (restart)
-   *   SPAWNING/RUNNING → FAILED (retries exhausted)
+   *   SPAWNING → RETRYING → (re-queued)
+   *   SPAWNING → FAILED (retries exhausted)
    */
-  async scheduleNode(runId, node, mission, resolvedContext) {
-    // Transition: PENDING → SPAWNING
-    await store.updateNodeState(runId, node.id, { status: NODE_STATUS.SPAWNING });
+  async _spawnNode(runId, node, mission, resolvedContext) {
+    // Transition: QUEUED → SPAWNING. Usage from earlier attempts is carried
+    // forward so retries add to the node's total instead of replacing it.
+    const previous = store.getRun(runId)?.nodeStates?.[node.id];
+    await store.updateNodeState(runId, node.id, { status: NODE_STATUS.SPAWNING, _priorUsage: previous?.usage || null });
     this.emit('node_scheduled', { runId, nodeId: node.id });
 
-    // Take pre-snapshot of workdir for file tracking
-    const workdir = resolvedContext.workdir;
-    const preSnapshot = workdir ? this._snapshotDir(workdir) : null;
-
     // Get the current run record to resolve outputs from completed nodes
     const run = await store.getRun(runId);
 
+    // Take pre-snapshot of workdir for file tracking — isolated nodes are
+    // diffed against their branch point instead
+    const isolated = run?.isolation === 'worktree';
+    const workdir = resolvedContext.workdir;
+    const preSnapshot = workdir && !isolated ? this._snapshotDir(workdir) : null;
+    let diffBase = null;
+    if (preSnapshot) {
+      try {
+        diffBase = (await snapshotTree(runId, workdir)).tree;
+      } catch (err) {
+        console.error(`[mission-engine] Shadow snapshot failed for node "${node.id}" in run ${runId}: ${err.message}`);
+      }
+    }
+
     // Resolve template variables in prompt
-    const resolvedPrompt = this.resolvePrompt(
+    let resolvedPrompt = this.resolvePrompt(
       node.prompt || '',
       resolvedContext,
       run
     );
+    resolvedPrompt += this._approvalComments(node, mission, run);
+    if (node.config?.outputSchema) {
+      const lastErrors = previous?.lastFailureReason === RETRY_REASONS.OUTPUT ? previous.outputErrors : null;
+      resolvedPrompt += schemaInstructions(node.config.outputSchema, lastErrors || []);
+    }
 
     const providerName = node.provider || 'claude-code';
     let provider;
     try {
       provider = getProvider(providerName);
+      if (!provider) throw new Error(`Provider not found: ${providerName}`);
     } catch (err) {
       const errMsg = `Provider not found: ${providerName}`;
       console.error(`[mission-engine] ${errMsg} for node ${node.id} in run ${runId}`);
@@ -217,7 +471,7 @@ class MissionEngine extends EventEmitter {
         error: errMsg,
         completedAt: new Date().toISOString(),
       });
-      this.emit('node_failed', { runId, nodeId: node.id, error: err });
+      this.emit('node_failed', { runId, nodeId: node.id, error: errMsg });
       return;
     }
 
@@ -229,41 +483,33 @@ class MissionEngine extends EventEmitter {
     // Compute DAG relationships for this node
     const rels = this._computeNodeRelationships(node.id, mission.nodes || [], mission.edges || []);
 
+    // Isolated nodes get their own worktree, branched from the workdir as it
+    // stands now (i.e. with every completed upstream node merged in)
+    let nodeContext = resolvedContext;
+    if (isolated && workdir) {
+      try {
+        const worktree = await createWorktree(workdir, runId, node.id, previous?.retryCount || 0);
+        await store.updateNodeState(runId, node.id, { worktree, mergeConflicts: null });
+        nodeContext = { ...resolvedContext, workdir: worktree.cwd, baseWorkdir: workdir, worktree: { branch: worktree.branch } };
+      } catch (err) {
+        console.error(`[mission-engine] Worktree error for node "${node.id}" in run ${runId}: ${err.message}`);
+        await this._handleNodeFailure(runId, node, mission, { reason: RETRY_REASONS.SPAWN, error: err.message });
+        return;
+      }
+    }
+
     let agentId;
     try {
       const result = await provider.executeNode(
         { ...node, prompt: resolvedPrompt, parents: rels.parents, children: rels.children, siblings: rels.siblings },
-        resolvedContext,
+        nodeContext,
         runId
       );
       agentId = result?.agentId;
     } catch (err) {
       // Spawn failed — record it explicitly (never silently swallow)
       console.error(`[mission-engine] Spawn error for node "${node.id}" in run ${runId}: ${err.message}`);
-
-      const nodeConfig = node.config || {};
-      const maxRetries = nodeConfig.retries ?? 1;
-      const updatedRun = await store.getRun(runId);
-      const nodeState = updatedRun?.nodeStates?.[node.id] || {};
-      const retryCount = nodeState.retryCount || 0;
-
-      if (retryCount < maxRetries) {
-        await store.updateNodeState(runId, node.id, {
-          status: NODE_STATUS.RETRYING,
-          retryCount: retryCount + 1,
-          error: err.message,
-        });
-        this.emit('node_retrying', { runId, nodeId: node.id, retryCount: retryCount + 1 });
-        await this.scheduleNode(runId, node, mission, resolvedContext);
-      } else {
-        await store.updateNodeState(runId, node.id, {
-          status: NODE_STATUS.FAILED,
-          error: err.message,
-          completedAt: new Date().toISOString(),
-        });
-        this.emit('node_failed', { runId, nodeId: node.id, error: err });
-        await this.checkRunCompletion(runId, mission);
-      }
+      await this._handleNodeFailure(runId, node, mission, { reason: RETRY_REASONS.SPAWN, error: err.message });
       return;
     }
 
@@ -273,6 +519,7 @@ class MissionEngine extends EventEmitter {
       agentId: agentId || null,
       provider: providerName,
       _lastCommsTime: Date.now(),
+      _diffBase: diffBase,
     });
 
     // Store pre-snapshot for file diff on completion
@@ -287,10 +534,13 @@ class MissionEngine extends EventEmitter {
    * Poll a run — reads task files and processes state transitions.
    */
   async pollRun(runId, mission) {
-    // Guard against concurrent invocations — if the previous tick is still
-    // running (pollRun took >POLL_INTERVAL), skip this tick entirely to
-    // prevent read-modify-write corruption.
-    if (this._polling.has(runId)) return;
+    // Guard against concurrent invocations — if a previous poll is still
+    // running, skip this one to prevent read-modify-write corruption and ask
+    // the watcher for another pass once it settles.
+    if (this._polling.has(runId)) {
+      this.activePolls.get(runId)?.trigger();
+      return;
+    }
     this._polling.add(runId);
 
     try {
@@ -307,8 +557,7 @@ class MissionEngine extends EventEmitter {
     }
 
     const nodeStates = run.nodeStates || {};
-    const edges = mission.edges || [];
-    const nodes = mission.nodes || [];
+    const nodes = this._pollableNodes(mission, nodeStates);
 
     for (const node of nodes) {
       const state = nodeStates[node.id];
@@ -331,49 +580,87 @@ class MissionEngine extends EventEmitter {
             const elapsed = state.startedAt ? Date.now() - new Date(state.startedAt).getTime() : 0;
             if (elapsed > 30000) { // Only after 30s to avoid race with initial task file write
               console.error(`[mission-engine] Orphan detected: node ${node.id} has no task file and no active process after ${(elapsed / 1000).toFixed(0)}s`);
-              this._preSnapshots.delete(`${runId}/${node.id}`);
-              await store.updateNodeState(runId, node.id, {
-                status: NODE_STATUS.FAILED,
+              await this._handleNodeFailure(runId, node, mission, {
+                reason: RETRY_REASONS.ORPHAN,
                 error: 'Agent process exited without updating task file (orphan)',
-                completedAt: new Date().toISOString(),
               });
-              this.emit('node_failed', { runId, nodeId: node.id, error: 'Orphan process' });
-              await this.checkRunCompletion(runId, mission);
             }
           }
         } catch { /* provider lookup failure is non-fatal */ }
         continue;
       }
 
+      if (taskData.usage) await this._recordUsage(runId, node.id, taskData.usage);
+      if (taskData.metrics) await store.updateNodeState(runId, node.id, { metrics: taskData.metrics });
+
       const taskStatus = taskData.status;
 
       if (taskStatus === 'completed') {
         const output = taskData.output ?? taskData.result ?? null;
 
-        // File change tracking: post-snapshot diff
-        let newFiles = [];
-        const snapshotKey = `${runId}/${node.id}`;
-        const preSnap = this._preSnapshots.get(snapshotKey);
-        if (preSnap) {
-          const currentRun = await store.getRun(runId);
-          const workdir = currentRun?.workdir;
-          if (workdir) {
-            const postSnap = this._snapshotDir(workdir);
-            if (postSnap) {
-              for (const f of postSnap) {
-                if (!preSnap.has(f)) newFiles.push(f);
-              }
-            }
+        // Structured output: extract and validate against the node's schema
+        let outputData;
+        if (node.config?.outputSchema) {
+          const parsed = parseStructuredOutput(output, node.config.outputSchema);
+          if (parsed.errors.length > 0) {
+            const errMsg = `Output does not match schema: ${parsed.errors.join('; ')}`;
+            console.error(`[mission-engine] Node "${node.id}" in run ${runId}: ${errMsg}`);
+            await store.updateNodeState(runId, node.id, { output, outputErrors: parsed.errors });
+            await this._handleNodeFailure(runId, node, mission, { reason: RETRY_REASONS.OUTPUT, error: errMsg });
+            continue;
+          }
+          outputData = parsed.data;
+        }
+
+        // File change tracking. In a shared workdir, a provider that does not
+        // report its writes gets everything that changed while the node ran,
+        // siblings included — flagged as unattributed.
+        let { changes, diff, fileVersions, writesReported } = await this._workdirChanges(runId, node, taskData);
+        let changesUnattributed = !writesReported && !!changes;
+
+        // Isolated nodes: merge the node's branch into the workdir so
+        // downstream nodes build on it; a conflict fails the node
+        if (state.worktree) {
+          let merge;
+          try {
+            merge = await this._mergeNodeWorktree(runId, node, state.worktree);
+          } catch (err) {
+            console.error(`[mission-engine] Node "${node.id}" in run ${runId}: ${err.message}`);
+            await store.updateNodeState(runId, node.id, { output });
+            await this._handleNodeFailure(runId, node, mission, { reason: RETRY_REASONS.MERGE, error: err.message });
+            continue;
+          }
+          if (merge.conflicts.length > 0) {
+            const errMsg = `Merge conflict in: ${merge.conflicts.join(', ')} (branch ${state.worktree.branch} kept)`;
+            console.error(`[mission-engine] Node "${node.id}" in run ${runId}: ${errMsg}`);
+            await store.updateNodeState(runId, node.id, { output, mergeConflicts: merge.conflicts });
+            await this._handleNodeFailure(runId, node, mission, { reason: RETRY_REASONS.MERGE, error: errMsg });
+            continue;
+          }
+          try {
+            diff = { gitDir: await repoGitDir(run.workdir), from: state.worktree.base, to: merge.head, prefix: state.worktree.prefix };
+            changes = await diffChanges(diff);
+            changesUnattributed = false;
+          } catch (err) {
+            console.error(`[mission-engine] Could not diff node "${node.id}" in run ${runId}: ${err.message}`);
           }
-          this._preSnapshots.delete(snapshotKey);
         }
+        const newFiles = (changes || []).filter(c => c.status !== 'deleted').map(c => c.path);
 
         await store.updateNodeState(runId, node.id, {
           status: NODE_STATUS.COMPLETED,
           output,
+          ...(outputData !== undefined ? { outputData, outputErrors: null } : {}),
+          verdict: taskData.verdict ?? parseVerdict(output),
           completedAt: new Date().toISOString(),
           files: newFiles,
+          changes,
+          changesUnattributed,
+          _diff: diff,
+          _fileVersions: fileVersions,
+          _writesReported: writesReported,
         });
+        if (fileVersions) await this._detectWriteConflicts(runId, node.id);
 
         if (taskData.message) {
           await store.addRunMessage(runId, {
@@ -389,53 +676,21 @@ class MissionEngine extends EventEmitter {
           });
         }
 
-        this.emit('node_completed', { runId, nodeId: node.id, output, files: newFiles });
-
-        // Re-fetch run after update for fresh nodeStates
-        const updatedRun = await store.getRun(runId);
-        const updatedNodeStates = updatedRun?.nodeStates || {};
+        this.emit('node_completed', { runId, nodeId: node.id, output, files: newFiles, changes, changesUnattributed });
 
-        // Check downstream nodes
-        const downstreamIds = this.getDownstreamNodes(node.id, edges);
-        for (const downstreamId of downstreamIds) {
-          if (this.areAllInputsCompleted(downstreamId, edges, updatedNodeStates)) {
-            const downstreamNode = nodes.find(n => n.id === downstreamId);
-            if (downstreamNode && updatedNodeStates[downstreamId]?.status === NODE_STATUS.PENDING) {
-              const resolvedContext = { ...mission.context };
-              await this.scheduleNode(runId, downstreamNode, mission, resolvedContext);
-            }
-          }
-        }
-
-        await this.checkRunCompletion(runId, mission);
+        await this._advanceFrom(runId, node.id, mission);
 
       } else if (taskStatus === 'failed' || taskStatus === 'error') {
-        const nodeConfig = node.config || {};
-        const maxRetries = nodeConfig.retries ?? 1;
-        const retryCount = state.retryCount || 0;
         const errMsg = taskData.error || 'Task failed';
         console.error(`[mission-engine] Node "${node.id}" reported failure in run ${runId}: ${errMsg}`);
 
-        if (retryCount < maxRetries) {
-          await store.updateNodeState(runId, node.id, {
-            status: NODE_STATUS.RETRYING,
-            retryCount: retryCount + 1,
-            error: errMsg,
-          });
-          this.emit('node_retrying', { runId, nodeId: node.id, retryCount: retryCount + 1 });
-
-          const resolvedContext = { ...mission.context };
-          await this.scheduleNode(runId, node, mission, resolvedContext);
-        } else {
-          this._preSnapshots.delete(`${runId}/${node.id}`);
-          await store.updateNodeState(runId, node.id, {
-            status: NODE_STATUS.FAILED,
-            error: errMsg,
-            completedAt: new Date().toISOString(),
-          });
-          this.emit('node_failed', { runId, nodeId: node.id, error: errMsg });
-          await this.checkRunCompletion(runId, mission);
-        }
+        // Providers record the exit code/signal when the process itself failed,
+        // and `lost` when it ended unobserved across a server restart
+        const exited = (taskData.exitCode !== undefined && taskData.exitCode !== null && taskData.exitCode !== 0) || !!taskData.signal;
+        await this._handleNodeFailure(runId, node, mission, {
+          reason: taskData.lost ? RETRY_REASONS.LOST : exited ? RETRY_REASONS.EXIT : RETRY_REASONS.ERROR,
+          error: errMsg,
+        });
 
       } else {
         // In-progress — surface UI updates and check for orphans/timeouts
@@ -489,7 +744,7 @@ class MissionEngine extends EventEmitter {
         const lastCommsTime = state._lastCommsTime || (state.startedAt ? new Date(state.startedAt).getTime() : 0);
         const now = Date.now();
         const sinceLastComms = now - lastCommsTime;
-        if (sinceLastComms >= HEARTBEAT_INTERVAL) {
+        if (sinceLastComms >= HEARTBEAT_INTERVAL && run.status !== RUN_STATUS.PAUSED) {
           const elapsedMin = Math.floor((now - new Date(state.startedAt).getTime()) / 60_000);
           const elapsedStr = elapsedMin < 1 ? '<1m' : `${elapsedMin}m`;
           this.emit('message_logged', {
@@ -510,14 +765,10 @@ class MissionEngine extends EventEmitter {
             const elapsed = state.startedAt ? Date.now() - new Date(state.startedAt).getTime() : 0;
             if (elapsed > 30000) { // Grace period for slow task file writes
               console.error(`[mission-engine] Orphan detected: node ${node.id} stuck at "${taskStatus}" but process is dead after ${(elapsed / 1000).toFixed(0)}s`);
-              await store.updateNodeState(runId, node.id, {
-                status: NODE_STATUS.FAILED,
+              await this._handleNodeFailure(runId, node, mission, {
+                reason: RETRY_REASONS.ORPHAN,
                 error: 'Agent process exited without completing (orphan detected)',
-                completedAt: new Date().toISOString(),
               });
-              this._preSnapshots.delete(`${runId}/${node.id}`);
-              this.emit('node_failed', { runId, nodeId: node.id, error: 'Orphan process' });
-              await this.checkRunCompletion(runId, mission);
               continue; // Skip timeout check — already handled
             }
           }
@@ -526,12 +777,9 @@ class MissionEngine extends EventEmitter {
         // Timeout detection: mark as TIMEOUT (distinct from FAILED), kill the process first
         const nodeConfig = node.config || {};
         const timeoutSec = nodeConfig.timeout ?? null;
-        if (timeoutSec && state.startedAt) {
+        if (timeoutSec && state.startedAt && run.status !== RUN_STATUS.PAUSED) {
           const elapsed = Date.now() - new Date(state.startedAt).getTime();
           if (elapsed > timeoutSec * 1000) {
-            const maxRetries = nodeConfig.retries ?? 1;
-            const retryCount = state.retryCount || 0;
-
             // Kill the process before transitioning — prevents the close handler from
             // racing with us and writing a completion to the task file
             try {
@@ -545,30 +793,28 @@ class MissionEngine extends EventEmitter {
 
             console.error(`[mission-engine] Timeout: node "${node.id}" exceeded ${timeoutSec}s in run ${runId} (elapsed ${(elapsed / 1000).toFixed(1)}s)`);
 
-            if (retryCount < maxRetries) {
-              await store.updateNodeState(runId, node.id, {
-                status: NODE_STATUS.RETRYING,
-                retryCount: retryCount + 1,
-                error: `Timed out after ${timeoutSec}s`,
-              });
-              this.emit('node_retrying', { runId, nodeId: node.id, retryCount: retryCount + 1 });
-
-              const resolvedContext = { ...mission.context };
-              await this.scheduleNode(runId, node, mission, resolvedContext);
-            } else {
-              await store.updateNodeState(runId, node.id, {
-                status: NODE_STATUS.TIMEOUT,
-                error: `Timed out after ${timeoutSec}s`,
-                completedAt: new Date().toISOString(),
-              });
-              this._preSnapshots.delete(`${runId}/${node.id}`);
-              this.emit('node_timeout', { runId, nodeId: node.id, timeoutSec });
-              await this.checkRunCompletion(runId, mission);
-            }
+            await this._handleNodeFailure(runId, node, mission, {
+              reason: RETRY_REASONS.TIMEOUT,
+              error: `Timed out after ${timeoutSec}s`,
+              timeoutSec,
+            });
           }
         }
       }
     }
+
+    // Sub-mission nodes follow their child run — this also catches a child
+    // that finished while the server was down
+    for (const node of mission.nodes || []) {
+      if (node.kind === 'mission' && nodeStates[node.id]?.status === NODE_STATUS.RUNNING) {
+        await this._advanceSubMission(runId, node, mission);
+      }
+    }
+
+    await this._enforceLimits(runId, mission);
+
+    // Slots freed by completions, failures or timeouts this tick go to the queue
+    await this._drainQueue();
     } finally {
       this._polling.delete(runId);
     }
@@ -578,14 +824,29 @@ class MissionEngine extends EventEmitter {
    * Check whether the entire run is complete or failed.
    */
   async checkRunCompletion(runId, mission) {
-    const run = await store.getRun(runId);
+    let run = await store.getRun(runId);
     if (!run || [RUN_STATUS.COMPLETED, RUN_STATUS.FAILED, RUN_STATUS.ABORTED].includes(run.status)) return;
 
-    const nodeStates = run.nodeStates || {};
+    // Settle or refill running map and sub-mission nodes first — a child
+    // finishing is what usually brings us here, and the node's own status
+    // drives the checks below
     const nodes = mission.nodes || [];
     const edges = mission.edges || [];
+    let settledMap = false;
+    for (const node of nodes) {
+      if (run.nodeStates?.[node.id]?.status !== NODE_STATUS.RUNNING) continue;
+      if (node.kind === 'map') settledMap = (await this._advanceMap(runId, node, mission)) || settledMap;
+      else if (node.kind === 'mission') settledMap = (await this._advanceSubMission(runId, node, mission)) || settledMap;
+    }
+    if (settledMap) {
+      run = await store.getRun(runId);
+      if (!run || [RUN_STATUS.COMPLETED, RUN_STATUS.FAILED, RUN_STATUS.ABORTED].includes(run.status)) return;
+    }
+
+    const nodeStates = run.nodeStates || {};
 
-    const allCompleted = nodes.every(n => nodeStates[n.id]?.status === NODE_STATUS.COMPLETED);
+    const resolvedStatuses = [NODE_STATUS.COMPLETED, NODE_STATUS.SKIPPED];
+    const allCompleted = nodes.every(n => resolvedStatuses.includes(nodeStates[n.id]?.status));
     if (allCompleted) {
       const summary = this._generateRunSummary(run, mission);
       await store.updateRunSummary(runId, summary);
@@ -596,15 +857,21 @@ class MissionEngine extends EventEmitter {
       this._stopPolling(runId);
       this.emit('run_completed', { runId, summary });
       this._cleanupRunDirs(runId);
+      await this._notifyParentRun(run);
       return;
     }
 
     // Check if any failed or timed-out node blocks all remaining paths
     const blockingStatuses = [NODE_STATUS.FAILED, NODE_STATUS.TIMEOUT];
     const blockingNodes = nodes.filter(n => blockingStatuses.includes(nodeStates[n.id]?.status));
+    // A failed sink blocks nothing, but once every node has settled the run
+    // cannot make progress either — a sub-mission's parent waits on that
+    const settled = nodes.every(n => [...resolvedStatuses, ...blockingStatuses].includes(nodeStates[n.id]?.status));
     for (const failedNode of blockingNodes) {
-      if (this._blocksRemainingNodes(failedNode.id, nodes, edges, nodeStates)) {
-        const errMsg = `Node "${failedNode.label || failedNode.id}" ${nodeStates[failedNode.id]?.status} and blocks remaining execution`;
+      if (settled || this._blocksRemainingNodes(failedNode.id, nodes, edges, nodeStates)) {
+        const errMsg = settled
+          ? `Node "${failedNode.label || failedNode.id}" ${nodeStates[failedNode.id]?.status}`
+          : `Node "${failedNode.label || failedNode.id}" ${nodeStates[failedNode.id]?.status} and blocks remaining execution`;
         await store.updateRun(runId, {
           status: RUN_STATUS.FAILED,
           completedAt: new Date().toISOString(),
@@ -613,6 +880,7 @@ class MissionEngine extends EventEmitter {
         this._stopPolling(runId);
         this.emit('run_failed', { runId, failedNodeId: failedNode.id, error: errMsg });
         this._cleanupRunDirs(runId);
+        await this._notifyParentRun(run);
         return;
       }
     }
@@ -643,11 +911,12 @@ class MissionEngine extends EventEmitter {
       }
     }
 
-    // Mark all non-completed nodes as failed
+    // Mark nodes that had not finished as failed — completed, skipped,
+    // failed and timed-out nodes keep their outcome in the run history
     const allNodeIds = Object.keys(nodeStates);
     for (const nodeId of allNodeIds) {
       const st = nodeStates[nodeId]?.status;
-      if (st && st !== NODE_STATUS.COMPLETED) {
+      if (st && !TERMINAL_NODE_STATUSES.has(st)) {
         await store.updateNodeState(runId, nodeId, {
           status: NODE_STATUS.FAILED,
           error: 'Run aborted',
@@ -661,9 +930,120 @@ class MissionEngine extends EventEmitter {
       completedAt: new Date().toISOString(),
     });
 
+    // Sub-mission children go down with their parent (after it is marked
+    // aborted, so their failure is not retried into a new child run)
+    for (const childRunId of this._activeChildRuns(run)) {
+      if (![RUN_STATUS.RUNNING, RUN_STATUS.PAUSED].includes(store.getRun(childRunId)?.status)) continue;
+      try { await this.abortMission(childRunId); } catch { /* best effort */ }
+    }
+
     this._stopPolling(runId);
     this.emit('run_aborted', { runId });
     this._cleanupRunDirs(runId);
+    await this._notifyParentRun(run);
+  }
+
+  /**
+   * Pause a running mission. No new nodes are scheduled until resumeMission();
+   * nodes already running keep going unless `suspend` is set, in which case
+   * providers that support it freeze their processes in place.
+   * @param {string} runId
+   * @param {{ suspend?: boolean }} [options]
+   * @returns {Promise<object>} updated run record
+   */
+  async pauseMission(runId, { suspend = false } = {}) {
+    const run = await store.getRun(runId);
+    if (!run) throw new Error(`Run not found: ${runId}`);
+    if (run.status !== RUN_STATUS.RUNNING) {
+      throw new Error(`Run ${runId} is not running (status: ${run.status})`);
+    }
+
+    const suspendedNodes = [];
+    if (suspend) {
+      for (const [nodeId, state] of Object.entries(run.nodeStates || {})) {
+        if (!ACTIVE_NODE_STATUSES.has(state.status)) continue;
+        try {
+          const provider = getProvider(state.provider || 'claude-code');
+          if (typeof provider.suspendNode === 'function' && await provider.suspendNode(nodeId, runId)) {
+            suspendedNodes.push(nodeId);
+          }
+        } catch {
+          // Best-effort — an unsuspended node simply keeps running
+        }
+      }
+    }
+
+    for (const childRunId of this._activeChildRuns(run)) {
+      if (store.getRun(childRunId)?.status !== RUN_STATUS.RUNNING) continue;
+      try { await this.pauseMission(childRunId, { suspend }); } catch { /* best effort */ }
+    }
+
+    await store.updateRun(runId, {
+      status: RUN_STATUS.PAUSED,
+      pausedAt: new Date().toISOString(),
+      suspendedNodes,
+    });
+    this.emit('run_paused', { runId, suspendedNodes });
+    return store.getRun(runId);
+  }
+
+  /**
+   * Resume a paused mission from its persisted nodeStates: continue suspended
+   * processes, then schedule every pending node whose inputs are resolved.
+   * A run paused by its budget can be resumed with raised `limits`, which
+   * override the mission's `config.limits` for this run only.
+   * @param {string} runId
+   * @param {{ limits?: object }} [options]
+   * @returns {Promise<object>} updated run record
+   */
+  async resumeMission(runId, { limits } = {}) {
+    const run = await store.getRun(runId);
+    if (!run) throw new Error(`Run not found: ${runId}`);
+    if (run.status !== RUN_STATUS.PAUSED) {
+      throw new Error(`Run ${runId} is not paused (status: ${run.status})`);
+    }
+    const mission = this._missionForRun(run);
+    if (!mission) throw new Error(`Mission definition not found: ${run.missionId}`);
+
+    const pausedMs = run.pausedAt ? Date.now() - new Date(run.pausedAt).getTime() : 0;
+    for (const nodeId of run.suspendedNodes || []) {
+      const state = run.nodeStates?.[nodeId];
+      try {
+        const provider = getProvider(state?.provider || 'claude-code');
+        if (typeof provider.resumeNode === 'function') await provider.resumeNode(nodeId, runId);
+      } catch {
+        // Best-effort — orphan detection catches processes that did not survive
+      }
+      // Time spent suspended does not count toward the node timeout
+      if (state?.startedAt) {
+        await store.updateNodeState(runId, nodeId, {
+          startedAt: new Date(new Date(state.startedAt).getTime() + pausedMs).toISOString(),
+        });
+      }
+    }
+
+    await store.updateRun(runId, {
+      status: RUN_STATUS.RUNNING,
+      pausedAt: null,
+      suspendedNodes: [],
+      pausedMs: (run.pausedMs || 0) + pausedMs,
+      ...(limits ? { limits: { ...(run.limits || {}), ...limits }, limitExceeded: null } : {}),
+    });
+    this._startPolling(runId, mission);
+    this.emit('run_resumed', { runId });
+
+    for (const childRunId of this._activeChildRuns(run)) {
+      if (store.getRun(childRunId)?.status !== RUN_STATUS.PAUSED) continue;
+      try { await this.resumeMission(childRunId); } catch { /* best effort */ }
+    }
+
+    const pendingIds = (mission.nodes || [])
+      .filter(n => run.nodeStates?.[n.id]?.status === NODE_STATUS.PENDING)
+      .map(n => n.id);
+    await this._scheduleReadyNodes(runId, mission, pendingIds);
+    await this.checkRunCompletion(runId, mission);
+    await this._drainQueue(); // Nodes queued before the pause
+    return store.getRun(runId);
   }
 
   /**
@@ -673,9 +1053,9 @@ class MissionEngine extends EventEmitter {
     const run = await store.getRun(runId);
     if (!run) throw new Error(`Run not found: ${runId}`);
 
-    // Look up mission definition from the run's missionId so callers
+    // Look up the mission revision the run started with so callers
     // don't need to pass it — makes the function self-contained
-    const mission = store.getMission(run.missionId);
+    const mission = this._missionForRun(run);
     if (!mission) throw new Error(`Mission definition not found: ${run.missionId}`);
 
     const nodeState = run.nodeStates?.[nodeId];
@@ -717,10 +1097,122 @@ class MissionEngine extends EventEmitter {
       this._startPolling(runId, mission);
     }
 
-    const resolvedContext = { ...mission.context };
+    const resolvedContext = this._runContext(runId, mission);
     await this.scheduleNode(runId, node, mission, resolvedContext);
   }
 
+  /**
+   * Start a new run from a checkpoint of a finished run: everything upstream
+   * of `fromNodeId` keeps its state (outputs, files, verdicts) and only that
+   * node and its descendants are executed again. Nodes on parallel branches
+   * that never finished in the source run are re-executed as well, so the new
+   * run can complete. The new run shares the source run's workdir unless the
+   * caller overrides it, so files written by upstream nodes are still there.
+   * @param {string} sourceRunId
+   * @param {string} fromNodeId
+   * @param {object} [contextOverrides] - checked like launch values (see resolveLaunchContext)
+   * @returns {Promise<object>} the new run record
+   * @throws {Error} when the overrides fail the mission's input checks
+   */
+  async rerunFromNode(sourceRunId, fromNodeId, contextOverrides = {}) {
+    const source = await store.getRun(sourceRunId);
+    if (!source) throw new Error(`Run not found: ${sourceRunId}`);
+    if ([RUN_STATUS.RUNNING, RUN_STATUS.PAUSED].includes(source.status)) {
+      throw new Error(`Run ${sourceRunId} is still active — abort it before re-running`);
+    }
+
+    // The new run uses the current definition, so edits made after the
+    // source run (e.g. a fixed prompt) take effect from the checkpoint on
+    const mission = store.getMission(source.missionId);
+    if (!mission) throw new Error(`Mission definition not found: ${source.missionId}`);
+    const nodes = mission.nodes || [];
+    const edges = mission.edges || [];
+    if (!nodes.some(n => n.id === fromNodeId)) throw new Error(`Node not found: ${fromNodeId}`);
+
+    const sourceStates = source.nodeStates || {};
+    const done = st => st === NODE_STATUS.COMPLETED || st === NODE_STATUS.SKIPPED;
+
+    // The checkpoint node needs every ancestor to have finished
+    const ancestors = new Set();
+    const up = [fromNodeId];
+    while (up.length > 0) {
+      const current = up.shift();
+      for (const edge of edges) {
+        if (edge.to === current && !ancestors.has(edge.from)) {
+          ancestors.add(edge.from);
+          up.push(edge.from);
+        }
+      }
+    }
+    for (const id of ancestors) {
+      if (!done(sourceStates[id]?.status)) {
+        throw new Error(`Cannot re-run from ${fromNodeId}: upstream node ${id} has not completed`);
+      }
+    }
+
+    const rerun = new Set([fromNodeId]);
+    const down = [fromNodeId];
+    while (down.length > 0) {
+      for (const next of this.getDownstreamNodes(down.shift(), edges)) {
+        if (!rerun.has(next)) {
+          rerun.add(next);
+          down.push(next);
+        }
+      }
+    }
+    for (const node of nodes) {
+      if (!done(sourceStates[node.id]?.status)) rerun.add(node.id);
+    }
+
+    // Overrides go through the same typed-input checks as a fresh launch, on
+    // top of the context the source run resolved
+    const launch = resolveLaunchContext(mission, { ...(source.context || {}), ...contextOverrides });
+    const launchError = describeLaunchErrors(launch);
+    if (launchError) throw new Error(launchError);
+    const resolvedContext = launch.context;
+    if (!resolvedContext.workdir) resolvedContext.workdir = source.workdir;
+    const isolation = isolationMode(mission);
+    if (isolation === 'worktree' && resolvedContext.workdir) await prepareRepo(resolvedContext.workdir);
+
+    const run = await store.createRun(source.missionId);
+    const runId = run.id;
+
+    // Copy kept node states (map children follow their parent), reset the rest
+    const nodeStates = { ...run.nodeStates };
+    for (const [id, state] of Object.entries(sourceStates)) {
+      const owner = state.mapParent || id;
+      if (rerun.has(owner)) continue;
+      nodeStates[id] = { ...state };
+      try { store.copyTranscript(sourceRunId, runId, id); } catch { /* transcripts are best-effort */ }
+    }
+    const edgeStates = {};
+    for (const edge of edges) {
+      const key = edgeKey(edge);
+      if (!rerun.has(edge.from) && source.edgeStates?.[key]) edgeStates[key] = source.edgeStates[key];
+    }
+    const messages = (source.messages || []).filter(m => !m.nodeId || !rerun.has(m.nodeId));
+
+    await store.updateRun(runId, {
+      workdir: resolvedContext.workdir || null,
+      context: resolvedContext,
+      isolation,
+      nodeStates,
+      edgeStates,
+      messages,
+      rerunOf: { runId: sourceRunId, nodeId: fromNodeId },
+    });
+
+    await this._initializeTeam(runId, mission);
+    this._startPolling(runId, mission);
+    this.emit('run_started', { runId, missionId: source.missionId, rerunOf: sourceRunId, fromNodeId });
+
+    const ordered = this.topologicalSort(nodes, edges).filter(id => rerun.has(id));
+    await this._scheduleReadyNodes(runId, mission, ordered);
+    await this.checkRunCompletion(runId, mission);
+
+    return store.getRun(runId);
+  }
+
   /**
    * Get currently active (polling) run IDs.
    * @returns {Map}
@@ -832,40 +1324,878 @@ class MissionEngine extends EventEmitter {
     };
   }
 
-  // ─── Template Resolution ────────────────────────────────────────────────────
-
-  resolvePrompt(template, context, runRecord) {
-    return template.replace(/\{([^}]+)\}/g, (match, key) => {
-      if (key.startsWith('context.')) {
-        const contextKey = key.slice(8);
-        return context[contextKey] !== undefined ? String(context[contextKey]) : match;
-      }
+  /**
+   * Execution context for nodes scheduled after the run started. The context
+   * persisted on the run (overrides + resolved workdir) wins over the mission
+   * defaults, which may have been edited since.
+   */
+  _runContext(runId, mission) {
+    const run = store.getRun(runId);
+    return { ...mission.context, ...(run?.context || {}), ...(run?.workdir ? { workdir: run.workdir } : {}) };
+  }
 
-      const dotIdx = key.indexOf('.');
-      if (dotIdx !== -1) {
-        const nodeId = key.slice(0, dotIdx);
-        const field = key.slice(dotIdx + 1);
-        if (field === 'output' && runRecord?.nodeStates?.[nodeId]) {
-          const output = runRecord.nodeStates[nodeId].output;
-          return output !== undefined && output !== null ? String(output) : match;
-        }
-      }
+  // ─── Branching ──────────────────────────────────────────────────────────────
 
-      return match;
-    });
+  /**
+   * Follow-up after a node resolves (completed or skipped): evaluate its
+   * outgoing edges, schedule or skip whatever became ready, then check
+   * whether the run as a whole is done.
+   */
+  async _advanceFrom(runId, nodeId, mission) {
+    await this._resolveOutgoingEdges(runId, nodeId, mission);
+    await this._scheduleReadyNodes(runId, mission, this.getDownstreamNodes(nodeId, mission.edges || []));
+    await this.checkRunCompletion(runId, mission);
   }
 
-  // ─── Graph Utilities ────────────────────────────────────────────────────────
-
-  getDownstreamNodes(nodeId, edges) {
-    return edges.filter(e => e.from === nodeId).map(e => e.to);
+  /**
+   * Evaluate and record every outgoing edge of a resolved node so the UI can
+   * show which branch was taken.
+   */
+  async _resolveOutgoingEdges(runId, nodeId, mission) {
+    const run = await store.getRun(runId);
+    const nodeStates = run?.nodeStates || {};
+    const outgoing = (mission.edges || []).filter(e => e.from === nodeId);
+
+    for (const edge of outgoing) {
+      const taken = this.isEdgeTaken(edge, nodeStates);
+      const key = edgeKey(edge);
+      await store.updateEdgeState(runId, key, { taken, evaluatedAt: new Date().toISOString() });
+      this.emit('edge_resolved', {
+        runId,
+        edgeKey: key,
+        from: edge.from,
+        to: edge.to,
+        taken,
+        condition: describeCondition(edge.condition),
+      });
+    }
   }
 
   /**
-   * BFS from a node to find all downstream nodes that are in a terminal non-completed status.
+   * Schedule pending candidates whose inputs are all resolved. A node with no
+   * taken incoming edge is marked SKIPPED instead, and the skip cascades to
+   * its own descendants.
    */
-  _getReachableFailed(nodeId, edges, nodeStates) {
-    const result = [];
+  async _scheduleReadyNodes(runId, mission, candidateIds) {
+    const nodes = mission.nodes || [];
+    const edges = mission.edges || [];
+    const queue = [...candidateIds];
+
+    while (queue.length > 0) {
+      const nodeId = queue.shift();
+      const run = await store.getRun(runId);
+      const nodeStates = run?.nodeStates || {};
+      const node = nodes.find(n => n.id === nodeId);
+      if (!node || nodeStates[nodeId]?.status !== NODE_STATUS.PENDING) continue;
+      if (!this.areAllInputsResolved(nodeId, edges, nodeStates)) continue;
+
+      const incoming = edges.filter(e => e.to === nodeId);
+      if (incoming.length > 0 && !incoming.some(e => this.isEdgeTaken(e, nodeStates))) {
+        await store.updateNodeState(runId, nodeId, {
+          status: NODE_STATUS.SKIPPED,
+          completedAt: new Date().toISOString(),
+        });
+        this.emit('node_skipped', { runId, nodeId });
+        await this._resolveOutgoingEdges(runId, nodeId, mission);
+        queue.push(...this.getDownstreamNodes(nodeId, edges));
+        continue;
+      }
+
+      const resolvedContext = this._runContext(runId, mission);
+      await this.scheduleNode(runId, node, mission, resolvedContext);
+    }
+  }
+
+  /**
+   * Complete a branch node inline. Its output is the combined output of its
+   * completed parents so conditions on its outgoing edges can inspect it.
+   */
+  async _completeBranchNode(runId, node, mission) {
+    const run = await store.getRun(runId);
+    const nodeStates = run?.nodeStates || {};
+    const parentStates = (mission.edges || [])
+      .filter(e => e.to === node.id)
+      .map(e => nodeStates[e.from])
+      .filter(st => st?.status === NODE_STATUS.COMPLETED);
+
+    const output = parentStates
+      .map(st => st.output)
+      .filter(o => o !== null && o !== undefined)
+      .map(String)
+      .join('\n\n');
+    const verdict = parentStates.map(st => st.verdict).find(Boolean) ?? parseVerdict(output);
+    const now = new Date().toISOString();
+
+    await store.updateNodeState(runId, node.id, {
+      status: NODE_STATUS.COMPLETED,
+      output,
+      verdict,
+      startedAt: now,
+      completedAt: now,
+      files: [],
+    });
+    this.emit('node_completed', { runId, nodeId: node.id, output, files: [] });
+
+    await this._advanceFrom(runId, node.id, mission);
+  }
+
+  // ─── Approval Gates ─────────────────────────────────────────────────────────
+
+  /**
+   * Park an approval node until a reviewer decides. The node's prompt is the
+   * reviewer's instructions; upstream outputs and files are attached to the
+   * `approval_requested` event so the UI can show what is being signed off.
+   */
+  async _requestApproval(runId, node, mission) {
+    const run = await store.getRun(runId);
+    const upstream = (mission.edges || [])
+      .filter(e => e.to === node.id)
+      .map(e => e.from)
+      .filter(id => run?.nodeStates?.[id]?.status === NODE_STATUS.COMPLETED)
+      .map(id => {
+        const def = (mission.nodes || []).find(n => n.id === id);
+        const state = run.nodeStates[id];
+        return { nodeId: id, label: def?.label || id, output: state.output ?? null, files: state.files || [] };
+      });
+    const now = new Date().toISOString();
+
+    await store.updateNodeState(runId, node.id, {
+      status: NODE_STATUS.AWAITING_APPROVAL,
+      startedAt: now,
+      completedAt: null,
+      error: null,
+      approval: { requestedAt: now, upstream: upstream.map(u => u.nodeId) },
+    });
+    this.emit('approval_requested', {
+      runId,
+      nodeId: node.id,
+      label: node.label || node.id,
+      instructions: node.prompt || '',
+      upstream,
+    });
+  }
+
+  /**
+   * Decide a pending approval. Approving completes the node with the
+   * reviewer's comment as its output and continues the run; rejecting fails
+   * it, which fails the run unless other paths remain (retryNode asks again).
+   * @param {string} runId
+   * @param {string} nodeId
+   * @param {{ approved: boolean, comment?: string, by?: string }} decision
+   * @returns {Promise<object>} updated run record
+   */
+  async decideApproval(runId, nodeId, { approved, comment = '', by = null }) {
+    const run = await store.getRun(runId);
+    if (!run) throw new Error(`Run not found: ${runId}`);
+    const mission = this._missionForRun(run);
+    if (!mission) throw new Error(`Mission definition not found: ${run.missionId}`);
+    const node = (mission.nodes || []).find(n => n.id === nodeId);
+    if (!node) throw new Error(`Node not found: ${nodeId}`);
+    const state = run.nodeStates?.[nodeId];
+    if (state?.status !== NODE_STATUS.AWAITING_APPROVAL) {
+      throw new Error(`Node ${nodeId} is not awaiting approval (status: ${state?.status || 'none'})`);
+    }
+
+    const now = new Date().toISOString();
+    const text = String(comment || '').trim();
+    const approval = { ...(state.approval || {}), decision: approved ? 'approved' : 'rejected', comment: text || null, by, decidedAt: now };
+
+    if (approved) {
+      const output = text || 'Approved';
+      await store.updateNodeState(runId, nodeId, {
+        status: NODE_STATUS.COMPLETED,
+        output,
+        verdict: 'approved',
+        completedAt: now,
+        files: [],
+        approval,
+      });
+      this.emit('approval_decided', { runId, nodeId, ...approval });
+      this.emit('node_completed', { runId, nodeId, output, files: [] });
+      await this._advanceFrom(runId, nodeId, mission);
+    } else {
+      const error = text ? `Rejected: ${text}` : 'Rejected';
+      await store.updateNodeState(runId, nodeId, {
+        status: NODE_STATUS.FAILED,
+        error,
+        verdict: 'rejected',
+        completedAt: now,
+        approval,
+      });
+      this.emit('approval_decided', { runId, nodeId, ...approval });
+      this.emit('node_failed', { runId, nodeId, error });
+      await this.checkRunCompletion(runId, mission);
+    }
+    return store.getRun(runId);
+  }
+
+  /**
+   * Reviewer comments from approved parent gates, appended to a node's
+   * prompt. Prompts that already reference the gate (`{gate.output}`) are
+   * left as written.
+   */
+  _approvalComments(node, mission, run) {
+    let text = '';
+    for (const edge of (mission.edges || []).filter(e => e.to === (node.mapParent || node.id))) {
+      const gate = (mission.nodes || []).find(n => n.id === edge.from);
+      const comment = run?.nodeStates?.[edge.from]?.approval?.comment;
+      if (gate?.kind !== 'approval' || !comment || (node.prompt || '').includes(`{${gate.id}.`)) continue;
+      text += `\n\n## Reviewer Comment (${gate.label || gate.id})\n${comment}`;
+    }
+    return text;
+  }
+
+  // ─── Sub-missions ───────────────────────────────────────────────────────────
+
+  /**
+   * Start the child run for a sub-mission node (`kind: 'mission'`).
+   * `config.missionId` names the saved mission to run; `config.context` maps
+   * child context keys to templates resolved against the parent run, e.g.
+   * `{ topic: '{context.topic}', notes: '{research.output}' }`. The child
+   * shares the parent's workdir unless the mapping sets one.
+   */
+  async _startSubMission(runId, node, mission) {
+    const run = await store.getRun(runId);
+    const parentContext = this._runContext(runId, mission);
+    const childContext = { workdir: parentContext.workdir };
+    for (const [key, value] of Object.entries(node.config?.context || {})) {
+      childContext[key] = typeof value === 'string' ? this.resolvePrompt(value, parentContext, run) : value;
+    }
+
+    // RUNNING before the child starts: a child with nothing to spawn can
+    // finish inside startMission() and settle this node straight away
+    await store.updateNodeState(runId, node.id, {
+      status: NODE_STATUS.RUNNING,
+      startedAt: new Date().toISOString(),
+      completedAt: null,
+      error: null,
+      output: null,
+      childRunId: null,
+      childMissionId: node.config?.missionId || null,
+    });
+    this.emit('node_started', { runId, nodeId: node.id });
+
+    let child;
+    try {
+      child = await this.startMission(node.config?.missionId, childContext, { parent: { runId, nodeId: node.id } });
+    } catch (err) {
+      console.error(`[mission-engine] Sub-mission node "${node.id}" in run ${runId}: ${err.message}`);
+      await this._failSubMission(runId, node, mission, RETRY_REASONS.SPAWN, `Sub-mission failed to start: ${err.message}`);
+      return;
+    }
+
+    await store.updateNodeState(runId, node.id, { childRunId: child.id });
+    this.emit('child_run_started', { runId, nodeId: node.id, childRunId: child.id, childMissionId: child.missionId });
+    await this._advanceSubMission(runId, node, mission);
+  }
+
+  /**
+   * Settle a running sub-mission node from its child run: complete it with
+   * the child's final outputs, or route the child's failure through the
+   * node's retry policy (a retry starts a fresh child run).
+   * @returns {Promise<boolean>} true when the node left RUNNING
+   */
+  async _advanceSubMission(runId, node, mission) {
+    const state = store.getRun(runId)?.nodeStates?.[node.id];
+    if (state?.status !== NODE_STATUS.RUNNING || !state.childRunId) return false;
+
+    const child = store.getRun(state.childRunId);
+    if (child?.status === RUN_STATUS.COMPLETED) {
+      const { output, outputData, files, verdict } = this._subMissionOutputs(child);
+      await store.updateNodeState(runId, node.id, {
+        status: NODE_STATUS.COMPLETED,
+        output,
+        outputData,
+        verdict,
+        files,
+        completedAt: new Date().toISOString(),
+      });
+      this.emit('node_completed', { runId, nodeId: node.id, output, files });
+      await this._advanceFrom(runId, node.id, mission);
+      return true;
+    }
+
+    if (!child || child.status === RUN_STATUS.FAILED || child.status === RUN_STATUS.ABORTED) {
+      const error = child
+        ? `Sub-mission run ${child.id} ${child.status}${child.error ? `: ${child.error}` : ''}`
+        : `Sub-mission run ${state.childRunId} not found`;
+      await this._failSubMission(runId, node, mission, RETRY_REASONS.ERROR, error);
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Route a sub-mission failure through the retry policy. Re-running a whole
+   * child mission is expensive, so these nodes only retry when the node
+   * configures `retries` or `retryPolicy` itself.
+   */
+  async _failSubMission(runId, node, mission, reason, error) {
+    const configured = node.config?.retries !== undefined || node.config?.retryPolicy;
+    const policyNode = configured ? node : { ...node, config: { ...node.config, retries: 0 } };
+    await this._handleNodeFailure(runId, policyNode, mission, { reason, error });
+  }
+
+  /**
+   * Final outputs of a completed child run — its completed sink nodes.
+   * `output` is the single sink's output, or every sink's output under a
+   * heading; `outputData` maps sink node ids to their structured (or raw)
+   * output, so prompts can use `{sub.output.review.verdict}`.
+   */
+  _subMissionOutputs(childRun) {
+    const childMission = this._missionForRun(childRun) || {};
+    const states = childRun.nodeStates || {};
+    const sources = new Set((childMission.edges || []).map(e => e.from));
+    const sinks = (childMission.nodes || [])
+      .filter(n => !sources.has(n.id) && states[n.id]?.status === NODE_STATUS.COMPLETED);
+
+    const text = value => (typeof value === 'string' ? value : JSON.stringify(value));
+    const outputData = {};
+    for (const sink of sinks) {
+      const st = states[sink.id];
+      outputData[sink.id] = st.outputData ?? extractJson(st.output) ?? st.output ?? null;
+    }
+    const output = sinks.length === 1
+      ? states[sinks[0].id].output ?? null
+      : sinks.map(n => `## ${n.label || n.id}\n${text(states[n.id].output ?? '')}`).join('\n\n');
+
+    return {
+      output,
+      outputData,
+      files: [...new Set(Object.values(states).flatMap(st => st.files || []))],
+      verdict: sinks.map(n => states[n.id].verdict).find(Boolean) ?? null,
+    };
+  }
+
+  /** Child runs of a run's sub-mission nodes that are still in progress. */
+  _activeChildRuns(run) {
+    return Object.values(run?.nodeStates || {})
+      .filter(st => st.childRunId && st.status === NODE_STATUS.RUNNING)
+      .map(st => st.childRunId);
+  }
+
+  /** A child run finished — let its sub-mission node in the parent settle now rather than on the next poll. */
+  async _notifyParentRun(run) {
+    const parentRunId = run?.parent?.runId;
+    if (!parentRunId) return;
+    const parentRun = store.getRun(parentRunId);
+    const parentMission = parentRun && this._missionForRun(parentRun);
+    if (!parentMission) return;
+    try {
+      await this.checkRunCompletion(parentRunId, parentMission);
+    } catch (err) {
+      console.error(`[mission-engine] Failed to settle parent run ${parentRunId}: ${err.message}`);
+    }
+  }
+
+  // ─── Scheduling Queue ───────────────────────────────────────────────────────
+
+  /**
+   * Update engine-wide settings and re-drain the queue so a raised limit
+   * takes effect immediately.
+   * @param {{ maxParallelAgents?: number }} patch
+   * @returns {Promise<object>} the merged settings
+   */
+  async updateSettings(patch) {
+    const settings = store.updateEngineSettings(patch);
+    await this._drainQueue();
+    return settings;
+  }
+
+  /** Definition a run executes against — the revision it was started with. */
+  _missionForRun(run) {
+    const pinned = run.missionRevision && store.getMissionRevision(run.missionId, run.missionRevision);
+    return pinned || store.getMission(run.missionId);
+  }
+
+  /**
+   * Spawn queued nodes while slots are free. Calls are serialized: a call made
+   * while a drain is in progress (e.g. a failed spawn re-queueing its node)
+   * just asks the running drain to make another pass.
+   */
+  async _drainQueue() {
+    if (this._draining) {
+      this._drainAgain = true;
+      return;
+    }
+    this._draining = true;
+    try {
+      do {
+        this._drainAgain = false;
+        await this._drainOnce();
+      } while (this._drainAgain);
+    } finally {
+      this._draining = false;
+    }
+  }
+
+  /**
+   * One pass over every polled run: count live agents, then spawn queued
+   * nodes by priority (higher first), oldest first within a priority, until
+   * the global `maxParallelAgents` or a mission's `config.maxParallel` is hit.
+   * Counts come from the run records so they survive server restarts.
+   */
+  async _drainOnce() {
+    const { maxParallelAgents } = store.getEngineSettings();
+    const globalMax = maxParallelAgents > 0 ? maxParallelAgents : Infinity;
+
+    let activeTotal = 0;
+    const slots = new Map(); // runId → { active, max }
+    const queued = [];
+
+    for (const runId of this.activePolls.keys()) {
+      const run = await store.getRun(runId);
+      if (!run) continue;
+      const mission = this._missionForRun(run);
+      if (!mission) continue;
+
+      const nodeStates = run.nodeStates || {};
+      let active = 0;
+      for (const node of this._pollableNodes(mission, nodeStates)) {
+        const state = nodeStates[node.id];
+        if (!state) continue;
+        if (ACTIVE_NODE_STATUSES.has(state.status)) {
+          active++;
+        } else if (state.status === NODE_STATUS.QUEUED && run.status === RUN_STATUS.RUNNING) {
+          queued.push({ runId, mission, node, queuedAt: state.queuedAt || '', priority: Number(node.config?.priority) || 0 });
+        }
+      }
+      const runMax = mission.config?.maxParallel > 0 ? mission.config.maxParallel : Infinity;
+      slots.set(runId, { active, max: runMax });
+      activeTotal += active;
+    }
+
+    queued.sort((a, b) => b.priority - a.priority || a.queuedAt.localeCompare(b.queuedAt));
+
+    for (const entry of queued) {
+      if (activeTotal >= globalMax) break;
+      const slot = slots.get(entry.runId);
+      if (slot.active >= slot.max) continue;
+      slot.active++;
+      activeTotal++;
+      await this._spawnNode(entry.runId, entry.node, entry.mission, this._runContext(entry.runId, entry.mission));
+    }
+  }
+
+  // ─── Retries ────────────────────────────────────────────────────────────────
+
+  /**
+   * Route a node failure through its retry policy. Either the node goes to
+   * RETRYING and is re-queued (immediately, or after a backoff timer), or it
+   * lands in its terminal status (FAILED, or TIMEOUT for timeouts).
+   * The effective policy, failure reason and next attempt time are persisted
+   * on the node state so the UI and a restarted server can see them.
+   * @param {string} runId
+   * @param {object} node
+   * @param {object} mission
+   * @param {{ reason: string, error: string, timeoutSec?: number }} failure
+   */
+  async _handleNodeFailure(runId, node, mission, { reason, error, timeoutSec }) {
+    const run = await store.getRun(runId);
+    const state = run?.nodeStates?.[node.id] || {};
+    const policy = resolveRetryPolicy(node.config);
+    const retryCount = state.retryCount || 0;
+
+    if (shouldRetry(policy, retryCount, reason)) {
+      const attempt = retryCount + 1;
+      const delayMs = computeDelay(policy, attempt);
+      const nextAttemptAt = new Date(Date.now() + delayMs).toISOString();
+      await store.updateNodeState(runId, node.id, {
+        status: NODE_STATUS.RETRYING,
+        retryCount: attempt,
+        error,
+        retryPolicy: policy,
+        lastFailureReason: reason,
+        nextAttemptAt: delayMs > 0 ? nextAttemptAt : null,
+      });
+      this.emit('node_retrying', {
+        runId,
+        nodeId: node.id,
+        retryCount: attempt,
+        maxAttempts: policy.maxAttempts,
+        reason,
+        error,
+        delayMs,
+        nextAttemptAt: delayMs > 0 ? nextAttemptAt : null,
+      });
+
+      if (delayMs > 0) {
+        console.log(`[mission-engine] Retrying node "${node.id}" in run ${runId} in ${(delayMs / 1000).toFixed(1)}s (${reason}, attempt ${attempt + 1}/${policy.maxAttempts})`);
+        this._armRetry(runId, node.id, delayMs);
+      } else {
+        await this.scheduleNode(runId, node, mission, this._runContext(runId, mission));
+      }
+      return;
+    }
+
+    const isTimeout = reason === RETRY_REASONS.TIMEOUT;
+    this._preSnapshots.delete(`${runId}/${node.id}`);
+    await store.updateNodeState(runId, node.id, {
+      status: isTimeout ? NODE_STATUS.TIMEOUT : NODE_STATUS.FAILED,
+      error,
+      retryPolicy: policy,
+      lastFailureReason: reason,
+      nextAttemptAt: null,
+      completedAt: new Date().toISOString(),
+    });
+    if (isTimeout) {
+      this.emit('node_timeout', { runId, nodeId: node.id, timeoutSec });
+    } else {
+      this.emit('node_failed', { runId, nodeId: node.id, error: reason === RETRY_REASONS.ORPHAN ? 'Orphan process' : error });
+    }
+    await this.checkRunCompletion(runId, mission);
+  }
+
+  /**
+   * Re-queue a RETRYING node once its backoff delay has elapsed.
+   */
+  _armRetry(runId, nodeId, delayMs) {
+    const key = `${runId}/${nodeId}`;
+    clearTimeout(this._retryTimers.get(key));
+    const timer = setTimeout(() => {
+      this._retryTimers.delete(key);
+      this._fireRetry(runId, nodeId).catch(err => {
+        console.error(`[mission-engine] Failed to retry node ${nodeId} in run ${runId}: ${err.message}`);
+      });
+    }, delayMs);
+    timer.unref?.();
+    this._retryTimers.set(key, timer);
+  }
+
+  async _fireRetry(runId, nodeId) {
+    const run = await store.getRun(runId);
+    if (!run || (run.status !== RUN_STATUS.RUNNING && run.status !== RUN_STATUS.PAUSED)) return;
+    const nodeStates = run.nodeStates || {};
+    if (nodeStates[nodeId]?.status !== NODE_STATUS.RETRYING) return;
+
+    const mission = this._missionForRun(run);
+    if (!mission) return;
+    const node = this._pollableNodes(mission, nodeStates).find(n => n.id === nodeId);
+    if (!node) return;
+
+    await store.updateNodeState(runId, nodeId, { nextAttemptAt: null });
+    await this.scheduleNode(runId, node, mission, this._runContext(runId, mission));
+  }
+
+  _clearRetryTimers(runId) {
+    for (const [key, timer] of this._retryTimers) {
+      if (key.startsWith(`${runId}/`)) {
+        clearTimeout(timer);
+        this._retryTimers.delete(key);
+      }
+    }
+  }
+
+  // ─── Usage & Limits ─────────────────────────────────────────────────────────
+
+  /**
+   * Store a node's latest provider-reported usage (plus earlier attempts) and
+   * recompute the run total from all node states.
+   */
+  async _recordUsage(runId, nodeId, rawUsage) {
+    const run = await store.getRun(runId);
+    const state = run?.nodeStates?.[nodeId];
+    if (!state) return;
+
+    const usage = addUsage(state._priorUsage, rawUsage);
+    if (JSON.stringify(usage) === JSON.stringify(normalizeUsage(state.usage))) return;
+
+    const updated = await store.updateNodeState(runId, nodeId, { usage });
+    const runUsage = addUsage(...Object.values(updated.nodeStates).map(s => s.usage));
+    await store.updateRun(runId, { usage: runUsage });
+    this.emit('usage_updated', { runId, nodeId, usage, runUsage });
+  }
+
+  /**
+   * Abort or pause a running run that is over its mission-level time, token
+   * or cost limit. Limits come from `mission.config.limits`, overridden by
+   * `run.limits` (set when a run is resumed with raised limits).
+   */
+  async _enforceLimits(runId, mission) {
+    const run = await store.getRun(runId);
+    if (!run || run.status !== RUN_STATUS.RUNNING) return;
+
+    const limits = resolveLimits(mission, run.limits);
+    const exceeded = checkLimits(limits, run);
+    if (!exceeded) return;
+
+    console.error(`[mission-engine] ${exceeded.message} in run ${runId} — ${limits.onExceed === 'pause' ? 'pausing' : 'aborting'}`);
+    await store.updateRun(runId, {
+      limitExceeded: { ...exceeded, action: limits.onExceed, at: new Date().toISOString() },
+    });
+    this.emit('run_limit_exceeded', { runId, ...exceeded, action: limits.onExceed });
+
+    if (limits.onExceed === 'pause') {
+      await this.pauseMission(runId, { suspend: true });
+      return;
+    }
+    await this.abortMission(runId);
+    await store.updateRun(runId, { error: exceeded.message });
+    await store.updateRunSummary(runId, this._generateRunSummary(await store.getRun(runId), mission));
+  }
+
+  // ─── Map / Fan-out ──────────────────────────────────────────────────────────
+
+  /**
+   * Resolve the item list for a map node from `config.map`:
+   *   { glob: 'tests/**\/*.test.js' }            — files in the run workdir
+   *   { from: 'planner', path: '$.files' }      — array in an upstream output
+   * Without `from`, the single upstream node is used. Output that is not JSON
+   * is split into non-empty lines.
+   * @returns {Array} items
+   * @throws {Error} when the source cannot be resolved to an array
+   */
+  _resolveMapItems(node, mission, run) {
+    const mapConfig = node.config?.map || {};
+
+    if (mapConfig.glob) {
+      const files = run?.workdir ? this._snapshotDir(run.workdir) : new Map();
+      if (files === null) throw new Error('Workdir too large to glob');
+      const matcher = globToRegExp(mapConfig.glob);
+      return Array.from(files.keys()).map(f => f.split('\\').join('/')).filter(f => matcher.test(f)).sort();
+    }
+
+    const parentIds = (mission.edges || []).filter(e => e.to === node.id).map(e => e.from);
+    const sourceId = mapConfig.from || (parentIds.length === 1 ? parentIds[0] : null);
+    if (!sourceId) {
+      throw new Error('Map node needs config.map.from when it has more than one upstream node');
+    }
+    const sourceState = run?.nodeStates?.[sourceId];
+    if (sourceState?.status !== NODE_STATUS.COMPLETED) {
+      throw new Error(`Map source "${sourceId}" has not completed`);
+    }
+
+    const output = sourceState.output;
+    let value = sourceState.outputData ?? extractJson(output);
+    if (mapConfig.path) value = value === undefined ? undefined : getPath(value, mapConfig.path);
+    if (value === undefined && typeof output === 'string' && !mapConfig.path) {
+      value = output.split('\n').map(l => l.trim()).filter(Boolean);
+    }
+    if (!Array.isArray(value)) {
+      throw new Error(`Map source "${sourceId}"${mapConfig.path ? ` at ${mapConfig.path}` : ''} is not an array`);
+    }
+    return value;
+  }
+
+  /**
+   * Build the synthetic node definition for one map item. Children inherit
+   * the map node's provider/model/config; `{item}`, `{item.field}` and
+   * `{index}` in the prompt are substituted before normal template resolution.
+   */
+  _mapChildNode(mapNode, index, item) {
+    const itemText = value => (typeof value === 'string' ? value : JSON.stringify(value));
+    const prompt = (mapNode.prompt || '').replace(/\{(item(?:\.[^}]+)?|index)\}/g, (match, key) => {
+      if (key === 'index') return String(index);
+      if (key === 'item') return itemText(item);
+      const value = getPath(item, key.slice(5));
+      return value === undefined ? match : itemText(value);
+    });
+
+    return {
+      ...mapNode,
+      id: `${mapNode.id}--${index}`,
+      kind: 'agent',
+      label: `${mapNode.label || mapNode.id} [${index + 1}]`,
+      prompt,
+      mapParent: mapNode.id,
+      mapIndex: index,
+    };
+  }
+
+  /**
+   * Mission nodes that have a task file to poll: regular agent nodes plus the
+   * expanded children of map nodes. Branch, map, approval and sub-mission
+   * nodes are engine-managed.
+   */
+  _pollableNodes(mission, nodeStates) {
+    const result = [];
+    for (const node of mission.nodes || []) {
+      if (node.kind === 'branch' || node.kind === 'approval' || node.kind === 'mission') continue;
+      if (node.kind === 'map') {
+        const items = nodeStates[node.id]?.items || [];
+        items.forEach((item, i) => result.push(this._mapChildNode(node, i, item)));
+        continue;
+      }
+      result.push(node);
+    }
+    return result;
+  }
+
+  /**
+   * Expand a map node into one child execution per item and start the first
+   * batch. Children that already completed for the same item list (e.g. when
+   * the map node is retried) keep their results.
+   */
+  async _startMapNode(runId, node, mission) {
+    const run = await store.getRun(runId);
+    const prevState = run?.nodeStates?.[node.id] || {};
+
+    let items;
+    try {
+      items = this._resolveMapItems(node, mission, run);
+    } catch (err) {
+      console.error(`[mission-engine] Map node "${node.id}" in run ${runId}: ${err.message}`);
+      await store.updateNodeState(runId, node.id, {
+        status: NODE_STATUS.FAILED,
+        error: err.message,
+        completedAt: new Date().toISOString(),
+      });
+      this.emit('node_failed', { runId, nodeId: node.id, error: err.message });
+      await this.checkRunCompletion(runId, mission);
+      return;
+    }
+
+    const sameItems = JSON.stringify(prevState.items || null) === JSON.stringify(items);
+    const children = items.map((item, i) => this._mapChildNode(node, i, item));
+    for (const child of children) {
+      const prevChild = run?.nodeStates?.[child.id];
+      if (sameItems && prevChild?.status === NODE_STATUS.COMPLETED) continue;
+      await store.updateNodeState(runId, child.id, {
+        status: NODE_STATUS.PENDING,
+        mapParent: node.id,
+        mapIndex: child.mapIndex,
+        retryCount: 0,
+        error: null,
+        output: null,
+        startedAt: null,
+        completedAt: null,
+      });
+    }
+
+    await store.updateNodeState(runId, node.id, {
+      status: NODE_STATUS.RUNNING,
+      startedAt: new Date().toISOString(),
+      items,
+      children: children.map(c => c.id),
+    });
+    this.emit('node_started', { runId, nodeId: node.id });
+    this.emit('map_expanded', {
+      runId,
+      nodeId: node.id,
+      children: children.map(c => ({ id: c.id, label: c.label, index: c.mapIndex })),
+    });
+
+    await this._advanceMap(runId, node, mission);
+  }
+
+  /**
+   * Drive a running map node forward: fail it if any child failed, complete
+   * it once every child completed, otherwise fill free concurrency slots.
+   * @returns {Promise<boolean>} true when the map node reached a terminal status
+   */
+  async _advanceMap(runId, node, mission) {
+    const concurrency = Math.max(1, node.config?.map?.concurrency || DEFAULT_MAP_CONCURRENCY);
+
+    let run = await store.getRun(runId);
+    const mapState = run?.nodeStates?.[node.id];
+    if (mapState?.status !== NODE_STATUS.RUNNING) return false;
+    const childIds = mapState.children || [];
+    const childStates = childIds.map(id => run.nodeStates[id] || {});
+
+    const failedIdx = childStates.findIndex(st => st.status === NODE_STATUS.FAILED || st.status === NODE_STATUS.TIMEOUT);
+    if (failedIdx !== -1) {
+      // Fail fast: stop in-flight siblings and drop the ones not yet started
+      for (const [i, childId] of childIds.entries()) {
+        const st = childStates[i].status;
+        if (ACTIVE_NODE_STATUSES.has(st) || st === NODE_STATUS.RETRYING || st === NODE_STATUS.QUEUED) {
+          try {
+            const provider = getProvider(node.provider || 'claude-code');
+            if (typeof provider.abortNode === 'function') await provider.abortNode(childId, runId);
+          } catch { /* best effort */ }
+          await store.updateNodeState(runId, childId, {
+            status: NODE_STATUS.FAILED,
+            error: 'Cancelled — another map item failed',
+            completedAt: new Date().toISOString(),
+          });
+        } else if (st === NODE_STATUS.PENDING) {
+          await store.updateNodeState(runId, childId, { status: NODE_STATUS.SKIPPED });
+        }
+      }
+      const errMsg = `Item ${failedIdx + 1} of ${childIds.length} failed: ${childStates[failedIdx].error || 'unknown error'}`;
+      await store.updateNodeState(runId, node.id, {
+        status: NODE_STATUS.FAILED,
+        error: errMsg,
+        completedAt: new Date().toISOString(),
+      });
+      this.emit('node_failed', { runId, nodeId: node.id, error: errMsg });
+      return true;
+    }
+
+    if (childStates.every(st => st.status === NODE_STATUS.COMPLETED)) {
+      const output = childStates.map(st => st.output ?? null);
+      const files = [...new Set(childStates.flatMap(st => st.files || []))];
+      await store.updateNodeState(runId, node.id, {
+        status: NODE_STATUS.COMPLETED,
+        output,
+        completedAt: new Date().toISOString(),
+        files,
+      });
+      this.emit('node_completed', { runId, nodeId: node.id, output, files });
+      await this._advanceFrom(runId, node.id, mission);
+      return true;
+    }
+
+    // Fill free slots. Re-read between spawns: a failed spawn re-enters
+    // checkRunCompletion and may settle this map underneath us.
+    for (let i = 0; i < childIds.length; i++) {
+      run = await store.getRun(runId);
+      const states = run?.nodeStates || {};
+      if (states[node.id]?.status !== NODE_STATUS.RUNNING) break;
+      const inFlight = [NODE_STATUS.QUEUED, NODE_STATUS.RETRYING];
+      const active = childIds.filter(id => ACTIVE_NODE_STATUSES.has(states[id]?.status) || inFlight.includes(states[id]?.status)).length;
+      if (active >= concurrency) break;
+      if (states[childIds[i]]?.status !== NODE_STATUS.PENDING) continue;
+
+      const child = this._mapChildNode(node, i, mapState.items[i]);
+      await this.scheduleNode(runId, child, mission, this._runContext(runId, mission));
+    }
+    return false;
+  }
+
+  // ─── Template Resolution ────────────────────────────────────────────────────
+
+  resolvePrompt(template, context, runRecord) {
+    return template.replace(/\{([^}]+)\}/g, (match, key) => {
+      if (key.startsWith('context.')) {
+        const contextKey = key.slice(8);
+        return context[contextKey] !== undefined ? String(context[contextKey]) : match;
+      }
+
+      const dotIdx = key.indexOf('.');
+      if (dotIdx !== -1) {
+        const nodeId = key.slice(0, dotIdx);
+        const field = key.slice(dotIdx + 1);
+        const state = runRecord?.nodeStates?.[nodeId];
+        if (field === 'output' && state) {
+          const output = state.output;
+          if (output === undefined || output === null) return match;
+          // Map nodes gather child outputs into an array — render it as JSON
+          return typeof output === 'string' ? output : JSON.stringify(output);
+        }
+        // {node.output.issues[0].file} — a field of the node's structured output
+        if (/^output[.[]/.test(field) && state) {
+          const data = state.outputData ?? extractJson(state.output);
+          const value = data === undefined ? undefined : getPath(data, field.slice(6));
+          if (value === undefined || value === null) return match;
+          return typeof value === 'string' ? value : JSON.stringify(value);
+        }
+      }
+
+      return match;
+    });
+  }
+
+  // ─── Graph Utilities ────────────────────────────────────────────────────────
+
+  getDownstreamNodes(nodeId, edges) {
+    return edges.filter(e => e.from === nodeId).map(e => e.to);
+  }
+
+  /**
+   * BFS from a node to find all downstream nodes that are in a terminal non-completed status.
+   */
+  _getReachableFailed(nodeId, edges, nodeStates) {
+    const result = [];
     const visited = new Set();
     const queue = [nodeId];
     visited.add(nodeId);
@@ -876,7 +2206,7 @@ class MissionEngine extends EventEmitter {
         if (edge.from === current && !visited.has(edge.to)) {
           visited.add(edge.to);
           const status = nodeStates[edge.to]?.status;
-          if (status === NODE_STATUS.FAILED || status === NODE_STATUS.TIMEOUT) {
+          if (status === NODE_STATUS.FAILED || status === NODE_STATUS.TIMEOUT || status === NODE_STATUS.SKIPPED) {
             result.push(edge.to);
           }
           queue.push(edge.to);
@@ -887,9 +2217,26 @@ class MissionEngine extends EventEmitter {
     return result;
   }
 
-  areAllInputsCompleted(nodeId, edges, nodeStates) {
+  /**
+   * True when every upstream node has finished one way or another —
+   * completed (edge condition can be evaluated) or skipped (edge not taken).
+   */
+  areAllInputsResolved(nodeId, edges, nodeStates) {
     const incomingEdges = edges.filter(e => e.to === nodeId);
-    return incomingEdges.every(e => nodeStates[e.from]?.status === NODE_STATUS.COMPLETED);
+    return incomingEdges.every(e => {
+      const st = nodeStates[e.from]?.status;
+      return st === NODE_STATUS.COMPLETED || st === NODE_STATUS.SKIPPED;
+    });
+  }
+
+  /**
+   * An edge is taken when its source completed and its condition (if any)
+   * matches the source's output.
+   */
+  isEdgeTaken(edge, nodeStates) {
+    const source = nodeStates[edge.from];
+    if (source?.status !== NODE_STATUS.COMPLETED) return false;
+    return evaluateCondition(edge.condition, source);
   }
 
   /**
@@ -898,18 +2245,60 @@ class MissionEngine extends EventEmitter {
   _generateRunSummary(run, mission) {
     const nodeStates = run.nodeStates || {};
     const nodes = mission.nodes || [];
-    const allFiles = [];
+    const allFiles = []; // each path once, however many nodes changed it
     const nodeFileMap = {};
+    const nodeUsage = {};
 
     for (const node of nodes) {
       const state = nodeStates[node.id];
       const files = state?.files || [];
       if (files.length) {
         nodeFileMap[node.label || node.id] = files;
-        allFiles.push(...files);
+        for (const f of files) if (!allFiles.includes(f)) allFiles.push(f);
       }
     }
 
+    // Per-node usage — a map node reports the sum of its per-item agents
+    for (const node of nodes) {
+      const childUsage = Object.values(nodeStates).filter(s => s.mapParent === node.id).map(s => s.usage);
+      const usage = addUsage(nodeStates[node.id]?.usage, ...childUsage);
+      if (usage.inputTokens || usage.outputTokens || usage.costUsd) nodeUsage[node.label || node.id] = usage;
+    }
+
+    // Per-node change sets — a map node reports its per-item agents' changes,
+    // once per path: in a shared workdir their change sets can overlap
+    const nodeChanges = {};
+    for (const node of nodes) {
+      const parts = [nodeStates[node.id], ...Object.values(nodeStates).filter(s => s.mapParent === node.id)].filter(s => s?.changes);
+      const byPath = new Map();
+      for (const part of parts) {
+        for (const change of part.changes) byPath.set(change.path, change);
+      }
+      const entries = [...byPath.values()].sort((a, b) => a.path.localeCompare(b.path));
+      if (entries.length === 0) continue;
+      const count = status => entries.filter(c => c.status === status).length;
+      nodeChanges[node.label || node.id] = {
+        nodeId: node.id,
+        added: count('added'),
+        modified: count('modified'),
+        deleted: count('deleted'),
+        insertions: entries.reduce((n, c) => n + (c.insertions || 0), 0),
+        deletions: entries.reduce((n, c) => n + (c.deletions || 0), 0),
+        files: entries,
+        unattributed: parts.some(p => p.changesUnattributed),
+      };
+    }
+
+    // Overlapping writes by concurrently running nodes, named by label
+    const labelOf = id => {
+      const node = nodes.find(n => n.id === id);
+      if (node) return node.label || id;
+      const state = nodeStates[id];
+      const parent = state?.mapParent && nodes.find(n => n.id === state.mapParent);
+      return parent ? `${parent.label || parent.id} [${state.mapIndex + 1}]` : id;
+    };
+    const fileConflicts = (run.fileConflicts || []).map(c => ({ ...c, nodes: c.nodeIds.map(labelOf) }));
+
     // Detect setup hints
     const setupHints = [];
     if (allFiles.includes('package.json')) setupHints.push('npm install');
@@ -932,14 +2321,75 @@ class MissionEngine extends EventEmitter {
       workdir: run.workdir || null,
       files: allFiles.slice(0, 100), // cap at 100
       nodeFileMap,
+      nodeChanges,
       setupHints,
       dirs: Array.from(dirs).sort(),
       completedAt: new Date().toISOString(),
       nodesCompleted: nodes.filter(n => nodeStates[n.id]?.status === 'completed').length,
+      nodesSkipped: nodes.filter(n => nodeStates[n.id]?.status === 'skipped').length,
       nodesTotal: nodes.length,
+      usage: normalizeUsage(run.usage),
+      nodeUsage,
+      limitExceeded: run.limitExceeded || null,
+      fileConflicts,
     };
   }
 
+  /**
+   * Unified diff of the files a node changed, from the run's shadow
+   * repository (or the workdir's repository for worktree-isolated nodes).
+   * @param {string} runId
+   * @param {string} nodeId - map nodes return their per-item agents' diffs combined
+   * @param {{ path?: string }} [options] - limit the diff to one file
+   * @returns {Promise<{ nodeId: string, changes: object[], unattributed: boolean, diff: string, truncated: boolean }>}
+   *   `unattributed` when the changes may include other nodes' (see _workdirChanges)
+   * @throws {Error} "Run not found: …", "Node not found: …" or "No diff recorded for node …"
+   */
+  async getNodeDiff(runId, nodeId, { path } = {}) {
+    const run = store.getRun(runId);
+    if (!run) throw new Error(`Run not found: ${runId}`);
+    const state = run.nodeStates?.[nodeId];
+    if (!state) throw new Error(`Node not found: ${nodeId}`);
+
+    const parts = [state, ...Object.values(run.nodeStates).filter(s => s.mapParent === nodeId)].filter(s => s._diff);
+    if (parts.length === 0) throw new Error(`No diff recorded for node ${nodeId}`);
+
+    // Each path once: a map node's per-item change sets can overlap
+    let diff = '';
+    let truncated = false;
+    const changes = [];
+    const seen = new Set();
+    for (const part of parts) {
+      const own = (part.changes || []).filter(c => !seen.has(c.path));
+      own.forEach(c => seen.add(c.path));
+      changes.push(...own);
+      if (parts.length > 1 && own.length === 0) continue;
+      const ref = parts.length > 1 ? { ...part._diff, paths: own.map(c => c.path) } : part._diff;
+      const result = await unifiedDiff(ref, { path });
+      diff += result.diff;
+      truncated = truncated || result.truncated;
+    }
+    return { nodeId, changes, unattributed: parts.some(p => p.changesUnattributed), diff, truncated };
+  }
+
+  /**
+   * Compare two runs of the same mission node by node. Runs that have no
+   * summary yet (still active, failed or aborted) are summarized as they stand.
+   * @param {string} baseRunId - the baseline run
+   * @param {string} runId - the run compared against it
+   * @returns {object} see buildRunComparison() in run-compare.js
+   * @throws {Error} "Run not found: …" or "Runs belong to different missions: …"
+   */
+  compareRuns(baseRunId, runId) {
+    const [a, b] = [baseRunId, runId].map(id => {
+      const run = store.getRun(id);
+      if (!run) throw new Error(`Run not found: ${id}`);
+      const mission = this._missionForRun(run) || { nodes: [] };
+      return { run, mission, summary: run.summary || this._generateRunSummary(run, mission) };
+    });
+    return buildRunComparison(a, b);
+  }
+
   /**
    * Determine if a failed node blocks any remaining (non-completed) nodes
    * by checking reachability through the DAG.
@@ -960,7 +2410,7 @@ class MissionEngine extends EventEmitter {
 
     for (const nodeId of reachable) {
       const st = nodeStates[nodeId]?.status;
-      if (!st || !['completed', 'retrying', 'spawning', 'running'].includes(st)) {
+      if (!st || !['completed', 'skipped', 'queued', 'retrying', 'spawning', 'running'].includes(st)) {
         return true;
       }
     }
@@ -983,6 +2433,32 @@ class MissionEngine extends EventEmitter {
     } catch {
       // Non-fatal — cleanup is best-effort
     }
+
+    // Worktrees of failed or aborted nodes; unmerged branches are kept
+    const run = store.getRun(runId);
+    if (run?.isolation === 'worktree' && run.workdir) {
+      cleanupRunWorktrees(run.workdir, runId).catch(err => {
+        console.error(`[mission-engine] Worktree cleanup failed for run ${runId}: ${err.message}`);
+      });
+    }
+  }
+
+  /**
+   * Commit an isolated node's worktree, merge its branch into the run
+   * workdir and remove the worktree. The branch survives a conflict.
+   * @returns {Promise<{ merged: boolean, head: string, conflicts: string[] }>}
+   * @throws {Error} when git fails for a reason other than a conflict
+   */
+  async _mergeNodeWorktree(runId, node, worktree) {
+    const run = store.getRun(runId);
+    const message = `Mission run ${runId}: ${node.label || node.id}`;
+    const result = await mergeWorktree(run.workdir, worktree, message);
+    await removeWorktree(run.workdir, worktree);
+    await store.updateNodeState(runId, node.id, { worktree: null });
+    if (result.merged) {
+      this.emit('message_logged', { runId, nodeId: node.id, level: 'INFO', message: `Merged ${worktree.branch}` });
+    }
+    return result;
   }
 
   // ─── Polling Lifecycle ──────────────────────────────────────────────────────
@@ -990,58 +2466,121 @@ class MissionEngine extends EventEmitter {
   _startPolling(runId, mission) {
     if (this.activePolls.has(runId)) return;
 
-    const intervalId = setInterval(async () => {
+    // Watch from the start so the first task file write is not missed
+    const taskDir = join(TASKS_DIR, runId);
+    try {
+      mkdirSync(taskDir, { recursive: true });
+    } catch {
+      // The fallback poll still covers the run
+    }
+
+    const watcher = watchDirectory(taskDir, async () => {
       try {
         await this.pollRun(runId, mission);
       } catch (err) {
         this.emit('error', { runId, error: err });
       }
-    }, POLL_INTERVAL);
+    }, {
+      debounceMs: POLL_DEBOUNCE_MS,
+      fallbackMs: FALLBACK_POLL_INTERVAL,
+      filter: filename => !filename || filename.endsWith('.json'),
+    });
 
-    this.activePolls.set(runId, intervalId);
+    this.activePolls.set(runId, watcher);
   }
 
   _stopPolling(runId) {
-    const intervalId = this.activePolls.get(runId);
-    if (intervalId !== undefined) {
-      clearInterval(intervalId);
+    const watcher = this.activePolls.get(runId);
+    if (watcher) {
+      watcher.close();
       this.activePolls.delete(runId);
     }
     // Also clear any in-flight guard so a stopped run doesn't block future
     // polling if the same runId is ever restarted.
     this._polling.delete(runId);
+    this._clearRetryTimers(runId);
+  }
+
+  /**
+   * Ask each node's provider to follow its agent again after a restart. A
+   * node whose agent cannot be followed (never spawned, or a provider whose
+   * work ends with the server) is lost and re-queued per its retry policy.
+   * Nodes whose task file already holds a result are left to the next poll.
+   */
+  async _reattachNodes(run, mission) {
+    const nodeStates = run.nodeStates || {};
+    for (const node of this._pollableNodes(mission, nodeStates)) {
+      if (!ACTIVE_NODE_STATUSES.has(nodeStates[node.id]?.status)) continue;
+      const taskData = safeReadJson(join(TASKS_DIR, run.id, `${node.id}.json`));
+      if (['completed', 'failed', 'error'].includes(taskData?.status)) continue;
+
+      let reattached = false;
+      try {
+        const provider = getProvider(node.provider || 'claude-code');
+        reattached = typeof provider.reattachNode === 'function' && await provider.reattachNode(node.id, run.id);
+      } catch (err) {
+        console.error(`[mission-engine] Failed to reattach node ${node.id} in run ${run.id}: ${err.message}`);
+      }
+      if (reattached) continue;
+
+      console.error(`[mission-engine] Node ${node.id} in run ${run.id} was lost in the restart`);
+      await this._handleNodeFailure(run.id, node, mission, {
+        reason: RETRY_REASONS.LOST,
+        error: 'Agent was lost when the server restarted',
+      });
+    }
   }
 
   /**
-   * Resume polling for any runs that are still marked as 'running' in the store.
-   * Called on server startup to recover from restarts — orphan detection will
-   * catch any nodes whose processes died while the server was down.
+   * Re-schedule nodes that were waiting to retry when the server stopped,
+   * honouring whatever is left of their backoff delay. `run` is the record as
+   * loaded at startup, so nodes re-queued by _reattachNodes (which arms their
+   * retry itself) are not scheduled twice.
+   */
+  _resumeRetries(run, mission) {
+    const nodeStates = run.nodeStates || {};
+    for (const node of this._pollableNodes(mission, nodeStates)) {
+      const state = nodeStates[node.id];
+      if (state?.status !== NODE_STATUS.RETRYING) continue;
+      const remaining = state.nextAttemptAt ? new Date(state.nextAttemptAt).getTime() - Date.now() : 0;
+      if (remaining > 0) {
+        console.log(`[mission-engine] Retrying node ${node.id} in run ${run.id} in ${(remaining / 1000).toFixed(1)}s`);
+        this._armRetry(run.id, node.id, remaining);
+        continue;
+      }
+      console.log(`[mission-engine] Re-scheduling retrying node ${node.id} in run ${run.id}`);
+      this._fireRetry(run.id, node.id).catch(err => {
+        console.error(`[mission-engine] Failed to re-schedule retrying node ${node.id}: ${err.message}`);
+      });
+    }
+  }
+
+  /**
+   * Resume polling for any runs that are still marked as 'running' or 'paused'
+   * in the store (paused runs still need completions of in-flight nodes).
+   * Called on server startup to recover from restarts. Running nodes are
+   * handed back to their provider first (see _reattachNodes), so agents that
+   * kept working while the server was down are not mistaken for orphans.
    */
   resumeActiveRuns() {
     const runs = store.listRuns();
     let resumed = 0;
     for (const run of runs) {
-      if (run.status !== 'running') continue;
-      const mission = store.getMission(run.missionId);
+      if (run.status !== RUN_STATUS.RUNNING && run.status !== RUN_STATUS.PAUSED) continue;
+      const mission = this._missionForRun(run);
       if (!mission) {
         console.error(`[mission-engine] Cannot resume run ${run.id}: mission ${run.missionId} not found`);
         continue;
       }
       if (!this.activePolls.has(run.id)) {
         console.log(`[mission-engine] Resuming polling for run ${run.id}`);
-        this._startPolling(run.id, mission);
+        this._reattachNodes(run, mission)
+          .catch(err => console.error(`[mission-engine] Failed to reattach nodes in run ${run.id}: ${err.message}`))
+          .then(() => {
+            this._startPolling(run.id, mission);
+            this._resumeRetries(run, mission);
+          });
         resumed++;
-        // Re-schedule any nodes stuck in RETRYING state after a server restart
-        const nodeStates = run.nodeStates || {};
-        for (const node of mission.nodes || []) {
-          if (nodeStates[node.id]?.status === NODE_STATUS.RETRYING) {
-            console.log(`[mission-engine] Re-scheduling retrying node ${node.id} in run ${run.id}`);
-            const resolvedContext = { ...mission.context };
-            this.scheduleNode(run.id, node, mission, resolvedContext).catch(err => {
-              console.error(`[mission-engine] Failed to re-schedule retrying node ${node.id}: ${err.message}`);
-            });
-          }
-        }
       }
     }
     if (resumed > 0) {
@@ -0,0 +1,179 @@
+/**
+ * Typed mission input parameters.
+ *
+ * Missions declare `inputs` alongside their context:
+ *   [{
+ *     name: 'repo',          // context key — prompts reference it as {context.repo}
+ *     type: 'path',          // string | number | enum | path | multiline
+ *     label: 'Repository',   // optional, shown on the launch form
+ *     description: '…',      // optional help text
+ *     required: true,
+ *     default: '~/src/app',
+ *     options: ['a', 'b'],   // enum only
+ *   }]
+ *
+ * Launch values are coerced to their declared type and merged over the
+ * mission context. A launch is refused while any `{context.x}` placeholder
+ * in a prompt has no value, or a prompt references a node that does not exist.
+ */
+
+export const INPUT_TYPES = ['string', 'number', 'enum', 'path', 'multiline'];
+
+const NAME_PATTERN = /^[A-Za-z_][\w-]*$/;
+
+// Context keys the engine fills in itself when they are not supplied
+const ENGINE_CONTEXT_KEYS = ['workdir'];
+
+function isBlank(value) {
+  return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+/**
+ * Coerce one value to an input's type.
+ * @param {object} input - input definition
+ * @param {unknown} value - non-blank value
+ * @returns {{ value?: unknown, error?: string }}
+ */
+function coerceValue(input, value) {
+  const name = input.label || input.name;
+  switch (input.type) {
+    case 'number': {
+      const n = typeof value === 'number' ? value : Number(String(value).trim());
+      if (!Number.isFinite(n)) return { error: `"${name}" must be a number` };
+      return { value: n };
+    }
+    case 'enum': {
+      const text = String(value);
+      if (!(input.options || []).map(String).includes(text)) {
+        return { error: `"${name}" must be one of ${(input.options || []).join(', ')}` };
+      }
+      return { value: text };
+    }
+    case 'path':
+      if (typeof value === 'object') return { error: `"${name}" must be a path` };
+      return { value: String(value).trim() };
+    default:
+      if (typeof value === 'object') return { error: `"${name}" must be text` };
+      return { value: String(value) };
+  }
+}
+
+/**
+ * Check a mission's input definitions. Used by the API when missions are saved.
+ * @param {unknown} inputs
+ * @returns {string|null} error message, or null when the definitions are usable
+ */
+export function checkInputDefinitions(inputs) {
+  if (inputs === undefined || inputs === null) return null;
+  if (!Array.isArray(inputs)) return 'inputs must be an array';
+
+  const seen = new Set();
+  for (const input of inputs) {
+    if (!input || typeof input !== 'object') return 'each input must be an object';
+    if (!NAME_PATTERN.test(input.name || '')) return `Invalid input name "${input.name ?? ''}": use letters, digits, _ or -`;
+    if (seen.has(input.name)) return `Duplicate input name "${input.name}"`;
+    seen.add(input.name);
+    if (!INPUT_TYPES.includes(input.type)) return `Input "${input.name}" has unknown type "${input.type}"`;
+    if (input.type === 'enum' && (!Array.isArray(input.options) || input.options.length === 0)) {
+      return `Input "${input.name}" is an enum but declares no options`;
+    }
+    if (!isBlank(input.default)) {
+      const { error } = coerceValue(input, input.default);
+      if (error) return `Invalid default for input "${input.name}": ${error}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Placeholders in node prompts (and sub-mission context mappings) that
+ * cannot be resolved for a launch.
+ * `{context.x}` needs a value in the context; `{node.output…}` needs a node
+ * with that id. Other brace text (JSON examples, map `{item}`) is ignored.
+ * @param {object} mission
+ * @param {object} context - the context the run would start with
+ * @returns {Array<{ placeholder: string, nodeId: string, label: string }>}
+ */
+export function findUnresolvedPlaceholders(mission, context = {}) {
+  const nodeIds = new Set((mission?.nodes || []).map(n => n.id));
+  const unresolved = [];
+  for (const node of mission?.nodes || []) {
+    const seen = new Set();
+    // Sub-mission nodes template their child's context instead of a prompt
+    const templates = [node.prompt, ...Object.values(node.kind === 'mission' ? node.config?.context || {} : {})];
+    const text = templates.filter(t => typeof t === 'string').join('\n');
+    for (const [placeholder, key] of text.matchAll(/\{([^}]+)\}/g)) {
+      if (seen.has(placeholder)) continue;
+      let missing = false;
+      if (key.startsWith('context.')) {
+        const contextKey = key.slice(8);
+        missing = (context[contextKey] === undefined || context[contextKey] === null) && !ENGINE_CONTEXT_KEYS.includes(contextKey);
+      } else {
+        const ref = key.match(/^([\w-]+)\.output(?:$|[.[])/);
+        missing = Boolean(ref) && !nodeIds.has(ref[1]);
+      }
+      if (missing) {
+        seen.add(placeholder);
+        unresolved.push({ placeholder, nodeId: node.id, label: node.label || node.id });
+      }
+    }
+  }
+  return unresolved;
+}
+
+/**
+ * Build the context a run starts with and check it against the mission.
+ * Values come from the launch overrides, then the input's default, then the
+ * mission context. Optional inputs left blank resolve to ''. Overrides for
+ * keys that are not declared inputs pass through.
+ * @param {object} mission
+ * @param {object} [overrides] - launch values
+ * @returns {{ context: object, errors: string[], unresolved: ReturnType<typeof findUnresolvedPlaceholders> }}
+ */
+export function resolveLaunchContext(mission, overrides = {}) {
+  const context = { ...(mission?.context || {}), ...(overrides || {}) };
+  const errors = [];
+  const invalid = new Set();
+
+  for (const input of mission?.inputs || []) {
+    const supplied = overrides?.[input.name];
+    const value = !isBlank(supplied) ? supplied
+      : !isBlank(input.default) ? input.default
+        : mission?.context?.[input.name];
+
+    if (isBlank(value)) {
+      if (input.required) {
+        errors.push(`"${input.label || input.name}" is required`);
+        invalid.add(input.name);
+      }
+      context[input.name] = '';
+      continue;
+    }
+    const result = coerceValue(input, value);
+    if (result.error) {
+      errors.push(result.error);
+      invalid.add(input.name);
+    } else {
+      context[input.name] = result.value;
+    }
+  }
+
+  // Inputs already reported above are not listed again as placeholders
+  const unresolved = findUnresolvedPlaceholders(mission, context)
+    .filter(u => !invalid.has(u.placeholder.match(/^\{context\.(.+)\}$/)?.[1]));
+  return { context, errors, unresolved };
+}
+
+/**
+ * One-line summary of launch problems, for thrown errors and logs.
+ * @param {ReturnType<typeof resolveLaunchContext>} launch
+ * @returns {string|null} null when the launch is valid
+ */
+export function describeLaunchErrors({ errors, unresolved }) {
+  const parts = [];
+  if (errors.length) parts.push(`Invalid mission inputs: ${errors.join('; ')}`);
+  if (unresolved.length) {
+    parts.push(`Unresolved placeholders: ${unresolved.map(u => `${u.placeholder} in "${u.label}"`).join(', ')}`);
+  }
+  return parts.length ? parts.join('. ') : null;
+}
@@ -0,0 +1,323 @@
+/**
+ * Scheduled and recurring mission runs.
+ *
+ * Schedules live in ~/.claude/missions/schedules/<id>.json:
+ *   {
+ *     missionId: 'mission-…',
+ *     cron: '0 3 * * *',     // minute hour day-of-month month day-of-week, server local time
+ *     context: { … },        // context overrides passed to startMission()
+ *     enabled: true,
+ *     overlap: 'skip',       // 'skip' a tick while the previous run is active, or 'allow'
+ *     nextRunAt, lastRunAt, lastRunId,
+ *     history: [{ at, outcome: 'started'|'skipped'|'missed'|'failed', runId?, reason? }]
+ *   }
+ *
+ * The scheduler checks due schedules every TICK_MS. Ticks that fell while
+ * the server was down are recorded as missed, not replayed.
+ */
+
+import { EventEmitter } from 'events';
+import * as store from './mission-store.js';
+import { missionEngine } from './mission-engine.js';
+import { RUN_STATUS } from './mission-state.js';
+import { resolveLaunchContext, describeLaunchErrors } from './mission-inputs.js';
+
+const TICK_MS = 15000;
+const MAX_HISTORY = 50;
+const OVERLAP_POLICIES = ['skip', 'allow'];
+
+// ─── Cron Expressions ─────────────────────────────────────────────────────────
+
+const MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *',
+};
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] },
+];
+
+function parseValue(text, field) {
+  const lower = text.toLowerCase();
+  const named = field.names ? field.names.indexOf(lower) : -1;
+  if (named !== -1) return named + field.min;
+  if (!/^\d+$/.test(text)) throw new Error(`Invalid cron ${field.name}: "${text}"`);
+  const n = parseInt(text, 10);
+  if (n < field.min || n > field.max) throw new Error(`Cron ${field.name} out of range: ${n}`);
+  return n;
+}
+
+function parseField(text, field) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const segments = part.split('/');
+    if (segments.length > 2) throw new Error(`Invalid cron step in ${field.name}: "${part}"`);
+    const [range, stepText] = segments;
+    if (stepText !== undefined && !/^\d+$/.test(stepText)) throw new Error(`Invalid cron step in ${field.name}: "${part}"`);
+    const step = stepText === undefined ? 1 : parseInt(stepText, 10);
+    if (!(step > 0)) throw new Error(`Invalid cron step in ${field.name}: "${part}"`);
+
+    let lo, hi;
+    if (range === '*') {
+      lo = field.min;
+      hi = field.max;
+    } else if (range.includes('-')) {
+      const bounds = range.split('-');
+      if (bounds.length !== 2) throw new Error(`Invalid cron range in ${field.name}: "${range}"`);
+      const [a, b] = bounds;
+      lo = parseValue(a, field);
+      hi = parseValue(b, field);
+      if (lo > hi) throw new Error(`Invalid cron range in ${field.name}: "${range}"`);
+    } else {
+      lo = parseValue(range, field);
+      hi = stepText === undefined ? lo : field.max;
+    }
+    for (let v = lo; v <= hi; v += step) values.add(v);
+  }
+  return values;
+}
+
+/**
+ * Parse a five-field cron expression (or an @macro).
+ * @param {string} expr
+ * @returns {{ minute: Set<number>, hour: Set<number>, dom: Set<number>, month: Set<number>, dow: Set<number>, domAny: boolean, dowAny: boolean }}
+ * @throws {Error} "Invalid cron …" when the expression cannot be parsed
+ */
+export function parseCron(expr) {
+  const source = MACROS[String(expr || '').trim().toLowerCase()] || String(expr || '').trim();
+  const parts = source.split(/\s+/);
+  if (parts.length !== 5) throw new Error(`Invalid cron expression "${expr}": expected 5 fields`);
+
+  const [minute, hour, dom, month, dow] = parts.map((p, i) => parseField(p, FIELDS[i]));
+  if (dow.has(7)) dow.add(0); // 7 is Sunday too
+  return { minute, hour, dom, month, dow, domAny: parts[2] === '*', dowAny: parts[4] === '*' };
+}
+
+function dayMatches(cron, date) {
+  const domOk = cron.dom.has(date.getDate());
+  const dowOk = cron.dow.has(date.getDay());
+  // Standard cron: when both day fields are restricted, either may match
+  if (!cron.domAny && !cron.dowAny) return domOk || dowOk;
+  return domOk && dowOk;
+}
+
+/**
+ * Next time strictly after `after` that matches the expression.
+ * @param {string} expr
+ * @param {Date|number} [after]
+ * @returns {Date|null} null when nothing matches within five years
+ */
+export function nextCronTime(expr, after = Date.now()) {
+  const cron = parseCron(expr);
+  const t = new Date(after);
+  t.setSeconds(0, 0);
+  t.setMinutes(t.getMinutes() + 1);
+
+  const limit = new Date(t);
+  limit.setFullYear(limit.getFullYear() + 5);
+
+  while (t < limit) {
+    if (!cron.month.has(t.getMonth() + 1)) {
+      t.setMonth(t.getMonth() + 1, 1);
+      t.setHours(0, 0);
+      continue;
+    }
+    if (!dayMatches(cron, t)) {
+      t.setDate(t.getDate() + 1);
+      t.setHours(0, 0);
+      continue;
+    }
+    if (!cron.hour.has(t.getHours())) {
+      t.setHours(t.getHours() + 1, 0);
+      continue;
+    }
+    if (!cron.minute.has(t.getMinutes())) {
+      t.setMinutes(t.getMinutes() + 1);
+      continue;
+    }
+    return t;
+  }
+  return null;
+}
+
+// ─── Scheduler ────────────────────────────────────────────────────────────────
+
+/**
+ * Validate and normalize schedule fields from an API body.
+ * @param {object} data
+ * @param {object} [existing] - current schedule when updating
+ * @returns {object} fields to persist
+ * @throws {Error} on invalid input
+ */
+export function normalizeSchedule(data = {}, existing = null) {
+  const merged = { ...(existing || {}), ...data };
+  if (!merged.missionId) throw new Error('Missing required field: missionId');
+  const mission = store.getMission(merged.missionId);
+  if (!mission) throw new Error(`Mission not found: ${merged.missionId}`);
+  if (!merged.cron) throw new Error('Missing required field: cron');
+  parseCron(merged.cron);
+  if (merged.context !== undefined && (typeof merged.context !== 'object' || Array.isArray(merged.context) || merged.context === null)) {
+    throw new Error('Invalid context: must be an object');
+  }
+  // Catch missing inputs now rather than on every tick; a broken schedule can still be disabled
+  if (merged.enabled !== false) {
+    const launchError = describeLaunchErrors(resolveLaunchContext(mission, merged.context));
+    if (launchError) throw new Error(launchError);
+  }
+
+  return {
+    missionId: merged.missionId,
+    name: merged.name || '',
+    cron: String(merged.cron).trim(),
+    context: merged.context || {},
+    enabled: merged.enabled !== false,
+    overlap: OVERLAP_POLICIES.includes(merged.overlap) ? merged.overlap : 'skip',
+  };
+}
+
+class MissionScheduler extends EventEmitter {
+  constructor() {
+    super();
+    this._timer = null;
+    this._firing = new Set();
+    this._firedSlots = new Map(); // scheduleId → nextRunAt fired but not yet moved on
+  }
+
+  /**
+   * Start the tick loop. Ticks missed while the server was down are
+   * recorded once per schedule and the schedule moves to its next slot.
+   */
+  start() {
+    if (this._timer) return;
+    const now = Date.now();
+    for (const schedule of store.listSchedules()) {
+      if (!schedule.enabled) continue;
+      if (schedule.nextRunAt && new Date(schedule.nextRunAt).getTime() < now - TICK_MS) {
+        this._record(schedule, { at: schedule.nextRunAt, outcome: 'missed', reason: 'Server was not running' });
+      }
+      this._reschedule(schedule.id, now);
+    }
+    this._timer = setInterval(() => {
+      this._tick().catch(err => console.error(`[mission-scheduler] Tick failed: ${err.message}`));
+    }, TICK_MS);
+    this._timer.unref?.();
+  }
+
+  stop() {
+    clearInterval(this._timer);
+    this._timer = null;
+  }
+
+  /** Whether any enabled schedule exists — the server stays up for them. */
+  hasActiveSchedules() {
+    return store.listSchedules().some(s => s.enabled);
+  }
+
+  create(data) {
+    const schedule = store.createSchedule(normalizeSchedule(data));
+    return this._reschedule(schedule.id);
+  }
+
+  update(id, data) {
+    const existing = store.getSchedule(id);
+    if (!existing) throw new Error(`Schedule not found: ${id}`);
+    store.updateSchedule(id, normalizeSchedule(data, existing));
+    return this._reschedule(id);
+  }
+
+  remove(id) {
+    if (!store.deleteSchedule(id)) throw new Error(`Schedule not found: ${id}`);
+  }
+
+  /**
+   * Start a run for a schedule now, outside its cron slots.
+   * @returns {Promise<object>} updated schedule
+   */
+  async runNow(id) {
+    const schedule = store.getSchedule(id);
+    if (!schedule) throw new Error(`Schedule not found: ${id}`);
+    await this._fire(schedule, { manual: true });
+    return store.getSchedule(id);
+  }
+
+  _reschedule(id, from = Date.now()) {
+    const schedule = store.getSchedule(id);
+    if (!schedule) return null;
+    let nextRunAt = null;
+    if (schedule.enabled) {
+      try {
+        nextRunAt = nextCronTime(schedule.cron, from)?.toISOString() || null;
+      } catch (err) {
+        console.error(`[mission-scheduler] Schedule ${id}: ${err.message}`);
+      }
+    }
+    return store.updateSchedule(id, { nextRunAt });
+  }
+
+  /**
+   * Fire every schedule whose slot has come. One schedule failing does not
+   * hold up the rest, and a slot that fired but could not be moved on is
+   * not fired again — the next tick only retries the reschedule.
+   */
+  async _tick() {
+    const now = Date.now();
+    for (const schedule of store.listSchedules()) {
+      if (!schedule.enabled || !schedule.nextRunAt) continue;
+      if (new Date(schedule.nextRunAt).getTime() > now) continue;
+      try {
+        if (this._firedSlots.get(schedule.id) !== schedule.nextRunAt) {
+          this._firedSlots.set(schedule.id, schedule.nextRunAt);
+          await this._fire(schedule);
+        }
+        this._reschedule(schedule.id, now);
+        this._firedSlots.delete(schedule.id);
+      } catch (err) {
+        console.error(`[mission-scheduler] Schedule ${schedule.id}: ${err.message}`);
+      }
+    }
+  }
+
+  async _fire(schedule, { manual = false } = {}) {
+    if (this._firing.has(schedule.id)) return;
+    this._firing.add(schedule.id);
+    const at = new Date().toISOString();
+    try {
+      const previous = schedule.lastRunId ? store.getRun(schedule.lastRunId) : null;
+      const active = previous && [RUN_STATUS.RUNNING, RUN_STATUS.PAUSED].includes(previous.status);
+      if (active && schedule.overlap !== 'allow') {
+        const reason = `Previous run ${previous.id} is still ${previous.status}`;
+        this._record(schedule, { at, outcome: 'skipped', reason, manual });
+        this.emit('schedule_skipped', { scheduleId: schedule.id, missionId: schedule.missionId, reason });
+        return;
+      }
+
+      const run = await missionEngine.startMission(schedule.missionId, { ...(schedule.context || {}) });
+      await store.updateRun(run.id, { scheduleId: schedule.id });
+      this._record(schedule, { at, outcome: 'started', runId: run.id, manual }, { lastRunAt: at, lastRunId: run.id });
+      this.emit('schedule_fired', { scheduleId: schedule.id, missionId: schedule.missionId, runId: run.id, manual });
+    } catch (err) {
+      console.error(`[mission-scheduler] Schedule ${schedule.id} failed to start: ${err.message}`);
+      this._record(schedule, { at, outcome: 'failed', reason: err.message, manual });
+      this.emit('schedule_failed', { scheduleId: schedule.id, missionId: schedule.missionId, error: err.message });
+    } finally {
+      this._firing.delete(schedule.id);
+    }
+  }
+
+  _record(schedule, entry, patch = {}) {
+    const current = store.getSchedule(schedule.id) || schedule;
+    const history = [{ ...entry, manual: entry.manual || undefined }, ...(current.history || [])].slice(0, MAX_HISTORY);
+    store.updateSchedule(schedule.id, { ...patch, history });
+  }
+}
+
+export const missionScheduler = new MissionScheduler();
@@ -18,25 +18,42 @@ import { sanitizeId } from './router.js';
 /**
  * Node lifecycle statuses — ordered from initial to terminal.
  *
- *  PENDING   → SPAWNING  → RUNNING  → COMPLETED  (success path)
- *                                   → FAILED     (error path)
- *                                   → TIMEOUT    (timeout path)
+ *  PENDING → QUEUED → SPAWNING → RUNNING → COMPLETED  (success path)
+ *                                         → FAILED     (error path)
+ *                                         → TIMEOUT    (timeout path)
  *           ↓ (on any failure)
- *           RETRYING → <restarts from SPAWNING>
+ *           RETRYING → <re-queued, restarts from QUEUED>
+ *
+ *  QUEUED waits for a free slot under the engine-wide and per-mission
+ *  parallel-agent limits.
+ *
+ *  PENDING   → SKIPPED   (no incoming edge was taken — branch not chosen)
+ *
+ *  Approval nodes run no agent:
+ *  PENDING → AWAITING_APPROVAL → COMPLETED (approved) | FAILED (rejected)
  */
 export const NODE_STATUS = Object.freeze({
   PENDING:   'pending',
+  QUEUED:    'queued',
   SPAWNING:  'spawning',
   RUNNING:   'running',
   RETRYING:  'retrying',
   COMPLETED: 'completed',
   FAILED:    'failed',
   TIMEOUT:   'timeout',
+  SKIPPED:   'skipped',
+  AWAITING_APPROVAL: 'awaiting_approval',
 });
 
-/** Run-level lifecycle statuses. */
+/**
+ * Run-level lifecycle statuses.
+ *
+ *  RUNNING ⇄ PAUSED  (no new nodes are scheduled while paused)
+ *  RUNNING → COMPLETED | FAILED | ABORTED
+ */
 export const RUN_STATUS = Object.freeze({
   RUNNING:   'running',
+  PAUSED:    'paused',
   COMPLETED: 'completed',
   FAILED:    'failed',
   ABORTED:   'aborted',
@@ -47,6 +64,7 @@ export const TERMINAL_NODE_STATUSES = new Set([
   NODE_STATUS.COMPLETED,
   NODE_STATUS.FAILED,
   NODE_STATUS.TIMEOUT,
+  NODE_STATUS.SKIPPED,
 ]);
 
 /** Active node statuses — process is live or being spawned. */
@@ -131,8 +149,10 @@ export function getProgress(runId) {
       durationMs: (startMs && endMs) ? endMs - startMs : null,
       error: state.error || null,
       retryCount: state.retryCount || 0,
+      queuedAt: state.status === NODE_STATUS.QUEUED ? state.queuedAt || null : null,
       hasOutput: Boolean(state.output),
       fileCount: Array.isArray(state.files) ? state.files.length : 0,
+      mapParent: state.mapParent || null,
     };
   });
 
@@ -146,8 +166,9 @@ export function getProgress(runId) {
   }
   counts.total = nodes.length;
 
+  // Skipped nodes are resolved — they count toward progress like completions
   const progressPercent = counts.total > 0
-    ? Math.round((counts.completed / counts.total) * 100)
+    ? Math.round(((counts.completed + counts.skipped) / counts.total) * 100)
     : 0;
 
   return {
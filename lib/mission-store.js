@@ -1,4 +1,4 @@
-import { readdirSync, unlinkSync, mkdirSync, existsSync } from 'fs';
+import { readdirSync, unlinkSync, mkdirSync, existsSync, appendFileSync, readFileSync, rmSync, copyFileSync } from 'fs';
 import { join } from 'path';
 import { randomUUID } from 'crypto';
 import { sanitizeId } from './router.js';
@@ -6,9 +6,11 @@ import { MISSIONS_DIR, RUNS_DIR, safeReadJson } from './paths.js';
 import { writeJsonAtomic } from './mission-state.js';
 
 const DEFS_DIR = join(MISSIONS_DIR, 'defs');
+const SCHEDULES_DIR = join(MISSIONS_DIR, 'schedules');
+const REVISIONS_DIR = join(MISSIONS_DIR, 'revisions');
 
 function ensureDirs() {
-  for (const dir of [DEFS_DIR, RUNS_DIR]) {
+  for (const dir of [DEFS_DIR, RUNS_DIR, SCHEDULES_DIR, REVISIONS_DIR]) {
     mkdirSync(dir, { recursive: true });
   }
 }
@@ -65,19 +67,20 @@ export function createMission(data) {
     id: `mission-${randomUUID()}`,
     createdAt: now,
     updatedAt: now,
+    revision: 1,
   };
   writeJson(join(DEFS_DIR, `${mission.id}.json`), mission);
+  writeRevision(mission);
   return mission;
 }
 
 export function updateMission(id, data) {
   ensureDirs();
   const safeId = sanitizeId(id);
-  const existing = getMission(safeId);
+  const existing = ensureRevision(safeId);
   if (!existing) return null;
-  const updated = { ...existing, ...data, id: safeId, updatedAt: new Date().toISOString() };
-  writeJson(join(DEFS_DIR, `${safeId}.json`), updated);
-  return updated;
+  const { restoredFrom, ...current } = existing;
+  return saveDefinition(existing, { ...current, ...data });
 }
 
 export function deleteMission(id) {
@@ -85,14 +88,138 @@ export function deleteMission(id) {
   const filePath = join(DEFS_DIR, `${sanitizeId(id)}.json`);
   if (!existsSync(filePath)) return false;
   unlinkSync(filePath);
+  try { rmSync(join(REVISIONS_DIR, sanitizeId(id)), { recursive: true, force: true }); } catch { /* best effort */ }
   return true;
 }
 
+// ─── Mission Revisions ────────────────────────────────────────────────────────
+//
+// Every saved version of a definition is kept as an immutable snapshot in
+// REVISIONS_DIR/<missionId>/<revision>.json, and each run records the
+// revision it executed. The definition in DEFS_DIR is always the latest one.
+
+// Bookkeeping fields that do not make a definition a new revision
+const REVISION_META_FIELDS = ['id', 'createdAt', 'updatedAt', 'revision', 'restoredFrom'];
+
+// Key order differs between the builder and stored files, so compare canonically
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().filter(k => value[k] !== undefined).map(k => `${JSON.stringify(k)}:${canonicalJson(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+}
+
+function definitionBody(mission) {
+  const body = { ...mission };
+  for (const field of REVISION_META_FIELDS) delete body[field];
+  return canonicalJson(body);
+}
+
+function writeRevision(mission) {
+  const dir = join(REVISIONS_DIR, mission.id);
+  mkdirSync(dir, { recursive: true });
+  writeJson(join(dir, `${mission.revision}.json`), mission);
+}
+
+/**
+ * Persist a new version of a definition as the next revision. Saving a
+ * definition identical to the current one only touches updatedAt.
+ * @param {object} existing - current definition (with a revision)
+ * @param {object} next - full new definition
+ * @returns {object} saved definition
+ */
+function saveDefinition(existing, next) {
+  const now = new Date().toISOString();
+  const changed = definitionBody(next) !== definitionBody(existing);
+  const saved = {
+    ...next,
+    id: existing.id,
+    createdAt: existing.createdAt,
+    updatedAt: now,
+    revision: changed ? existing.revision + 1 : existing.revision,
+  };
+  writeJson(join(DEFS_DIR, `${existing.id}.json`), saved);
+  if (changed) writeRevision(saved);
+  return saved;
+}
+
+/**
+ * Definition with a revision number, snapshotting missions saved before
+ * revisions existed as revision 1.
+ * @param {string} id
+ * @returns {object|null}
+ */
+function ensureRevision(id) {
+  const mission = getMission(id);
+  if (!mission || mission.revision) return mission;
+  mission.revision = 1;
+  writeJson(join(DEFS_DIR, `${mission.id}.json`), mission);
+  writeRevision(mission);
+  return mission;
+}
+
+/**
+ * Revisions of a mission, newest first, without their node graphs.
+ * @param {string} missionId
+ * @returns {Array<{ revision: number, updatedAt: string, name: string, nodeCount: number, edgeCount: number, restoredFrom: number|null, runCount: number }>|null}
+ *   null when the mission does not exist
+ */
+export function listMissionRevisions(missionId) {
+  const mission = ensureRevision(sanitizeId(missionId));
+  if (!mission) return null;
+  const runCounts = new Map();
+  for (const run of listRuns(mission.id)) {
+    const revision = run.missionRevision || null;
+    runCounts.set(revision, (runCounts.get(revision) || 0) + 1);
+  }
+  return listJsonFiles(join(REVISIONS_DIR, mission.id))
+    .map(rev => ({
+      revision: rev.revision,
+      updatedAt: rev.updatedAt,
+      name: rev.name || '',
+      nodeCount: (rev.nodes || []).length,
+      edgeCount: (rev.edges || []).length,
+      restoredFrom: rev.restoredFrom ?? null,
+      runCount: runCounts.get(rev.revision) || 0,
+    }))
+    .sort((a, b) => b.revision - a.revision);
+}
+
+/**
+ * A mission definition as it was at a given revision.
+ * @param {string} missionId
+ * @param {number|string} revision
+ * @returns {object|null}
+ */
+export function getMissionRevision(missionId, revision) {
+  const n = parseInt(revision, 10);
+  if (!(n > 0)) return null;
+  const mission = safeReadJson(join(REVISIONS_DIR, sanitizeId(missionId), `${n}.json`));
+  if (mission) migrateNodes(mission.nodes);
+  return mission;
+}
+
+/**
+ * Make an old revision the current definition again. The restore is saved
+ * as a new revision, so history stays append-only.
+ * @param {string} missionId
+ * @param {number|string} revision
+ * @returns {object|null} saved definition, or null when the mission or revision does not exist
+ */
+export function restoreMissionRevision(missionId, revision) {
+  ensureDirs();
+  const existing = ensureRevision(sanitizeId(missionId));
+  const snapshot = existing && getMissionRevision(existing.id, revision);
+  if (!snapshot) return null;
+  return saveDefinition(existing, { ...snapshot, restoredFrom: snapshot.revision });
+}
+
 // ─── Run Records ──────────────────────────────────────────────────────────────
 
 export function createRun(missionId) {
   ensureDirs();
-  const mission = getMission(missionId);
+  const mission = ensureRevision(sanitizeId(missionId));
   if (!mission) return null;
   const nodeStates = {};
   for (const node of (mission.nodes || [])) {
@@ -110,12 +237,14 @@ export function createRun(missionId) {
   const run = {
     id: `run-${randomUUID()}`,
     missionId,
+    missionRevision: mission.revision,
     status: 'running',
     startedAt: new Date().toISOString(),
     completedAt: null,
     workdir: null,
     summary: null,
     nodeStates,
+    edgeStates: {},
     messages: [],
   };
   writeJson(join(RUNS_DIR, `${run.id}.json`), run);
@@ -153,6 +282,17 @@ export function updateNodeState(runId, nodeId, stateUpdate) {
   return run;
 }
 
+export function updateEdgeState(runId, edgeKey, stateUpdate) {
+  ensureDirs();
+  const safeRunId = sanitizeId(runId);
+  const run = getRun(safeRunId);
+  if (!run) return null;
+  if (!run.edgeStates) run.edgeStates = {};
+  run.edgeStates[edgeKey] = { ...(run.edgeStates[edgeKey] || {}), ...stateUpdate };
+  writeJson(join(RUNS_DIR, `${safeRunId}.json`), run);
+  return run;
+}
+
 export function addRunMessage(runId, message) {
   ensureDirs();
   const safeRunId = sanitizeId(runId);
@@ -185,5 +325,122 @@ export function deleteRun(id) {
   const filePath = join(RUNS_DIR, `${sanitizeId(id)}.json`);
   if (!existsSync(filePath)) return false;
   unlinkSync(filePath);
+  // Per-run artifacts (transcripts) live in a directory next to the record
+  try { rmSync(join(RUNS_DIR, sanitizeId(id)), { recursive: true, force: true }); } catch { /* best effort */ }
+  return true;
+}
+
+// ─── Node Transcripts ─────────────────────────────────────────────────────────
+
+/** Path of a node's JSONL transcript: RUNS_DIR/<runId>/transcripts/<nodeId>.jsonl */
+export function transcriptPath(runId, nodeId) {
+  return join(RUNS_DIR, sanitizeId(runId), 'transcripts', `${sanitizeId(nodeId)}.jsonl`);
+}
+
+/**
+ * Append one event to a node's transcript. Every attempt of the node
+ * appends to the same file; providers write a `spawn` entry to mark each.
+ * @param {string} runId
+ * @param {string} nodeId
+ * @param {object} event
+ */
+export function appendTranscript(runId, nodeId, event) {
+  const filePath = transcriptPath(runId, nodeId);
+  mkdirSync(join(filePath, '..'), { recursive: true });
+  appendFileSync(filePath, JSON.stringify({ ts: new Date().toISOString(), ...event }) + '\n');
+}
+
+/**
+ * Copy a node's transcript into another run (used when a run is cloned).
+ * @returns {boolean} whether a transcript existed
+ */
+export function copyTranscript(fromRunId, toRunId, nodeId) {
+  const source = transcriptPath(fromRunId, nodeId);
+  if (!existsSync(source)) return false;
+  const target = transcriptPath(toRunId, nodeId);
+  mkdirSync(join(target, '..'), { recursive: true });
+  copyFileSync(source, target);
+  return true;
+}
+
+/**
+ * Read a node's transcript.
+ * @param {string} runId
+ * @param {string} nodeId
+ * @param {{ offset?: number, limit?: number }} [options] - page through long transcripts
+ * @returns {{ entries: object[], total: number }|null} null when no transcript exists
+ */
+export function getTranscript(runId, nodeId, { offset = 0, limit = Infinity } = {}) {
+  const filePath = transcriptPath(runId, nodeId);
+  if (!existsSync(filePath)) return null;
+  const lines = readFileSync(filePath, 'utf8').split('\n').filter(Boolean);
+  const entries = [];
+  for (const line of lines.slice(offset, offset + limit)) {
+    try { entries.push(JSON.parse(line)); } catch { /* torn write at the tail */ }
+  }
+  return { entries, total: lines.length };
+}
+
+// ─── Schedules ────────────────────────────────────────────────────────────────
+
+export function listSchedules(missionId) {
+  const schedules = listJsonFiles(SCHEDULES_DIR);
+  const filtered = missionId ? schedules.filter(s => s.missionId === missionId) : schedules;
+  return filtered.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+}
+
+export function getSchedule(id) {
+  ensureDirs();
+  return safeReadJson(join(SCHEDULES_DIR, `${sanitizeId(id)}.json`));
+}
+
+export function createSchedule(data) {
+  ensureDirs();
+  const id = `sched-${randomUUID()}`;
+  const now = new Date().toISOString();
+  const schedule = {
+    ...data,
+    id,
+    history: [],
+    createdAt: now,
+    updatedAt: now,
+  };
+  writeJson(join(SCHEDULES_DIR, `${id}.json`), schedule);
+  return schedule;
+}
+
+export function updateSchedule(id, data) {
+  const existing = getSchedule(id);
+  if (!existing) return null;
+  const updated = { ...existing, ...data, id: existing.id, updatedAt: new Date().toISOString() };
+  writeJson(join(SCHEDULES_DIR, `${existing.id}.json`), updated);
+  return updated;
+}
+
+export function deleteSchedule(id) {
+  const filePath = join(SCHEDULES_DIR, `${sanitizeId(id)}.json`);
+  if (!existsSync(filePath)) return false;
+  unlinkSync(filePath);
   return true;
 }
+
+// ─── Engine Settings ──────────────────────────────────────────────────────────
+
+const ENGINE_SETTINGS_PATH = join(MISSIONS_DIR, 'engine.json');
+
+/** Defaults for engine-wide settings; `maxParallelAgents: 0` means unlimited. */
+export const DEFAULT_ENGINE_SETTINGS = Object.freeze({
+  maxParallelAgents: 4,
+});
+
+export function getEngineSettings() {
+  ensureDirs();
+  return { ...DEFAULT_ENGINE_SETTINGS, ...(safeReadJson(ENGINE_SETTINGS_PATH) || {}) };
+}
+
+export function updateEngineSettings(data) {
+  ensureDirs();
+  const updated = { ...getEngineSettings(), ...data, updatedAt: new Date().toISOString() };
+  writeJson(ENGINE_SETTINGS_PATH, updated);
+  return updated;
+}
@@ -0,0 +1,152 @@
+/**
+ * Structured node outputs.
+ *
+ * A node declares `config.outputSchema` — a JSON Schema subset — and the
+ * engine extracts JSON from the agent's result (see extractJson), validates
+ * it, and stores the parsed value as `outputData` on the node state.
+ * Downstream prompts can then reference fields: `{reviewer.output.issues[0].file}`.
+ *
+ * Supported keywords:
+ *   type (string | number | integer | boolean | object | array | null, or a list),
+ *   properties, required, additionalProperties (boolean or schema), items,
+ *   enum, const, minLength, maxLength, pattern, minimum, maximum,
+ *   minItems, maxItems
+ * Unknown keywords are ignored.
+ */
+
+import { extractJson } from './mission-conditions.js';
+
+const TYPES = ['string', 'number', 'integer', 'boolean', 'object', 'array', 'null'];
+const MAX_ERRORS = 10;
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  if (type === 'integer') return Number.isInteger(value);
+  if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+  return typeOf(value) === type;
+}
+
+function describe(value) {
+  const text = JSON.stringify(value);
+  return text && text.length > 40 ? `${text.slice(0, 40)}…` : String(text);
+}
+
+function validateValue(value, schema, path, errors) {
+  if (errors.length >= MAX_ERRORS || !schema || typeof schema !== 'object') return;
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(t => matchesType(value, t))) {
+      errors.push(`${path}: expected ${types.join(' or ')}, got ${typeOf(value)}`);
+      return;
+    }
+  }
+  if (schema.const !== undefined && JSON.stringify(value) !== JSON.stringify(schema.const)) {
+    errors.push(`${path}: must equal ${describe(schema.const)}`);
+  }
+  if (Array.isArray(schema.enum) && !schema.enum.some(v => JSON.stringify(v) === JSON.stringify(value))) {
+    errors.push(`${path}: must be one of ${schema.enum.map(describe).join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${path}: shorter than ${schema.minLength} characters`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${path}: longer than ${schema.maxLength} characters`);
+    if (schema.pattern) {
+      try {
+        if (!new RegExp(schema.pattern).test(value)) errors.push(`${path}: does not match /${schema.pattern}/`);
+      } catch { /* invalid patterns are reported by checkSchema */ }
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path}: less than ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path}: greater than ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${path}: fewer than ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${path}: more than ${schema.maxItems} items`);
+    if (schema.items) value.forEach((item, i) => validateValue(item, schema.items, `${path}[${i}]`, errors));
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${path}: missing required property "${key}"`);
+    }
+    for (const [key, child] of Object.entries(value)) {
+      if (properties[key]) {
+        validateValue(child, properties[key], `${path}.${key}`, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}: unexpected property "${key}"`);
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        validateValue(child, schema.additionalProperties, `${path}.${key}`, errors);
+      }
+    }
+  }
+}
+
+/**
+ * Validate a value against a schema.
+ * @param {unknown} value
+ * @param {object} schema
+ * @returns {string[]} error messages, empty when valid
+ */
+export function validateSchema(value, schema) {
+  const errors = [];
+  validateValue(value, schema, '$', errors);
+  return errors;
+}
+
+/**
+ * Check that a schema itself is usable. Used by the API when missions are saved.
+ * @param {unknown} schema
+ * @returns {string|null} error message, or null when the schema is usable
+ */
+export function checkSchema(schema, path = '$') {
+  if (!schema || typeof schema !== 'object' || Array.isArray(schema)) return `${path}: schema must be an object`;
+  const types = schema.type === undefined ? [] : (Array.isArray(schema.type) ? schema.type : [schema.type]);
+  const unknown = types.find(t => !TYPES.includes(t));
+  if (unknown) return `${path}: unknown type "${unknown}"`;
+  if (schema.pattern) {
+    try { new RegExp(schema.pattern); } catch { return `${path}: invalid pattern "${schema.pattern}"`; }
+  }
+  for (const [key, child] of Object.entries(schema.properties || {})) {
+    const err = checkSchema(child, `${path}.${key}`);
+    if (err) return err;
+  }
+  if (schema.items) return checkSchema(schema.items, `${path}[]`);
+  return null;
+}
+
+/**
+ * Extract and validate structured output from an agent result.
+ * @param {unknown} output - raw node output
+ * @param {object} schema
+ * @returns {{ data: unknown, errors: string[] }}
+ */
+export function parseStructuredOutput(output, schema) {
+  const data = extractJson(output);
+  if (data === undefined) return { data, errors: ['$: no JSON found in output'] };
+  return { data, errors: validateSchema(data, schema) };
+}
+
+/**
+ * Instructions appended to a node's prompt so the agent knows the expected shape.
+ * @param {object} schema
+ * @param {string[]} [previousErrors] - validation errors from the last attempt
+ * @returns {string}
+ */
+export function schemaInstructions(schema, previousErrors = []) {
+  let text = '\n\n## Output Format\nEnd your response with a single ```json fenced block containing your result. '
+    + 'It must match this JSON Schema:\n```json\n' + JSON.stringify(schema, null, 2) + '\n```';
+  if (previousErrors.length) {
+    text += '\nYour previous response did not match the schema:\n' + previousErrors.map(e => `- ${e}`).join('\n');
+  }
+  return text;
+}
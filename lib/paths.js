@@ -18,6 +18,8 @@ export const MISSIONS_DIR = join(CLAUDE_DIR, 'missions');
 export const TEAMS_DIR = join(CLAUDE_DIR, 'teams');
 export const TASKS_DIR = join(CLAUDE_DIR, 'tasks');
 export const RUNS_DIR = join(MISSIONS_DIR, 'runs');
+// Third-party mission providers, loaded at startup by provider-loader.js
+export const PROVIDERS_DIR = process.env.MISSION_PROVIDERS_DIR || join(MISSIONS_DIR, 'providers');
 
 /**
  * Check if a directory exists (async).
@@ -0,0 +1,117 @@
+/**
+ * Agent setup shared by the providers that run mission nodes as agents:
+ * agent definition and skill lookup, the allowed tool list, and the system
+ * prompt that tells an agent about its workdir and its neighbours in the DAG.
+ */
+
+import { getAgents, getSkills } from '../agent-parser.js';
+
+export const DEFAULT_TOOLS = ['Edit', 'Write', 'Read', 'Glob', 'Grep', 'Bash', 'NotebookEdit'];
+
+// Cache for agent definitions — loaded once per server lifetime
+let _agentDefsCache = null;
+async function loadAgentDefs() {
+  if (!_agentDefsCache) {
+    try {
+      _agentDefsCache = await getAgents();
+    } catch {
+      _agentDefsCache = [];
+    }
+  }
+  return _agentDefsCache;
+}
+
+// Cache for skill definitions — loaded once per server lifetime
+let _skillDefsCache = null;
+async function loadSkillDefs() {
+  if (!_skillDefsCache) {
+    try {
+      _skillDefsCache = await getSkills();
+    } catch {
+      _skillDefsCache = [];
+    }
+  }
+  return _skillDefsCache;
+}
+
+/** Resolve {{variable}} placeholders in a prompt string. */
+export function resolvePrompt(prompt, context) {
+  if (!prompt || !context) return prompt ?? '';
+  return prompt.replace(/\{\{(\w+)\}\}/g, (_, key) =>
+    Object.prototype.hasOwnProperty.call(context, key) ? String(context[key]) : `{{${key}}}`
+  );
+}
+
+/**
+ * Everything a provider needs to start an agent for a node.
+ * @param {Object} node - Mission node (label, agentType, skills, parents, siblings)
+ * @param {Object} context - Variable context; `workdir` and `worktree` are described to the agent
+ * @returns {Promise<{ agentDef: Object|undefined, skills: Object[], allowedTools: string[], systemPrompt: string }>}
+ *   `allowedTools` comes from the agent definition (or DEFAULT_TOOLS) plus any the skills add
+ */
+export async function resolveAgentSetup(node, context) {
+  // Look up agent definition for this node's agentType
+  const agentDefs = await loadAgentDefs();
+  const agentDef = agentDefs.find(a => a.id === node.agentType);
+
+  // Load skill definitions for this node's skills array
+  const selectedSkillIds = node.skills || [];
+  let skills = [];
+  if (selectedSkillIds.length > 0) {
+    const allSkills = await loadSkillDefs();
+    skills = selectedSkillIds
+      .map(id => allSkills.find(s => s.id === id))
+      .filter(Boolean);
+  }
+
+  // Determine allowed tools — agent definition overrides default, then merge skill tools
+  const baseTools = agentDef?.allowedTools?.length ? agentDef.allowedTools : DEFAULT_TOOLS;
+  const toolSet = new Set(baseTools);
+  for (const skill of skills) {
+    if (skill.allowedTools?.length) {
+      for (const tool of skill.allowedTools) toolSet.add(tool);
+    }
+  }
+
+  // Build enriched system prompt with workdir, siblings, and parent context
+  const systemParts = [
+    `You are executing node "${node.label}" in a mission. Agent type: ${node.agentType || 'general-purpose'}.`,
+  ];
+
+  if (context.workdir) {
+    systemParts.push(`WORKING DIRECTORY: ${context.workdir}`);
+    systemParts.push('All files you create should be relative to this directory. You are already in this directory.');
+  }
+
+  // Isolated nodes run in their own git worktree, merged back by the engine
+  if (context.worktree) {
+    systemParts.push(`ISOLATION: This is a private git worktree on branch ${context.worktree.branch}. Your changes are committed and merged into the shared workdir when you finish; do not switch branches or push.`);
+  }
+
+  if (node.siblings && node.siblings.length > 0) {
+    const sibLabels = node.siblings.map(s => s.label || s.id).join(', ');
+    systemParts.push(`SIBLING AGENTS (running in parallel with you): ${sibLabels}`);
+    systemParts.push(context.worktree
+      ? 'Sibling agents work in separate worktrees. Avoid editing the same files as them — overlapping changes fail to merge.'
+      : 'IMPORTANT: Only create/modify files explicitly assigned to you. Do NOT touch files owned by sibling agents.');
+  }
+
+  if (node.parents && node.parents.length > 0) {
+    const parentLabels = node.parents.map(p => p.label || p.id).join(', ');
+    systemParts.push(`UPSTREAM AGENTS (completed before you): ${parentLabels}`);
+  }
+
+  // Inject agent definition instructions if available
+  if (agentDef?.content) {
+    systemParts.push(`\n## Agent Instructions\n${agentDef.content}`);
+  }
+
+  // Inject skill content for each selected skill
+  for (const skill of skills) {
+    if (skill.content) {
+      systemParts.push(`\n<skill name="${skill.id}">\n${skill.content}\n</skill>`);
+    }
+  }
+
+  return { agentDef, skills, allowedTools: [...toolSet], systemPrompt: systemParts.join('\n') };
+}
@@ -0,0 +1,262 @@
+/**
+ * Local tools for providers that run the agent loop in-process (the API
+ * providers). Names and inputs mirror Claude Code's own tools, so a node's
+ * `allowedTools` means the same thing whichever provider runs it.
+ *
+ * Every path is resolved inside the workdir; one that escapes it is refused.
+ * The check is lexical — a symlink inside the workdir is followed.
+ */
+
+import { exec as execCb } from 'child_process';
+import { promisify } from 'util';
+import { readFileSync, writeFileSync, mkdirSync, readdirSync, statSync, existsSync } from 'fs';
+import { join, resolve, relative, isAbsolute, dirname, sep } from 'path';
+import { globToRegExp } from '../glob.js';
+
+const exec = promisify(execCb);
+
+// Tool results longer than this are cut before they reach the model
+const MAX_RESULT_CHARS = 30000;
+const MAX_READ_LINES = 2000;
+const MAX_GLOB_RESULTS = 500;
+const MAX_GREP_MATCHES = 200;
+const MAX_GREP_FILE_BYTES = 1024 * 1024;
+const DEFAULT_BASH_TIMEOUT_MS = 120_000;
+const MAX_BASH_TIMEOUT_MS = 600_000;
+
+const SKIPPED_DIRS = new Set(['.git', 'node_modules']);
+
+export const TOOL_DEFINITIONS = [
+  {
+    name: 'Read',
+    description: 'Read a text file. Returns numbered lines; use offset/limit for long files.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        file_path: { type: 'string', description: 'Path relative to the working directory (or absolute inside it)' },
+        offset: { type: 'integer', description: 'First line to read (1-based)' },
+        limit: { type: 'integer', description: `Number of lines to read (default ${MAX_READ_LINES})` },
+      },
+      required: ['file_path'],
+    },
+  },
+  {
+    name: 'Write',
+    description: 'Create or overwrite a file with the given content. Parent directories are created.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        file_path: { type: 'string' },
+        content: { type: 'string' },
+      },
+      required: ['file_path', 'content'],
+    },
+  },
+  {
+    name: 'Edit',
+    description: 'Replace old_string with new_string in a file. old_string must match exactly once unless replace_all is set.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        file_path: { type: 'string' },
+        old_string: { type: 'string' },
+        new_string: { type: 'string' },
+        replace_all: { type: 'boolean' },
+      },
+      required: ['file_path', 'old_string', 'new_string'],
+    },
+  },
+  {
+    name: 'Glob',
+    description: 'List files matching a glob such as "src/**/*.js", relative to path (default: the working directory).',
+    input_schema: {
+      type: 'object',
+      properties: {
+        pattern: { type: 'string' },
+        path: { type: 'string' },
+      },
+      required: ['pattern'],
+    },
+  },
+  {
+    name: 'Grep',
+    description: 'Search file contents with a regular expression. Returns file:line:text matches.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        pattern: { type: 'string', description: 'JavaScript regular expression' },
+        path: { type: 'string', description: 'File or directory to search (default: the working directory)' },
+        glob: { type: 'string', description: 'Only search files matching this glob' },
+        case_insensitive: { type: 'boolean' },
+      },
+      required: ['pattern'],
+    },
+  },
+  {
+    name: 'Bash',
+    description: `Run a command in the working directory with ${process.platform === 'win32' ? 'cmd.exe' : '/bin/sh'}. Returns combined stdout and stderr.`,
+    input_schema: {
+      type: 'object',
+      properties: {
+        command: { type: 'string' },
+        timeout: { type: 'integer', description: `Milliseconds (default ${DEFAULT_BASH_TIMEOUT_MS}, max ${MAX_BASH_TIMEOUT_MS})` },
+      },
+      required: ['command'],
+    },
+  },
+];
+
+// Tools that change files — their paths are reported as the node's writes
+export const WRITE_TOOLS = new Set(['Write', 'Edit']);
+
+/**
+ * Tool definitions a node may use.
+ * @param {string[]} allowedTools - Claude Code tool names; ones without a local implementation are ignored
+ * @returns {typeof TOOL_DEFINITIONS}
+ */
+export function toolsFor(allowedTools) {
+  const allowed = new Set(allowedTools);
+  return TOOL_DEFINITIONS.filter(t => allowed.has(t.name));
+}
+
+function cap(text) {
+  return text.length > MAX_RESULT_CHARS ? `${text.slice(0, MAX_RESULT_CHARS)}\n…[truncated]` : text;
+}
+
+function resolveInWorkdir(workdir, path) {
+  if (typeof path !== 'string' || !path) throw new Error('A path is required');
+  const full = resolve(workdir, path);
+  const rel = relative(workdir, full);
+  if (rel === '..' || rel.startsWith(`..${sep}`) || isAbsolute(rel)) {
+    throw new Error(`${path} is outside the working directory`);
+  }
+  return full;
+}
+
+/** Paths of the files under `dir`, relative to `base`, with forward slashes. */
+function listFiles(dir, base, out = [], limit = 20000) {
+  let entries;
+  try {
+    entries = readdirSync(dir, { withFileTypes: true });
+  } catch {
+    return out;
+  }
+  for (const entry of entries) {
+    if (out.length >= limit) break;
+    if (entry.isDirectory()) {
+      if (!SKIPPED_DIRS.has(entry.name)) listFiles(join(dir, entry.name), base, out, limit);
+    } else if (entry.isFile()) {
+      out.push(relative(base, join(dir, entry.name)).split(sep).join('/'));
+    }
+  }
+  return out;
+}
+
+const handlers = {
+  Read({ file_path, offset = 1, limit = MAX_READ_LINES }, { workdir }) {
+    const full = resolveInWorkdir(workdir, file_path);
+    const lines = readFileSync(full, 'utf8').split('\n');
+    const start = Math.max(1, Number(offset) || 1);
+    const count = Math.min(MAX_READ_LINES, Math.max(1, Number(limit) || MAX_READ_LINES));
+    const slice = lines.slice(start - 1, start - 1 + count);
+    const body = slice.map((line, i) => `${String(start + i).padStart(6)}\t${line}`).join('\n');
+    const more = start - 1 + count < lines.length ? `\n… ${lines.length - (start - 1 + count)} more lines` : '';
+    return { content: body + more };
+  },
+
+  Write({ file_path, content }, { workdir }) {
+    const full = resolveInWorkdir(workdir, file_path);
+    mkdirSync(dirname(full), { recursive: true });
+    writeFileSync(full, String(content ?? ''));
+    return { content: `Wrote ${Buffer.byteLength(String(content ?? ''))} bytes to ${relative(workdir, full)}`, path: full };
+  },
+
+  Edit({ file_path, old_string, new_string, replace_all = false }, { workdir }) {
+    const full = resolveInWorkdir(workdir, file_path);
+    const text = readFileSync(full, 'utf8');
+    if (!old_string) throw new Error('old_string must not be empty');
+    const count = text.split(old_string).length - 1;
+    if (count === 0) throw new Error(`old_string not found in ${file_path}`);
+    if (count > 1 && !replace_all) throw new Error(`old_string occurs ${count} times in ${file_path}; add context or set replace_all`);
+    writeFileSync(full, replace_all ? text.split(old_string).join(new_string) : text.replace(old_string, () => new_string));
+    return { content: `Replaced ${replace_all ? count : 1} occurrence${count > 1 && replace_all ? 's' : ''} in ${relative(workdir, full)}`, path: full };
+  },
+
+  Glob({ pattern, path = '.' }, { workdir }) {
+    const dir = resolveInWorkdir(workdir, path);
+    const matcher = globToRegExp(String(pattern));
+    const matches = listFiles(dir, dir).filter(f => matcher.test(f)).sort();
+    if (matches.length === 0) return { content: 'No files found' };
+    const shown = matches.slice(0, MAX_GLOB_RESULTS);
+    const more = matches.length > shown.length ? `\n… ${matches.length - shown.length} more` : '';
+    return { content: shown.join('\n') + more };
+  },
+
+  Grep({ pattern, path = '.', glob, case_insensitive = false }, { workdir }) {
+    const target = resolveInWorkdir(workdir, path);
+    const regex = new RegExp(pattern, case_insensitive ? 'i' : '');
+    const matcher = glob ? globToRegExp(String(glob)) : null;
+    const files = statSync(target).isDirectory()
+      ? listFiles(target, workdir).filter(f => !matcher || matcher.test(relative(target, join(workdir, f)).split(sep).join('/')))
+      : [relative(workdir, target).split(sep).join('/')];
+
+    const results = [];
+    for (const file of files) {
+      const full = join(workdir, file);
+      let text;
+      try {
+        if (statSync(full).size > MAX_GREP_FILE_BYTES) continue;
+        text = readFileSync(full, 'utf8');
+      } catch {
+        continue;
+      }
+      if (text.includes('\0')) continue; // binary
+      const lines = text.split('\n');
+      for (let i = 0; i < lines.length && results.length < MAX_GREP_MATCHES; i++) {
+        if (regex.test(lines[i])) results.push(`${file}:${i + 1}:${lines[i]}`);
+      }
+      if (results.length >= MAX_GREP_MATCHES) break;
+    }
+    return { content: results.length ? results.join('\n') : 'No matches' };
+  },
+
+  async Bash({ command, timeout = DEFAULT_BASH_TIMEOUT_MS }, { workdir, signal }) {
+    if (!command) throw new Error('A command is required');
+    const ms = Math.min(MAX_BASH_TIMEOUT_MS, Math.max(1000, Number(timeout) || DEFAULT_BASH_TIMEOUT_MS));
+    try {
+      // The platform shell: /bin/sh, or cmd.exe (ComSpec) on Windows
+      const { stdout, stderr } = await exec(command, { cwd: workdir, timeout: ms, maxBuffer: 4 * 1024 * 1024, signal });
+      return { content: [stdout, stderr].filter(Boolean).join('\n') || '(no output)' };
+    } catch (err) {
+      if (err.name === 'AbortError') throw err;
+      const output = [err.stdout, err.stderr].filter(Boolean).join('\n');
+      const status = err.killed ? `killed after ${ms}ms` : `exit code ${err.code}`;
+      return { content: `${output}\n(${status})`.trim(), isError: true };
+    }
+  },
+};
+
+/**
+ * Run one tool call. Failures come back as an error result for the model
+ * rather than throwing — only an abort propagates.
+ * @param {string} name
+ * @param {Object} input
+ * @param {{ workdir: string, allowedTools: string[], signal?: AbortSignal }} options
+ * @returns {Promise<{ content: string, isError: boolean, path?: string }>}
+ *   `path` is the absolute path of a file the call wrote
+ */
+export async function runTool(name, input, { workdir, allowedTools, signal }) {
+  if (!allowedTools.includes(name) || !handlers[name]) {
+    return { content: `Tool ${name} is not available to this agent`, isError: true };
+  }
+  if (!existsSync(workdir)) {
+    return { content: `Working directory ${workdir} does not exist`, isError: true };
+  }
+  try {
+    const result = await handlers[name](input || {}, { workdir, signal });
+    return { content: cap(result.content), isError: !!result.isError, ...(result.path ? { path: result.path } : {}) };
+  } catch (err) {
+    if (err.name === 'AbortError') throw err;
+    return { content: `Error: ${err.message}`, isError: true };
+  }
+}
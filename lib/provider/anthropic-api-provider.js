@@ -0,0 +1,142 @@
+import { ApiAgentProvider, readSse, apiError } from './api-agent-provider.js';
+import { registerProvider } from './provider-registry.js';
+
+const DEFAULT_BASE_URL = 'https://api.anthropic.com';
+const DEFAULT_MODEL = 'claude-sonnet-4-6';
+const DEFAULT_MAX_TOKENS = 8192;
+const API_VERSION = '2023-06-01';
+
+// Agent definitions name models by Claude Code alias; the API needs ids.
+// `inherit` (the session's model) has no meaning here and gets DEFAULT_MODEL.
+const MODEL_ALIASES = {
+  sonnet: 'claude-sonnet-4-6',
+  opus: 'claude-opus-4-6',
+  haiku: 'claude-haiku-4-5-20251001',
+  inherit: DEFAULT_MODEL,
+};
+
+/**
+ * Runs agent nodes against the Anthropic Messages API directly, with the
+ * tool loop in the server (see ApiAgentProvider) — no `claude` CLI needed.
+ *
+ * Endpoint: `config.baseUrl` on the node, else ANTHROPIC_BASE_URL, else the
+ * public API; any server speaking the Messages protocol works, including a
+ * local stand-in. Credentials come from the environment only, so they never
+ * end up in a saved mission: ANTHROPIC_API_KEY (sent as x-api-key) or
+ * ANTHROPIC_AUTH_TOKEN (sent as a bearer token).
+ *
+ * Model: the node's model, else the agent definition's, else DEFAULT_MODEL.
+ * Claude Code aliases (`sonnet`, `opus`, `haiku`, `inherit`) are mapped to
+ * API model ids.
+ * Node config: `maxTokens` per response (default 8192), `maxTurns`.
+ */
+export class AnthropicApiProvider extends ApiAgentProvider {
+  constructor() {
+    super('anthropic-api');
+  }
+
+  async isAvailable() {
+    return !!(process.env.ANTHROPIC_API_KEY || process.env.ANTHROPIC_AUTH_TOKEN || process.env.ANTHROPIC_BASE_URL);
+  }
+
+  getProviderInfo() {
+    return {
+      name: 'anthropic-api',
+      displayName: 'Anthropic API',
+      faction: 'rebel-alliance',
+      icon: 'rebel',
+    };
+  }
+
+  async _session(node, context, agentDef) {
+    const baseUrl = String(node.config?.baseUrl || process.env.ANTHROPIC_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+    const headers = { 'content-type': 'application/json', 'anthropic-version': API_VERSION };
+    if (process.env.ANTHROPIC_API_KEY) headers['x-api-key'] = process.env.ANTHROPIC_API_KEY;
+    else if (process.env.ANTHROPIC_AUTH_TOKEN) headers.authorization = `Bearer ${process.env.ANTHROPIC_AUTH_TOKEN}`;
+    else if (baseUrl === DEFAULT_BASE_URL) throw new Error('ANTHROPIC_API_KEY is not set');
+
+    return {
+      url: `${baseUrl}/v1/messages`,
+      headers,
+      model: apiModel(node.model || agentDef?.model),
+      maxTokens: Math.max(1, Number(node.config?.maxTokens) || DEFAULT_MAX_TOKENS),
+    };
+  }
+
+  async _request(session, { system, messages, tools }, { signal, onText }) {
+    const response = await fetch(session.url, {
+      method: 'POST',
+      headers: session.headers,
+      signal,
+      body: JSON.stringify({
+        model: session.model,
+        max_tokens: session.maxTokens,
+        system,
+        messages,
+        ...(tools.length ? { tools } : {}),
+        stream: true,
+      }),
+    });
+    if (!response.ok) throw new Error(await apiError(response));
+
+    const reply = { id: null, model: session.model, content: [], usage: {}, stopReason: null };
+    const partialJson = new Map(); // block index → tool input JSON received so far
+
+    await readSse(response, (event, data) => {
+      switch (data.type) {
+        case 'message_start':
+          reply.id = data.message?.id ?? null;
+          reply.model = data.message?.model || reply.model;
+          Object.assign(reply.usage, data.message?.usage);
+          break;
+        case 'content_block_start':
+          reply.content[data.index] = { ...data.content_block };
+          if (data.content_block?.type === 'tool_use') partialJson.set(data.index, '');
+          break;
+        case 'content_block_delta': {
+          const block = reply.content[data.index];
+          if (!block) break;
+          if (data.delta?.type === 'text_delta') {
+            block.text = (block.text || '') + data.delta.text;
+            onText(data.delta.text);
+          } else if (data.delta?.type === 'input_json_delta') {
+            partialJson.set(data.index, partialJson.get(data.index) + data.delta.partial_json);
+          } else if (data.delta?.type === 'thinking_delta') {
+            block.thinking = (block.thinking || '') + data.delta.thinking;
+          } else if (data.delta?.type === 'signature_delta') {
+            block.signature = data.delta.signature;
+          }
+          break;
+        }
+        case 'content_block_stop':
+          if (partialJson.has(data.index)) {
+            const json = partialJson.get(data.index);
+            reply.content[data.index].input = json ? JSON.parse(json) : {};
+            partialJson.delete(data.index);
+          }
+          break;
+        case 'message_delta':
+          reply.stopReason = data.delta?.stop_reason ?? reply.stopReason;
+          Object.assign(reply.usage, data.usage);
+          break;
+        case 'error':
+          throw new Error(`API stream error: ${data.error?.message || 'unknown error'}`);
+      }
+    });
+
+    reply.content = reply.content.filter(Boolean);
+    return reply;
+  }
+}
+
+/** The API model id for a node or agent definition model, which may be a Claude Code alias. */
+function apiModel(model) {
+  const name = String(model || '').trim();
+  if (!name) return DEFAULT_MODEL;
+  return MODEL_ALIASES[name.toLowerCase()] || name;
+}
+
+// Auto-register on import
+const provider = new AnthropicApiProvider();
+registerProvider('anthropic-api', provider);
+export { provider as anthropicApiProvider };
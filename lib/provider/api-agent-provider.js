@@ -0,0 +1,403 @@
+import { readFileSync, mkdirSync, existsSync } from 'fs';
+import { join } from 'path';
+import { BaseProvider } from './base-provider.js';
+import { TASKS_DIR } from '../paths.js';
+import { resolveAgentSetup, resolvePrompt } from './agent-setup.js';
+import { toolsFor, runTool, WRITE_TOOLS } from './agent-tools.js';
+import { writeJsonAtomic } from '../mission-state.js';
+import { addUsage } from '../mission-budget.js';
+import { appendTranscript } from '../mission-store.js';
+
+const DEFAULT_MAX_TURNS = 30;
+// Stop reasons for a response cut off at the output token limit (Anthropic, OpenAI)
+const TRUNCATED_STOP_REASONS = new Set(['max_tokens', 'length']);
+
+/**
+ * Parse a server-sent events response body, calling `onEvent(event, data)`
+ * for each event whose data is JSON. A `[DONE]` sentinel ends the stream.
+ * @param {Response} response - fetch() response with a streaming body
+ * @param {(event: string|null, data: Object) => void} onEvent
+ * @returns {Promise<void>}
+ */
+export async function readSse(response, onEvent) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let event = null;
+  let data = [];
+
+  const dispatch = () => {
+    const payload = data.join('\n');
+    const name = event;
+    event = null;
+    data = [];
+    if (!payload || payload === '[DONE]') return;
+    let parsed;
+    try {
+      parsed = JSON.parse(payload);
+    } catch {
+      return; // keep-alive comments and non-JSON payloads carry nothing we use
+    }
+    onEvent(name, parsed);
+  };
+
+  for await (const chunk of response.body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    let newline;
+    while ((newline = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, newline).replace(/\r$/, '');
+      buffer = buffer.slice(newline + 1);
+      if (line === '') dispatch();
+      else if (line.startsWith('event:')) event = line.slice(6).trim();
+      else if (line.startsWith('data:')) data.push(line.slice(5).replace(/^ /, ''));
+    }
+  }
+  if (buffer.startsWith('data:')) data.push(buffer.slice(5).replace(/^ /, ''));
+  dispatch();
+}
+
+/**
+ * Error message for a non-2xx API response — the body's own message when it
+ * has one (both Anthropic and OpenAI-style APIs use `error.message`).
+ * @param {Response} response
+ * @returns {Promise<string>}
+ */
+export async function apiError(response) {
+  const body = await response.text().catch(() => '');
+  let message = body.trim().slice(0, 300);
+  try {
+    const parsed = JSON.parse(body);
+    message = parsed.error?.message || parsed.message || message;
+  } catch { /* plain-text body */ }
+  return `API request failed with status ${response.status}${message ? `: ${message}` : ''}`;
+}
+
+/**
+ * Base for providers that run the agent loop inside the server, talking to a
+ * model API directly instead of spawning a CLI: send the conversation, run
+ * the tool calls in the reply against the workdir (see agent-tools.js), send
+ * the results back, and repeat until the model answers without tool calls.
+ *
+ * Progress reaches the task file the same way ClaudeCodeProvider reports it —
+ * `activeForm` from the streamed text, running `usage`, and on completion
+ * `output`, `metrics` and the paths written — and the transcript holds
+ * stream-json shaped `assistant` / `user` / `result` events, so the engine and
+ * the UI treat both kinds of agent alike.
+ *
+ * The conversation is kept as Anthropic-style messages (text, tool_use and
+ * tool_result blocks). A subclass implements the wire protocol:
+ *
+ *   _session(node, context, agentDef)  - model, endpoint and credentials for
+ *                                        a node; throw to fail it before it starts
+ *   _request(session, conversation, { signal, onText })
+ *                                      - send one turn, stream text to onText,
+ *                                        resolve to { id, model, content, usage, stopReason }
+ *
+ * Node config: `maxTurns` (default 30) bounds the model calls per attempt.
+ * A final response cut off at the output token limit fails the node rather
+ * than passing a partial answer downstream.
+ * The loop lives in this process, so a server restart loses it; the engine
+ * re-queues the node per its retry policy.
+ */
+export class ApiAgentProvider extends BaseProvider {
+  constructor(name) {
+    super(name);
+    this._activeRuns = new Map(); // agentId → loop state
+    this._lastActiveFormWrite = new Map(); // agentId → timestamp
+    this._lastUsageWrite = new Map(); // agentId → timestamp
+  }
+
+  /**
+   * Start the agent loop for a node. Resolves once the loop is running; the
+   * outcome is written to the task file.
+   * @param {Object} node - Mission node (id, label, agentType, model, prompt, config, parents, siblings)
+   * @param {Object} context - Variable context; `workdir` confines the agent's tools
+   * @param {string} runId
+   * @returns {Promise<{ output: string, agentId: string }>}
+   * @throws If the subclass rejects the node (e.g. no API key)
+   */
+  async executeNode(node, context, runId) {
+    const prompt = resolvePrompt(node.prompt ?? node.label, context);
+    const { agentDef, allowedTools, systemPrompt } = await resolveAgentSetup(node, context);
+
+    mkdirSync(join(TASKS_DIR, runId), { recursive: true });
+    this._writeTaskFile(runId, node, prompt);
+
+    let session;
+    try {
+      session = await this._session(node, context, agentDef);
+    } catch (err) {
+      const msg = `Failed to start agent for node "${node.label}": ${err.message}`;
+      this._finishTask(runId, node.id, { status: 'failed', error: msg });
+      throw new Error(msg);
+    }
+    this._transcript(runId, node.id, { type: 'spawn', agentType: node.agentType || null, model: session.model, prompt });
+
+    const agentId = `${runId}/${node.id}`;
+    const run = {
+      runId,
+      nodeId: node.id,
+      agentId,
+      session,
+      workdir: context.workdir && existsSync(context.workdir) ? context.workdir : process.cwd(),
+      allowedTools,
+      tools: toolsFor(allowedTools),
+      system: systemPrompt,
+      messages: [{ role: 'user', content: prompt }],
+      maxTurns: Math.max(1, Number(node.config?.maxTurns) || DEFAULT_MAX_TURNS),
+      controller: new AbortController(),
+      resumed: null, // { promise, resolve } while suspended
+    };
+    this._activeRuns.set(agentId, run);
+
+    this._loop(run).catch((err) => {
+      // _loop records its own failures; this only guards against a bug in it
+      console.error(`[${this.name}] Agent loop for ${node.id} crashed: ${err.message}`);
+    });
+
+    return { output: `Agent started for ${node.label}`, agentId };
+  }
+
+  /**
+   * Stop a node's loop — any in-flight request and tool command are
+   * cancelled — and mark its task failed.
+   * @param {string} nodeId
+   * @param {string} runId
+   * @returns {Promise<void>}
+   */
+  async abortNode(nodeId, runId) {
+    const agentId = `${runId}/${nodeId}`;
+    const run = this._activeRuns.get(agentId);
+    if (run) {
+      this._activeRuns.delete(agentId);
+      run.controller.abort();
+      run.resumed?.resolve();
+    }
+    if (existsSync(this._taskPath(runId, nodeId))) {
+      this._finishTask(runId, nodeId, { status: 'failed', error: 'Aborted by user' });
+    }
+  }
+
+  /**
+   * Hold the loop before its next model call or tool run. A request already
+   * in flight completes first.
+   * @returns {Promise<boolean>}
+   */
+  async suspendNode(nodeId, runId) {
+    const run = this._activeRuns.get(`${runId}/${nodeId}`);
+    if (!run) return false;
+    if (!run.resumed) {
+      let resolve;
+      const promise = new Promise(r => { resolve = r; });
+      run.resumed = { promise, resolve };
+    }
+    return true;
+  }
+
+  /**
+   * Let a loop held by suspendNode() continue.
+   * @returns {Promise<boolean>}
+   */
+  async resumeNode(nodeId, runId) {
+    const run = this._activeRuns.get(`${runId}/${nodeId}`);
+    if (!run?.resumed) return false;
+    run.resumed.resolve();
+    run.resumed = null;
+    return true;
+  }
+
+  /**
+   * @param {string} agentId - Format: `${runId}/${nodeId}`
+   * @returns {boolean}
+   */
+  isProcessAlive(agentId) {
+    return this._activeRuns.has(agentId);
+  }
+
+  getSupportedAgentTypes() {
+    return ['general-purpose', 'Explore', 'Plan', 'architect', 'code-reviewer', 'code-implementer', 'security-reviewer', 'refactor-cleaner'];
+  }
+
+  /** Resolve a node's model, endpoint and credentials. Subclasses must implement. */
+  async _session(node, context, agentDef) {
+    throw new Error(`${this.constructor.name} must implement _session()`);
+  }
+
+  /** Send one turn of the conversation. Subclasses must implement. */
+  async _request(session, conversation, options) {
+    throw new Error(`${this.constructor.name} must implement _request()`);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Private helpers
+  // ---------------------------------------------------------------------------
+
+  /** Model call → tool calls → results, until the model stops calling tools. */
+  async _loop(run) {
+    const { runId, nodeId, agentId, controller } = run;
+    const started = Date.now();
+    const writes = new Set();
+    const turnUsage = [];
+    const models = new Set();
+    let apiMs = 0;
+    let numTurns = 0;
+    let lastText = '';
+
+    const current = () => this._activeRuns.get(agentId) === run;
+    const usage = () => addUsage(...turnUsage);
+    const metrics = () => ({
+      sessionId: null,
+      durationMs: Date.now() - started,
+      durationApiMs: apiMs,
+      numTurns,
+      models: [...models],
+    });
+    const finish = (fields) => {
+      this._lastActiveFormWrite.delete(agentId);
+      this._lastUsageWrite.delete(agentId);
+      // Aborted, or superseded by a newer attempt — the task file is no longer this loop's
+      if (!current()) return;
+      this._activeRuns.delete(agentId);
+      const failed = fields.status === 'failed';
+      this._transcript(runId, nodeId, {
+        type: 'result',
+        subtype: failed ? 'error' : 'success',
+        is_error: failed,
+        result: failed ? fields.error : fields.output,
+        num_turns: numTurns,
+        duration_ms: Date.now() - started,
+        usage: usage(),
+      });
+      this._finishTask(runId, nodeId, { ...fields, usage: usage(), metrics: metrics(), writes: [...writes] });
+    };
+
+    try {
+      while (true) {
+        if (run.resumed) await run.resumed.promise;
+        if (!current()) return;
+        if (numTurns >= run.maxTurns) {
+          finish({ status: 'failed', error: `Agent stopped after ${run.maxTurns} turns without finishing (config.maxTurns)` });
+          return;
+        }
+        numTurns++;
+
+        let streamed = '';
+        const requestStart = Date.now();
+        const reply = await this._request(run.session, { system: run.system, messages: run.messages, tools: run.tools }, {
+          signal: controller.signal,
+          onText: (delta) => {
+            streamed += delta;
+            this._updateActiveForm(runId, nodeId, agentId, streamed.slice(-200));
+          },
+        });
+        apiMs += Date.now() - requestStart;
+        if (!current()) return;
+
+        if (reply.model) models.add(reply.model);
+        turnUsage.push(reply.usage);
+        this._updateUsage(runId, nodeId, agentId, usage());
+        this._transcript(runId, nodeId, {
+          type: 'assistant',
+          message: { id: reply.id, model: reply.model, role: 'assistant', content: reply.content, usage: reply.usage },
+        });
+        run.messages.push({ role: 'assistant', content: reply.content });
+
+        const text = reply.content.filter(b => b.type === 'text').map(b => b.text).join('\n').trim();
+        if (text) lastText = text;
+        const toolUses = reply.content.filter(b => b.type === 'tool_use');
+        if (toolUses.length === 0) {
+          if (TRUNCATED_STOP_REASONS.has(reply.stopReason)) {
+            finish({ status: 'failed', error: 'Response was cut off at the output token limit (config.maxTokens)' });
+            return;
+          }
+          finish({ status: 'completed', output: lastText || 'Completed' });
+          return;
+        }
+
+        const results = [];
+        for (const call of toolUses) {
+          if (run.resumed) await run.resumed.promise;
+          if (!current()) return;
+          this._updateActiveForm(runId, nodeId, agentId, `${call.name} ${toolSummary(call.input)}`.trim(), true);
+          const result = await runTool(call.name, call.input, { workdir: run.workdir, allowedTools: run.allowedTools, signal: controller.signal });
+          if (result.path && WRITE_TOOLS.has(call.name)) writes.add(result.path);
+          results.push({ type: 'tool_result', tool_use_id: call.id, content: result.content, ...(result.isError ? { is_error: true } : {}) });
+        }
+        this._transcript(runId, nodeId, { type: 'user', message: { role: 'user', content: results } });
+        run.messages.push({ role: 'user', content: results });
+      }
+    } catch (err) {
+      if (controller.signal.aborted || !current()) return;
+      console.error(`[${this.name}] Node ${nodeId} failed in run ${runId}: ${err.message}`);
+      finish({ status: 'failed', error: err.message });
+    }
+  }
+
+  /** Write the node's task file with pending status. */
+  _writeTaskFile(runId, node, prompt) {
+    const parents = node.parents || [];
+    const children = node.children || [];
+    const siblings = node.siblings || [];
+    writeJsonAtomic(this._taskPath(runId, node.id), {
+      id: String(node.id),
+      subject: node.label,
+      description: prompt,
+      status: 'pending',
+      owner: String(node.id),
+      blockedBy: parents.map(p => String(p.id || p)),
+      blocks: children.map(c => String(c.id || c)),
+      siblings: siblings.map(s => String(s.id || s)),
+      activeForm: `Working on ${node.label}...`,
+      messages: [],
+    });
+  }
+
+  /** Merge fields into the task file. */
+  _finishTask(runId, nodeId, fields) {
+    const taskPath = this._taskPath(runId, nodeId);
+    let task;
+    try {
+      task = JSON.parse(readFileSync(taskPath, 'utf8'));
+    } catch {
+      task = { id: String(nodeId) };
+    }
+    try {
+      writeJsonAtomic(taskPath, { ...task, ...fields });
+    } catch (err) {
+      console.error(`[${this.name}] Failed to write task file for ${nodeId}: ${err.message}`);
+    }
+  }
+
+  /** Live progress text. Throttled to 500ms per node unless `force` (tool calls are worth showing). */
+  _updateActiveForm(runId, nodeId, agentId, text, force = false) {
+    const now = Date.now();
+    if (!force && now - (this._lastActiveFormWrite.get(agentId) || 0) < 500) return;
+    this._lastActiveFormWrite.set(agentId, now);
+    this._finishTask(runId, nodeId, { status: 'in_progress', activeForm: text.slice(0, 500) });
+  }
+
+  /** Running token usage, so the engine can enforce budgets. Throttled to 2s per node. */
+  _updateUsage(runId, nodeId, agentId, usage) {
+    const now = Date.now();
+    if (now - (this._lastUsageWrite.get(agentId) || 0) < 2000) return;
+    this._lastUsageWrite.set(agentId, now);
+    this._finishTask(runId, nodeId, { usage });
+  }
+
+  _transcript(runId, nodeId, event) {
+    try {
+      appendTranscript(runId, nodeId, event);
+    } catch (err) {
+      console.error(`[${this.name}] Failed to append transcript for ${nodeId}: ${err.message}`);
+    }
+  }
+
+  _taskPath(runId, nodeId) {
+    return join(TASKS_DIR, runId, `${nodeId}.json`);
+  }
+}
+
+/** The argument worth showing for a tool call in the progress line. */
+function toolSummary(input = {}) {
+  const value = input.file_path ?? input.pattern ?? input.command ?? '';
+  return String(value).split('\n')[0].slice(0, 120);
+}
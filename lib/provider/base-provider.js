@@ -28,6 +28,39 @@ export class BaseProvider {
     throw new Error(`${this.constructor.name} must implement abortNode()`);
   }
 
+  /**
+   * Freeze a running node in place while its run is paused. Optional —
+   * providers that cannot suspend work return false and the node keeps running.
+   * @param {string} nodeId - The node to suspend
+   * @param {string} runId - The run containing the node
+   * @returns {Promise<boolean>} true if the node was suspended
+   */
+  async suspendNode(nodeId, runId) {
+    return false;
+  }
+
+  /**
+   * Continue a node previously frozen by suspendNode().
+   * @param {string} nodeId - The node to resume
+   * @param {string} runId - The run containing the node
+   * @returns {Promise<boolean>} true if the node was resumed
+   */
+  async resumeNode(nodeId, runId) {
+    return false;
+  }
+
+  /**
+   * Pick a node's work back up after a server restart. Optional — providers
+   * whose work does not outlive the server return false, and the engine
+   * re-queues the node per its retry policy.
+   * @param {string} nodeId - The node that was running
+   * @param {string} runId - The run containing the node
+   * @returns {Promise<boolean>} true if the node is being followed again
+   */
+  async reattachNode(nodeId, runId) {
+    return false;
+  }
+
   /**
    * Check if this provider is available for use.
    * @returns {Promise<boolean>}
@@ -1,11 +1,13 @@
-import { readFileSync, mkdirSync, existsSync, rmSync } from 'fs';
+import { readFileSync, mkdirSync, existsSync, rmSync, openSync, closeSync, readSync, fstatSync } from 'fs';
 import { join } from 'path';
 import { spawn } from 'child_process';
 import { BaseProvider } from './base-provider.js';
 import { registerProvider } from './provider-registry.js';
 import { TEAMS_DIR, TASKS_DIR } from '../paths.js';
-import { getAgents, getSkills } from '../agent-parser.js';
+import { resolveAgentSetup, resolvePrompt } from './agent-setup.js';
 import { writeJsonAtomic } from '../mission-state.js';
+import { addUsage, normalizeUsage } from '../mission-budget.js';
+import { appendTranscript } from '../mission-store.js';
 
 const SUPPORTED_AGENT_TYPES = [
   'general-purpose',
@@ -19,30 +21,42 @@ const SUPPORTED_AGENT_TYPES = [
   'refactor-cleaner',
 ];
 
-// Cache for agent definitions — loaded once per server lifetime
-let _agentDefsCache = null;
-async function loadAgentDefs() {
-  if (!_agentDefsCache) {
-    try {
-      _agentDefsCache = await getAgents();
-    } catch {
-      _agentDefsCache = [];
-    }
+// File-editing tools — their paths are reported as the node's writes so the
+// engine can attribute changes in a shared workdir
+const WRITE_TOOLS = new Set(['Write', 'Edit', 'MultiEdit', 'NotebookEdit']);
+
+// How often an agent's log files are read (and, for an agent started before a
+// server restart, its pid checked)
+const LOG_POLL_MS = 250;
+
+/** Whether a process with this pid exists. EPERM means it does, owned by someone else. */
+function isPidAlive(pid) {
+  if (!pid) return false;
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    return err.code === 'EPERM';
   }
-  return _agentDefsCache;
 }
 
-// Cache for skill definitions — loaded once per server lifetime
-let _skillDefsCache = null;
-async function loadSkillDefs() {
-  if (!_skillDefsCache) {
-    try {
-      _skillDefsCache = await getSkills();
-    } catch {
-      _skillDefsCache = [];
-    }
+/** Bytes appended to a file since `offset` (empty when the file is missing). */
+function readFrom(path, offset) {
+  let fd;
+  try {
+    fd = openSync(path, 'r');
+  } catch {
+    return Buffer.alloc(0);
+  }
+  try {
+    const length = fstatSync(fd).size - offset;
+    if (length <= 0) return Buffer.alloc(0);
+    const buf = Buffer.alloc(length);
+    const read = readSync(fd, buf, 0, length, offset);
+    return buf.subarray(0, read);
+  } finally {
+    closeSync(fd);
   }
-  return _skillDefsCache;
 }
 
 /**
@@ -53,8 +67,11 @@ async function loadSkillDefs() {
 export class ClaudeCodeProvider extends BaseProvider {
   constructor() {
     super('claude-code');
-    this._activeProcesses = new Map(); // agentId → ChildProcess
+    this._activeProcesses = new Map(); // agentId → { child, pid, pgid } (child is null once reattached after a restart)
+    this._suspended = new Set(); // agentIds currently stopped with SIGSTOP
     this._lastActiveFormWrite = new Map(); // `${runId}/${nodeId}` → timestamp
+    this._lastUsageWrite = new Map(); // `${runId}/${nodeId}` → timestamp
+    this._lastOffsetWrite = new Map(); // `${runId}/${nodeId}` → timestamp
   }
 
   /**
@@ -75,43 +92,26 @@ export class ClaudeCodeProvider extends BaseProvider {
    * fires within that window we throw so the caller can retry or mark as failed.
    * This prevents silent spawn failures from becoming orphan nodes.
    *
+   * The process runs in its own process group with stdout and stderr going to
+   * log files next to the task file, so it outlives a server restart; its
+   * pid, group and log paths are recorded in the task file for reattachNode().
+   *
    * @param {Object} node - Mission node (id, label, agentType, prompt, parents, children, siblings)
-   * @param {Object} context - Variable context for prompt resolution
+   * @param {Object} context - Variable context for prompt resolution. For isolated
+   *   nodes `workdir` is the node's worktree and `worktree.branch` its branch.
    * @param {string} runId - Unique run identifier (used as team/task directory name)
    * @returns {Promise<{ output: string, agentId: string }>}
    * @throws If the process fails to start or produces an immediate error
    */
   async executeNode(node, context, runId) {
-    const resolvedPrompt = this._resolvePrompt(node.prompt ?? node.label, context);
+    const resolvedPrompt = resolvePrompt(node.prompt ?? node.label, context);
 
     // Write task file for tracking/UI with pending status
     this._ensureTeamDir(runId);
     this._writeTaskFile(runId, node, resolvedPrompt);
+    this._transcript(runId, node.id, { type: 'spawn', agentType: node.agentType || null, model: node.model || null, prompt: resolvedPrompt });
 
-    // Look up agent definition for this node's agentType
-    const agentDefs = await loadAgentDefs();
-    const agentDef = agentDefs.find(a => a.id === node.agentType);
-
-    // Load skill definitions for this node's skills array
-    const selectedSkillIds = node.skills || [];
-    let resolvedSkills = [];
-    if (selectedSkillIds.length > 0) {
-      const allSkills = await loadSkillDefs();
-      resolvedSkills = selectedSkillIds
-        .map(id => allSkills.find(s => s.id === id))
-        .filter(Boolean);
-    }
-
-    // Determine allowed tools — agent definition overrides default, then merge skill tools
-    const defaultTools = ['Edit', 'Write', 'Read', 'Glob', 'Grep', 'Bash', 'NotebookEdit'];
-    const baseTools = agentDef?.allowedTools?.length ? agentDef.allowedTools : defaultTools;
-    const toolSet = new Set(baseTools);
-    for (const skill of resolvedSkills) {
-      if (skill.allowedTools?.length) {
-        for (const tool of skill.allowedTools) toolSet.add(tool);
-      }
-    }
-    const allowedTools = [...toolSet];
+    const { agentDef, allowedTools, systemPrompt } = await resolveAgentSetup(node, context);
 
     // Build CLI args — --verbose is required for stream-json output
     const args = [
@@ -140,40 +140,7 @@ export class ClaudeCodeProvider extends BaseProvider {
       args.push('--strict-mcp-config');
     }
 
-    // Build enriched system prompt with workdir, siblings, and parent context
-    const systemParts = [
-      `You are executing node "${node.label}" in a mission. Agent type: ${node.agentType || 'general-purpose'}.`,
-    ];
-
-    if (context.workdir) {
-      systemParts.push(`WORKING DIRECTORY: ${context.workdir}`);
-      systemParts.push('All files you create should be relative to this directory. You are already in this directory.');
-    }
-
-    if (node.siblings && node.siblings.length > 0) {
-      const sibLabels = node.siblings.map(s => s.label || s.id).join(', ');
-      systemParts.push(`SIBLING AGENTS (running in parallel with you): ${sibLabels}`);
-      systemParts.push('IMPORTANT: Only create/modify files explicitly assigned to you. Do NOT touch files owned by sibling agents.');
-    }
-
-    if (node.parents && node.parents.length > 0) {
-      const parentLabels = node.parents.map(p => p.label || p.id).join(', ');
-      systemParts.push(`UPSTREAM AGENTS (completed before you): ${parentLabels}`);
-    }
-
-    // Inject agent definition instructions if available
-    if (agentDef?.content) {
-      systemParts.push(`\n## Agent Instructions\n${agentDef.content}`);
-    }
-
-    // Inject skill content for each selected skill
-    for (const skill of resolvedSkills) {
-      if (skill.content) {
-        systemParts.push(`\n<skill name="${skill.id}">\n${skill.content}\n</skill>`);
-      }
-    }
-
-    args.push('--append-system-prompt', systemParts.join('\n'));
+    args.push('--append-system-prompt', systemPrompt);
 
     // Resolve cwd — prefer workdir from context, fall back to process.cwd()
     const spawnCwd = context.workdir && existsSync(context.workdir) ? context.workdir : process.cwd();
@@ -183,14 +150,26 @@ export class ClaudeCodeProvider extends BaseProvider {
     const spawnEnv = { ...process.env };
     delete spawnEnv.CLAUDECODE;
 
-    const child = spawn('claude', args, {
-      env: spawnEnv,
-      stdio: ['pipe', 'pipe', 'pipe'],
-      cwd: spawnCwd,
-    });
-
-    // Close stdin — non-interactive mode doesn't need it, and leaving it open can hang the process
-    child.stdin.end();
+    // Output goes to files rather than pipes: a pipe closing with the server
+    // would kill the agent, a file can be read again after a restart.
+    // No stdin — non-interactive mode doesn't need it, and an open one can hang the process.
+    const logPath = this._logPath(runId, node.id);
+    const stderrLogPath = this._logPath(runId, node.id, 'stderr');
+    const detached = process.platform !== 'win32';
+    const stdoutFd = openSync(logPath, 'w');
+    const stderrFd = openSync(stderrLogPath, 'w');
+    let child;
+    try {
+      child = spawn('claude', args, {
+        env: spawnEnv,
+        stdio: ['ignore', stdoutFd, stderrFd],
+        cwd: spawnCwd,
+        detached,
+      });
+    } finally {
+      closeSync(stdoutFd);
+      closeSync(stderrFd);
+    }
 
     const agentId = `${runId}/${node.id}`;
 
@@ -219,9 +198,12 @@ export class ClaudeCodeProvider extends BaseProvider {
       throw new Error(msg);
     }
 
-    // Process confirmed started — register it and begin streaming output
-    this._activeProcesses.set(agentId, child);
-    this._streamOutput(child, runId, node.id, agentId);
+    // Process confirmed started — record it and begin following its output.
+    // unref() lets the server exit without waiting for the agent.
+    child.unref();
+    const proc = { child, pid: child.pid, pgid: detached ? child.pid : null };
+    this._recordProcess(runId, node.id, { pid: proc.pid, pgid: proc.pgid, logPath, stderrLogPath });
+    this._followOutput(runId, node.id, agentId, proc, { logPath, stderrLogPath });
 
     return { output: `Agent spawned for ${node.label}`, agentId };
   }
@@ -234,10 +216,16 @@ export class ClaudeCodeProvider extends BaseProvider {
    */
   async abortNode(nodeId, runId) {
     const agentId = `${runId}/${nodeId}`;
-    const child = this._activeProcesses.get(agentId);
-    if (child) {
-      child.kill('SIGTERM');
+    const proc = this._activeProcesses.get(agentId);
+    if (proc) {
       this._activeProcesses.delete(agentId);
+      try {
+        this._signal(proc, 'SIGTERM');
+        // A stopped process only acts on SIGTERM once it is continued
+        if (this._suspended.delete(agentId)) this._signal(proc, 'SIGCONT');
+      } catch {
+        // Already exited
+      }
     }
 
     const taskPath = this._taskPath(runId, nodeId);
@@ -253,6 +241,48 @@ export class ClaudeCodeProvider extends BaseProvider {
     }
   }
 
+  /**
+   * Suspend a running node's `claude` process with SIGSTOP.
+   * @param {string} nodeId
+   * @param {string} runId
+   * @returns {Promise<boolean>} false when there is no live process (or on Windows)
+   */
+  async suspendNode(nodeId, runId) {
+    const agentId = `${runId}/${nodeId}`;
+    const proc = this._activeProcesses.get(agentId);
+    if (!proc || process.platform === 'win32') return false;
+    try {
+      this._signal(proc, 'SIGSTOP');
+    } catch (err) {
+      console.error(`[claude-code-provider] Failed to suspend ${agentId}: ${err.message}`);
+      return false;
+    }
+    this._suspended.add(agentId);
+    return true;
+  }
+
+  /**
+   * Continue a process previously stopped by suspendNode(). A process
+   * reattached after a restart may have been stopped by the previous server,
+   * so it is continued even when this one did not stop it.
+   * @param {string} nodeId
+   * @param {string} runId
+   * @returns {Promise<boolean>}
+   */
+  async resumeNode(nodeId, runId) {
+    const agentId = `${runId}/${nodeId}`;
+    const proc = this._activeProcesses.get(agentId);
+    const suspended = this._suspended.delete(agentId);
+    if (!proc || (!suspended && proc.child) || process.platform === 'win32') return false;
+    try {
+      this._signal(proc, 'SIGCONT');
+    } catch (err) {
+      console.error(`[claude-code-provider] Failed to resume ${agentId}: ${err.message}`);
+      return false;
+    }
+    return true;
+  }
+
   /**
    * Clean up team and task directories for a completed/failed/aborted run.
    * Removing the team directory triggers team-watcher to complete all tracked agents.
@@ -290,6 +320,39 @@ export class ClaudeCodeProvider extends BaseProvider {
     return this._activeProcesses.has(agentId);
   }
 
+  /**
+   * Resume following an agent started before a server restart, using the pid
+   * and log paths recorded in its task file. Output written while the server
+   * was down is read from the log; an agent that has since exited is finished
+   * from its log alone — completed if it reported a successful result,
+   * otherwise failed with `lost: true`.
+   * @param {string} nodeId
+   * @param {string} runId
+   * @returns {Promise<boolean>} false when the task file records no process to follow
+   */
+  async reattachNode(nodeId, runId) {
+    const agentId = `${runId}/${nodeId}`;
+    if (this._activeProcesses.has(agentId)) return true;
+
+    let task;
+    try {
+      task = JSON.parse(readFileSync(this._taskPath(runId, nodeId), 'utf8'));
+    } catch {
+      return false;
+    }
+    if (!task.pid || !task.logPath) return false;
+
+    const alive = isPidAlive(task.pid);
+    console.log(`[claude-code-provider] Reattaching to ${agentId} (pid ${task.pid}, ${alive ? 'running' : 'exited'})`);
+    this._followOutput(runId, nodeId, agentId, { child: null, pid: task.pid, pgid: task.pgid ?? null }, {
+      logPath: task.logPath,
+      stderrLogPath: task.stderrLogPath || null,
+      transcribedTo: task.logOffset || 0,
+      stderrOffset: task.stderrLogOffset || 0,
+    });
+    return true;
+  }
+
   /**
    * Returns the 8 agent types supported by this provider.
    * @returns {string[]}
@@ -316,77 +379,250 @@ export class ClaudeCodeProvider extends BaseProvider {
   // ---------------------------------------------------------------------------
 
   /**
-   * Wire stdout/stderr/close/error handlers for a spawned child process.
-   * Updates the task file with live progress and final status.
+   * Follow an agent's log files and update the task file with live progress
+   * and final status. A process spawned by this server reports its exit code;
+   * one reattached after a restart is watched by pid, and its outcome is taken
+   * from the result event in the log.
+   *
+   * When reattaching, the log is re-read from the start to rebuild usage and
+   * writes, but events before `transcribedTo` (the offset persisted in the task
+   * file) already reached the transcript and are not appended again.
    *
    * Note: the 'error' event listener here handles errors that occur AFTER
    * the 300ms spawn-verification window in executeNode. A listener must
    * always be present to avoid unhandled-error crashes.
    */
-  _streamOutput(child, runId, nodeId, agentId) {
+  _followOutput(runId, nodeId, agentId, proc, { logPath, stderrLogPath, transcribedTo = 0, stderrOffset = 0 }) {
     let fullOutput = '';
     let lastText = '';
+    let result = null;
+    const writes = new Set();
+    // Per-message usage while the agent works; the result event replaces it
+    // with the CLI's authoritative totals (including cost)
+    const messageUsage = new Map(); // message id → usage
+    let finalUsage = null;
+    const currentUsage = () => finalUsage || addUsage(...messageUsage.values());
+    const metrics = { sessionId: null, durationMs: null, durationApiMs: null, numTurns: null, models: [] };
+
+    const handleLine = (line, replay) => {
+      if (!line.trim()) return;
+      try {
+        const event = JSON.parse(line);
+        if (!replay) this._transcript(runId, nodeId, event);
 
-    child.stdout.on('data', (chunk) => {
-      const lines = chunk.toString().split('\n').filter(Boolean);
-      for (const line of lines) {
-        try {
-          const event = JSON.parse(line);
-
-          if (event.type === 'assistant' && event.message?.content) {
-            for (const block of event.message.content) {
-              if (block.type === 'text') {
-                lastText = block.text.slice(-200);
-                this._updateTaskActiveForm(runId, nodeId, lastText.slice(0, 500));
-              }
+        if (event.type === 'system' && event.session_id) {
+          metrics.sessionId = event.session_id;
+        }
+
+        if (event.type === 'assistant' && event.message?.usage) {
+          messageUsage.set(event.message.id || messageUsage.size, event.message.usage);
+          if (!replay) this._updateTaskUsage(runId, nodeId, currentUsage());
+        }
+
+        if (event.type === 'assistant' && event.message?.content) {
+          for (const block of event.message.content) {
+            if (block.type === 'text') {
+              lastText = block.text.slice(-200);
+              if (!replay) this._updateTaskActiveForm(runId, nodeId, lastText.slice(0, 500));
+            } else if (block.type === 'tool_use' && WRITE_TOOLS.has(block.name)) {
+              const path = block.input?.file_path || block.input?.notebook_path;
+              if (path) writes.add(path);
             }
           }
+        }
 
-          if (event.type === 'result') {
-            fullOutput = event.result || lastText;
+        if (event.type === 'result') {
+          result = event;
+          fullOutput = event.result || lastText;
+          if (event.usage || event.total_cost_usd !== undefined) {
+            finalUsage = normalizeUsage({ ...event.usage, total_cost_usd: event.total_cost_usd });
           }
-        } catch { /* partial JSON line, skip */ }
+          metrics.sessionId = event.session_id || metrics.sessionId;
+          metrics.durationMs = event.duration_ms ?? null;
+          metrics.durationApiMs = event.duration_api_ms ?? null;
+          metrics.numTurns = event.num_turns ?? null;
+          metrics.models = Object.keys(event.modelUsage || {});
+        }
+      } catch { /* non-JSON line, skip */ }
+    };
+
+    // Events can straddle reads — only complete lines are parsed, the
+    // unterminated tail waits for the next read
+    let readPos = 0;
+    let parsedTo = 0;
+    let pending = Buffer.alloc(0);
+    let stderrPos = stderrOffset;
+
+    const drain = () => {
+      const chunk = readFrom(logPath, readPos);
+      if (chunk.length) {
+        readPos += chunk.length;
+        pending = Buffer.concat([pending, chunk]);
+        let newline;
+        while ((newline = pending.indexOf(0x0a)) !== -1) {
+          const line = pending.subarray(0, newline).toString('utf8');
+          pending = pending.subarray(newline + 1);
+          parsedTo += newline + 1;
+          handleLine(line, parsedTo <= transcribedTo);
+        }
       }
-    });
 
-    child.stderr.on('data', (chunk) => {
-      const errText = chunk.toString().trim();
-      if (errText) this._updateTaskActiveForm(runId, nodeId, `stderr: ${errText.slice(0, 80)}`);
-    });
+      const errChunk = stderrLogPath ? readFrom(stderrLogPath, stderrPos) : Buffer.alloc(0);
+      if (errChunk.length) {
+        stderrPos += errChunk.length;
+        const errText = errChunk.toString('utf8').trim();
+        if (errText) {
+          this._transcript(runId, nodeId, { type: 'stderr', text: errText });
+          this._updateTaskActiveForm(runId, nodeId, `stderr: ${errText.slice(0, 80)}`);
+        }
+      }
 
-    // Handle errors that occur after the spawn-verification window (rare but must not crash)
-    child.on('error', (err) => {
-      this._activeProcesses.delete(agentId);
-      const msg = `Process error for node ${nodeId}: ${err.message}`;
-      console.error(`[claude-code-provider] ${msg}`);
-      this._writeFailedTaskFile(runId, nodeId, msg);
-    });
+      if (chunk.length || errChunk.length) this._updateTaskOffsets(runId, nodeId, parsedTo, stderrPos);
+    };
 
-    child.on('close', (code, signal) => {
+    let finished = false;
+    const finish = (code, signal) => {
+      if (finished) return;
+      finished = true;
+      clearInterval(timer);
+      drain();
+      handleLine(pending.toString('utf8'), false);
+      pending = Buffer.alloc(0);
+
+      const exitKnown = proc.child !== null;
+      this._transcript(runId, nodeId, exitKnown ? { type: 'exit', code, signal: signal || null } : { type: 'exit', code: null, signal: null, reattached: true });
+      this._lastActiveFormWrite.delete(agentId);
+      this._lastUsageWrite.delete(agentId);
+      this._lastOffsetWrite.delete(agentId);
+      this._suspended.delete(agentId);
+
+      // Aborted, or superseded by a newer attempt — the task file is no longer this process's
+      if (this._activeProcesses.get(agentId) !== proc) return;
       this._activeProcesses.delete(agentId);
-      this._lastActiveFormWrite.delete(`${runId}/${nodeId}`);
+
+      // Without an exit code, the result event is the only evidence of success
+      const succeeded = exitKnown ? code === 0 : !!result && !result.is_error;
+      let outcome;
+      if (succeeded) {
+        outcome = { status: 'completed', output: fullOutput || lastText || 'Completed' };
+      } else if (!exitKnown) {
+        outcome = {
+          status: 'failed',
+          lost: true,
+          error: 'Agent process ended without reporting a result (its exit status was lost in a server restart)',
+        };
+        console.error(`[claude-code-provider] Node ${nodeId} (pid ${proc.pid}) ended without a result in run ${runId}`);
+      } else {
+        outcome = {
+          status: 'failed',
+          exitCode: code,
+          signal: signal || null,
+          error: signal ? `Process killed by signal ${signal}` : `Process exited with code ${code}`,
+        };
+        console.error(`[claude-code-provider] Node ${nodeId} exited with code=${code} signal=${signal} in run ${runId}`);
+      }
+
       const taskPath = this._taskPath(runId, nodeId);
       try {
         const task = JSON.parse(readFileSync(taskPath, 'utf8'));
-        if (code === 0) {
-          task.status = 'completed';
-          task.output = fullOutput || lastText || 'Completed';
-        } else {
-          task.status = 'failed';
-          if (signal) {
-            task.error = `Process killed by signal ${signal}`;
-          } else {
-            task.error = `Process exited with code ${code}`;
-          }
-          console.error(`[claude-code-provider] Node ${nodeId} exited with code=${code} signal=${signal} in run ${runId}`);
-        }
+        task.usage = currentUsage();
+        task.metrics = metrics;
+        task.writes = [...writes];
+        task.logOffset = parsedTo;
+        task.stderrLogOffset = stderrPos;
+        Object.assign(task, outcome);
         writeJsonAtomic(taskPath, task);
       } catch (err) {
         // If we can't update the existing task file, write a minimal one so the poller detects completion
-        console.error(`[claude-code-provider] Failed to update task file on close for ${nodeId}:`, err.message);
-        this._writeCompletionTaskFile(runId, nodeId, code, signal, fullOutput || lastText);
+        console.error(`[claude-code-provider] Failed to update task file on exit for ${nodeId}:`, err.message);
+        this._writeCompletionTaskFile(runId, nodeId, outcome, currentUsage(), metrics);
       }
-    });
+    };
+
+    this._activeProcesses.set(agentId, proc);
+
+    // A reattached process is not our child: poll its pid instead of waiting for 'exit'
+    const timer = setInterval(() => {
+      drain();
+      if (!proc.child && !isPidAlive(proc.pid)) finish(null, null);
+    }, LOG_POLL_MS);
+    timer.unref?.();
+
+    if (proc.child) {
+      // Handle errors that occur after the spawn-verification window (rare but must not crash)
+      proc.child.on('error', (err) => {
+        if (finished) return;
+        finished = true;
+        clearInterval(timer);
+        if (this._activeProcesses.get(agentId) === proc) this._activeProcesses.delete(agentId);
+        const msg = `Process error for node ${nodeId}: ${err.message}`;
+        console.error(`[claude-code-provider] ${msg}`);
+        this._writeFailedTaskFile(runId, nodeId, msg);
+      });
+      // The process may already have exited during the spawn-verification window
+      if (proc.child.exitCode !== null || proc.child.signalCode !== null) finish(proc.child.exitCode, proc.child.signalCode);
+      else proc.child.on('exit', finish);
+    } else {
+      drain();
+    }
+  }
+
+  /** Signal an agent's whole process group (tools it started included), or the process alone where there is none. */
+  _signal(proc, signal) {
+    if (proc.pgid) {
+      process.kill(-proc.pgid, signal);
+    } else if (proc.child) {
+      proc.child.kill(signal);
+    } else {
+      process.kill(proc.pid, signal);
+    }
+  }
+
+  /** Append an event to the node's transcript — never lets a write error reach the stream handlers. */
+  _transcript(runId, nodeId, event) {
+    try {
+      appendTranscript(runId, nodeId, event);
+    } catch (err) {
+      console.error(`[claude-code-provider] Failed to append transcript for ${nodeId}: ${err.message}`);
+    }
+  }
+
+  /** Record running token usage in a task file so the engine can enforce budgets. Throttled to 2s per node. */
+  _updateTaskUsage(runId, nodeId, usage) {
+    const key = `${runId}/${nodeId}`;
+    const now = Date.now();
+    if (now - (this._lastUsageWrite.get(key) || 0) < 2000) return;
+    this._lastUsageWrite.set(key, now);
+
+    const taskPath = this._taskPath(runId, nodeId);
+    try {
+      const task = JSON.parse(readFileSync(taskPath, 'utf8'));
+      task.usage = usage;
+      writeJsonAtomic(taskPath, task);
+    } catch {
+      // Non-fatal: the final usage is written when the process closes
+    }
+  }
+
+  /**
+   * Record how far the agent's logs have been read. Throttled to 1s per node —
+   * after a restart at most that much output is transcribed twice.
+   */
+  _updateTaskOffsets(runId, nodeId, logOffset, stderrLogOffset) {
+    const key = `${runId}/${nodeId}`;
+    const now = Date.now();
+    if (now - (this._lastOffsetWrite.get(key) || 0) < 1000) return;
+    this._lastOffsetWrite.set(key, now);
+
+    const taskPath = this._taskPath(runId, nodeId);
+    try {
+      const task = JSON.parse(readFileSync(taskPath, 'utf8'));
+      task.logOffset = logOffset;
+      task.stderrLogOffset = stderrLogOffset;
+      writeJsonAtomic(taskPath, task);
+    } catch {
+      // Non-fatal: the final offsets are written when the process exits
+    }
   }
 
   /** Update the activeForm field in a task file for live progress display. Throttled to 500ms per node. */
@@ -412,14 +648,6 @@ export class ClaudeCodeProvider extends BaseProvider {
   // Private helpers
   // ---------------------------------------------------------------------------
 
-  /** Resolve {{variable}} placeholders in a prompt string. */
-  _resolvePrompt(prompt, context) {
-    if (!prompt || !context) return prompt ?? '';
-    return prompt.replace(/\{\{(\w+)\}\}/g, (_, key) =>
-      Object.prototype.hasOwnProperty.call(context, key) ? String(context[key]) : `{{${key}}}`
-    );
-  }
-
   /** Ensure the team and task directories exist for a given runId. */
   _ensureTeamDir(runId) {
     const teamDir = join(TEAMS_DIR, runId);
@@ -486,6 +714,19 @@ export class ClaudeCodeProvider extends BaseProvider {
     writeJsonAtomic(taskPath, task);
   }
 
+  /** Add the spawned process's pid, process group and log paths to its task file. */
+  _recordProcess(runId, nodeId, { pid, pgid, logPath, stderrLogPath }) {
+    const taskPath = this._taskPath(runId, nodeId);
+    try {
+      const task = JSON.parse(readFileSync(taskPath, 'utf8'));
+      Object.assign(task, { pid, pgid, logPath, stderrLogPath, logOffset: 0, stderrLogOffset: 0 });
+      writeJsonAtomic(taskPath, task);
+    } catch (err) {
+      // Non-fatal while this server runs; the agent cannot be reattached after a restart
+      console.error(`[claude-code-provider] Failed to record process for ${nodeId}: ${err.message}`);
+    }
+  }
+
   /**
    * Write a failed task file for a node.
    * Used when spawn fails or an unrecoverable error occurs before/during streaming.
@@ -515,28 +756,24 @@ export class ClaudeCodeProvider extends BaseProvider {
    * Write a minimal completion task file when the close handler can't update the existing file.
    * @param {string} runId
    * @param {string} nodeId
-   * @param {number|null} exitCode
-   * @param {string} output
+   * @param {object} outcome - status, and output or error (plus exitCode/signal or lost) as the close handler determined them
+   * @param {object} [usage]
+   * @param {object} [metrics] - duration, turn count and session id from the result event
    */
-  _writeCompletionTaskFile(runId, nodeId, exitCode, signal, output) {
+  _writeCompletionTaskFile(runId, nodeId, outcome, usage = null, metrics = null) {
     const taskPath = this._taskPath(runId, nodeId);
     try {
-      let error = null;
-      if (exitCode !== 0 || signal) {
-        error = signal ? `Process killed by signal ${signal}` : `Process exited with code ${exitCode}`;
-      }
-      const fallback = {
-        id: nodeId,
-        status: exitCode === 0 && !signal ? 'completed' : 'failed',
-        output: exitCode === 0 && !signal ? (output || 'Completed') : null,
-        error,
-      };
-      writeJsonAtomic(taskPath, fallback);
+      writeJsonAtomic(taskPath, { id: nodeId, output: null, error: null, ...outcome, usage, metrics });
     } catch (err2) {
       console.error(`[claude-code-provider] Fallback task file write also failed for ${nodeId}: ${err2.message}`);
     }
   }
 
+  /** Resolve the path of a node's stdout (or stderr) log, kept next to its task file. */
+  _logPath(runId, nodeId, stream = 'stdout') {
+    return join(TASKS_DIR, runId, stream === 'stdout' ? `${nodeId}.log` : `${nodeId}.${stream}.log`);
+  }
+
   /** Resolve the file path for a task within a run. */
   _taskPath(runId, nodeId) {
     return join(TASKS_DIR, runId, `${nodeId}.json`);
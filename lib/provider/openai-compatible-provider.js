@@ -0,0 +1,159 @@
+import { ApiAgentProvider, readSse, apiError } from './api-agent-provider.js';
+import { registerProvider } from './provider-registry.js';
+
+// Ollama's OpenAI-compatible endpoint — the usual local model server
+const DEFAULT_BASE_URL = 'http://localhost:11434/v1';
+
+/**
+ * Runs agent nodes against an OpenAI-compatible chat completions endpoint —
+ * a local model server (Ollama, llama.cpp server, vLLM) or a hosted one —
+ * with the tool loop in the server (see ApiAgentProvider).
+ *
+ * Endpoint: `config.baseUrl` on the node (e.g. http://localhost:8080/v1),
+ * else OPENAI_BASE_URL, else Ollama's default. OPENAI_API_KEY is sent as a
+ * bearer token when set; local servers usually need none.
+ *
+ * Model: the node's model, else OPENAI_MODEL. Agent definitions name Claude
+ * models, so theirs is not used here.
+ *
+ * Node config: `maxTokens` per response, `maxTurns`, and `tools: false` for
+ * models without tool calling — the node then gets a single plain
+ * completion, which is all a summary or classification step needs.
+ */
+export class OpenAiCompatibleProvider extends ApiAgentProvider {
+  constructor() {
+    super('openai');
+  }
+
+  /** The endpoint is chosen per node, so there is nothing to check up front. */
+  async isAvailable() {
+    return true;
+  }
+
+  getProviderInfo() {
+    return {
+      name: 'openai',
+      displayName: 'OpenAI-compatible',
+      faction: 'galactic-empire',
+      icon: 'empire',
+    };
+  }
+
+  async _session(node) {
+    const model = node.model || process.env.OPENAI_MODEL;
+    if (!model) throw new Error('No model set: choose one for the node or set OPENAI_MODEL');
+
+    const baseUrl = String(node.config?.baseUrl || process.env.OPENAI_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+    const headers = { 'content-type': 'application/json' };
+    if (process.env.OPENAI_API_KEY) headers.authorization = `Bearer ${process.env.OPENAI_API_KEY}`;
+
+    return {
+      url: `${baseUrl}/chat/completions`,
+      headers,
+      model,
+      maxTokens: Number(node.config?.maxTokens) || null,
+      tools: node.config?.tools !== false,
+    };
+  }
+
+  async _request(session, { system, messages, tools }, { signal, onText }) {
+    const useTools = session.tools && tools.length > 0;
+    const response = await fetch(session.url, {
+      method: 'POST',
+      headers: session.headers,
+      signal,
+      body: JSON.stringify({
+        model: session.model,
+        messages: [{ role: 'system', content: system }, ...toChatMessages(messages)],
+        ...(useTools ? { tools: tools.map(toFunctionTool) } : {}),
+        ...(session.maxTokens ? { max_tokens: session.maxTokens } : {}),
+        stream: true,
+        stream_options: { include_usage: true },
+      }),
+    });
+    if (!response.ok) throw new Error(await apiError(response));
+
+    let id = null;
+    let model = session.model;
+    let text = '';
+    let usage = {};
+    let stopReason = null;
+    const calls = []; // by tool_calls[].index → { id, name, arguments }
+
+    await readSse(response, (event, data) => {
+      if (data.error) throw new Error(`API stream error: ${data.error.message || JSON.stringify(data.error)}`);
+      id = data.id ?? id;
+      model = data.model || model;
+      if (data.usage) {
+        usage = { input_tokens: data.usage.prompt_tokens, output_tokens: data.usage.completion_tokens };
+      }
+      const choice = data.choices?.[0];
+      if (!choice) return;
+      if (choice.finish_reason) stopReason = choice.finish_reason;
+      const delta = choice.delta || {};
+      if (delta.content) {
+        text += delta.content;
+        onText(delta.content);
+      }
+      for (const part of delta.tool_calls || []) {
+        const index = part.index ?? calls.length;
+        const call = calls[index] || (calls[index] = { id: null, name: '', arguments: '' });
+        if (part.id) call.id = part.id;
+        if (part.function?.name) call.name += part.function.name;
+        if (part.function?.arguments) call.arguments += part.function.arguments;
+      }
+    });
+
+    const content = [];
+    if (text) content.push({ type: 'text', text });
+    calls.filter(Boolean).forEach((call, i) => {
+      content.push({ type: 'tool_use', id: call.id || `call_${i}`, name: call.name, input: parseArguments(call.arguments) });
+    });
+    return { id, model, content, usage, stopReason };
+  }
+}
+
+/** Tool call arguments as an object. Small models sometimes send invalid JSON; the tool then reports the missing input. */
+function parseArguments(json) {
+  try {
+    const parsed = JSON.parse(json || '{}');
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+function toFunctionTool(tool) {
+  return { type: 'function', function: { name: tool.name, description: tool.description, parameters: tool.input_schema } };
+}
+
+/** Anthropic-style messages (text / tool_use / tool_result blocks) as chat completion messages. */
+function toChatMessages(messages) {
+  const out = [];
+  for (const message of messages) {
+    if (typeof message.content === 'string') {
+      out.push({ role: message.role, content: message.content });
+      continue;
+    }
+    if (message.role === 'assistant') {
+      const text = message.content.filter(b => b.type === 'text').map(b => b.text).join('\n');
+      const toolCalls = message.content.filter(b => b.type === 'tool_use').map(b => ({
+        id: b.id,
+        type: 'function',
+        function: { name: b.name, arguments: JSON.stringify(b.input ?? {}) },
+      }));
+      out.push({ role: 'assistant', content: text || null, ...(toolCalls.length ? { tool_calls: toolCalls } : {}) });
+      continue;
+    }
+    for (const block of message.content) {
+      if (block.type === 'tool_result') out.push({ role: 'tool', tool_call_id: block.tool_use_id, content: block.content });
+      else if (block.type === 'text') out.push({ role: 'user', content: block.text });
+    }
+  }
+  return out;
+}
+
+// Auto-register on import
+const provider = new OpenAiCompatibleProvider();
+registerProvider('openai', provider);
+export { provider as openAiCompatibleProvider };
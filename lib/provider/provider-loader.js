@@ -0,0 +1,134 @@
+/**
+ * Third-party providers loaded from a plugin directory.
+ *
+ * Every `*.js` / `*.mjs` file directly in PROVIDERS_DIR
+ * (~/.claude/missions/providers, or MISSION_PROVIDERS_DIR) is imported once
+ * at startup. Its default export is one of:
+ *
+ *   - a provider object (e.g. an instance of a BaseProvider subclass)
+ *   - a BaseProvider subclass, constructed with no arguments
+ *   - a factory function, called with `{ BaseProvider }` so a plugin need not
+ *     import it by path, returning a provider (or a promise of one)
+ *
+ * The provider is checked against the BaseProvider contract and registered
+ * under its `name`. Built-in providers cannot be replaced. Files that fail to
+ * load or validate are skipped and reported by getProviderLoadFailures().
+ */
+
+import { readdirSync } from 'fs';
+import { join, basename, extname } from 'path';
+import { pathToFileURL } from 'url';
+import { BaseProvider } from './base-provider.js';
+import { registerProvider, getProvider } from './provider-registry.js';
+import { PROVIDERS_DIR } from '../paths.js';
+
+// Methods BaseProvider leaves abstract — a plugin must implement each
+const REQUIRED_METHODS = ['executeNode', 'abortNode', 'isAvailable', 'getSupportedAgentTypes', 'getProviderInfo'];
+// Methods the engine calls when present
+const OPTIONAL_METHODS = ['suspendNode', 'resumeNode', 'reattachNode', 'isProcessAlive', 'initializeTeam'];
+
+const PROVIDER_NAME = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+
+const loaded = new Set(); // files already imported
+const failures = []; // { file, error }
+
+/**
+ * Check a provider against the BaseProvider contract.
+ * @param {*} provider
+ * @returns {string} the name to register it under
+ * @throws {Error} describing the first violation
+ */
+export function validateProvider(provider) {
+  if (!provider || typeof provider !== 'object') {
+    throw new Error('Default export is not a provider, a provider class or a factory');
+  }
+  for (const method of REQUIRED_METHODS) {
+    if (typeof provider[method] !== 'function' || provider[method] === BaseProvider.prototype[method]) {
+      throw new Error(`Provider does not implement ${method}()`);
+    }
+  }
+  for (const method of OPTIONAL_METHODS) {
+    if (provider[method] !== undefined && typeof provider[method] !== 'function') {
+      throw new Error(`Provider ${method} is not a function`);
+    }
+  }
+
+  const info = provider.getProviderInfo();
+  if (!info || typeof info !== 'object' || typeof info.displayName !== 'string') {
+    throw new Error('getProviderInfo() must return an object with a displayName');
+  }
+  if (!Array.isArray(provider.getSupportedAgentTypes())) {
+    throw new Error('getSupportedAgentTypes() must return an array');
+  }
+
+  const name = provider.name || info.name;
+  if (typeof name !== 'string' || !PROVIDER_NAME.test(name)) {
+    throw new Error(`Invalid provider name ${JSON.stringify(name)}: use letters, digits, ".", "_" and "-"`);
+  }
+  if (getProvider(name)) throw new Error(`A provider named "${name}" is already registered`);
+  return name;
+}
+
+/** Turn a plugin module's default export into a provider instance. */
+async function instantiate(exported) {
+  if (typeof exported !== 'function') return exported;
+  const isClass = exported.prototype instanceof BaseProvider || /^class[\s{]/.test(Function.prototype.toString.call(exported));
+  return isClass ? new exported() : exported({ BaseProvider });
+}
+
+/**
+ * Import and register every provider module in `dir`. Never throws — a
+ * missing directory loads nothing, and a broken plugin is recorded as a
+ * failure without affecting the others. Files loaded by an earlier call are
+ * skipped.
+ * @param {string} [dir]
+ * @returns {Promise<{ loaded: string[], failed: Array<{ file: string, error: string }> }>}
+ *   provider names registered and files rejected by this call
+ */
+export async function loadProviderPlugins(dir = PROVIDERS_DIR) {
+  let files;
+  try {
+    files = readdirSync(dir, { withFileTypes: true })
+      .filter(e => e.isFile() && ['.js', '.mjs'].includes(extname(e.name)))
+      .map(e => join(dir, e.name))
+      .sort();
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.error(`[provider-loader] Cannot read ${dir}: ${err.message}`);
+    return { loaded: [], failed: [] };
+  }
+
+  const result = { loaded: [], failed: [] };
+  for (const file of files) {
+    if (loaded.has(file)) continue;
+    loaded.add(file);
+    try {
+      const mod = await import(pathToFileURL(file).href);
+      const provider = await instantiate(mod.default);
+      const name = validateProvider(provider);
+      registerProvider(name, provider, { source: file });
+      result.loaded.push(name);
+      console.log(`[provider-loader] Registered provider "${name}" from ${file}`);
+    } catch (err) {
+      const failure = { file, error: err.message };
+      failures.push(failure);
+      result.failed.push(failure);
+      console.error(`[provider-loader] Skipped ${file}: ${err.message}`);
+    }
+  }
+  return result;
+}
+
+/**
+ * Plugin files that failed to load, in the shape of getAvailableProviders()
+ * entries so the API can list them alongside the working providers.
+ * @returns {{ name: string, source: string, loaded: false, available: false, error: string }[]}
+ */
+export function getProviderLoadFailures() {
+  return failures.map(({ file, error }) => ({
+    name: basename(file, extname(file)),
+    source: file,
+    loaded: false,
+    available: false,
+    error,
+  }));
+}
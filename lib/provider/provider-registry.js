@@ -2,15 +2,21 @@
  * Registry for AI providers.
  * Singleton Map pattern - one registry for the entire application.
  */
+import { BaseProvider } from './base-provider.js';
+
 const providers = new Map();
+const sources = new Map(); // name → 'builtin' or the plugin file it came from
 
 /**
  * Register a provider under a given name.
  * @param {string} name - Unique identifier for the provider
  * @param {import('./base-provider.js').BaseProvider} provider - Provider instance
+ * @param {{ source?: string }} [options] - `source` is the plugin file for providers
+ *   loaded by provider-loader.js; built-ins omit it
  */
-export function registerProvider(name, provider) {
+export function registerProvider(name, provider, { source = 'builtin' } = {}) {
   providers.set(name, provider);
+  sources.set(name, source);
 }
 
 /**
@@ -22,18 +28,53 @@ export function getProvider(name) {
   return providers.get(name);
 }
 
+/**
+ * What the engine can do with a provider's nodes beyond running and aborting them.
+ * @param {import('./base-provider.js').BaseProvider} provider
+ * @returns {{ agentTypes: string[], suspend: boolean, reattach: boolean, teamSetup: boolean }}
+ */
+function capabilitiesOf(provider) {
+  const overrides = method => typeof provider[method] === 'function' && provider[method] !== BaseProvider.prototype[method];
+  let agentTypes = [];
+  try {
+    agentTypes = provider.getSupportedAgentTypes();
+  } catch { /* reported as none */ }
+  return {
+    agentTypes,
+    suspend: overrides('suspendNode'),
+    reattach: overrides('reattachNode'),
+    teamSetup: overrides('initializeTeam'),
+  };
+}
+
 /**
  * Get summary info for all registered providers.
- * Availability is not checked asynchronously here — call provider.isAvailable() separately.
- * @returns {{ name: string, info: Object, available: boolean }[]}
+ * `available` only reflects getProviderInfo() here — a provider whose
+ * getProviderInfo() throws is listed as unavailable with the error, so one
+ * broken plugin does not hide the others. Call provider.isAvailable()
+ * separately for the asynchronous check (GET /api/providers does).
+ * @returns {{ name: string, info: Object, source: string, loaded: true, available: boolean, error?: string, capabilities: Object }[]}
  */
 export function getAvailableProviders() {
   const result = [];
   for (const [name, provider] of providers) {
+    let info;
+    let error = null;
+    try {
+      info = provider.getProviderInfo();
+    } catch (err) {
+      console.error(`[provider-registry] getProviderInfo() failed for provider "${name}": ${err.message}`);
+      info = { name, displayName: name };
+      error = err.message;
+    }
     result.push({
       name,
-      info: provider.getProviderInfo(),
-      available: true,
+      info,
+      source: sources.get(name),
+      loaded: true,
+      available: !error,
+      ...(error ? { error } : {}),
+      capabilities: capabilitiesOf(provider),
     });
   }
   return result;
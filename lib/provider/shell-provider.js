@@ -0,0 +1,258 @@
+import { readFileSync, mkdirSync, existsSync } from 'fs';
+import { join } from 'path';
+import { spawn } from 'child_process';
+import { BaseProvider } from './base-provider.js';
+import { registerProvider } from './provider-registry.js';
+import { TASKS_DIR } from '../paths.js';
+import { writeJsonAtomic } from '../mission-state.js';
+import { appendTranscript } from '../mission-store.js';
+
+// stdout/stderr kept in the task file beyond this are cut from the front —
+// the end of a test or build log is the part worth reading
+const MAX_CAPTURE_BYTES = 256 * 1024;
+
+/** Keep the last `max` characters of `text`, marking the cut. */
+function tail(text, max = MAX_CAPTURE_BYTES) {
+  return text.length > max ? `…[truncated]\n${text.slice(-max)}` : text;
+}
+
+/**
+ * Runs a node's `config.command` through the shell in the run workdir —
+ * for steps like `npm test` or a lint pass that need no LLM.
+ *
+ * Node config:
+ *   command  - shell command line, run verbatim (it is not templated, so
+ *              upstream outputs can never be injected into it)
+ *   env      - extra environment variables, merged over the server's
+ *   timeout  - seconds; enforced by the engine, which calls abortNode()
+ *
+ * stdout and stderr are captured into the task file; exit code 0 completes
+ * the node with stdout as its output (`{node.output}` downstream), anything
+ * else fails it with the exit code. The process shares the server's
+ * lifetime: after a restart the node is re-queued per its retry policy.
+ */
+export class ShellProvider extends BaseProvider {
+  constructor() {
+    super('shell');
+    this._activeProcesses = new Map(); // agentId → ChildProcess
+    this._lastActiveFormWrite = new Map(); // agentId → timestamp
+  }
+
+  /**
+   * Start the node's command.
+   * @param {Object} node - Mission node; `config.command` is required
+   * @param {Object} context - `workdir` is the command's cwd
+   * @param {string} runId
+   * @returns {Promise<{ output: string, agentId: string }>}
+   * @throws If the node has no command
+   */
+  async executeNode(node, context, runId) {
+    const command = String(node.config?.command || '').trim();
+    if (!command) throw new Error(`Script node "${node.label || node.id}" has no command`);
+
+    const cwd = context.workdir && existsSync(context.workdir) ? context.workdir : process.cwd();
+    const env = {
+      ...process.env,
+      ...Object.fromEntries(Object.entries(node.config?.env || {}).map(([k, v]) => [k, String(v)])),
+      MISSION_RUN_ID: runId,
+      MISSION_NODE_ID: String(node.id),
+      MISSION_WORKDIR: cwd,
+    };
+
+    const agentId = `${runId}/${node.id}`;
+    const taskPath = this._taskPath(runId, node.id);
+    mkdirSync(join(TASKS_DIR, runId), { recursive: true });
+    writeJsonAtomic(taskPath, {
+      id: String(node.id),
+      subject: node.label,
+      description: command,
+      status: 'in_progress',
+      owner: String(node.id),
+      activeForm: `$ ${command.slice(0, 200)}`,
+      messages: [],
+    });
+    this._transcript(runId, node.id, { type: 'spawn', command, cwd });
+
+    const detached = process.platform !== 'win32';
+    const child = spawn(command, { shell: true, cwd, env, stdio: ['ignore', 'pipe', 'pipe'], detached });
+
+    // No spawn-verification wait: the shell itself always starts, and a quick
+    // command could finish before the engine records the node as running.
+    // A failure to start (e.g. a missing cwd) reaches the task file through
+    // the 'error' listener instead.
+    this._activeProcesses.set(agentId, child);
+    this._collectOutput(child, runId, node.id, agentId);
+
+    return { output: `Command started for ${node.label}`, agentId };
+  }
+
+  /**
+   * Kill a running command (its whole process group) and mark the task failed.
+   * @param {string} nodeId
+   * @param {string} runId
+   * @returns {Promise<void>}
+   */
+  async abortNode(nodeId, runId) {
+    const agentId = `${runId}/${nodeId}`;
+    const child = this._activeProcesses.get(agentId);
+    if (child) {
+      this._activeProcesses.delete(agentId);
+      this._signal(child, 'SIGTERM');
+      this._signal(child, 'SIGCONT');
+    }
+    if (existsSync(this._taskPath(runId, nodeId))) {
+      this._finishTask(runId, nodeId, { status: 'failed', error: 'Aborted by user' });
+    }
+  }
+
+  /**
+   * Stop a running command with SIGSTOP while its run is paused.
+   * @returns {Promise<boolean>}
+   */
+  async suspendNode(nodeId, runId) {
+    const child = this._activeProcesses.get(`${runId}/${nodeId}`);
+    if (!child || process.platform === 'win32') return false;
+    return this._signal(child, 'SIGSTOP');
+  }
+
+  /**
+   * Continue a command stopped by suspendNode().
+   * @returns {Promise<boolean>}
+   */
+  async resumeNode(nodeId, runId) {
+    const child = this._activeProcesses.get(`${runId}/${nodeId}`);
+    if (!child || process.platform === 'win32') return false;
+    return this._signal(child, 'SIGCONT');
+  }
+
+  /**
+   * @param {string} agentId - Format: `${runId}/${nodeId}`
+   * @returns {boolean}
+   */
+  isProcessAlive(agentId) {
+    return this._activeProcesses.has(agentId);
+  }
+
+  async isAvailable() {
+    return true;
+  }
+
+  getSupportedAgentTypes() {
+    return ['script'];
+  }
+
+  getProviderInfo() {
+    return {
+      name: 'shell',
+      displayName: 'Shell',
+      faction: 'neutral',
+      icon: 'terminal',
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Private helpers
+  // ---------------------------------------------------------------------------
+
+  /** Capture output, surface the latest line as progress, and record the exit status. */
+  _collectOutput(child, runId, nodeId, agentId) {
+    let stdout = '';
+    let stderr = '';
+    let lastLine = '';
+
+    const onData = (stream) => (chunk) => {
+      const text = chunk.toString();
+      if (stream === 'stdout') stdout = tail(stdout + text);
+      else stderr = tail(stderr + text);
+      this._transcript(runId, nodeId, { type: stream, text });
+      const line = text.split('\n').map(l => l.trim()).filter(Boolean).pop();
+      if (line) {
+        lastLine = line;
+        this._updateActiveForm(runId, nodeId, agentId, stream === 'stderr' ? `stderr: ${line}` : line);
+      }
+    };
+    child.stdout.on('data', onData('stdout'));
+    child.stderr.on('data', onData('stderr'));
+
+    child.on('error', (err) => {
+      if (this._activeProcesses.get(agentId) !== child) return;
+      this._activeProcesses.delete(agentId);
+      this._finishTask(runId, nodeId, { status: 'failed', error: `Command error for node ${nodeId}: ${err.message}`, stdout, stderr });
+    });
+
+    child.on('close', (code, signal) => {
+      this._transcript(runId, nodeId, { type: 'exit', code, signal: signal || null });
+      this._lastActiveFormWrite.delete(agentId);
+      // Aborted, or superseded by a newer attempt — the task file is no longer this process's
+      if (this._activeProcesses.get(agentId) !== child) return;
+      this._activeProcesses.delete(agentId);
+
+      if (code === 0) {
+        this._finishTask(runId, nodeId, { status: 'completed', output: stdout.trimEnd(), stdout, stderr, exitCode: 0 });
+        return;
+      }
+      const reason = signal ? `Command killed by signal ${signal}` : `Command exited with code ${code}`;
+      const detail = stderr.trim().split('\n').pop() || lastLine;
+      this._finishTask(runId, nodeId, {
+        status: 'failed',
+        error: detail ? `${reason}: ${detail.slice(0, 300)}` : reason,
+        stdout,
+        stderr,
+        exitCode: code,
+        signal: signal || null,
+      });
+    });
+  }
+
+  /** Signal the command's process group (the shell and everything it started). */
+  _signal(child, signal) {
+    try {
+      if (process.platform !== 'win32') process.kill(-child.pid, signal);
+      else child.kill(signal);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /** Merge final fields into the task file. */
+  _finishTask(runId, nodeId, fields) {
+    const taskPath = this._taskPath(runId, nodeId);
+    let task;
+    try {
+      task = JSON.parse(readFileSync(taskPath, 'utf8'));
+    } catch {
+      task = { id: String(nodeId) };
+    }
+    try {
+      writeJsonAtomic(taskPath, { ...task, ...fields });
+    } catch (err) {
+      console.error(`[shell-provider] Failed to write task file for ${nodeId}: ${err.message}`);
+    }
+  }
+
+  /** Latest output line as live progress. Throttled to 500ms per node. */
+  _updateActiveForm(runId, nodeId, agentId, text) {
+    const now = Date.now();
+    if (now - (this._lastActiveFormWrite.get(agentId) || 0) < 500) return;
+    this._lastActiveFormWrite.set(agentId, now);
+    this._finishTask(runId, nodeId, { activeForm: text.slice(0, 500) });
+  }
+
+  _transcript(runId, nodeId, event) {
+    try {
+      appendTranscript(runId, nodeId, event);
+    } catch (err) {
+      console.error(`[shell-provider] Failed to append transcript for ${nodeId}: ${err.message}`);
+    }
+  }
+
+  _taskPath(runId, nodeId) {
+    return join(TASKS_DIR, runId, `${nodeId}.json`);
+  }
+}
+
+// Auto-register on import
+const provider = new ShellProvider();
+registerProvider('shell', provider);
+export { provider as shellProvider };
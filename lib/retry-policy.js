@@ -0,0 +1,101 @@
+/**
+ * Per-node retry policies for mission runs.
+ *
+ * A node opts in with `config.retryPolicy`:
+ *   {
+ *     maxAttempts: 3,            // total attempts including the first
+ *     initialDelayMs: 5000,      // wait before the first retry
+ *     backoffMultiplier: 2,      // delay grows by this factor per retry
+ *     maxDelayMs: 300000,        // cap on any single delay
+ *     jitter: 0.2,               // +/- fraction of randomness applied to each delay
+ *     retryOn: ['timeout', 'exit'] // failure reasons that are retried
+ *   }
+ *
+ * Nodes without a policy keep the legacy behaviour: `config.retries`
+ * (default 1) immediate retries for errors, non-zero exits, timeouts, spawn
+ * failures, invalid structured output, merge conflicts and agents lost across
+ * a server restart — orphaned processes are not retried.
+ */
+
+export const RETRY_REASONS = {
+  ERROR: 'error',     // Task file reported a failure
+  EXIT: 'exit',       // Agent process exited non-zero or was killed
+  TIMEOUT: 'timeout', // Node exceeded its timeout
+  ORPHAN: 'orphan',   // Process died without writing a result
+  SPAWN: 'spawn',     // Provider failed to start the agent
+  OUTPUT: 'output',   // Result did not match the node's outputSchema
+  MERGE: 'merge',     // Worktree branch conflicted with the run workdir
+  LOST: 'lost',       // Agent could not be followed after a server restart
+};
+
+const ALL_REASONS = Object.values(RETRY_REASONS);
+const LEGACY_REASONS = ALL_REASONS.filter(r => r !== RETRY_REASONS.ORPHAN);
+
+export const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 2,
+  initialDelayMs: 0,
+  backoffMultiplier: 2,
+  maxDelayMs: 300000,
+  jitter: 0,
+  retryOn: ALL_REASONS,
+};
+
+function toNumber(value, fallback, min = 0) {
+  const n = Number(value);
+  return Number.isFinite(n) && n >= min ? n : fallback;
+}
+
+/**
+ * Build the effective retry policy for a node from its config.
+ * @param {object} [nodeConfig]
+ * @returns {typeof DEFAULT_RETRY_POLICY}
+ */
+export function resolveRetryPolicy(nodeConfig = {}) {
+  const custom = nodeConfig.retryPolicy;
+  if (!custom || typeof custom !== 'object') {
+    return {
+      ...DEFAULT_RETRY_POLICY,
+      maxAttempts: toNumber(nodeConfig.retries, 1) + 1,
+      retryOn: LEGACY_REASONS,
+    };
+  }
+
+  const retryOn = Array.isArray(custom.retryOn)
+    ? custom.retryOn.filter(r => ALL_REASONS.includes(r))
+    : ALL_REASONS;
+
+  return {
+    maxAttempts: Math.floor(toNumber(custom.maxAttempts, DEFAULT_RETRY_POLICY.maxAttempts, 1)),
+    initialDelayMs: toNumber(custom.initialDelayMs, DEFAULT_RETRY_POLICY.initialDelayMs),
+    backoffMultiplier: toNumber(custom.backoffMultiplier, DEFAULT_RETRY_POLICY.backoffMultiplier, 1),
+    maxDelayMs: toNumber(custom.maxDelayMs, DEFAULT_RETRY_POLICY.maxDelayMs),
+    jitter: Math.min(1, toNumber(custom.jitter, DEFAULT_RETRY_POLICY.jitter)),
+    retryOn,
+  };
+}
+
+/**
+ * Whether another attempt is allowed after `retryCount` retries have been used.
+ * @param {typeof DEFAULT_RETRY_POLICY} policy
+ * @param {number} retryCount
+ * @param {string} reason - one of RETRY_REASONS
+ * @returns {boolean}
+ */
+export function shouldRetry(policy, retryCount, reason) {
+  return policy.retryOn.includes(reason) && retryCount + 1 < policy.maxAttempts;
+}
+
+/**
+ * Delay before retry number `retryNumber` (1-based).
+ * @param {typeof DEFAULT_RETRY_POLICY} policy
+ * @param {number} retryNumber
+ * @param {() => number} [random]
+ * @returns {number} milliseconds
+ */
+export function computeDelay(policy, retryNumber, random = Math.random) {
+  if (!policy.initialDelayMs) return 0;
+  const base = policy.initialDelayMs * Math.pow(policy.backoffMultiplier, Math.max(0, retryNumber - 1));
+  const capped = policy.maxDelayMs ? Math.min(base, policy.maxDelayMs) : base;
+  const spread = policy.jitter ? capped * policy.jitter * (random() * 2 - 1) : 0;
+  return Math.max(0, Math.round(capped + spread));
+}
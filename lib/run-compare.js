@@ -0,0 +1,145 @@
+/**
+ * Side-by-side comparison of two runs of the same mission.
+ *
+ * Nodes are aligned by id across both runs' mission revisions. For each node
+ * the comparison reports status, duration, retries, files and usage from both
+ * runs plus a line diff of the outputs; when the runs executed different
+ * revisions, the structural diff between them is included as well.
+ */
+
+import { addUsage, totalTokens } from './mission-budget.js';
+import { diffLines, diffMissions } from './mission-diff.js';
+
+// Above this many line pairs the output diff is skipped (LCS is quadratic)
+const MAX_DIFF_CELLS = 4_000_000;
+
+function durationMs(startedAt, completedAt, pausedMs = 0) {
+  if (!startedAt || !completedAt) return null;
+  return Math.max(0, new Date(completedAt) - new Date(startedAt) - (pausedMs || 0));
+}
+
+function outputText(output) {
+  if (output === null || output === undefined) return null;
+  return typeof output === 'string' ? output : JSON.stringify(output, null, 2);
+}
+
+/** One run's view of a node — map nodes include their per-item agents. */
+function nodeSide(run, nodeId) {
+  const state = run.nodeStates?.[nodeId];
+  if (!state) return null;
+  const items = Object.values(run.nodeStates).filter(s => s.mapParent === nodeId);
+  const usage = addUsage(state.usage, ...items.map(s => s.usage));
+  return {
+    status: state.status,
+    durationMs: durationMs(state.startedAt, state.completedAt),
+    retries: state.retryCount || 0,
+    files: [...new Set([...(state.files || []), ...items.flatMap(s => s.files || [])])].sort(),
+    usage,
+    tokens: totalTokens(usage),
+    verdict: state.verdict ?? null,
+    error: state.error ?? null,
+    outputLength: outputText(state.output)?.length ?? 0,
+  };
+}
+
+function runSide({ run, summary }) {
+  const usage = addUsage(run.usage);
+  return {
+    id: run.id,
+    status: run.status,
+    missionRevision: run.missionRevision ?? null,
+    startedAt: run.startedAt,
+    completedAt: run.completedAt,
+    durationMs: durationMs(run.startedAt, run.completedAt, run.pausedMs),
+    usage,
+    tokens: totalTokens(usage),
+    totalFiles: summary?.totalFiles ?? 0,
+    nodesCompleted: summary?.nodesCompleted ?? 0,
+    nodesTotal: summary?.nodesTotal ?? 0,
+    error: run.error ?? null,
+  };
+}
+
+function delta(a, b) {
+  return typeof a === 'number' && typeof b === 'number' ? Math.round((b - a) * 1e6) / 1e6 : null;
+}
+
+/**
+ * Compare two runs of one mission.
+ * @param {{ run: object, mission: object, summary: object }} a - baseline run, its mission revision and summary
+ * @param {{ run: object, mission: object, summary: object }} b - run compared against the baseline
+ * @returns {object} `{ missionId, a, b, delta, revisionDiff, nodes: [...] }` — deltas are b minus a
+ * @throws {Error} when the runs belong to different missions
+ */
+export function buildRunComparison(a, b) {
+  if (a.run.missionId !== b.run.missionId) {
+    throw new Error(`Runs belong to different missions: ${a.run.missionId} and ${b.run.missionId}`);
+  }
+
+  // Nodes in the order of b's revision, then any that only a's revision had
+  const order = [];
+  const labels = new Map();
+  for (const node of [...(b.mission?.nodes || []), ...(a.mission?.nodes || [])]) {
+    if (labels.has(node.id)) continue;
+    labels.set(node.id, node.label || node.id);
+    order.push(node.id);
+  }
+
+  const nodes = order.map(id => {
+    const left = nodeSide(a.run, id);
+    const right = nodeSide(b.run, id);
+    const before = outputText(a.run.nodeStates?.[id]?.output);
+    const after = outputText(b.run.nodeStates?.[id]?.output);
+
+    let output = null;
+    if (before !== null || after !== null) {
+      const changed = before !== after;
+      const cells = (before || '').split('\n').length * (after || '').split('\n').length;
+      output = {
+        changed,
+        diff: changed && cells <= MAX_DIFF_CELLS ? diffLines(before ?? '', after ?? '') : null,
+        tooLarge: changed && cells > MAX_DIFF_CELLS,
+      };
+    }
+
+    const filesA = new Set(left?.files || []);
+    const filesB = new Set(right?.files || []);
+    return {
+      id,
+      label: labels.get(id),
+      a: left,
+      b: right,
+      output,
+      files: {
+        added: [...filesB].filter(f => !filesA.has(f)),
+        removed: [...filesA].filter(f => !filesB.has(f)),
+      },
+      delta: {
+        durationMs: delta(left?.durationMs, right?.durationMs),
+        retries: delta(left?.retries, right?.retries),
+        tokens: delta(left?.tokens, right?.tokens),
+        costUsd: delta(left?.usage.costUsd, right?.usage.costUsd),
+      },
+    };
+  });
+
+  const runA = runSide(a);
+  const runB = runSide(b);
+  const revisionDiff = runA.missionRevision !== runB.missionRevision && a.mission && b.mission
+    ? diffMissions(a.mission, b.mission)
+    : null;
+
+  return {
+    missionId: a.run.missionId,
+    a: runA,
+    b: runB,
+    delta: {
+      durationMs: delta(runA.durationMs, runB.durationMs),
+      tokens: delta(runA.tokens, runB.tokens),
+      costUsd: delta(runA.usage.costUsd, runB.usage.costUsd),
+      totalFiles: delta(runA.totalFiles, runB.totalFiles),
+    },
+    revisionDiff,
+    nodes,
+  };
+}
@@ -0,0 +1,162 @@
+/**
+ * Shadow git repositories for per-node change sets.
+ *
+ * Each run gets a private bare repository at RUNS_DIR/<runId>/shadow.git
+ * whose work tree is the run workdir. Snapshotting the workdir writes a tree
+ * object without touching the workdir (or any repository it already is);
+ * diffing two trees yields added/modified/deleted files with line counts and
+ * a unified diff. Dotfiles and node_modules are excluded, like the engine's
+ * file snapshots; the workdir's own .gitignore files are honoured.
+ *
+ * Worktree-isolated nodes already have real commits, so their diffs are read
+ * from the workdir's repository with the same helpers.
+ */
+
+import { execFile as execFileCb } from 'child_process';
+import { promisify } from 'util';
+import { existsSync, mkdirSync, writeFileSync } from 'fs';
+import { join, posix } from 'path';
+import { RUNS_DIR } from './paths.js';
+import { sanitizeId } from './router.js';
+
+const execFile = promisify(execFileCb);
+
+// Unified diffs larger than this are cut off and flagged as truncated
+const MAX_DIFF_BYTES = 1024 * 1024;
+
+const EXCLUDES = ['.*', 'node_modules/'];
+
+// One git operation per repository at a time — they share an index
+const queues = new Map();
+
+function serialized(gitDir, task) {
+  const next = (queues.get(gitDir) || Promise.resolve()).then(task, task);
+  const settled = next.catch(() => {});
+  queues.set(gitDir, settled);
+  settled.then(() => {
+    if (queues.get(gitDir) === settled) queues.delete(gitDir);
+  });
+  return next;
+}
+
+async function git(args, { maxBuffer = 16 * 1024 * 1024 } = {}) {
+  const { stdout } = await execFile('git', args, { maxBuffer });
+  return stdout;
+}
+
+/** Path of a run's shadow repository. */
+export function shadowGitDir(runId) {
+  return join(RUNS_DIR, sanitizeId(runId), 'shadow.git');
+}
+
+async function ensureShadowRepo(gitDir) {
+  if (existsSync(join(gitDir, 'HEAD'))) return;
+  mkdirSync(gitDir, { recursive: true });
+  await git(['init', '-q', '--bare', gitDir]);
+  await git(['--git-dir', gitDir, 'config', 'gc.auto', '0']);
+  await git(['--git-dir', gitDir, 'config', 'core.autocrlf', 'false']);
+  mkdirSync(join(gitDir, 'info'), { recursive: true });
+  writeFileSync(join(gitDir, 'info', 'exclude'), EXCLUDES.join('\n') + '\n');
+}
+
+/**
+ * Record the current content of `workdir` in the run's shadow repository.
+ * @param {string} runId
+ * @param {string} workdir
+ * @returns {Promise<{ gitDir: string, tree: string }>} reference to pass to diffChanges()/unifiedDiff()
+ */
+export function snapshotTree(runId, workdir) {
+  const gitDir = shadowGitDir(runId);
+  return serialized(gitDir, async () => {
+    await ensureShadowRepo(gitDir);
+    const base = ['--git-dir', gitDir, '--work-tree', workdir];
+    await git([...base, 'add', '-A', '--ignore-errors', '.']);
+    const tree = (await git([...base, 'write-tree'])).trim();
+    return { gitDir, tree };
+  });
+}
+
+/** Resolve the git directory of the repository `workdir` belongs to. */
+export async function repoGitDir(workdir) {
+  const { stdout } = await execFile('git', ['rev-parse', '--absolute-git-dir'], { cwd: workdir });
+  return stdout.trim();
+}
+
+function diffArgs({ gitDir, from, to, prefix }) {
+  return ['--git-dir', gitDir, 'diff', '--no-renames', '--no-color', ...(prefix ? [`--relative=${prefix}`] : []), from, to];
+}
+
+/**
+ * Literal pathspecs limiting a diff to `ref.paths` and/or one `path`, or
+ * null when the two leave nothing to diff. Pathspecs are repository-relative
+ * even when the output is not.
+ */
+function pathspecs(ref, path) {
+  let paths = ref.paths ?? null;
+  if (path) {
+    if (paths && !paths.includes(path)) return null;
+    paths = [path];
+  }
+  if (!paths) return [];
+  if (paths.length === 0) return null;
+  return ['--', ...paths.map(p => `:(literal)${ref.prefix ? posix.join(ref.prefix, p) : p}`)];
+}
+
+/**
+ * Files changed between two snapshots, with line counts.
+ * @param {{ gitDir: string, from: string, to: string, prefix?: string, paths?: string[] }} ref - trees or commits;
+ *   `prefix` limits the diff to a subdirectory and makes paths relative to it,
+ *   `paths` limits it to those files (relative to `prefix`)
+ * @returns {Promise<Array<{ path: string, status: 'added'|'modified'|'deleted', insertions: number|null, deletions: number|null }>>}
+ *   counts are null for binary files
+ */
+export function diffChanges(ref) {
+  const pathspec = pathspecs(ref);
+  if (!pathspec) return Promise.resolve([]);
+  return serialized(ref.gitDir, async () => {
+    const statusOut = await git([...diffArgs(ref), '--name-status', '-z', ...pathspec]);
+    const numstatOut = await git([...diffArgs(ref), '--numstat', '-z', ...pathspec]);
+
+    const statuses = new Map();
+    const parts = statusOut.split('\0');
+    for (let i = 0; i + 1 < parts.length; i += 2) {
+      const code = parts[i];
+      statuses.set(parts[i + 1], code === 'A' ? 'added' : code === 'D' ? 'deleted' : 'modified');
+    }
+
+    const counts = new Map();
+    for (const entry of numstatOut.split('\0')) {
+      const [insertions, deletions, path] = entry.split('\t');
+      if (path === undefined) continue;
+      counts.set(path, {
+        insertions: insertions === '-' ? null : Number(insertions),
+        deletions: deletions === '-' ? null : Number(deletions),
+      });
+    }
+
+    return [...statuses.entries()]
+      .map(([path, status]) => ({ path, status, ...(counts.get(path) || { insertions: null, deletions: null }) }))
+      .sort((a, b) => a.path.localeCompare(b.path));
+  });
+}
+
+/**
+ * Unified diff between two snapshots.
+ * @param {{ gitDir: string, from: string, to: string, prefix?: string, paths?: string[] }} ref
+ * @param {{ path?: string }} [options] - limit the diff to one file
+ * @returns {Promise<{ diff: string, truncated: boolean }>}
+ */
+export function unifiedDiff(ref, { path } = {}) {
+  const pathspec = pathspecs(ref, path);
+  if (!pathspec) return Promise.resolve({ diff: '', truncated: false });
+  return serialized(ref.gitDir, async () => {
+    let diff;
+    try {
+      diff = await git([...diffArgs(ref), ...pathspec], { maxBuffer: MAX_DIFF_BYTES });
+    } catch (err) {
+      if (err.code !== 'ERR_CHILD_PROCESS_STDIO_MAXBUFFER') throw err;
+      return { diff: String(err.stdout || '').slice(0, MAX_DIFF_BYTES), truncated: true };
+    }
+    return { diff, truncated: false };
+  });
+}
@@ -1,5 +1,5 @@
 /**
- * Team Watcher - Polls ~/.claude/teams/ for agent team members
+ * Team Watcher - Watches ~/.claude/teams/ for agent team members
  * Feeds discovered team agents into the activity-handler pipeline
  * @author Sam Green <samuel.green2k@gmail.com>
  */
@@ -8,13 +8,19 @@ import { readdirSync, existsSync, rmSync } from 'fs';
 import { join } from 'path';
 import { spawnAgent, completeAgent, updateAgentTask } from './activity-handler.js';
 import { TEAMS_DIR, TASKS_DIR, RUNS_DIR, safeReadJson } from './paths.js';
+import { watchDirectory } from './dir-watcher.js';
 
-const POLL_INTERVAL_MS = 2500;
+// Team configs and task files are re-read shortly after either directory
+// changes; the fallback poll catches events fs.watch misses.
+const DEBOUNCE_MS = 150;
+const FALLBACK_POLL_MS = 10000;
+// Without recursive fs.watch (Linux before Node 20) polling is the only signal
+const UNWATCHED_POLL_MS = 2500;
 
 // Tracked state: Map<teamName, Map<memberName, { agentId, lastTask }>>
 const trackedTeams = new Map();
 
-let pollTimer = null;
+let watchers = null;
 
 /**
  * Build deterministic agent ID for a team member
@@ -112,7 +118,7 @@ function resolveAgentType(member) {
 }
 
 /**
- * Single poll cycle — read all team configs and diff against tracked state
+ * Single sync pass — read all team configs and diff against tracked state
  */
 function pollTeams() {
   if (!existsSync(TEAMS_DIR)) return;
@@ -230,27 +236,34 @@ function pollTeams() {
 }
 
 /**
- * Start polling for team changes
+ * Start watching for team changes
  */
 export function startTeamWatcher() {
-  if (pollTimer) return; // Already running
+  if (watchers) return; // Already running
 
-  console.log('[team-watcher] Starting team watcher (polling every 2.5s)');
+  console.log('[team-watcher] Starting team watcher');
 
-  // Initial poll
+  // Initial pass
   pollTeams();
 
-  // Set up recurring poll
-  pollTimer = setInterval(pollTeams, POLL_INTERVAL_MS);
+  // Both directories feed one debounced pass: config.json changes add and
+  // remove members, task file changes update what each member is doing
+  watchers = [TEAMS_DIR, TASKS_DIR].map(dir => watchDirectory(dir, pollTeams, {
+    debounceMs: DEBOUNCE_MS,
+    fallbackMs: FALLBACK_POLL_MS,
+    unwatchedFallbackMs: UNWATCHED_POLL_MS,
+    recursive: true,
+    filter: filename => !filename || !filename.includes('/') || filename.endsWith('.json'),
+  }));
 }
 
 /**
- * Stop polling
+ * Stop watching
  */
 export function stopTeamWatcher() {
-  if (pollTimer) {
-    clearInterval(pollTimer);
-    pollTimer = null;
+  if (watchers) {
+    for (const watcher of watchers) watcher.close();
+    watchers = null;
     console.log('[team-watcher] Stopped team watcher');
   }
 }
@@ -0,0 +1,195 @@
+/**
+ * Git worktree isolation for mission nodes.
+ *
+ * With `config.isolation: 'worktree'` on a mission, every agent node runs in
+ * its own worktree on a branch cut from the run workdir's current HEAD, so
+ * parallel siblings cannot overwrite each other's files. When a node
+ * completes, its changes are committed on that branch and merged back into
+ * the workdir; downstream nodes branch from the merged result. A merge that
+ * conflicts is aborted and reported with the conflicting paths — the branch
+ * is kept so the work can be inspected or merged by hand.
+ */
+
+import { execFile as execFileCb } from 'child_process';
+import { promisify } from 'util';
+import { existsSync, readdirSync, rmSync } from 'fs';
+import { join, relative } from 'path';
+import { MISSIONS_DIR } from './paths.js';
+
+const execFile = promisify(execFileCb);
+
+export const WORKTREES_DIR = join(MISSIONS_DIR, 'worktrees');
+
+// Used only when the repository has no committer identity configured
+const FALLBACK_IDENTITY = ['-c', 'user.name=Mission Engine', '-c', 'user.email=missions@localhost'];
+
+async function git(cwd, args) {
+  const { stdout } = await execFile('git', args, { cwd, maxBuffer: 16 * 1024 * 1024 });
+  return stdout.trim();
+}
+
+/** Error message from a failed git call — stderr is more useful than "Command failed". */
+function gitError(err) {
+  return (err.stderr || err.message || '').trim().split('\n').pop();
+}
+
+function lines(text) {
+  return text ? text.split('\n').filter(Boolean) : [];
+}
+
+function branchSegment(value) {
+  return String(value).replace(/[^A-Za-z0-9._-]+/g, '-');
+}
+
+async function commit(cwd, message) {
+  const identity = await git(cwd, ['config', 'user.email']).catch(() => '');
+  await git(cwd, [...(identity ? [] : FALLBACK_IDENTITY), 'commit', '--no-verify', '--allow-empty', '-q', '-m', message]);
+}
+
+/**
+ * Isolation mode for a mission: 'worktree' or 'shared' (the default).
+ * @param {object} mission
+ * @returns {'worktree'|'shared'}
+ */
+export function isolationMode(mission) {
+  return mission?.config?.isolation === 'worktree' ? 'worktree' : 'shared';
+}
+
+/**
+ * Make `workdir` usable as the base for node worktrees. A directory that is
+ * not inside a git repository is initialised and its current contents
+ * committed; an existing repository must have a clean working tree, since
+ * node branches are merged into its current branch.
+ * @param {string} workdir - absolute run workdir
+ * @returns {Promise<{ root: string, prefix: string }>} repository root and the workdir's path inside it
+ * @throws {Error} when git is unavailable or the working tree has uncommitted changes
+ */
+export async function prepareRepo(workdir) {
+  try {
+    await git(workdir, ['--version']);
+  } catch {
+    throw new Error('Worktree isolation requires git on the PATH');
+  }
+
+  let root;
+  try {
+    root = await git(workdir, ['rev-parse', '--show-toplevel']);
+  } catch {
+    await git(workdir, ['init', '-q']);
+    await git(workdir, ['add', '-A']);
+    await commit(workdir, 'Initial workdir snapshot for mission run');
+    root = await git(workdir, ['rev-parse', '--show-toplevel']);
+  }
+
+  // A repository without commits has no HEAD to branch from
+  const hasHead = await git(root, ['rev-parse', '--verify', '-q', 'HEAD']).then(() => true, () => false);
+  const dirty = await git(root, ['status', '--porcelain']);
+  if (!hasHead && dirty) {
+    await git(root, ['add', '-A']);
+    await commit(root, 'Initial workdir snapshot for mission run');
+  } else if (!hasHead) {
+    await commit(root, 'Initial commit for mission run');
+  } else if (dirty) {
+    throw new Error(`Worktree isolation needs a clean working tree: commit or stash the changes in ${root}`);
+  }
+
+  return { root, prefix: relative(root, workdir) };
+}
+
+/**
+ * Create a fresh worktree for one node attempt, branched from the workdir's
+ * current HEAD. Each retry gets its own branch (`…/<node>@<attempt>`), so a
+ * branch kept after a merge conflict survives the next attempt; leftovers of
+ * the same attempt are removed first.
+ * @param {string} workdir - run workdir (inside a prepared repository)
+ * @param {string} runId
+ * @param {string} nodeId
+ * @param {number} [attempt] - the node's retry count; 0 for the first attempt
+ * @returns {Promise<{ path: string, cwd: string, prefix: string, branch: string, base: string }>}
+ *   `cwd` is the workdir's counterpart inside the worktree
+ */
+export async function createWorktree(workdir, runId, nodeId, attempt = 0) {
+  const root = await git(workdir, ['rev-parse', '--show-toplevel']);
+  const prefix = relative(root, workdir);
+  // branchSegment() never produces '@', so suffixed names cannot collide with a node id
+  const name = attempt > 0 ? `${branchSegment(nodeId)}@${attempt}` : branchSegment(nodeId);
+  const path = join(WORKTREES_DIR, runId, name);
+  const branch = `mission/${branchSegment(runId)}/${name}`;
+
+  await git(root, ['worktree', 'remove', '--force', path]).catch(() => {});
+  if (existsSync(path)) rmSync(path, { recursive: true, force: true });
+  await git(root, ['worktree', 'prune']).catch(() => {});
+  await git(root, ['branch', '-D', branch]).catch(() => {});
+
+  const base = await git(root, ['rev-parse', 'HEAD']);
+  try {
+    await git(root, ['worktree', 'add', '-q', '-b', branch, path, base]);
+  } catch (err) {
+    throw new Error(`Could not create worktree for node ${nodeId}: ${gitError(err)}`);
+  }
+  return { path, cwd: prefix ? join(path, prefix) : path, prefix, branch, base };
+}
+
+/**
+ * Commit whatever the node left in its worktree and merge the branch into
+ * the workdir's current branch. On conflict the merge is aborted, so the
+ * workdir is left as it was.
+ * @param {string} workdir - run workdir
+ * @param {{ path: string, cwd: string, branch: string, base: string }} worktree
+ * @param {string} message - commit and merge message
+ * @returns {Promise<{ merged: boolean, head: string, conflicts: string[] }>}
+ *   `head` is the node's last commit — diff it against `worktree.base` for its changes
+ * @throws {Error} when git fails for a reason other than a conflict
+ */
+export async function mergeWorktree(workdir, worktree, message) {
+  const root = await git(workdir, ['rev-parse', '--show-toplevel']);
+
+  if (existsSync(worktree.path)) {
+    await git(worktree.path, ['add', '-A']);
+    if (await git(worktree.path, ['status', '--porcelain'])) await commit(worktree.path, message);
+  }
+
+  const head = await git(root, ['rev-parse', worktree.branch]);
+
+  try {
+    const identity = await git(root, ['config', 'user.email']).catch(() => '');
+    await git(root, [...(identity ? [] : FALLBACK_IDENTITY), 'merge', '--no-ff', '--no-edit', '-q', '-m', message, worktree.branch]);
+    return { merged: true, head, conflicts: [] };
+  } catch (err) {
+    const conflicts = lines(await git(root, ['diff', '--name-only', '--diff-filter=U']).catch(() => ''));
+    if (conflicts.length === 0) throw new Error(`Could not merge ${worktree.branch}: ${gitError(err)}`);
+    await git(root, ['merge', '--abort']).catch(() => {});
+    return { merged: false, head, conflicts };
+  }
+}
+
+/**
+ * Remove a node's worktree. The branch is deleted only once it is merged,
+ * so work from a conflicting node stays reachable.
+ * @param {string} workdir
+ * @param {{ path: string, branch: string }} worktree
+ */
+export async function removeWorktree(workdir, worktree) {
+  await git(workdir, ['worktree', 'remove', '--force', worktree.path]).catch(() => {});
+  if (existsSync(worktree.path)) rmSync(worktree.path, { recursive: true, force: true });
+  await git(workdir, ['worktree', 'prune']).catch(() => {});
+  await git(workdir, ['branch', '-d', worktree.branch]).catch(() => {});
+}
+
+/**
+ * Remove every worktree left over from a run (failed or aborted nodes).
+ * Unmerged branches are kept.
+ * @param {string} workdir
+ * @param {string} runId
+ */
+export async function cleanupRunWorktrees(workdir, runId) {
+  const runDir = join(WORKTREES_DIR, runId);
+  if (!existsSync(runDir)) return;
+  for (const entry of readdirSync(runDir)) {
+    await removeWorktree(workdir, {
+      path: join(runDir, entry),
+      branch: `mission/${branchSegment(runId)}/${entry}`,
+    });
+  }
+  rmSync(runDir, { recursive: true, force: true });
+}
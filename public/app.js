@@ -2061,6 +2061,7 @@ const MISSION_STATUS_COLORS = {
   running:   { bg: 'rgba(27,107,147,0.15)', text: '#4da8da', border: 'rgba(27,107,147,0.3)' },
   failed:    { bg: 'rgba(199,70,52,0.15)', text: '#e07a5f', border: 'rgba(199,70,52,0.3)' },
   aborted:   { bg: 'rgba(156,163,175,0.15)', text: '#9ca3af', border: 'rgba(156,163,175,0.3)' },
+  paused:    { bg: 'rgba(184,134,11,0.15)', text: '#d4a017', border: 'rgba(184,134,11,0.3)' },
   pending:   { bg: 'rgba(224,122,48,0.15)', text: '#e07a30', border: 'rgba(224,122,48,0.3)' },
 };
 
@@ -2095,6 +2096,8 @@ async function renderMissionsPage() {
         const list = document.getElementById('missions-list');
         if (tab.dataset.tab === 'definitions') {
           renderMissionDefinitions(list, definitions, runs);
+        } else if (tab.dataset.tab === 'schedules') {
+          renderMissionSchedules(list, definitions);
         } else {
           renderMissionRuns(list, runs, definitions);
         }
@@ -2129,15 +2132,19 @@ function renderMissionDefinitions(container, definitions, runs) {
     const created = m.createdAt ? new Date(m.createdAt).toLocaleDateString() : '—';
     const updated = m.updatedAt ? new Date(m.updatedAt).toLocaleDateString() : '—';
     const agentTypes = [...new Set((m.nodes || []).map(n => n.agentType))].join(', ') || 'none';
+    const inputCount = (m.inputs || []).length;
 
     return `
       <div class="mission-card" data-id="${m.id}">
         <div class="mission-card-header">
           <div class="mission-card-title">
             <h3>${escapeHtml(m.name || 'Untitled Mission')}</h3>
-            <span class="mission-card-meta">${nodeCount} node${nodeCount !== 1 ? 's' : ''} · ${edgeCount} edge${edgeCount !== 1 ? 's' : ''} · ${rc} run${rc !== 1 ? 's' : ''}</span>
+            <span class="mission-card-meta">${nodeCount} node${nodeCount !== 1 ? 's' : ''} · ${edgeCount} edge${edgeCount !== 1 ? 's' : ''} · ${rc} run${rc !== 1 ? 's' : ''}${inputCount ? ` · ${inputCount} input${inputCount !== 1 ? 's' : ''}` : ''}</span>
           </div>
           <div class="mission-card-actions">
+            <button class="btn btn-sm mission-btn-run" title="Launch mission" data-id="${m.id}">
+              <svg viewBox="0 0 24 24" width="14" height="14" fill="none" stroke="currentColor" stroke-width="2"><polygon points="5 3 19 12 5 21 5 3"/></svg>
+            </button>
             <button class="btn btn-sm mission-btn-edit" title="Edit in Builder" data-id="${m.id}">
               <svg viewBox="0 0 24 24" width="14" height="14" fill="none" stroke="currentColor" stroke-width="2"><path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"/><path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"/></svg>
             </button>
@@ -2154,6 +2161,23 @@ function renderMissionDefinitions(container, definitions, runs) {
       </div>`;
   }).join('');
 
+  // Wire up launch buttons — missions with inputs get a generated form first
+  container.querySelectorAll('.mission-btn-run').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      const mission = definitions.find(m => m.id === btn.dataset.id);
+      if (!mission) return;
+      btn.disabled = true;
+      try {
+        const run = await window.MissionLaunchForm.launch(mission);
+        if (run) window.location.hash = `#/holonet?run=${run.id}`;
+      } catch (err) {
+        showAlertModal('Failed to launch mission: ' + err.message);
+      } finally {
+        btn.disabled = false;
+      }
+    });
+  });
+
   // Wire up edit buttons
   container.querySelectorAll('.mission-btn-edit').forEach(btn => {
     btn.addEventListener('click', () => {
@@ -2228,6 +2252,9 @@ function renderMissionRuns(container, runs, definitions) {
             <span class="mission-status-pill" style="background:${colors.bg};color:${colors.text};border:1px solid ${colors.border}">${status}</span>
           </div>
           <div class="mission-card-actions">
+            <button class="btn btn-sm mission-btn-compare" title="Compare with another run of this mission" data-id="${r.id}" data-mission="${escapeHtml(r.missionId || '')}">
+              <svg viewBox="0 0 24 24" width="14" height="14" fill="none" stroke="currentColor" stroke-width="2"><rect x="3" y="4" width="7" height="16" rx="1"/><rect x="14" y="4" width="7" height="16" rx="1"/></svg>
+            </button>
             <button class="btn btn-sm mission-btn-view" title="View in Holonet" data-id="${r.id}">
               <svg viewBox="0 0 24 24" width="14" height="14" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"/><line x1="2" y1="12" x2="22" y2="12"/><path d="M12 2a15.3 15.3 0 0 1 4 10 15.3 15.3 0 0 1-4 10 15.3 15.3 0 0 1-4-10 15.3 15.3 0 0 1 4-10z"/></svg>
             </button>
@@ -2237,7 +2264,7 @@ function renderMissionRuns(container, runs, definitions) {
           </div>
         </div>
         <div class="mission-run-meta">
-          <span>Mission: ${escapeHtml(missionName)}</span>
+          <span>Mission: ${escapeHtml(missionName)}${r.missionRevision ? ` · r${r.missionRevision}` : ''}</span>
           <span>${started}</span>
           <span>${duration}</span>
         </div>
@@ -2249,6 +2276,32 @@ function renderMissionRuns(container, runs, definitions) {
       </div>`;
   }).join('');
 
+  // Compare: the first click picks the baseline, the second opens the comparison
+  let compareBase = null;
+  container.querySelectorAll('.mission-btn-compare').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const card = btn.closest('.mission-run-card');
+      if (!compareBase) {
+        compareBase = { id: btn.dataset.id, missionId: btn.dataset.mission, card, btn };
+        card.classList.add('compare-selected');
+        btn.classList.add('active');
+        btn.title = 'Baseline selected — pick another run of this mission, or click again to cancel';
+        return;
+      }
+      const base = compareBase;
+      compareBase = null;
+      base.card.classList.remove('compare-selected');
+      base.btn.classList.remove('active');
+      base.btn.title = 'Compare with another run of this mission';
+      if (base.id === btn.dataset.id) return;
+      if (base.missionId !== btn.dataset.mission) {
+        showAlertModal('Only runs of the same mission can be compared.');
+        return;
+      }
+      window.RunCompare.open(base.id, btn.dataset.id);
+    });
+  });
+
   // Wire up view buttons
   container.querySelectorAll('.mission-btn-view').forEach(btn => {
     btn.addEventListener('click', () => {
@@ -2282,6 +2335,175 @@ function renderMissionRuns(container, runs, definitions) {
   });
 }
 
+const SCHEDULE_OUTCOME_COLORS = {
+  started: MISSION_STATUS_COLORS.completed,
+  skipped: MISSION_STATUS_COLORS.pending,
+  missed:  MISSION_STATUS_COLORS.aborted,
+  failed:  MISSION_STATUS_COLORS.failed,
+};
+
+async function renderMissionSchedules(container, definitions) {
+  showLoading(container);
+  let schedules;
+  try {
+    const resp = await api('/missions/schedules');
+    schedules = resp.data || [];
+  } catch (err) {
+    container.innerHTML = `<div class="form-error">Failed to load schedules: ${escapeHtml(err.message)}</div>`;
+    return;
+  }
+
+  const missionNames = {};
+  for (const m of definitions) missionNames[m.id] = m.name || 'Untitled';
+  const rerender = () => renderMissionSchedules(container, definitions);
+
+  const missionOptions = definitions
+    .map(m => `<option value="${escapeHtml(m.id)}">${escapeHtml(m.name || 'Untitled Mission')}</option>`)
+    .join('');
+
+  const form = `
+    <form class="mission-card schedule-form" id="schedule-form" novalidate>
+      <div class="form-row">
+        <div class="form-group form-group-half">
+          <label class="form-label">Mission <span class="form-required">*</span></label>
+          <select class="form-input" name="missionId" required>${missionOptions}</select>
+        </div>
+        <div class="form-group form-group-half">
+          <label class="form-label">Name</label>
+          <input class="form-input" name="name" placeholder="Nightly dependency audit">
+        </div>
+      </div>
+      <div class="form-row">
+        <div class="form-group form-group-half">
+          <label class="form-label">Cron <span class="form-required">*</span></label>
+          <input class="form-input form-input-mono" name="cron" placeholder="0 3 * * *  (min hour day month weekday)" required>
+        </div>
+        <div class="form-group form-group-half">
+          <label class="form-label">If previous run still active</label>
+          <select class="form-input" name="overlap">
+            <option value="skip">Skip this run</option>
+            <option value="allow">Start anyway</option>
+          </select>
+        </div>
+      </div>
+      <div class="form-group">
+        <label class="form-label">Context overrides (JSON)</label>
+        <textarea class="form-input form-input-mono" name="context" rows="3" placeholder='{"branch": "main"}'></textarea>
+      </div>
+      <div class="form-error" id="schedule-form-error" style="display:none"></div>
+      <div class="form-actions">
+        <button type="submit" class="btn btn-primary btn-sm">Add Schedule</button>
+      </div>
+    </form>`;
+
+  const cards = schedules.map(s => {
+    const history = (s.history || []).slice(0, 10).map(h => {
+      const colors = SCHEDULE_OUTCOME_COLORS[h.outcome] || MISSION_STATUS_COLORS.pending;
+      const detail = h.runId
+        ? `<a href="#/holonet?run=${encodeURIComponent(h.runId)}">${escapeHtml(h.runId.slice(0, 16))}</a>`
+        : escapeHtml(h.reason || '');
+      return `<div class="schedule-history-row">
+        <span class="mission-status-pill" style="background:${colors.bg};color:${colors.text};border:1px solid ${colors.border}">${escapeHtml(h.outcome)}</span>
+        <span>${new Date(h.at).toLocaleString()}${h.manual ? ' · manual' : ''}</span>
+        <span class="schedule-history-detail">${detail}</span>
+      </div>`;
+    }).join('');
+    const colors = s.enabled ? MISSION_STATUS_COLORS.running : MISSION_STATUS_COLORS.aborted;
+
+    return `
+      <div class="mission-run-card" data-id="${escapeHtml(s.id)}">
+        <div class="mission-run-header">
+          <div class="mission-run-title">
+            <h3>${escapeHtml(s.name || missionNames[s.missionId] || s.missionId)}</h3>
+            <span class="mission-status-pill" style="background:${colors.bg};color:${colors.text};border:1px solid ${colors.border}">${s.enabled ? 'enabled' : 'disabled'}</span>
+          </div>
+          <div class="mission-card-actions">
+            <button class="btn btn-sm schedule-btn-toggle" data-id="${escapeHtml(s.id)}" data-enabled="${s.enabled ? '1' : ''}">${s.enabled ? 'Disable' : 'Enable'}</button>
+            <button class="btn btn-sm schedule-btn-run" title="Start a run now" data-id="${escapeHtml(s.id)}">Run now</button>
+            <button class="btn btn-sm btn-danger schedule-btn-delete" title="Delete schedule" data-id="${escapeHtml(s.id)}">
+              <svg viewBox="0 0 24 24" width="14" height="14" fill="none" stroke="currentColor" stroke-width="2"><polyline points="3 6 5 6 21 6"/><path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"/></svg>
+            </button>
+          </div>
+        </div>
+        <div class="mission-run-meta">
+          <span>Mission: ${escapeHtml(missionNames[s.missionId] || s.missionId)}</span>
+          <span class="schedule-cron">${escapeHtml(s.cron)}</span>
+          <span>Next: ${s.nextRunAt ? new Date(s.nextRunAt).toLocaleString() : '—'}</span>
+          <span>Overlap: ${escapeHtml(s.overlap || 'skip')}</span>
+        </div>
+        ${history ? `<details class="schedule-history"><summary>History (${(s.history || []).length})</summary>${history}</details>` : ''}
+      </div>`;
+  }).join('');
+
+  container.innerHTML = (definitions.length ? form : '') + (cards || `
+    <div class="empty-state empty-state-centered">
+      <div class="empty-state-icon">⏰</div>
+      <h3>No schedules yet</h3>
+      <p>${definitions.length ? 'Add one above to run a mission on a cron schedule' : 'Create a mission in the <a href="#/mission-builder">Builder</a> first'}</p>
+    </div>`);
+
+  const formEl = container.querySelector('#schedule-form');
+  if (formEl) {
+    formEl.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const errorEl = formEl.querySelector('#schedule-form-error');
+      errorEl.style.display = 'none';
+      const data = Object.fromEntries(new FormData(formEl).entries());
+      try {
+        data.context = data.context.trim() ? JSON.parse(data.context) : {};
+      } catch {
+        errorEl.textContent = 'Context overrides must be valid JSON';
+        errorEl.style.display = '';
+        return;
+      }
+      try {
+        await api('/missions/schedules', { method: 'POST', body: data });
+        rerender();
+      } catch (err) {
+        errorEl.textContent = err.message;
+        errorEl.style.display = '';
+      }
+    });
+  }
+
+  container.querySelectorAll('.schedule-btn-toggle').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      try {
+        await api(`/missions/schedules/${btn.dataset.id}`, { method: 'PUT', body: { enabled: !btn.dataset.enabled } });
+        rerender();
+      } catch (err) {
+        showAlertModal('Failed to update schedule: ' + err.message);
+      }
+    });
+  });
+
+  container.querySelectorAll('.schedule-btn-run').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      btn.disabled = true;
+      try {
+        await api(`/missions/schedules/${btn.dataset.id}/run`, { method: 'POST' });
+        rerender();
+      } catch (err) {
+        btn.disabled = false;
+        showAlertModal('Failed to run schedule: ' + err.message);
+      }
+    });
+  });
+
+  container.querySelectorAll('.schedule-btn-delete').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      const ok = await showConfirmModal('Delete this schedule? Past runs are kept.', { title: 'Delete Schedule' });
+      if (!ok) return;
+      try {
+        await api(`/missions/schedules/${btn.dataset.id}`, { method: 'DELETE' });
+        rerender();
+      } catch (err) {
+        showAlertModal('Failed to delete schedule: ' + err.message);
+      }
+    });
+  });
+}
+
 function formatDuration(ms) {
   const secs = Math.floor(ms / 1000);
   if (secs < 60) return `${secs}s`;
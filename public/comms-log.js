@@ -19,6 +19,7 @@ class CommsLog {
       nodeFilter: 'all',
       searchText: '',
       autoScroll: true,
+      pendingApprovals: new Set(),
     };
 
     this._buildLayout();
@@ -63,6 +64,7 @@ class CommsLog {
               <button class="cl-type-btn" data-type="COMPLETE">COMPLETE</button>
               <button class="cl-type-btn" data-type="FAIL">FAIL</button>
               <button class="cl-type-btn" data-type="OUTPUT">OUTPUT</button>
+              <button class="cl-type-btn" data-type="APPROVAL">APPROVAL</button>
             </div>
 
             <label class="cl-label">NODE:</label>
@@ -72,6 +74,7 @@ class CommsLog {
 
             <input id="cl-search" class="cl-search" type="text" placeholder="SEARCH TRANSMISSION..." />
             <button id="cl-clear-btn" class="cl-clear-btn">CLEAR</button>
+            <button id="cl-transcript-btn" class="cl-clear-btn" title="Select a run and a node to view its transcript" disabled>TRANSCRIPT</button>
           </div>
         </div>
 
@@ -87,6 +90,15 @@ class CommsLog {
           </div>
         </div>
 
+        <!-- Transcript Viewer -->
+        <div class="cl-transcript" id="cl-transcript" style="display:none">
+          <div class="cl-transcript-header">
+            <span id="cl-transcript-title">TRANSCRIPT</span>
+            <button class="cl-clear-btn" id="cl-transcript-close">CLOSE</button>
+          </div>
+          <div class="cl-transcript-body" id="cl-transcript-body"></div>
+        </div>
+
         <!-- Jump to Latest -->
         <button class="cl-jump-btn" id="cl-jump-btn" style="display:none">
           ↓ JUMP TO LATEST
@@ -99,6 +111,7 @@ class CommsLog {
           <span id="cl-entry-count">0 TRANSMISSIONS</span>
           <span class="cl-status-sep">·</span>
           <span id="cl-ws-status" class="cl-ws-disconnected">WS: OFFLINE</span>
+          <span id="cl-approval-status" class="cl-approval-status" style="display:none"></span>
         </div>
       </div>
     `;
@@ -109,10 +122,15 @@ class CommsLog {
     this._nodeSelect = document.getElementById('cl-node-select');
     this._searchInput = document.getElementById('cl-search');
     this._clearBtn = document.getElementById('cl-clear-btn');
+    this._transcriptBtn = document.getElementById('cl-transcript-btn');
+    this._transcriptEl = document.getElementById('cl-transcript');
+    this._transcriptTitle = document.getElementById('cl-transcript-title');
+    this._transcriptBody = document.getElementById('cl-transcript-body');
     this._jumpBtn = document.getElementById('cl-jump-btn');
     this._wsStatusEl = document.getElementById('cl-ws-status');
     this._statusText = document.getElementById('cl-status-text');
     this._entryCount = document.getElementById('cl-entry-count');
+    this._approvalStatus = document.getElementById('cl-approval-status');
   }
 
   _applyStyles() {
@@ -312,6 +330,12 @@ class CommsLog {
       .cl-RETRY .cl-msg { color: #ffaa44; }
       .cl-INFO .cl-msg { color: #888888; }
       .cl-OUTPUT .cl-msg { color: #44aacc; }
+      .cl-APPROVAL {
+        background: rgba(255,217,90,0.08);
+        border-left: 3px solid #ffd95a;
+        padding-left: 4px;
+      }
+      .cl-APPROVAL .cl-msg { color: #ffd95a; text-shadow: 0 0 6px rgba(255,217,90,0.6); font-weight: 700; }
 
       /* ── Jump to Latest ── */
       .cl-jump-btn {
@@ -353,6 +377,62 @@ class CommsLog {
       .cl-ws-connected { color: #33ff33; }
       .cl-ws-disconnected { color: #DC2626; }
       .cl-ws-connecting { color: #E07A30; }
+      .cl-approval-status {
+        margin-left: auto;
+        color: #0a0a0a;
+        background: #ffd95a;
+        padding: 0 6px;
+        font-weight: 700;
+        animation: cl-blink-anim 1.2s step-end infinite;
+      }
+
+      /* ── Transcript Viewer ── */
+      .cl-clear-btn:disabled { opacity: 0.4; cursor: default; }
+      .cl-transcript {
+        position: absolute;
+        inset: 0;
+        z-index: 60;
+        display: flex;
+        flex-direction: column;
+        background: rgba(5,10,5,0.97);
+      }
+      .cl-transcript-header {
+        display: flex;
+        align-items: center;
+        justify-content: space-between;
+        padding: 10px 16px;
+        border-bottom: 1px solid #1a3a1a;
+        letter-spacing: 2px;
+        text-shadow: 0 0 6px rgba(51,255,51,0.6);
+        flex-shrink: 0;
+      }
+      .cl-transcript-body {
+        flex: 1;
+        overflow-y: auto;
+        padding: 8px 16px;
+        font-size: 12px;
+      }
+      .cl-tx-entry {
+        padding: 6px 0;
+        border-bottom: 1px dashed #143014;
+      }
+      .cl-tx-head { display: flex; gap: 8px; font-size: 10px; letter-spacing: 1px; color: #1a8a1a; }
+      .cl-tx-kind { color: #33ff33; }
+      .cl-tx-text { white-space: pre-wrap; word-break: break-word; margin-top: 3px; }
+      .cl-tx-tool { color: #E07A30; }
+      .cl-tx-error { color: #DC2626; }
+      .cl-tx-entry details { margin-top: 3px; }
+      .cl-tx-entry summary { cursor: pointer; color: #1a8a1a; font-size: 11px; }
+      .cl-tx-entry pre {
+        margin: 4px 0 0;
+        padding: 6px;
+        background: #0d1a0d;
+        border: 1px solid #1a3a1a;
+        white-space: pre-wrap;
+        word-break: break-word;
+        max-height: 300px;
+        overflow-y: auto;
+      }
     `;
     document.head.appendChild(style);
   }
@@ -365,6 +445,7 @@ class CommsLog {
     // Run selector
     this._runSelect.addEventListener('change', (e) => {
       this.state.currentRunId = e.target.value || null;
+      this._updateTranscriptBtn();
       if (this.state.currentRunId) {
         this._loadRun(this.state.currentRunId);
       }
@@ -384,6 +465,13 @@ class CommsLog {
     this._nodeSelect.addEventListener('change', (e) => {
       this.state.nodeFilter = e.target.value;
       this._applyFilters();
+      this._updateTranscriptBtn();
+    });
+
+    // Transcript viewer
+    this._transcriptBtn.addEventListener('click', () => this._openTranscript());
+    document.getElementById('cl-transcript-close').addEventListener('click', () => {
+      this._transcriptEl.style.display = 'none';
     });
 
     // Search
@@ -471,6 +559,24 @@ class CommsLog {
       case 'node_failed':
         this._addEntry('FAIL', nodeLabel, `Unit ${nodeLabel} encountered critical failure: ${error || 'unknown'}`);
         break;
+      case 'node_retrying': {
+        const when = data.nextAttemptAt ? `at ${new Date(data.nextAttemptAt).toLocaleTimeString()}` : 'now';
+        this._addEntry('RETRY', nodeLabel, `Unit ${nodeLabel} retry #${data.retryCount || 1} (${data.reason || 'error'}) - next attempt ${when}`);
+        break;
+      }
+      case 'approval_requested': {
+        const label = data.label || nodeLabel || data.nodeId;
+        this._setApprovalPending(`${data.runId}/${data.nodeId}`, true);
+        this._addEntry('APPROVAL', label, `>>> AUTHORIZATION REQUIRED - ${label} awaits human approval <<<`);
+        break;
+      }
+      case 'approval_decided': {
+        const label = nodeLabel || data.nodeId;
+        this._setApprovalPending(`${data.runId}/${data.nodeId}`, false);
+        const verdict = data.decision === 'approved' ? 'AUTHORIZED' : 'DENIED';
+        this._addEntry(data.decision === 'approved' ? 'COMPLETE' : 'FAIL', label, `${label} ${verdict}${data.comment ? `: ${data.comment}` : ''}`);
+        break;
+      }
       case 'message_logged':
         this._addEntry(data.level === 'output' ? 'OUTPUT' : 'INFO', nodeLabel || 'SYSTEM', message || '');
         break;
@@ -488,6 +594,15 @@ class CommsLog {
     }
   }
 
+  /** Track approvals awaiting a decision and show the count in the status bar. */
+  _setApprovalPending(key, pending) {
+    if (pending) this.state.pendingApprovals.add(key);
+    else this.state.pendingApprovals.delete(key);
+    const count = this.state.pendingApprovals.size;
+    this._approvalStatus.style.display = count ? '' : 'none';
+    this._approvalStatus.textContent = `⚠ ${count} APPROVAL${count === 1 ? '' : 'S'} PENDING`;
+  }
+
   _setWsStatus(status) {
     this._wsStatusEl.className = `cl-ws-${status}`;
     const labels = { connected: 'WS: ONLINE', disconnected: 'WS: OFFLINE', connecting: 'WS: LINKING...' };
@@ -589,8 +704,22 @@ class CommsLog {
         if (state.status === 'failed' && state.completedAt) {
           entries.push({ type: 'FAIL', nodeLabel: label, message: state.error || 'Failed', timestamp: state.completedAt });
         }
+        if (state.status === 'skipped' && state.completedAt) {
+          entries.push({ type: 'INFO', nodeLabel: label, message: 'Skipped — branch not taken', timestamp: state.completedAt });
+        }
+        if (state.status === 'awaiting_approval') {
+          this._setApprovalPending(`${runId}/${nodeId}`, true);
+          entries.push({ type: 'APPROVAL', nodeLabel: label, message: `>>> AUTHORIZATION REQUIRED - ${label} awaits human approval <<<`, timestamp: state.startedAt });
+        }
+        if (state.approval?.decision) {
+          const verdict = state.approval.decision === 'approved' ? 'AUTHORIZED' : 'DENIED';
+          entries.push({ type: 'INFO', nodeLabel: label, message: `${label} ${verdict}${state.approval.comment ? `: ${state.approval.comment}` : ''}`, timestamp: state.approval.decidedAt });
+        }
         if (state.status === 'retrying') {
-          entries.push({ type: 'RETRY', nodeLabel: label, message: `Retry #${state.retryCount || 1}`, timestamp: state.startedAt });
+          let retryMsg = `Retry #${state.retryCount || 1}`;
+          if (state.lastFailureReason) retryMsg += ` after ${state.lastFailureReason}`;
+          if (state.nextAttemptAt) retryMsg += ` — next attempt at ${new Date(state.nextAttemptAt).toLocaleTimeString()}`;
+          entries.push({ type: 'RETRY', nodeLabel: label, message: retryMsg, timestamp: state.startedAt });
         }
         if (state.output && state.status === 'completed') {
           entries.push({ type: 'OUTPUT', nodeLabel: label, message: String(state.output), timestamp: state.completedAt });
@@ -619,12 +748,112 @@ class CommsLog {
 
   _populateNodeFilter(nodes) {
     this._nodeSelect.innerHTML = '<option value="all">ALL NODES</option>';
+    this.state.nodeFilter = 'all';
+    this._nodeIdsByLabel = {};
     nodes.forEach((node) => {
+      this._nodeIdsByLabel[node.label || node.id] = node.id;
       const opt = document.createElement('option');
       opt.value = node.label || node.id;
       opt.textContent = node.label || node.id;
       this._nodeSelect.appendChild(opt);
     });
+    this._updateTranscriptBtn();
+  }
+
+  // ─────────────────────────────────────────────────────────────
+  // Transcript Viewer
+  // ─────────────────────────────────────────────────────────────
+
+  _updateTranscriptBtn() {
+    const nodeId = this._nodeIdsByLabel?.[this.state.nodeFilter];
+    this._transcriptBtn.disabled = !(this.state.currentRunId && nodeId);
+  }
+
+  async _openTranscript() {
+    const runId = this.state.currentRunId;
+    const nodeId = this._nodeIdsByLabel?.[this.state.nodeFilter];
+    if (!runId || !nodeId) return;
+
+    this._transcriptTitle.textContent = `TRANSCRIPT · ${this.state.nodeFilter}`;
+    this._transcriptBody.innerHTML = '<div class="cl-tx-entry">Decrypting transmission...</div>';
+    this._transcriptEl.style.display = 'flex';
+
+    try {
+      const res = await fetch(`/api/missions/runs/${encodeURIComponent(runId)}/nodes/${encodeURIComponent(nodeId)}/transcript`);
+      if (res.status === 404) {
+        this._transcriptBody.innerHTML = '<div class="cl-tx-entry">No transcript recorded for this node.</div>';
+        return;
+      }
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      const json = await res.json();
+      const entries = json.data?.entries || [];
+      this._transcriptBody.innerHTML = entries.length
+        ? entries.map((e) => this._renderTranscriptEntry(e)).join('')
+        : '<div class="cl-tx-entry">Transcript is empty.</div>';
+    } catch (e) {
+      this._transcriptBody.innerHTML = `<div class="cl-tx-entry cl-tx-error">Failed to load transcript: ${this._esc(e.message)}</div>`;
+    }
+  }
+
+  /**
+   * Render one transcript line. Lines are raw stream-json events from the
+   * agent CLI plus the provider's own spawn / stderr / exit markers.
+   */
+  _renderTranscriptEntry(entry) {
+    const time = entry.ts ? this._formatTime(new Date(entry.ts)) : '--:--:--';
+    const block = (kind, body, cls = '') => `
+      <div class="cl-tx-entry">
+        <div class="cl-tx-head"><span>[${this._esc(time)}]</span><span class="cl-tx-kind ${cls}">${this._esc(kind)}</span></div>
+        ${body}
+      </div>`;
+    const text = (str, cls = '') => `<div class="cl-tx-text ${cls}">${this._esc(str)}</div>`;
+    const details = (summary, value) => `<details><summary>${this._esc(summary)}</summary><pre>${this._esc(
+      typeof value === 'string' ? value : JSON.stringify(value, null, 2)
+    )}</pre></details>`;
+    const contentText = (content) => (Array.isArray(content)
+      ? content.map((c) => (c.type === 'text' ? c.text : JSON.stringify(c))).join('\n')
+      : String(content ?? ''));
+
+    switch (entry.type) {
+      case 'spawn':
+        return block(`SPAWN ${entry.agentType || ''} ${entry.model || ''}`.trim(), details('Prompt', entry.prompt || ''));
+      case 'system':
+        return block(`SYSTEM ${entry.subtype || ''}`.trim(), text([
+          entry.session_id && `session ${entry.session_id}`,
+          entry.model && `model ${entry.model}`,
+        ].filter(Boolean).join(' · ')));
+      case 'assistant':
+        return (entry.message?.content || []).map((c) => {
+          if (c.type === 'text') return block('ASSISTANT', text(c.text));
+          if (c.type === 'tool_use') return block(`⚙ ${c.name}`, details('Input', c.input), 'cl-tx-tool');
+          if (c.type === 'thinking') return block('THINKING', details('Thinking', c.thinking || ''));
+          return '';
+        }).join('');
+      case 'user': {
+        const content = entry.message?.content;
+        if (!Array.isArray(content)) return block('USER', text(contentText(content)));
+        return content.map((c) => {
+          if (c.type !== 'tool_result') return block('USER', text(contentText([c])));
+          const result = contentText(c.content);
+          const cls = c.is_error ? 'cl-tx-error' : '';
+          const preview = result.length > 200 ? `${result.slice(0, 200)}…` : result;
+          return block(c.is_error ? 'TOOL ERROR' : 'TOOL RESULT',
+            result.length > 200 ? `${text(preview, cls)}${details('Full result', result)}` : text(result, cls), cls);
+        }).join('');
+      }
+      case 'result': {
+        const parts = [entry.subtype, entry.num_turns != null && `${entry.num_turns} turns`,
+          entry.total_cost_usd != null && `$${Number(entry.total_cost_usd).toFixed(4)}`].filter(Boolean);
+        return block('RESULT', text(parts.join(' · '), entry.is_error ? 'cl-tx-error' : ''));
+      }
+      case 'stderr':
+        return block('STDERR', text(entry.text || '', 'cl-tx-error'), 'cl-tx-error');
+      case 'exit':
+        return block('EXIT', text(`code ${entry.code ?? '—'}${entry.signal ? ` · signal ${entry.signal}` : ''}`),
+          entry.code ? 'cl-tx-error' : '');
+      default:
+        return block((entry.type || 'EVENT').toUpperCase(), details('Event', entry));
+    }
   }
 
   // ─────────────────────────────────────────────────────────────
@@ -674,6 +903,7 @@ class CommsLog {
       RETRY: '#E07A30',
       INFO: '#666666',
       OUTPUT: '#1B6B93',
+      APPROVAL: '#ffd95a',
     };
 
     const badgeColor = badgeColors[type] || '#666666';
@@ -799,7 +1029,7 @@ class CommsLog {
 
   /**
    * Programmatically add a log entry
-   * @param {string} type - DISPATCH | COMPLETE | FAIL | RETRY | INFO | OUTPUT
+   * @param {string} type - DISPATCH | COMPLETE | FAIL | RETRY | INFO | OUTPUT | APPROVAL
    * @param {string} nodeLabel - Node/droid label
    * @param {string} message - Message content
    */
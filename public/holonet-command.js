@@ -16,13 +16,18 @@
   const RECONNECT_DELAY = 3000;
   const TARGET_FPS = 30;
 
+  const MAP_ROW_H = 16; // height of one expanded map item row, before scaling
+
   const STATUS_COLORS = {
     pending:   { fill: '#2a2a2a', border: '#555555', text: '#888888' },
+    queued:    { fill: '#2a2a1a', border: '#8a7a3a', text: '#c8b560' },
     scheduled: { fill: '#1B6B93', border: '#4fa4ff', text: '#a8d4ff' },
     running:   { fill: '#1a3a5c', border: '#4fa4ff', text: '#4fa4ff' },
     completed: { fill: '#1a3a2a', border: '#40916C', text: '#52c67e' },
     failed:    { fill: '#3a1a1a', border: '#DC2626', text: '#ff6b6b' },
     retrying:  { fill: '#3a2a1a', border: '#E07A30', text: '#f4a261' },
+    skipped:   { fill: '#1c1c1c', border: '#3a3a3a', text: '#5c5c5c' },
+    awaiting_approval: { fill: '#3a331a', border: '#F4C430', text: '#ffd95a' },
   };
 
   const BADGE_COLORS = {
@@ -32,6 +37,8 @@
     RETRY:    '#E07A30',
     INFO:     '#666666',
     OUTPUT:   '#1B6B93',
+    APPROVAL: '#F4C430',
+    CONFLICT: '#D97706',
   };
 
   const BADGE_STATUS = {
@@ -40,8 +47,11 @@
     COMPLETED: '#2D6A4F',
     FAILED:    '#DC2626',
     ABORTED:   '#E07A30',
+    PAUSED:    '#B8860B',
   };
 
+  const FINISHED_BADGES = ['COMPLETED', 'FAILED', 'ABORTED'];
+
   const FALLBACK_COLORS = [
     '#C74634', '#4fa4ff', '#40916C', '#E07A30', '#9B59B6',
     '#1B6B93', '#D35400', '#27AE60', '#8E44AD', '#2980B9',
@@ -123,6 +133,15 @@
     .hc-btn-danger { background: #3a1a1a; border-color: #DC2626; color: #ff6b6b; }
     .hc-btn-danger:hover { background: #4a2a2a; border-color: #ff4444; }
     .hc-btn:disabled { opacity: 0.4; cursor: not-allowed; }
+    .hc-pause-wrap { display: flex; align-items: center; gap: 6px; }
+    .hc-freeze-label { font-size: 11px; color: #777; display: flex; align-items: center; gap: 3px; cursor: pointer; }
+    .hc-usage {
+      font-size: 11px;
+      color: #888;
+      font-family: 'SF Mono', Consolas, monospace;
+      white-space: nowrap;
+    }
+    .hc-usage.over { color: #ff6b6b; }
     .hc-status-badge {
       padding: 4px 12px;
       border-radius: 12px;
@@ -258,6 +277,8 @@
     .hc-comm-FAIL     { border-left-color: #DC262644; }
     .hc-comm-RETRY    { border-left-color: #E07A3044; }
     .hc-comm-OUTPUT   { border-left-color: #1B6B9344; }
+    .hc-comm-APPROVAL { border-left-color: #F4C430; background: rgba(244, 196, 48, 0.08); }
+    .hc-comm-CONFLICT { border-left-color: #D97706; }
 
     /* ── Failure Banner ── */
     .hc-failure-banner {
@@ -296,6 +317,55 @@
     }
     .hc-failure-banner .hc-btn { flex-shrink: 0; }
 
+    /* ── Sub-mission Parent Link ── */
+    .hc-parent-bar {
+      position: absolute;
+      bottom: 8px;
+      left: 12px;
+      z-index: 90;
+      background: rgba(79, 164, 255, 0.12);
+      border: 1px solid rgba(79, 164, 255, 0.4);
+      border-radius: 8px;
+      padding: 6px 10px;
+      display: flex;
+      align-items: center;
+      gap: 10px;
+      font-size: 12px;
+      color: #9ccaff;
+    }
+
+    /* ── Approval Banner ── */
+    .hc-approval-banner {
+      position: absolute;
+      top: 8px;
+      left: 12px;
+      right: 12px;
+      z-index: 91;
+      background: rgba(244, 196, 48, 0.12);
+      border: 1px solid rgba(244, 196, 48, 0.5);
+      border-radius: 8px;
+      padding: 10px 14px;
+      display: flex;
+      align-items: center;
+      gap: 10px;
+      animation: hc-banner-in 0.3s ease-out;
+    }
+    .hc-approval-banner-title { flex: 1; font-size: 13px; font-weight: 700; color: #ffd95a; }
+    .hc-approval-upstream { margin-bottom: 8px; }
+    .hc-approval-upstream-label { font-size: 11px; color: #aaa; margin-bottom: 3px; }
+    .hc-approval-comment {
+      width: 100%;
+      box-sizing: border-box;
+      background: #111;
+      color: #e0e0e0;
+      border: 1px solid #3a3a3a;
+      border-radius: 6px;
+      padding: 8px;
+      font: inherit;
+      font-size: 12px;
+      resize: vertical;
+    }
+
     /* ── Success Banner ── */
     .hc-success-banner {
       position: absolute;
@@ -426,6 +496,52 @@
       white-space: pre-wrap;
       word-break: break-all;
     }
+    .hc-change-row {
+      display: flex;
+      align-items: baseline;
+      gap: 8px;
+      padding: 2px 0;
+      cursor: pointer;
+      color: #A0A0A0;
+    }
+    .hc-change-row:hover { color: #F0F0F0; }
+    .hc-change-status { width: 12px; font-weight: 700; flex-shrink: 0; }
+    .hc-change-status.added { color: #40916C; }
+    .hc-change-status.modified { color: #E0A030; }
+    .hc-change-status.deleted { color: #DC2626; }
+    .hc-change-path { flex: 1; word-break: break-all; }
+    .hc-change-counts { font-size: 11px; white-space: nowrap; }
+    .hc-change-counts .ins { color: #40916C; }
+    .hc-change-counts .del { color: #DC2626; }
+    .hc-overlay-panel.hc-diff-panel { max-width: 900px; width: 94%; }
+    .hc-diff-body {
+      background: #0f0f0f;
+      border: 1px solid #2a2a2a;
+      border-radius: 6px;
+      padding: 8px 0;
+      max-height: 60vh;
+      overflow: auto;
+      font-family: 'SF Mono', Consolas, monospace;
+      font-size: 12px;
+      line-height: 1.45;
+    }
+    .hc-diff-line { padding: 0 12px; white-space: pre; color: #C0C0C0; }
+    .hc-diff-line.add { background: rgba(64, 145, 108, 0.15); color: #95D5B2; }
+    .hc-diff-line.del { background: rgba(220, 38, 38, 0.12); color: #ff8a8a; }
+    .hc-diff-line.hunk { color: #4fa4ff; }
+    .hc-diff-line.meta { color: #888; font-weight: 600; }
+    .hc-success-changes { margin-top: 8px; font-size: 12px; }
+    .hc-map-item {
+      display: flex;
+      align-items: center;
+      gap: 8px;
+      padding: 3px 0;
+      cursor: pointer;
+      color: #A0A0A0;
+    }
+    .hc-map-item:hover { color: #F0F0F0; }
+    .hc-map-dot { width: 8px; height: 8px; border-radius: 50%; flex-shrink: 0; }
+    .hc-map-item-status { margin-left: auto; font-size: 10px; text-transform: uppercase; }
     .hc-overlay-error {
       background: #1a0a0a;
       border: 1px solid #3a1a1a;
@@ -461,6 +577,43 @@
     return `${m}m${sec.toString().padStart(2, '0')}s`;
   }
 
+  /** "12.4k tok · $0.42" for a normalized usage record. */
+  function fmtUsage(usage) {
+    const tokens = (usage.inputTokens || 0) + (usage.outputTokens || 0) + (usage.cacheReadTokens || 0) + (usage.cacheCreationTokens || 0);
+    const tok = tokens >= 1e6 ? `${(tokens / 1e6).toFixed(1)}M` : tokens >= 1000 ? `${(tokens / 1000).toFixed(1)}k` : String(tokens);
+    return usage.costUsd ? `${tok} tok · $${usage.costUsd.toFixed(2)}` : `${tok} tok`;
+  }
+
+  /** "+12 −3" line counts for a change entry; binary files have none. */
+  function fmtLineCounts({ insertions, deletions }) {
+    if (insertions === null && deletions === null) return 'binary';
+    return `<span class="ins">+${insertions || 0}</span> <span class="del">−${deletions || 0}</span>`;
+  }
+
+  function sumLineCounts(changes) {
+    return {
+      insertions: changes.reduce((n, c) => n + (c.insertions || 0), 0),
+      deletions: changes.reduce((n, c) => n + (c.deletions || 0), 0),
+    };
+  }
+
+  function countdown(untilMs) {
+    const s = Math.max(0, Math.ceil((untilMs - Date.now()) / 1000));
+    if (s < 60) return `${s}s`;
+    const m = Math.floor(s / 60), sec = s % 60;
+    return `${m}m${sec.toString().padStart(2, '0')}s`;
+  }
+
+  /** Comms line for a node_retrying event or a persisted retrying node state. */
+  function retryMessage(info) {
+    const attempt = (info.retryCount || 0) + 1;
+    let text = info.maxAttempts ? `Retrying — attempt ${attempt}/${info.maxAttempts}` : `Retry attempt ${info.retryCount || ''}`;
+    const reason = info.reason || info.lastFailureReason;
+    if (reason) text += ` (${reason})`;
+    if (info.nextAttemptAt) text += ` — next attempt at ${fmtTime(new Date(info.nextAttemptAt))}`;
+    return text;
+  }
+
   function unitColor(label, agentType) {
     // Try to get color from faction data if available
     if (window.FactionData && agentType) {
@@ -478,6 +631,13 @@
     return `${proto}://${location.host}${path}`;
   }
 
+  /** Retries allowed for a node: the persisted policy wins over its config. */
+  function retryLimit(config, state) {
+    if (state && state.retryPolicy) return state.retryPolicy.maxAttempts - 1;
+    if (config.retryPolicy && config.retryPolicy.maxAttempts) return config.retryPolicy.maxAttempts - 1;
+    return config.retries ?? 1;
+  }
+
   // ─── Layout helpers ──────────────────────────────────────────────────────────
 
   /**
@@ -554,7 +714,8 @@
       injectStyles();
 
       this.nodes = new Map();          // nodeId → { id, label, type, status, startMs, output, error }
-      this.edges = [];                  // [{ from, to }]
+      this.edges = [];                  // [{ from, to, label, taken }]
+      this.mapChildren = new Map();     // map child nodeId → parent map nodeId
       this.positions = new Map();       // nodeId → { x, y }
       this.currentRunId = null;
       this.currentMissionId = null;
@@ -601,7 +762,15 @@
         <select class="hc-run-select"></select>
         <button class="hc-btn hc-btn-primary" id="hc-exec-btn">▶ Execute</button>
         <button class="hc-btn hc-btn-danger"   id="hc-abort-btn">⬛ Abort</button>
+        <span class="hc-pause-wrap" id="hc-pause-wrap" style="display:none">
+          <button class="hc-btn" id="hc-pause-btn">⏸ Pause</button>
+          <label class="hc-freeze-label" title="Also suspend running agents (SIGSTOP) instead of letting them finish">
+            <input type="checkbox" id="hc-freeze-chk"> freeze agents
+          </label>
+        </span>
+        <button class="hc-btn hc-btn-primary" id="hc-resume-btn" style="display:none">▶ Resume</button>
         <button class="hc-btn hc-btn-retry"    id="hc-retry-btn" style="display:none">↻ Retry Failed</button>
+        <span class="hc-usage" id="hc-usage" title="Tokens and cost used by this run"></span>
         <span class="hc-status-badge" id="hc-status-badge">STANDBY</span>
       `;
       root.appendChild(topbar);
@@ -648,8 +817,13 @@
       this.runSelect = topbar.querySelector('.hc-run-select');
       this.execBtn = topbar.querySelector('#hc-exec-btn');
       this.abortBtn = topbar.querySelector('#hc-abort-btn');
+      this.pauseWrap = topbar.querySelector('#hc-pause-wrap');
+      this.pauseBtn = topbar.querySelector('#hc-pause-btn');
+      this.freezeChk = topbar.querySelector('#hc-freeze-chk');
+      this.resumeBtn = topbar.querySelector('#hc-resume-btn');
       this.retryBtn = topbar.querySelector('#hc-retry-btn');
       this.statusBadgeEl = topbar.querySelector('#hc-status-badge');
+      this.usageEl = topbar.querySelector('#hc-usage');
       this.commsLog = root.querySelector('#hc-comms-log');
       this.canvasWrap = canvasWrap;
       this.failureBannerEl = null;
@@ -659,6 +833,8 @@
       this.runSelect.addEventListener('change', () => this._onRunSelectChange());
       this.execBtn.addEventListener('click', () => this._onExecute());
       this.abortBtn.addEventListener('click', () => this._onAbort());
+      this.pauseBtn.addEventListener('click', () => this._onPause());
+      this.resumeBtn.addEventListener('click', () => this._onResume());
       this.retryBtn.addEventListener('click', () => this._onRetryFailed());
       root.querySelector('#hc-clear-comms').addEventListener('click', () => this._clearComms());
       this.canvas.addEventListener('click', (e) => this._onCanvasClick(e));
@@ -792,7 +968,7 @@
       const { ctx } = this;
       const scaled = this._getScaledPositions(W, H);
 
-      this.edges.forEach(({ from, to }) => {
+      this.edges.forEach(({ from, to, label, taken }) => {
         const fp = scaled.get(from);
         const tp = scaled.get(to);
         if (!fp || !tp) return;
@@ -813,7 +989,14 @@
         ctx.moveTo(x1, y1);
         ctx.bezierCurveTo(cpx, y1, cpx, y2, x2, y2);
 
-        if (fs === 'failed') {
+        if (taken === false) {
+          // Branch not taken — fade out so the chosen path stands out
+          ctx.strokeStyle = '#333333';
+          ctx.setLineDash([2, 6]);
+          ctx.lineDashOffset = 0;
+          ctx.lineWidth = 1;
+          ctx.shadowBlur = 0;
+        } else if (fs === 'failed') {
           ctx.strokeStyle = '#ff4444';
           ctx.setLineDash([]);
           ctx.lineWidth = 1.5;
@@ -844,6 +1027,15 @@
         ctx.stroke();
         ctx.setLineDash([]);
         ctx.shadowBlur = 0;
+
+        if (label) {
+          const scale = fp.scale || 1;
+          ctx.font = `${Math.max(7, 9 * scale)}px 'SF Mono', Consolas, monospace`;
+          ctx.textAlign = 'center';
+          ctx.textBaseline = 'bottom';
+          ctx.fillStyle = taken === false ? '#444444' : taken ? '#52c67e' : '#8a8a8a';
+          ctx.fillText(label.length > 28 ? label.slice(0, 27) + '…' : label, cpx, (y1 + y2) / 2 - 3);
+        }
       });
     }
 
@@ -873,12 +1065,30 @@
         } else if (node.status === 'retrying') {
           ctx.shadowBlur = 6;
           ctx.shadowColor = '#E07A30';
+        } else if (node.status === 'awaiting_approval') {
+          ctx.shadowBlur = 8 + 8 * (0.5 + 0.5 * Math.sin(t * 0.12));
+          ctx.shadowColor = '#F4C430';
         } else {
           ctx.shadowBlur = 0;
         }
 
         // Rounded rect fill
         const r = Math.max(4, 8 * pos.scale);
+
+        // Map nodes render as a stack of cards
+        if (node.kind === 'map') {
+          const off = 4 * pos.scale;
+          ctx.strokeStyle = c.border;
+          ctx.lineWidth = 1;
+          [2, 1].forEach(k => {
+            ctx.beginPath();
+            ctx.roundRect(x + off * k, y + off * k, w, h, r);
+            ctx.fillStyle = '#111111';
+            ctx.fill();
+            ctx.stroke();
+          });
+        }
+
         ctx.beginPath();
         ctx.roundRect(x, y, w, h, r);
         ctx.fillStyle = c.fill;
@@ -897,6 +1107,16 @@
 
         ctx.shadowBlur = 0;
 
+        // Sub-mission nodes get an inner frame — a mission inside a mission
+        if (node.kind === 'mission') {
+          const inset = 3 * pos.scale;
+          ctx.beginPath();
+          ctx.roundRect(x + inset, y + inset, w - inset * 2, h - inset * 2, Math.max(3, r - inset));
+          ctx.strokeStyle = c.border;
+          ctx.lineWidth = 1;
+          ctx.stroke();
+        }
+
         const fontSize = Math.max(8, Math.min(12, 12 * pos.scale));
         const smallFont = Math.max(7, Math.min(10, 10 * pos.scale));
 
@@ -934,23 +1154,99 @@
         ctx.fillStyle = c.text;
         ctx.fillText(node.status.toUpperCase(), labelX, labelY + fontSize + 4 * pos.scale);
 
-        // Timer for running/retrying nodes
-        if ((node.status === 'running' || node.status === 'retrying') && node.startMs) {
+        // Timer for running/retrying nodes — a retry waiting on backoff counts down instead
+        const waitingRetry = node.status === 'retrying' && node.nextAttemptMs > Date.now();
+        if (waitingRetry || ((node.status === 'running' || node.status === 'retrying') && node.startMs)) {
           ctx.font = `${smallFont}px 'SF Mono', Consolas, monospace`;
           ctx.fillStyle = node.status === 'retrying' ? '#f4a261' : '#4fa4ff';
           ctx.textAlign = 'right';
           ctx.textBaseline = 'bottom';
-          ctx.fillText(elapsed(node.startMs), x + w - 6 * pos.scale, y + h - 5 * pos.scale);
+          const timerText = waitingRetry ? `retry in ${countdown(node.nextAttemptMs)}` : elapsed(node.startMs);
+          ctx.fillText(timerText, x + w - 6 * pos.scale, y + h - 5 * pos.scale);
         }
+
+        // Overlapping writes with a concurrently running node
+        if (node.fileConflicts && node.fileConflicts.length) {
+          ctx.font = `bold ${fontSize}px -apple-system, sans-serif`;
+          ctx.fillStyle = BADGE_COLORS.CONFLICT;
+          ctx.textAlign = 'right';
+          ctx.textBaseline = 'top';
+          ctx.fillText('⚠', x + w - 6 * pos.scale, y + 5 * pos.scale);
+        }
+
+        if (node.kind === 'map') this._drawMapGroup(node, pos, smallFont);
       });
 
       ctx.textAlign = 'left';
       ctx.textBaseline = 'alphabetic';
     }
 
+    /** Collapsed: one pip per item inside the card. Expanded: a row per item below it. */
+    _drawMapGroup(node, pos, smallFont) {
+      const { ctx } = this;
+      const { x, y, w, h, scale } = pos;
+      const children = node.children || [];
+      const done = children.filter(ch => ch.status === 'completed').length;
+
+      ctx.font = `${smallFont}px 'SF Mono', Consolas, monospace`;
+      ctx.textAlign = 'left';
+      ctx.textBaseline = 'bottom';
+      ctx.fillStyle = '#8a8a8a';
+      ctx.fillText(`${node.expanded ? '▾' : '▸'} ${done}/${children.length}`, x + 6 * scale, y + h - 5 * scale);
+
+      if (!node.expanded) {
+        const pip = Math.max(3, 5 * scale);
+        const gap = 2 * scale;
+        const startX = x + 6 * scale;
+        const maxPips = Math.floor((w - 12 * scale) / (pip + gap));
+        children.slice(0, maxPips).forEach((ch, i) => {
+          ctx.fillStyle = (STATUS_COLORS[ch.status] || STATUS_COLORS.pending).border;
+          ctx.fillRect(startX + i * (pip + gap), y + h - 5 * scale - smallFont - pip - 3 * scale, pip, pip);
+        });
+        return;
+      }
+
+      const rowH = MAP_ROW_H * scale;
+      const top = y + h + 10 * scale;
+      ctx.beginPath();
+      ctx.roundRect(x, top, w, rowH * children.length + 4 * scale, Math.max(3, 6 * scale));
+      ctx.fillStyle = 'rgba(10,10,10,0.92)';
+      ctx.fill();
+      ctx.strokeStyle = '#2a2a2a';
+      ctx.lineWidth = 1;
+      ctx.stroke();
+
+      ctx.textBaseline = 'middle';
+      children.forEach((ch, i) => {
+        const cy = top + 2 * scale + rowH * i + rowH / 2;
+        const cc = STATUS_COLORS[ch.status] || STATUS_COLORS.pending;
+        ctx.beginPath();
+        ctx.arc(x + 8 * scale, cy, Math.max(2, 3 * scale), 0, Math.PI * 2);
+        ctx.fillStyle = cc.border;
+        ctx.fill();
+        ctx.textAlign = 'left';
+        ctx.fillStyle = '#C0C0C0';
+        let label = ch.label;
+        while (ctx.measureText(label).width > w * 0.6 && label.length > 4) label = label.slice(0, -2) + '…';
+        ctx.fillText(label, x + 14 * scale, cy);
+        ctx.textAlign = 'right';
+        ctx.fillStyle = cc.text;
+        ctx.fillText(ch.status, x + w - 6 * scale, cy);
+      });
+    }
+
     // ── Status Badge ──────────────────────────────────────────────────────────
 
+    _setUsage(usage, limitExceeded) {
+      this.runUsage = usage || null;
+      if (!this.usageEl) return;
+      this.usageEl.textContent = usage ? fmtUsage(usage) : '';
+      this.usageEl.classList.toggle('over', !!limitExceeded);
+      this.usageEl.title = limitExceeded ? limitExceeded.message : 'Tokens and cost used by this run';
+    }
+
     _setStatus(status) {
+      this.runStatus = status;
       const el = this.statusBadgeEl;
       if (!el) return;
       el.textContent = status;
@@ -962,6 +1258,9 @@
         el.classList.remove('pulsing');
       }
 
+      if (this.pauseWrap) this.pauseWrap.style.display = status === 'EXECUTING' && this.currentRunId ? '' : 'none';
+      if (this.resumeBtn) this.resumeBtn.style.display = status === 'PAUSED' ? '' : 'none';
+
       // Show/hide retry button and failure banner
       if (status === 'FAILED') {
         if (this.retryBtn) this.retryBtn.style.display = '';
@@ -1024,6 +1323,7 @@
     _renderMission(missionDef, runData) {
       this.nodes.clear();
       this.edges = [];
+      this.mapChildren.clear();
 
       const tasks = missionDef.tasks || missionDef.nodes || [];
       const deps  = missionDef.dependencies || missionDef.edges || [];
@@ -1053,17 +1353,50 @@
           output: statusEntry.output || null,
           error: statusEntry.error || null,
           files: statusEntry.files || [],
+          changes: statusEntry.changes || null,
+          changesUnattributed: !!statusEntry.changesUnattributed,
           timeout: config.timeout || null,
-          maxRetries: config.retries ?? 1,
+          maxRetries: retryLimit(config, statusEntry),
           retryCount: statusEntry.retryCount || 0,
+          nextAttemptMs: statusEntry.nextAttemptAt ? new Date(statusEntry.nextAttemptAt).getTime() : null,
+          usage: statusEntry.usage || null,
+          metrics: statusEntry.metrics || null,
+          approval: statusEntry.approval || null,
+          childRunId: statusEntry.childRunId || null,
+          prompt: task.prompt || '',
+          kind: task.kind || 'agent',
+          children: [],
+          expanded: false,
+        });
+      });
+
+      // Map children live in nodeStates only — group them under their map node
+      statusMap.forEach((entry, childId) => {
+        const parent = entry && entry.mapParent && this.nodes.get(entry.mapParent);
+        if (!parent) return;
+        parent.children.push({
+          id: childId,
+          index: entry.mapIndex || 0,
+          label: `${parent.label} [${(entry.mapIndex || 0) + 1}]`,
+          status: entry.status || 'pending',
+          output: entry.output || null,
+          error: entry.error || null,
+          files: entry.files || [],
+          changes: entry.changes || null,
+          changesUnattributed: !!entry.changesUnattributed,
         });
+        this.mapChildren.set(childId, parent.id);
       });
+      this.nodes.forEach(n => n.children.sort((a, b) => a.index - b.index));
 
-      // Edges
+      // Edges — `taken` stays undefined until the engine resolves the edge
+      const edgeStates = (runData && runData.edgeStates) || {};
       deps.forEach(dep => {
         const from = dep.from || dep.source || dep.dependsOn;
         const to   = dep.to   || dep.target || dep.task;
-        if (from && to) this.edges.push({ from, to });
+        if (!from || !to) return;
+        const edgeState = edgeStates[dep.id || `${from}->${to}`];
+        this.edges.push({ from, to, label: window.MissionConditions.edgeLabel(dep.condition), taken: edgeState ? edgeState.taken : undefined });
       });
 
       // Fallback: task.dependsOn arrays
@@ -1074,6 +1407,7 @@
       });
 
       this.positions = computeLayout(this.nodes, this.edges);
+      this._updateApprovalBanner();
     }
 
     _updateNodeStatus(nodeId, status, extras) {
@@ -1086,6 +1420,7 @@
       if ((status === 'running' || status === 'retrying') && !node.startMs) node.startMs = Date.now();
       if (status !== 'running' && status !== 'retrying') node.startMs = null;
       if (!this.positions.size) this.positions = computeLayout(this.nodes, this.edges);
+      this._updateApprovalBanner();
     }
 
     // ── Run Selector ──────────────────────────────────────────────────────────
@@ -1104,7 +1439,7 @@
         const mArr = Array.isArray(missions) ? missions : (missions.missions || missions.data || []);
         mArr.forEach(m => missionMap.set(m.id || m.missionId, m.name || m.id));
 
-        const statusIcons = { completed: '✓', failed: '✗', aborted: '⬛', running: '●' };
+        const statusIcons = { completed: '✓', failed: '✗', aborted: '⬛', running: '●', paused: '⏸' };
 
         if (runsArr.length) {
           const grp = document.createElement('optgroup');
@@ -1151,20 +1486,31 @@
         const runRaw = await fetch(`/api/missions/runs/${runId}`).then(r => r.json());
         const runData = runRaw.data || runRaw;
 
-        const missionRaw = await fetch(`/api/missions/${runData.missionId}`).then(r => r.json());
+        // Draw the revision the run executed, not whatever the mission looks like now
+        const missionUrl = runData.missionRevision
+          ? `/api/missions/${runData.missionId}/revisions/${runData.missionRevision}`
+          : `/api/missions/${runData.missionId}`;
+        let missionRes = await fetch(missionUrl);
+        if (!missionRes.ok && runData.missionRevision) missionRes = await fetch(`/api/missions/${runData.missionId}`);
+        const missionRaw = await missionRes.json();
         const missionDef = missionRaw.data || missionRaw;
 
         this.currentMissionId = runData.missionId;
         this._renderMission(missionDef, runData);
+        this._updateParentBar(runData.parent || null);
+        this._setUsage(runData.usage, runData.limitExceeded);
         this._setStatus(runData.status === 'running' ? 'EXECUTING' : (runData.status || 'STANDBY').toUpperCase());
         this._addComm('INFO', 'SYSTEM', `Loaded run ${runId}`);
+        (runData.fileConflicts || []).forEach(c => this._recordFileConflict(c.nodeIds, c.paths, c.possible));
 
         // Reconstruct comms history from node states
         const nodeStates = runData.nodeStates || {};
         for (const [nodeId, state] of Object.entries(nodeStates)) {
           const label = this._nodeLabel(nodeId);
           const st = typeof state === 'string' ? state : (state.status || 'pending');
-          if (st === 'scheduled') {
+          if (st === 'queued') {
+            this._addComm('INFO', label, `Queued${state.queuedAt ? ' since ' + new Date(state.queuedAt).toLocaleTimeString() : ''}`);
+          } else if (st === 'scheduled') {
             this._addComm('INFO', label, 'Scheduled');
           } else if (st === 'running') {
             this._addComm('DISPATCH', label, `Execution started${state.startedAt ? ' at ' + new Date(state.startedAt).toLocaleTimeString() : ''}`);
@@ -1175,9 +1521,12 @@
             this._addComm('DISPATCH', label, 'Execution started');
             this._addComm('FAIL', label, state.error || 'Node failed');
           } else if (st === 'retrying') {
-            this._addComm('RETRY', label, `Retry attempt ${state.retryCount || ''}`);
+            this._addComm('RETRY', label, retryMessage({ ...state, maxAttempts: state.retryPolicy && state.retryPolicy.maxAttempts }));
+          } else if (st === 'awaiting_approval') {
+            this._addComm('APPROVAL', label, 'Awaiting human approval — click the node to review');
           }
         }
+        this._updateApprovalBanner();
 
         // Fetch and display stored run messages
         try {
@@ -1203,10 +1552,12 @@
     async loadMission(missionId) {
       this.currentMissionId = missionId;
       this.currentRunId = null;
+      this._updateParentBar(null);
       try {
         const raw = await fetch(`/api/missions/${missionId}`).then(r => r.json());
         const missionDef = raw.data || raw;
         this._renderMission(missionDef, null);
+        this._setUsage(null, null);
         this._setStatus('STANDBY');
         this._addComm('INFO', 'SYSTEM', `Loaded mission ${missionId}`);
       } catch (e) {
@@ -1223,10 +1574,12 @@
       }
       try {
         this.execBtn.disabled = true;
-        const res = await fetch(`/api/missions/${this.currentMissionId}/run`, { method: 'POST' });
-        const json = await res.json();
-        const run = json.data || json;
-        this.currentRunId = run.id || run.runId;
+        const res = await fetch(`/api/missions/${this.currentMissionId}`);
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        const { data: mission } = await res.json();
+        const run = await window.MissionLaunchForm.launch(mission);
+        if (!run) return;
+        this.currentRunId = run.id;
         this._addComm('DISPATCH', 'SYSTEM', `Run ${this.currentRunId} started`);
         await this.loadRun(this.currentRunId);
       } catch (e) {
@@ -1243,6 +1596,42 @@
       this._addComm('INFO', 'SYSTEM', `Abort requested for run ${this.currentRunId}`);
     }
 
+    async _onPause() {
+      if (!this.currentRunId) return;
+      this.pauseBtn.disabled = true;
+      try {
+        const res = await fetch(`/api/missions/runs/${this.currentRunId}/pause`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ suspend: !!(this.freezeChk && this.freezeChk.checked) }),
+        });
+        if (!res.ok) {
+          const json = await res.json().catch(() => ({}));
+          this._addComm('FAIL', 'SYSTEM', `Pause failed: ${json.error || res.status}`);
+        }
+      } catch (e) {
+        this._addComm('FAIL', 'SYSTEM', `Pause failed: ${e.message}`);
+      } finally {
+        this.pauseBtn.disabled = false;
+      }
+    }
+
+    async _onResume() {
+      if (!this.currentRunId) return;
+      this.resumeBtn.disabled = true;
+      try {
+        const res = await fetch(`/api/missions/runs/${this.currentRunId}/resume`, { method: 'POST' });
+        if (!res.ok) {
+          const json = await res.json().catch(() => ({}));
+          this._addComm('FAIL', 'SYSTEM', `Resume failed: ${json.error || res.status}`);
+        }
+      } catch (e) {
+        this._addComm('FAIL', 'SYSTEM', `Resume failed: ${e.message}`);
+      } finally {
+        this.resumeBtn.disabled = false;
+      }
+    }
+
     // ── WebSocket ─────────────────────────────────────────────────────────────
 
     _connectWs() {
@@ -1290,6 +1679,8 @@
                 output: ns.output || null,
                 error: ns.error || null,
                 files: ns.files || [],
+                changes: ns.changes || null,
+                changesUnattributed: !!ns.changesUnattributed,
               });
             }
           }
@@ -1303,6 +1694,8 @@
           } else if (run.status === 'aborted') {
             this._setStatus('ABORTED');
             this._addComm('INFO', 'SYSTEM', 'Run aborted');
+          } else if (run.status === 'paused') {
+            this._setStatus('PAUSED');
           }
         })
         .catch(() => {});
@@ -1314,8 +1707,24 @@
 
       const { type, runId, nodeId, missionId } = msg;
 
+      // Events from other runs (sub-mission child runs included) don't belong on this canvas
+      if (runId && this.currentRunId && runId !== this.currentRunId && type !== 'run_started') return;
+
+      if (nodeId && this.mapChildren.has(nodeId) && type.startsWith('node_')) {
+        this._onMapChildEvent(type, nodeId, msg);
+        return;
+      }
+
       switch (type) {
         case 'run_started':
+          // Child runs are reached by drilling into their sub-mission node
+          if (msg.parentRunId) break;
+          if (msg.rerunOf) {
+            // Re-runs start with upstream results already in place — load the
+            // record unless _rerunFromNode() got there first
+            if (this.currentRunId !== runId) this.loadRun(runId);
+            break;
+          }
           this.currentRunId = runId || msg.runId;
           this.currentMissionId = missionId || msg.missionId;
           if (this.currentMissionId) {
@@ -1324,6 +1733,7 @@
               .then(raw => {
                 const def = raw.data || raw;
                 this._renderMission(def, null);
+                this._setUsage(null, null);
                 this._setStatus('EXECUTING');
                 this._addComm('DISPATCH', 'SYSTEM', `Run started: ${this.currentRunId}`);
               })
@@ -1333,6 +1743,11 @@
           }
           break;
 
+        case 'node_queued':
+          this._updateNodeStatus(nodeId, 'queued');
+          this._addComm('INFO', this._nodeLabel(nodeId), msg.priority ? `Queued (priority ${msg.priority})` : 'Queued — waiting for a free agent slot');
+          break;
+
         case 'node_scheduled':
           this._updateNodeStatus(nodeId, 'scheduled');
           this._addComm('INFO', this._nodeLabel(nodeId), 'Scheduled');
@@ -1345,9 +1760,9 @@
 
         case 'node_completed': {
           const files = msg.files || [];
-          this._updateNodeStatus(nodeId, 'completed', { output: msg.output || null, files });
+          this._updateNodeStatus(nodeId, 'completed', { output: msg.output || null, files, changes: msg.changes || null, changesUnattributed: !!msg.changesUnattributed });
           let completeMsg = msg.output ? `Output: ${String(msg.output).slice(0, 500)}` : 'Completed';
-          if (files.length) completeMsg += ` (${files.length} file${files.length > 1 ? 's' : ''} created)`;
+          if (files.length) completeMsg += ` (${files.length} file${files.length > 1 ? 's' : ''} written)`;
           this._addComm('COMPLETE', this._nodeLabel(nodeId), completeMsg);
           this._checkRunComplete();
           break;
@@ -1358,10 +1773,64 @@
           this._addComm('FAIL', this._nodeLabel(nodeId), msg.error || 'Node failed');
           break;
 
-        case 'node_retrying':
-          this._updateNodeStatus(nodeId, 'retrying', { retryCount: msg.retryCount || msg.attempt || 0 });
-          this._addComm('RETRY', this._nodeLabel(nodeId), `Retry attempt ${msg.retryCount || msg.attempt || ''}`);
+        case 'node_retrying': {
+          const extras = { retryCount: msg.retryCount || msg.attempt || 0, error: msg.error || null };
+          extras.nextAttemptMs = msg.nextAttemptAt ? new Date(msg.nextAttemptAt).getTime() : null;
+          if (msg.maxAttempts) extras.maxRetries = msg.maxAttempts - 1;
+          this._updateNodeStatus(nodeId, 'retrying', extras);
+          this._addComm('RETRY', this._nodeLabel(nodeId), retryMessage(msg));
           break;
+        }
+
+        case 'approval_requested': {
+          if (runId && runId !== this.currentRunId) break;
+          const approval = { requestedAt: new Date().toISOString(), upstream: (msg.upstream || []).map(u => u.nodeId) };
+          this._updateNodeStatus(nodeId, 'awaiting_approval', { approval, prompt: msg.instructions || '' });
+          this._addComm('APPROVAL', this._nodeLabel(nodeId), 'Awaiting human approval — click the node to review');
+          break;
+        }
+
+        case 'approval_decided': {
+          if (runId && runId !== this.currentRunId) break;
+          const node = this.nodes.get(nodeId);
+          if (node) node.approval = { ...(node.approval || {}), decision: msg.decision, comment: msg.comment };
+          const verb = msg.decision === 'approved' ? 'Approved' : 'Rejected';
+          this._addComm(msg.decision === 'approved' ? 'COMPLETE' : 'FAIL', this._nodeLabel(nodeId), msg.comment ? `${verb}: ${msg.comment}` : verb);
+          break;
+        }
+
+        case 'node_skipped':
+          this._updateNodeStatus(nodeId, 'skipped');
+          this._addComm('INFO', this._nodeLabel(nodeId), 'Skipped — branch not taken');
+          this._checkRunComplete();
+          break;
+
+        case 'map_expanded': {
+          const mapNode = this.nodes.get(nodeId);
+          if (!mapNode) break;
+          mapNode.children = (msg.children || []).map(ch => ({
+            id: ch.id, index: ch.index, label: ch.label, status: 'pending', output: null, error: null,
+          }));
+          mapNode.children.forEach(ch => this.mapChildren.set(ch.id, nodeId));
+          this._addComm('DISPATCH', mapNode.label, `Fan-out: ${mapNode.children.length} item${mapNode.children.length === 1 ? '' : 's'}`);
+          break;
+        }
+
+        case 'child_run_started': {
+          const node = this.nodes.get(nodeId);
+          if (node) node.childRunId = msg.childRunId;
+          this._addComm('DISPATCH', this._nodeLabel(nodeId), `Sub-mission run ${msg.childRunId} started — click the node to open it`);
+          break;
+        }
+
+        case 'edge_resolved': {
+          const edge = this.edges.find(e => e.from === msg.from && e.to === msg.to);
+          if (edge) edge.taken = msg.taken;
+          if (msg.condition && msg.condition !== 'always') {
+            this._addComm('INFO', this._nodeLabel(msg.from), `${msg.taken ? '✓' : '✗'} ${msg.condition} → ${this._nodeLabel(msg.to)}`);
+          }
+          break;
+        }
 
         case 'run_completed':
           this._setStatus('COMPLETED');
@@ -1381,6 +1850,37 @@
           this._addComm('INFO', 'SYSTEM', 'Run aborted');
           break;
 
+        case 'run_paused': {
+          if (runId && runId !== this.currentRunId) break;
+          const frozen = (msg.suspendedNodes || []).length;
+          this._setStatus('PAUSED');
+          this._addComm('INFO', 'SYSTEM', frozen ? `Run paused — ${frozen} agent${frozen === 1 ? '' : 's'} frozen` : 'Run paused — running agents will finish');
+          break;
+        }
+
+        case 'run_resumed':
+          if (runId && runId !== this.currentRunId) break;
+          this._setStatus('EXECUTING');
+          this._addComm('DISPATCH', 'SYSTEM', 'Run resumed');
+          this._setUsage(this.runUsage, null);
+          break;
+
+        case 'usage_updated':
+          if (runId && runId !== this.currentRunId) break;
+          if (this.nodes.has(nodeId)) this.nodes.get(nodeId).usage = msg.usage;
+          this._setUsage(msg.runUsage, null);
+          break;
+
+        case 'run_limit_exceeded':
+          if (runId && runId !== this.currentRunId) break;
+          this._setUsage(this.runUsage, msg);
+          this._addComm('FAIL', 'SYSTEM', `${msg.message} — ${msg.action === 'pause' ? 'pausing run' : 'aborting run'}`);
+          break;
+
+        case 'file_conflict':
+          this._recordFileConflict(msg.nodeIds || [], msg.paths || [], msg.possible);
+          break;
+
         case 'message_logged':
           this._addComm(msg.level || 'INFO', msg.nodeId ? this._nodeLabel(msg.nodeId) : (msg.node || 'SYSTEM'), msg.message || msg.msg || '');
           break;
@@ -1418,14 +1918,26 @@
         if (summary.setupHints && summary.setupHints.length) {
           this._addComm('INFO', 'SUMMARY', `Setup: ${summary.setupHints.join(' && ')}`);
         }
+        if (summary.usage && (summary.usage.inputTokens || summary.usage.outputTokens)) {
+          this._addComm('INFO', 'SUMMARY', `Usage: ${fmtUsage(summary.usage)}`);
+        }
+        if (summary.limitExceeded) {
+          this._addComm('FAIL', 'SUMMARY', summary.limitExceeded.message);
+        }
+        Object.entries(summary.nodeChanges || {}).forEach(([label, ch]) => {
+          this._addComm('OUTPUT', label, `${ch.added} added, ${ch.modified} modified, ${ch.deleted} deleted (+${ch.insertions} −${ch.deletions})${ch.unattributed ? ' — shared workdir, may include other nodes\' changes' : ''}`);
+        });
+        (summary.fileConflicts || []).forEach(c => {
+          this._addComm('CONFLICT', 'SUMMARY', `${c.possible ? 'Possible overlapping' : 'Overlapping'} writes by ${c.nodes.join(' and ')}: ${c.paths.join(', ')}`);
+        });
         // Show first 10 files
         const filesToShow = (summary.files || []).slice(0, 10);
         if (filesToShow.length) {
           this._addComm('OUTPUT', 'FILES', filesToShow.join(', ') + (summary.totalFiles > 10 ? ` (+${summary.totalFiles - 10} more)` : ''));
         }
 
-        // Show completion panel if there are files
-        if (summary.totalFiles > 0) {
+        // Show completion panel if there are files or changes
+        if (summary.totalFiles > 0 || Object.keys(summary.nodeChanges || {}).length > 0) {
           this._showCompletionPanel(summary, rId);
         }
       } catch (_) { /* best effort */ }
@@ -1444,7 +1956,14 @@
       const banner = document.createElement('div');
       banner.className = 'hc-success-banner';
 
-      let titleText = `Mission Complete — ${fileCount} file${fileCount !== 1 ? 's' : ''} created`;
+      const changeRows = Object.entries(summary.nodeChanges || {}).map(([label, ch]) => `
+        <div class="hc-change-row" data-node="${this._esc(ch.nodeId)}" title="Show diff">
+          <span class="hc-change-path"${ch.unattributed ? ' title="Unattributed: may include other nodes\' changes in the shared workdir"' : ''}>${this._esc(label)} — ${ch.added} added, ${ch.modified} modified, ${ch.deleted} deleted${ch.unattributed ? ' *' : ''}</span>
+          <span class="hc-change-counts">${fmtLineCounts(ch)}</span>
+          <span>± Diff</span>
+        </div>`).join('');
+
+      let titleText = `Mission Complete — ${fileCount} file${fileCount !== 1 ? 's' : ''} written`;
       if (workdir) titleText += ` in ${workdir}`;
 
       let html = `
@@ -1453,6 +1972,7 @@
           <div class="hc-success-banner-text">
             <div class="hc-success-banner-title">${this._esc(titleText)}</div>
             ${hints.length ? `<div class="hc-success-banner-detail">Setup: ${this._esc(hints.join(' && '))}</div>` : ''}
+            ${changeRows ? `<div class="hc-success-changes">${changeRows}</div>` : ''}
           </div>
           <button class="hc-btn" id="hc-success-dismiss" style="padding:4px 8px;font-size:12px;">✕</button>
         </div>
@@ -1475,6 +1995,11 @@
       // Dismiss
       banner.querySelector('#hc-success-dismiss').addEventListener('click', () => this._hideSuccessBanner());
 
+      // Per-node diffs
+      banner.querySelectorAll('.hc-change-row').forEach(el => {
+        el.addEventListener('click', () => this._showDiff(el.dataset.node));
+      });
+
       // Open folder
       const openFolderBtn = banner.querySelector('#hc-open-folder-btn');
       if (openFolderBtn) {
@@ -1540,14 +2065,73 @@
       }
     }
 
+    _onMapChildEvent(type, childId, msg) {
+      const mapNode = this.nodes.get(this.mapChildren.get(childId));
+      const child = mapNode && mapNode.children.find(ch => ch.id === childId);
+      if (!child) return;
+
+      const statusByType = {
+        node_queued:    'queued',
+        node_scheduled: 'scheduled',
+        node_started:   'running',
+        node_completed: 'completed',
+        node_failed:    'failed',
+        node_retrying:  'retrying',
+        node_skipped:   'skipped',
+      };
+      if (statusByType[type]) child.status = statusByType[type];
+      if (type === 'node_completed') {
+        child.output = msg.output || null;
+        child.files = msg.files || [];
+        child.changes = msg.changes || null;
+        child.changesUnattributed = !!msg.changesUnattributed;
+      }
+      if (type === 'node_failed') {
+        child.error = msg.error || 'Unknown error';
+        this._addComm('FAIL', child.label, child.error);
+      } else if (type === 'node_completed') {
+        this._addComm('COMPLETE', child.label, msg.output ? `Output: ${String(msg.output).slice(0, 200)}` : 'Completed');
+      } else if (type === 'node_retrying') {
+        this._addComm('RETRY', child.label, retryMessage(msg));
+      }
+    }
+
     _nodeLabel(nodeId) {
       const node = this.nodes.get(nodeId);
       return node ? node.label : nodeId;
     }
 
+    /**
+     * Mark both nodes of an overlapping write and log it. Map items are
+     * marked on their map node. `possible` when a node did not report its
+     * writes, so the overlap may be one node's change seen by both.
+     */
+    _recordFileConflict(nodeIds, paths, possible = false) {
+      const labelOf = id => {
+        const mapNode = this.mapChildren.has(id) ? this.nodes.get(this.mapChildren.get(id)) : null;
+        const child = mapNode && (mapNode.children || []).find(ch => ch.id === id);
+        return child ? child.label || id : this._nodeLabel(id);
+      };
+      nodeIds.forEach(id => {
+        const node = this.nodes.get(this.mapChildren.get(id) || id);
+        if (!node) return;
+        node.fileConflicts = node.fileConflicts || [];
+        for (const other of nodeIds.filter(o => o !== id)) {
+          const entry = node.fileConflicts.find(c => c.with === other);
+          if (entry) {
+            entry.paths = [...new Set([...entry.paths, ...paths])];
+            entry.possible = entry.possible && !!possible;
+          } else {
+            node.fileConflicts.push({ with: other, label: labelOf(other), paths: [...paths], possible: !!possible });
+          }
+        }
+      });
+      this._addComm('CONFLICT', 'FILES', `${nodeIds.map(labelOf).join(' and ')} ${possible ? 'may both have written' : 'both wrote'} ${paths.join(', ')}`);
+    }
+
     _checkRunComplete() {
       const allDone = Array.from(this.nodes.values()).every(n =>
-        n.status === 'completed' || n.status === 'failed'
+        n.status === 'completed' || n.status === 'failed' || n.status === 'skipped'
       );
       const anyFailed = Array.from(this.nodes.values()).some(n => n.status === 'failed');
       if (allDone) this._setStatus(anyFailed ? 'FAILED' : 'COMPLETED');
@@ -1577,6 +2161,13 @@
       let hit = null;
       scaled.forEach((pos, id) => {
         if (mx >= pos.x && mx <= pos.x + pos.w && my >= pos.y && my <= pos.y + pos.h) hit = id;
+        // Rows of an expanded map group
+        const node = this.nodes.get(id);
+        if (!hit && node && node.kind === 'map' && node.expanded && mx >= pos.x && mx <= pos.x + pos.w) {
+          const top = pos.y + pos.h + 10 * pos.scale + 2 * pos.scale;
+          const idx = Math.floor((my - top) / (MAP_ROW_H * pos.scale));
+          if (my >= top && idx >= 0 && idx < node.children.length) hit = node.children[idx].id;
+        }
       });
 
       if (hit) {
@@ -1590,7 +2181,12 @@
 
     _showNodeOverlay(nodeId) {
       this._hideOverlay();
-      const node = this.nodes.get(nodeId);
+      let node = this.nodes.get(nodeId);
+      if (!node && this.mapChildren.has(nodeId)) {
+        const mapNode = this.nodes.get(this.mapChildren.get(nodeId));
+        const child = mapNode.children.find(ch => ch.id === nodeId);
+        node = { ...mapNode, ...child, kind: 'agent', children: [] };
+      }
       if (!node) return;
 
       const c = STATUS_COLORS[node.status] || STATUS_COLORS.pending;
@@ -1620,14 +2216,70 @@
         <div class="hc-overlay-config">
           <span class="hc-overlay-config-item" title="Timeout">⏱ ${node.timeout ? fmtTimeout(node.timeout) : 'No limit'}</span>
           <span class="hc-overlay-config-item" title="Retries">↻ ${node.retryCount || 0} / ${node.maxRetries ?? 1}</span>
+          ${node.usage ? `<span class="hc-overlay-config-item" title="Token usage">Σ ${fmtUsage(node.usage)}</span>` : ''}
+          ${node.metrics && node.metrics.numTurns ? `<span class="hc-overlay-config-item" title="Agent turns / duration">${node.metrics.numTurns} turns · ${fmtTimeout(Math.round((node.metrics.durationMs || 0) / 1000)) || '<1s'}</span>` : ''}
+          ${node.status === 'retrying' && node.nextAttemptMs
+            ? `<span class="hc-overlay-config-item" title="Next attempt">⟳ next at ${fmtTime(new Date(node.nextAttemptMs))}</span>`
+            : ''}
         </div>
       `;
 
+      if (node.status === 'awaiting_approval') {
+        const upstreamIds = (node.approval && node.approval.upstream) || this.edges.filter(e => e.to === nodeId).map(e => e.from);
+        const upstream = upstreamIds.map(id => this.nodes.get(id)).filter(Boolean).map(up => {
+          const out = up.output ? (typeof up.output === 'string' ? up.output : JSON.stringify(up.output, null, 2)) : '(no output)';
+          const files = (up.files || []).map(f => `<div class="hc-file-link" data-file="${this._esc(f)}">${this._esc(f)}</div>`).join('');
+          return `<div class="hc-approval-upstream">
+            <div class="hc-approval-upstream-label">${this._esc(up.label)}${up.files && up.files.length ? ` · ${up.files.length} file${up.files.length === 1 ? '' : 's'}` : ''}</div>
+            <div class="hc-overlay-output">${this._esc(out)}</div>
+            ${files ? `<div class="hc-overlay-output" style="max-height:90px;margin-top:4px;">${files}</div>` : ''}
+          </div>`;
+        }).join('');
+        html += `
+          ${node.prompt ? `<div class="hc-overlay-section">
+            <div class="hc-overlay-section-label">Reviewer Instructions</div>
+            <div class="hc-overlay-output">${this._esc(node.prompt)}</div>
+          </div>` : ''}
+          <div class="hc-overlay-section">
+            <div class="hc-overlay-section-label">Upstream Results</div>
+            ${upstream || '<div class="hc-overlay-output">No upstream results</div>'}
+          </div>
+          <div class="hc-overlay-section">
+            <div class="hc-overlay-section-label">Comment (passed to downstream agents)</div>
+            <textarea class="hc-approval-comment" id="hc-ov-comment" rows="3" placeholder="Optional notes for the next agents…"></textarea>
+          </div>`;
+      }
+
+      if (node.kind === 'map' && node.children.length) {
+        const done = node.children.filter(ch => ch.status === 'completed').length;
+        const rows = node.children.map(ch => {
+          const cc = STATUS_COLORS[ch.status] || STATUS_COLORS.pending;
+          return `<div class="hc-map-item" data-child="${this._esc(ch.id)}">
+            <span class="hc-map-dot" style="background:${cc.border}"></span>${this._esc(ch.label)}
+            <span class="hc-map-item-status" style="color:${cc.text}">${this._esc(ch.status)}</span>
+          </div>`;
+        }).join('');
+        html += `
+          <div class="hc-overlay-section">
+            <div class="hc-overlay-section-label">Items (${done}/${node.children.length})</div>
+            <div class="hc-overlay-output" style="white-space:normal;">${rows}</div>
+          </div>`;
+      }
+
+      if (node.kind === 'mission' && node.childRunId) {
+        html += `
+          <div class="hc-overlay-section">
+            <div class="hc-overlay-section-label">Sub-mission Run</div>
+            <div class="hc-overlay-output">${this._esc(node.childRunId)}</div>
+          </div>`;
+      }
+
       if (node.output) {
+        const outputText = typeof node.output === 'string' ? node.output : JSON.stringify(node.output, null, 2);
         html += `
           <div class="hc-overlay-section">
             <div class="hc-overlay-section-label">Output</div>
-            <div class="hc-overlay-output">${this._esc(node.output)}</div>
+            <div class="hc-overlay-output">${this._esc(outputText)}</div>
           </div>`;
       }
 
@@ -1639,21 +2291,63 @@
           </div>`;
       }
 
-      if (node.files && node.files.length) {
+      if (node.fileConflicts && node.fileConflicts.length) {
+        const rows = node.fileConflicts.map(c =>
+          `<div>${this._esc(c.paths.join(', '))} <span style="color:#888;">— ${c.possible ? 'possibly also' : 'also'} written by ${this._esc(c.label)}</span></div>`
+        ).join('');
+        html += `
+          <div class="hc-overlay-section">
+            <div class="hc-overlay-section-label" style="color:${BADGE_COLORS.CONFLICT};">⚠ Write Conflicts</div>
+            <div class="hc-overlay-output" style="max-height:120px;">${rows}</div>
+          </div>`;
+      }
+
+      // A map node's change set is the union of its per-item agents', once per path
+      const changes = node.changes || [...new Map((node.children || []).flatMap(ch => ch.changes || []).map(c => [c.path, c])).values()];
+      const unattributed = node.changes ? node.changesUnattributed : (node.children || []).some(ch => ch.changesUnattributed);
+      if (changes.length) {
+        const rows = changes.map(ch => `
+          <div class="hc-change-row" data-path="${this._esc(ch.path)}" title="Show diff">
+            <span class="hc-change-status ${ch.status}">${ch.status[0].toUpperCase()}</span>
+            <span class="hc-change-path">${this._esc(ch.path)}</span>
+            <span class="hc-change-counts">${fmtLineCounts(ch)}</span>
+          </div>`).join('');
+        html += `
+          <div class="hc-overlay-section">
+            <div class="hc-overlay-section-label">Changes (${changes.length})${unattributed ? ' <span style="color:#888;" title="The provider did not report which files it wrote">— shared workdir, may include other nodes\' changes</span>' : ''} <span class="hc-change-counts">${fmtLineCounts(sumLineCounts(changes))}</span></div>
+            <div class="hc-overlay-output" style="max-height:160px;white-space:normal;">${rows}</div>
+          </div>`;
+      } else if (node.files && node.files.length) {
         const fileLinks = node.files.map(f =>
           `<div class="hc-file-link" data-file="${this._esc(f)}">${this._esc(f)}</div>`
         ).join('');
         html += `
           <div class="hc-overlay-section">
-            <div class="hc-overlay-section-label">Files Created (${node.files.length})</div>
+            <div class="hc-overlay-section-label">Files Written (${node.files.length})</div>
             <div class="hc-overlay-output" style="max-height:120px;">${fileLinks}</div>
           </div>`;
       }
 
       html += `<div class="hc-overlay-actions">`;
-      if (node.status === 'failed' && this.currentRunId) {
+      if (node.kind === 'map' && node.children.length) {
+        html += `<button class="hc-btn" id="hc-ov-expand">${node.expanded ? '▾ Collapse group' : '▸ Expand group'}</button>`;
+      }
+      if (node.kind === 'mission' && node.childRunId) {
+        html += `<button class="hc-btn hc-btn-primary" id="hc-ov-child">⤵ Open sub-mission run</button>`;
+      }
+      if (changes.length && this.currentRunId) {
+        html += `<button class="hc-btn" id="hc-ov-diff">± View diff</button>`;
+      }
+      if (node.status === 'awaiting_approval' && this.currentRunId) {
+        html += `<button class="hc-btn hc-btn-primary" id="hc-ov-approve">✓ Approve</button>`;
+        html += `<button class="hc-btn" id="hc-ov-reject">✕ Reject</button>`;
+      }
+      if (node.status === 'failed' && this.currentRunId && !this.mapChildren.has(nodeId)) {
         html += `<button class="hc-btn hc-btn-primary" id="hc-ov-retry">↻ Retry Node</button>`;
       }
+      if (this.currentRunId && FINISHED_BADGES.includes(this.runStatus) && !this.mapChildren.has(nodeId)) {
+        html += `<button class="hc-btn" id="hc-ov-rerun" title="New run that keeps upstream results">⟲ Re-run from here</button>`;
+      }
       html += `<button class="hc-btn" id="hc-ov-cancel">Close</button></div>`;
 
       panel.innerHTML = html;
@@ -1670,6 +2364,37 @@
       if (retryBtn) {
         retryBtn.addEventListener('click', () => this._retryNode(nodeId));
       }
+      const childBtn = overlay.querySelector('#hc-ov-child');
+      if (childBtn) {
+        childBtn.addEventListener('click', () => { close(); this.loadRun(node.childRunId); });
+      }
+      const rerunBtn = overlay.querySelector('#hc-ov-rerun');
+      if (rerunBtn) {
+        rerunBtn.addEventListener('click', () => this._rerunFromNode(nodeId));
+      }
+      const approveBtn = overlay.querySelector('#hc-ov-approve');
+      if (approveBtn) {
+        const comment = () => overlay.querySelector('#hc-ov-comment').value;
+        approveBtn.addEventListener('click', () => this._decideApproval(nodeId, true, comment()));
+        overlay.querySelector('#hc-ov-reject').addEventListener('click', () => this._decideApproval(nodeId, false, comment()));
+      }
+
+      const expandBtn = overlay.querySelector('#hc-ov-expand');
+      if (expandBtn) {
+        expandBtn.addEventListener('click', () => {
+          node.expanded = !node.expanded;
+          close();
+        });
+      }
+      overlay.querySelectorAll('.hc-map-item').forEach(el => {
+        el.addEventListener('click', () => this._showNodeOverlay(el.dataset.child));
+      });
+
+      const diffBtn = overlay.querySelector('#hc-ov-diff');
+      if (diffBtn) diffBtn.addEventListener('click', () => this._showDiff(nodeId));
+      overlay.querySelectorAll('.hc-change-row').forEach(el => {
+        el.addEventListener('click', () => this._showDiff(nodeId, el.dataset.path));
+      });
 
       // Clickable file links
       overlay.querySelectorAll('.hc-file-link').forEach(el => {
@@ -1683,6 +2408,56 @@
       });
     }
 
+    /** Unified diff of a node's changes (or one file of them), colored by line type. */
+    async _showDiff(nodeId, path) {
+      if (!this.currentRunId) return;
+      const runId = this.currentRunId;
+      this._hideOverlay();
+
+      const overlay = document.createElement('div');
+      overlay.className = 'hc-overlay';
+      const panel = document.createElement('div');
+      panel.className = 'hc-overlay-panel hc-diff-panel';
+      panel.innerHTML = `
+        <button class="hc-overlay-close" id="hc-diff-close">✕</button>
+        <div class="hc-overlay-title">${this._esc(this._nodeLabel(nodeId))} — ${path ? this._esc(path) : 'all changes'}</div>
+        <div class="hc-overlay-section"><div class="hc-diff-body" id="hc-diff-body"><div class="hc-diff-line meta">Loading…</div></div></div>
+        <div class="hc-overlay-actions">
+          ${path ? '<button class="hc-btn" id="hc-diff-all">All changes</button>' : ''}
+          <button class="hc-btn" id="hc-diff-back">Back</button>
+        </div>`;
+      overlay.appendChild(panel);
+      this.canvasWrap.appendChild(overlay);
+      this.overlayEl = overlay;
+
+      const close = () => { this._hideOverlay(); this.selectedNodeId = null; };
+      panel.querySelector('#hc-diff-close').addEventListener('click', close);
+      overlay.addEventListener('click', (e) => { if (e.target === overlay) close(); });
+      panel.querySelector('#hc-diff-back').addEventListener('click', () => this._showNodeOverlay(nodeId));
+      const allBtn = panel.querySelector('#hc-diff-all');
+      if (allBtn) allBtn.addEventListener('click', () => this._showDiff(nodeId));
+
+      const body = panel.querySelector('#hc-diff-body');
+      try {
+        const query = path ? `?path=${encodeURIComponent(path)}` : '';
+        const res = await fetch(`/api/missions/runs/${encodeURIComponent(runId)}/nodes/${encodeURIComponent(nodeId)}/diff${query}`);
+        const raw = await res.json();
+        if (!res.ok) throw new Error(raw.error || `HTTP ${res.status}`);
+        const { diff, truncated } = raw.data;
+        const lines = diff ? diff.replace(/\n$/, '').split('\n') : [];
+        const cls = line => line.startsWith('diff --git') ? 'meta'
+          : line.startsWith('@@') ? 'hunk'
+          : line.startsWith('+') && !line.startsWith('+++') ? 'add'
+          : line.startsWith('-') && !line.startsWith('---') ? 'del' : '';
+        body.innerHTML = lines.length
+          ? lines.map(line => `<div class="hc-diff-line ${cls(line)}">${this._esc(line) || ' '}</div>`).join('')
+            + (truncated ? '<div class="hc-diff-line meta">… diff truncated</div>' : '')
+          : '<div class="hc-diff-line meta">No textual changes</div>';
+      } catch (e) {
+        body.innerHTML = `<div class="hc-diff-line del">${this._esc(e.message)}</div>`;
+      }
+    }
+
     _hideOverlay() {
       if (this.overlayEl) {
         this.overlayEl.remove();
@@ -1703,6 +2478,90 @@
       }
     }
 
+    async _rerunFromNode(nodeId) {
+      if (!this.currentRunId) return;
+      const sourceRunId = this.currentRunId;
+      try {
+        const res = await fetch(`/api/missions/runs/${sourceRunId}/rerun`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ fromNodeId: nodeId }),
+        });
+        const json = await res.json();
+        if (!res.ok) throw new Error(json.error || res.statusText);
+        const run = json.data || json;
+        this._hideOverlay();
+        this._hideFailureBanner();
+        this._addComm('DISPATCH', 'SYSTEM', `Re-running from ${this._nodeLabel(nodeId)} as ${run.id}`);
+        if (this.currentRunId !== run.id) await this.loadRun(run.id);
+        this._loadSelectors();
+      } catch (e) {
+        this._addComm('FAIL', 'SYSTEM', `Re-run failed: ${e.message}`);
+      }
+    }
+
+    async _decideApproval(nodeId, approved, comment) {
+      if (!this.currentRunId) return;
+      try {
+        const res = await fetch(`/api/missions/runs/${this.currentRunId}/nodes/${encodeURIComponent(nodeId)}/${approved ? 'approve' : 'reject'}`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ comment }),
+        });
+        const json = await res.json();
+        if (!res.ok) throw new Error(json.error || res.statusText);
+        this._hideOverlay();
+        this.selectedNodeId = null;
+      } catch (e) {
+        this._addComm('FAIL', 'SYSTEM', `Approval failed: ${e.message}`);
+      }
+    }
+
+    // ── Approval Banner ───────────────────────────────────────────────────────
+
+    /** Child runs of a sub-mission node link back to the parent run. */
+    _updateParentBar(parent) {
+      if (this.parentBarEl) { this.parentBarEl.remove(); this.parentBarEl = null; }
+      if (!parent || !this.canvasWrap) return;
+      const bar = document.createElement('div');
+      bar.className = 'hc-parent-bar';
+      bar.innerHTML = `
+        <span>Sub-mission run of node "${this._esc(parent.nodeId)}"</span>
+        <button class="hc-btn">↰ Parent run</button>
+      `;
+      bar.querySelector('button').addEventListener('click', () => this.loadRun(parent.runId));
+      this.canvasWrap.appendChild(bar);
+      this.parentBarEl = bar;
+    }
+
+    /** Keep the "approval required" banner in sync with awaiting nodes. */
+    _updateApprovalBanner() {
+      if (!this.canvasWrap) return;
+      const pending = Array.from(this.nodes.values()).filter(n => n.status === 'awaiting_approval');
+      if (!pending.length || !this.currentRunId) {
+        if (this.approvalBannerEl) { this.approvalBannerEl.remove(); this.approvalBannerEl = null; }
+        return;
+      }
+      if (!this.approvalBannerEl) {
+        const banner = document.createElement('div');
+        banner.className = 'hc-approval-banner';
+        banner.innerHTML = `
+          <span class="hc-failure-banner-icon">✋</span>
+          <div class="hc-approval-banner-title"></div>
+          <button class="hc-btn hc-btn-primary">Review</button>
+        `;
+        banner.querySelector('button').addEventListener('click', () => {
+          const first = Array.from(this.nodes.values()).find(n => n.status === 'awaiting_approval');
+          if (first) { this.selectedNodeId = first.id; this._showNodeOverlay(first.id); }
+        });
+        this.canvasWrap.appendChild(banner);
+        this.approvalBannerEl = banner;
+      }
+      this.approvalBannerEl.querySelector('.hc-approval-banner-title').textContent = pending.length === 1
+        ? `Approval required — "${pending[0].label}"`
+        : `${pending.length} approvals required`;
+    }
+
     // ── Failure Banner & Retry ────────────────────────────────────────────────
 
     _showFailureBanner() {
@@ -1796,6 +2655,8 @@
       this._hideOverlay();
       this._hideFailureBanner();
       this._hideSuccessBanner();
+      if (this.approvalBannerEl) this.approvalBannerEl.remove();
+      if (this.parentBarEl) this.parentBarEl.remove();
       this.container.innerHTML = '';
     }
   }
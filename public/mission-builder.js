@@ -14,6 +14,12 @@ function _getCurrentUnits() {
   return window.FactionData.UNIT_ROSTER[factionId] || window.FactionData.UNIT_ROSTER['rebel'];
 }
 
+// Script nodes run a shell command through the `shell` provider — no agent, no LLM call
+const SCRIPT_UNIT = { type: 'script', label: 'Script', unitClass: 'script', color: '#64748B' };
+
+// Providers that call a model API from the server — a node can point them at its own endpoint
+const API_PROVIDERS = new Set(['anthropic-api', 'openai']);
+
 function _getCurrentFactionId() {
   return window.FactionData.getCurrentFaction().factionId;
 }
@@ -246,6 +252,23 @@ function injectStyles() {
       border-color: #4fa4ff;
       box-shadow: 0 0 12px rgba(79,164,255,0.4);
     }
+    .mb-node.mb-node-branch { border-style: dashed; border-color: #E07A30; }
+    .mb-node.mb-node-approval { border-style: double; border-width: 3px; border-color: #F4C430; }
+    .mb-node.mb-node-map { box-shadow: 3px 3px 0 -1px #1a1a1a, 3px 3px 0 0 #4fa4ff, 6px 6px 0 -1px #1a1a1a, 6px 6px 0 0 #4fa4ff80; }
+    .mb-node.mb-node-mission { border-color: #9B6BDF; outline: 1px solid #9B6BDF60; outline-offset: 3px; }
+    .mb-map-fields { border-left: 2px solid #4fa4ff40; padding-left: 8px; margin-bottom: 8px; }
+    .mb-sub-fields { border-left: 2px solid #9B6BDF40; padding-left: 8px; margin-bottom: 8px; }
+    .mb-edge-cond {
+      margin-bottom: 8px;
+      padding: 8px;
+      background: #222;
+      border: 1px solid #2E2E2E;
+      border-radius: 8px;
+    }
+    .mb-edge-cond-target { font-size: 0.75rem; color: #9CA3AF; margin-bottom: 6px; }
+    .mb-edge-cond-row { display: flex; gap: 6px; align-items: center; margin-top: 4px; }
+    .mb-edge-cond-row select, .mb-edge-cond-row input[type="text"] { flex: 1; min-width: 0; }
+    .mb-edge-cond-negate { font-size: 0.75rem; color: #9CA3AF; display: flex; align-items: center; gap: 4px; }
     .mb-node-header {
       display: flex;
       align-items: center;
@@ -586,6 +609,24 @@ function injectStyles() {
       flex-shrink: 0;
     }
     .mb-ctx-remove:hover { background: #2a1010; }
+    .mb-ctx-row select {
+      background: #262626;
+      border: 1px solid #3a3a3a;
+      color: #F0F0F0;
+      border-radius: 5px;
+      padding: 5px 6px;
+      font-size: 12px;
+      outline: none;
+    }
+    .mb-ctx-row .mb-input-required {
+      display: flex;
+      align-items: center;
+      gap: 3px;
+      font-size: 10px;
+      color: #888;
+      flex-shrink: 0;
+    }
+    .mb-ctx-row .mb-input-required input { flex: none; margin: 0; }
     .mb-modal-actions {
       display: flex;
       gap: 6px;
@@ -614,6 +655,28 @@ function injectStyles() {
     .mb-mission-item:hover { background: #303030; border-color: #4fa4ff; }
     .mb-mission-item-name { font-size: 13px; font-weight: 500; }
     .mb-mission-item-meta { font-size: 11px; color: #555; }
+    /* ── History Modal ── */
+    .mb-modal.mb-history-modal { width: 680px; }
+    .mb-rev-mode { display: flex; gap: 6px; align-items: center; font-size: 11px; color: #888; margin-bottom: 10px; }
+    .mb-rev-item { cursor: pointer; }
+    .mb-rev-item.active { border-color: #C74634; background: #2a1a18; }
+    .mb-rev-item .mb-btn { padding: 3px 8px; font-size: 11px; }
+    .mb-rev-diff {
+      margin-top: 12px;
+      padding: 10px 12px;
+      background: #111;
+      border: 1px solid #2a2a2a;
+      border-radius: 6px;
+      font-size: 12px;
+      color: #d0d0d0;
+    }
+    .mb-rev-diff h4 { margin: 10px 0 4px; font-size: 11px; text-transform: uppercase; letter-spacing: 0.05em; color: #888; }
+    .mb-rev-diff h4:first-child { margin-top: 0; }
+    .mb-rev-line { font-family: 'SF Mono', Menlo, monospace; font-size: 11px; white-space: pre-wrap; word-break: break-word; padding: 1px 4px; }
+    .mb-rev-add { color: #7ee2a8; background: #10291c; }
+    .mb-rev-remove { color: #f0a0a0; background: #2a1010; }
+    .mb-rev-change { color: #F4C430; }
+    .mb-rev-prompt { margin: 4px 0 6px 12px; border-left: 2px solid #333; }
     .mb-empty-state {
       text-align: center;
       padding: 24px;
@@ -641,6 +704,7 @@ function uid() {
 }
 
 function getUnitByType(type) {
+  if (type === SCRIPT_UNIT.type) return SCRIPT_UNIT;
   const factionId = _getCurrentFactionId();
   return window.FactionData.getUnitByType(factionId, type);
 }
@@ -665,6 +729,8 @@ class MissionBuilder {
     this.missionId = null;
     this.missionName = 'Untitled Mission';
     this.context = {};
+    this.missionConfig = {}; // mission-level engine settings, e.g. { maxParallel }
+    this.missionInputs = []; // typed launch inputs, e.g. [{ name, type, required, default }]
 
     // Animation
     this._rafId = null;
@@ -756,7 +822,7 @@ class MissionBuilder {
     this._sidebarHeader.textContent = `${factionIcon} ${factionName} Arsenal`;
 
     this._palette.innerHTML = '';
-    const units = _getCurrentUnits();
+    const units = [..._getCurrentUnits(), SCRIPT_UNIT];
     units.forEach(unit => {
       const item = document.createElement('div');
       item.className = 'mb-palette-item';
@@ -854,6 +920,7 @@ class MissionBuilder {
     toolbar.appendChild(sep());
     toolbar.appendChild(btn('💾 Save', '', () => this._save()));
     toolbar.appendChild(btn('📂 Load', '', () => this._load()));
+    toolbar.appendChild(btn('🕘 History', '', () => this._showHistory()));
     toolbar.appendChild(btn('🗑 Delete', 'mb-btn-danger', () => this._deleteMission()));
     toolbar.appendChild(sep());
     toolbar.appendChild(btn('✨ Wizard', '', () => this._openWizard()));
@@ -989,12 +1056,11 @@ class MissionBuilder {
 
   // ── Node Creation ───────────────────────────────────────────────────────────
 
-  _createNode(agentType, position) {
+  _createNode(agentType, position, id = uid()) {
     const unit = getUnitByType(agentType);
     const factionId = _getCurrentFactionId();
     const factionName = window.FactionData.getFactionName(factionId);
     const factionIcon = window.FactionData.getFactionIcon(factionId);
-    const id = uid();
 
     const el = document.createElement('div');
     el.className = 'mb-node mb-node-spawn';
@@ -1032,7 +1098,7 @@ class MissionBuilder {
 
     const badge = document.createElement('div');
     badge.className = 'mb-node-badge';
-    badge.textContent = `⚡ ${_modelLabel('')}`;
+    badge.textContent = unit === SCRIPT_UNIT ? '$ shell' : `⚡ ${_modelLabel('')}`;
 
     // Output port
     const outputPort = document.createElement('div');
@@ -1056,9 +1122,10 @@ class MissionBuilder {
       unitClass: unit.unitClass,
       color: unit.color,
       position: { ...position },
+      kind: 'agent',
       prompt: '',
-      config: { timeout: 300, retries: 1 },
-      provider: 'claude-code',
+      config: unit === SCRIPT_UNIT ? { timeout: 300, retries: 0, command: '', env: {} } : { timeout: 300, retries: 1 },
+      provider: unit === SCRIPT_UNIT ? 'shell' : 'claude-code',
       model: '',
       mcpServers: [],
       skills: [],
@@ -1224,13 +1291,59 @@ class MissionBuilder {
     });
     configPanel.appendChild(field('Label', labelInput));
 
-    // Prompt
+    // Kind — branch nodes run no agent; they only route on their parents' output.
+    // Map nodes run one agent per item of an upstream list or workdir glob.
+    // Approval nodes pause the run until a human approves or rejects.
+    // Mission nodes run another saved mission as a child run.
+    const kindSelect = document.createElement('select');
+    [
+      { value: 'agent', label: 'Agent' },
+      { value: 'branch', label: 'Branch (route on conditions, no agent)' },
+      { value: 'map', label: 'Map (one agent per item)' },
+      { value: 'approval', label: 'Approval (wait for a human)' },
+      { value: 'mission', label: 'Sub-mission (run another mission)' },
+    ].forEach(k => {
+      const opt = document.createElement('option');
+      opt.value = k.value;
+      opt.textContent = k.label;
+      if (k.value === (node.kind || 'agent')) opt.selected = true;
+      kindSelect.appendChild(opt);
+    });
+    configPanel.appendChild(field('Node Kind', kindSelect));
+
+    const mapFields = this._buildMapFields(node, field);
+    configPanel.appendChild(mapFields);
+    const subFields = this._buildSubMissionFields(node, field);
+    configPanel.appendChild(subFields);
+    kindSelect.addEventListener('change', () => {
+      node.kind = kindSelect.value;
+      this._applyKindClass(node);
+      mapFields.style.display = node.kind === 'map' ? '' : 'none';
+      subFields.style.display = node.kind === 'mission' ? '' : 'none';
+      promptTA.placeholder = promptHint();
+    });
+
+    // Prompt — for approval nodes, the instructions shown to the reviewer.
+    // Sub-mission nodes ignore it; their child mission has its own prompts.
+    const promptHint = () => (node.kind === 'approval'
+      ? 'What should the reviewer check before approving?'
+      : node.kind === 'mission'
+        ? 'Not used — the sub-mission runs its own prompts'
+        : 'Describe this agent\'s mission objectives…');
     const promptTA = document.createElement('textarea');
     promptTA.rows = 6;
-    promptTA.placeholder = 'Describe this agent\'s mission objectives…';
+    promptTA.placeholder = promptHint();
     promptTA.value = node.prompt;
     promptTA.addEventListener('input', () => { node.prompt = promptTA.value; });
-    configPanel.appendChild(field('Prompt / Instructions', promptTA));
+
+    // Script nodes run a shell command in the workdir instead of a prompt;
+    // their stdout is the node output
+    const isScript = node.provider === 'shell';
+    if (isScript) {
+      configPanel.appendChild(this._buildScriptFields(node, field));
+    } else {
+      configPanel.appendChild(field('Prompt / Instructions', promptTA));
+    }
 
     // Agent Type
     const typeSelect = document.createElement('select');
@@ -1250,21 +1363,21 @@ class MissionBuilder {
       node.iconEl.style.background = unit.color;
       node.typeEl.textContent = unit.type;
     });
-    configPanel.appendChild(field('Agent Type', typeSelect));
+    if (!isScript) configPanel.appendChild(field('Agent Type', typeSelect));
 
-    // Provider
+    // Provider — the registered ones, from the server. Switching to or from
+    // `shell` swaps the prompt for a command
     const providerSelect = document.createElement('select');
-    ['claude-code', 'openai', 'gemini', 'local'].forEach(p => {
-      const opt = document.createElement('option');
-      opt.value = p;
-      opt.textContent = p;
-      if (p === node.provider) opt.selected = true;
-      providerSelect.appendChild(opt);
+    this._fillProviderSelect(providerSelect, node);
+    providerSelect.addEventListener('change', () => {
+      node.provider = providerSelect.value;
+      node.badgeEl.textContent = node.provider === 'shell' ? '$ shell' : `⚡ ${_modelLabel(node.model)}`;
+      this._showConfig(node);
     });
-    providerSelect.addEventListener('change', () => { node.provider = providerSelect.value; });
     configPanel.appendChild(field('Provider', providerSelect));
+    if (API_PROVIDERS.has(node.provider)) configPanel.appendChild(this._buildEndpointFields(node, field));
 
-    // Model selector
+    // Model selector — Claude models, or any model name for an OpenAI-compatible server
     const modelSelect = document.createElement('select');
     modelSelect.style.cssText = 'width:100%;padding:6px 8px;background:var(--bg-primary, #161616);color:var(--text-primary, #F5F5F5);border:1px solid var(--border-default, #3F3F3F);border-radius:6px;font-size:0.85rem;';
     const modelOptions = [
@@ -1286,7 +1399,16 @@ class MissionBuilder {
         node.badgeEl.textContent = `⚡ ${_modelLabel(node.model)}`;
       }
     });
-    configPanel.appendChild(field('Model', modelSelect));
+    const modelInput = document.createElement('input');
+    modelInput.type = 'text';
+    modelInput.placeholder = 'llama3.1:8b';
+    modelInput.value = node.model || '';
+    modelInput.addEventListener('input', () => {
+      node.model = modelInput.value.trim();
+      if (node.badgeEl) node.badgeEl.textContent = `⚡ ${_modelLabel(node.model)}`;
+    });
+    if (node.provider === 'openai') configPanel.appendChild(field('Model', modelInput));
+    else if (!isScript) configPanel.appendChild(field('Model', modelSelect));
 
     // Timeout
     const timeoutInput = document.createElement('input');
@@ -1307,8 +1429,22 @@ class MissionBuilder {
     retriesInput.value = node.config.retries;
     retriesInput.addEventListener('input', () => {
       node.config.retries = parseInt(retriesInput.value, 10) || 0;
+      if (node.config.retryPolicy) node.config.retryPolicy.maxAttempts = node.config.retries + 1;
     });
     configPanel.appendChild(field('Retries', retriesInput));
+    configPanel.appendChild(this._buildRetryFields(node, field));
+
+    // Priority — higher runs first when the engine queue is full
+    const priorityInput = document.createElement('input');
+    priorityInput.type = 'number';
+    priorityInput.min = -10;
+    priorityInput.max = 10;
+    priorityInput.value = node.config.priority ?? 0;
+    priorityInput.addEventListener('input', () => {
+      node.config.priority = parseInt(priorityInput.value, 10) || 0;
+    });
+    configPanel.appendChild(field('Queue Priority', priorityInput));
+    configPanel.appendChild(this._buildOutputSchemaField(node, field));
 
     // ═══════════════════════════════════════════════════════════════════════════
     // TAB 2: Skills
@@ -1633,6 +1769,511 @@ class MissionBuilder {
     }
 
     contextPanel.appendChild(connSection);
+
+    // Outgoing edge conditions
+    const outgoing = Array.from(this.edges.values()).filter(e => e.from === node.id);
+    if (outgoing.length > 0) {
+      const condSection = document.createElement('div');
+      condSection.style.cssText = 'margin-top:16px;border-top:1px solid #2E2E2E;padding-top:12px;';
+
+      const condTitle = document.createElement('div');
+      condTitle.textContent = 'Outgoing Conditions';
+      condTitle.style.cssText = 'font-weight:600;font-size:0.875rem;margin-bottom:4px;color:#F5F5F5;';
+      condSection.appendChild(condTitle);
+
+      const condDesc = document.createElement('div');
+      condDesc.textContent = 'Edges without a condition are always taken. Targets with no taken edge are skipped.';
+      condDesc.style.cssText = 'font-size:0.75rem;color:#6B7280;margin-bottom:8px;';
+      condSection.appendChild(condDesc);
+
+      outgoing.forEach(edge => condSection.appendChild(this._buildConditionEditor(edge)));
+      contextPanel.appendChild(condSection);
+    }
+  }
+
+  _applyKindClass(node) {
+    node.element.classList.toggle('mb-node-branch', node.kind === 'branch');
+    node.element.classList.toggle('mb-node-map', node.kind === 'map');
+    node.element.classList.toggle('mb-node-approval', node.kind === 'approval');
+    node.element.classList.toggle('mb-node-mission', node.kind === 'mission');
+  }
+
+  _buildSubMissionFields(node, field) {
+    const wrap = document.createElement('div');
+    wrap.className = 'mb-sub-fields';
+    wrap.style.display = node.kind === 'mission' ? '' : 'none';
+
+    const missionSelect = document.createElement('select');
+    missionSelect.innerHTML = '<option value="">(choose a saved mission)</option>';
+    wrap.appendChild(field('Mission', missionSelect));
+
+    const inputsHint = document.createElement('div');
+    inputsHint.style.cssText = 'font-size:0.75rem;color:#6B7280;margin-bottom:8px;';
+    wrap.appendChild(inputsHint);
+
+    let missions = [];
+    const showInputs = () => {
+      const target = missions.find(m => m.id === node.config.missionId);
+      const inputs = target?.inputs || [];
+      inputsHint.textContent = inputs.length
+        ? `Inputs: ${inputs.map(i => `${i.name}${i.required ? '*' : ''}`).join(', ')}`
+        : target ? 'This mission declares no inputs.' : '';
+    };
+
+    fetch('/api/missions')
+      .then(res => res.json())
+      .then(json => {
+        missions = (json.data || []).filter(m => m.id !== this.missionId);
+        for (const m of missions) {
+          const opt = document.createElement('option');
+          opt.value = m.id;
+          opt.textContent = m.name || m.id;
+          missionSelect.appendChild(opt);
+        }
+        if (node.config.missionId && !missions.some(m => m.id === node.config.missionId)) {
+          const opt = document.createElement('option');
+          opt.value = node.config.missionId;
+          opt.textContent = `${node.config.missionId} (missing)`;
+          missionSelect.appendChild(opt);
+        }
+        missionSelect.value = node.config.missionId || '';
+        showInputs();
+      })
+      .catch(() => { inputsHint.textContent = 'Could not load saved missions.'; });
+
+    missionSelect.addEventListener('change', () => {
+      if (missionSelect.value) node.config.missionId = missionSelect.value;
+      else delete node.config.missionId;
+      showInputs();
+    });
+
+    // Context mapping: child context key → template resolved against this run
+    const contextTA = document.createElement('textarea');
+    contextTA.rows = 4;
+    contextTA.spellcheck = false;
+    contextTA.style.fontFamily = 'monospace';
+    contextTA.placeholder = '{\n  "topic": "{context.topic}",\n  "notes": "{research.output}"\n}';
+    contextTA.value = node.config.context ? JSON.stringify(node.config.context, null, 2) : '';
+    wrap.appendChild(field('Context Mapping (JSON)', contextTA));
+
+    const hint = document.createElement('div');
+    hint.style.cssText = 'font-size:0.75rem;color:#6B7280;';
+    const showHint = () => {
+      hint.style.color = '#6B7280';
+      hint.textContent = `Values may use {context.x} and {node.output}. The child's final outputs are available as {${node.id}.output} and {${node.id}.output.<sinkId>.field}.`;
+    };
+    showHint();
+    wrap.appendChild(hint);
+
+    contextTA.addEventListener('input', () => {
+      const text = contextTA.value.trim();
+      if (!text) {
+        delete node.config.context;
+        showHint();
+        return;
+      }
+      try {
+        const mapping = JSON.parse(text);
+        if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) throw new Error('Mapping must be a JSON object');
+        node.config.context = mapping;
+        showHint();
+      } catch (err) {
+        hint.style.color = '#DC2626';
+        hint.textContent = `Not saved — ${err.message}`;
+      }
+    });
+    return wrap;
+  }
+
+  _buildMapFields(node, field) {
+    const wrap = document.createElement('div');
+    wrap.className = 'mb-map-fields';
+    wrap.style.display = node.kind === 'map' ? '' : 'none';
+    const mapConfig = () => (node.config.map = node.config.map || {});
+
+    const parents = this._computeRelationships(node.id).parents;
+    const fromSelect = document.createElement('select');
+    [{ id: '', label: parents.length === 1 ? `(upstream: ${parents[0].label})` : '(single upstream node)' }, ...parents]
+      .forEach(p => {
+        const opt = document.createElement('option');
+        opt.value = p.id;
+        opt.textContent = p.label;
+        if (p.id === (node.config.map?.from || '')) opt.selected = true;
+        fromSelect.appendChild(opt);
+      });
+    fromSelect.addEventListener('change', () => {
+      if (fromSelect.value) mapConfig().from = fromSelect.value;
+      else delete mapConfig().from;
+    });
+    wrap.appendChild(field('Items From', fromSelect));
+
+    const pathInput = document.createElement('input');
+    pathInput.type = 'text';
+    pathInput.placeholder = '$.files — blank: whole output, one item per line';
+    pathInput.value = node.config.map?.path || '';
+    pathInput.addEventListener('input', () => { mapConfig().path = pathInput.value.trim(); });
+    wrap.appendChild(field('Items Path', pathInput));
+
+    const globInput = document.createElement('input');
+    globInput.type = 'text';
+    globInput.placeholder = 'tests/**/*.test.js — overrides upstream items';
+    globInput.value = node.config.map?.glob || '';
+    globInput.addEventListener('input', () => { mapConfig().glob = globInput.value.trim(); });
+    wrap.appendChild(field('…or Workdir Glob', globInput));
+
+    const concInput = document.createElement('input');
+    concInput.type = 'number';
+    concInput.min = 1;
+    concInput.max = 16;
+    concInput.value = node.config.map?.concurrency || 3;
+    concInput.addEventListener('input', () => { mapConfig().concurrency = parseInt(concInput.value, 10) || 3; });
+    wrap.appendChild(field('Concurrency', concInput));
+
+    const hint = document.createElement('div');
+    hint.textContent = 'Use {item}, {item.field} and {index} in the prompt.';
+    hint.style.cssText = 'font-size:0.75rem;color:#6B7280;';
+    wrap.appendChild(hint);
+    return wrap;
+  }
+
+  _buildRetryFields(node, field) {
+    const wrap = document.createElement('div');
+    wrap.className = 'mb-retry-fields';
+
+    const toggle = document.createElement('label');
+    toggle.style.cssText = 'display:flex;align-items:center;gap:6px;font-size:0.8rem;color:#9CA3AF;margin-bottom:8px;cursor:pointer;';
+    const toggleBox = document.createElement('input');
+    toggleBox.type = 'checkbox';
+    toggleBox.checked = !!node.config.retryPolicy;
+    toggle.appendChild(toggleBox);
+    toggle.appendChild(document.createTextNode('Back off between retries'));
+    wrap.appendChild(toggle);
+
+    const body = document.createElement('div');
+    body.style.display = toggleBox.checked ? '' : 'none';
+    wrap.appendChild(body);
+    const policy = () => (node.config.retryPolicy = node.config.retryPolicy || { maxAttempts: (node.config.retries ?? 1) + 1 });
+
+    toggleBox.addEventListener('change', () => {
+      if (toggleBox.checked) policy();
+      else delete node.config.retryPolicy;
+      body.style.display = toggleBox.checked ? '' : 'none';
+    });
+
+    const numberField = (label, key, { min = 0, step = 1, scale = 1, fallback }) => {
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.min = min;
+      input.step = step;
+      const current = node.config.retryPolicy?.[key];
+      input.value = current !== undefined ? current / scale : fallback;
+      input.addEventListener('input', () => {
+        const n = parseFloat(input.value);
+        if (Number.isFinite(n)) policy()[key] = Math.round(n * scale * 1000) / 1000;
+        else delete policy()[key];
+      });
+      body.appendChild(field(label, input));
+    };
+    numberField('Initial Delay (seconds)', 'initialDelayMs', { scale: 1000, fallback: 5 });
+    numberField('Backoff Multiplier', 'backoffMultiplier', { min: 1, step: 0.5, fallback: 2 });
+    numberField('Max Delay (seconds)', 'maxDelayMs', { scale: 1000, fallback: 300 });
+    numberField('Jitter (0–1)', 'jitter', { step: 0.1, fallback: 0 });
+
+    const reasons = [
+      { value: 'error', label: 'Task error' },
+      { value: 'exit', label: 'Non-zero exit' },
+      { value: 'timeout', label: 'Timeout' },
+      { value: 'orphan', label: 'Orphaned process' },
+      { value: 'spawn', label: 'Spawn failure' },
+      { value: 'output', label: 'Invalid output' },
+      { value: 'merge', label: 'Merge conflict' },
+      { value: 'lost', label: 'Lost on restart' },
+    ];
+    const retryOn = document.createElement('div');
+    retryOn.style.cssText = 'display:flex;flex-wrap:wrap;gap:4px 12px;font-size:0.8rem;color:#D1D5DB;';
+    reasons.forEach(r => {
+      const label = document.createElement('label');
+      label.style.cssText = 'display:flex;align-items:center;gap:4px;cursor:pointer;';
+      const box = document.createElement('input');
+      box.type = 'checkbox';
+      const selected = node.config.retryPolicy?.retryOn;
+      box.checked = !selected || selected.includes(r.value);
+      box.addEventListener('change', () => {
+        const current = new Set(policy().retryOn || reasons.map(x => x.value));
+        if (box.checked) current.add(r.value);
+        else current.delete(r.value);
+        policy().retryOn = reasons.map(x => x.value).filter(v => current.has(v));
+      });
+      label.appendChild(box);
+      label.appendChild(document.createTextNode(r.label));
+      retryOn.appendChild(label);
+    });
+    body.appendChild(field('Retry On', retryOn));
+    return wrap;
+  }
+
+  _buildScriptFields(node, field) {
+    const wrap = document.createElement('div');
+
+    const commandTA = document.createElement('textarea');
+    commandTA.rows = 3;
+    commandTA.spellcheck = false;
+    commandTA.style.fontFamily = 'monospace';
+    commandTA.placeholder = 'npm test';
+    commandTA.value = node.config.command || '';
+    commandTA.addEventListener('input', () => { node.config.command = commandTA.value; });
+    wrap.appendChild(field('Command', commandTA));
+
+    // One KEY=value per line
+    const envTA = document.createElement('textarea');
+    envTA.rows = 3;
+    envTA.spellcheck = false;
+    envTA.style.fontFamily = 'monospace';
+    envTA.placeholder = 'NODE_ENV=test';
+    envTA.value = Object.entries(node.config.env || {}).map(([k, v]) => `${k}=${v}`).join('\n');
+    envTA.addEventListener('input', () => {
+      const env = {};
+      for (const line of envTA.value.split('\n')) {
+        const eq = line.indexOf('=');
+        if (eq > 0) env[line.slice(0, eq).trim()] = line.slice(eq + 1);
+      }
+      node.config.env = env;
+    });
+    wrap.appendChild(field('Environment', envTA));
+
+    const hint = document.createElement('div');
+    hint.style.cssText = 'font-size:0.75rem;color:#6B7280;margin-bottom:10px;';
+    hint.textContent = `Runs in the mission workdir. Exit code 0 completes the node; stdout is available as {${node.id}.output}.`;
+    wrap.appendChild(hint);
+    return wrap;
+  }
+
+  /**
+   * Options for the provider select, from GET /api/providers (cached for a
+   * minute). The node's own provider stays selectable even when the server
+   * does not list it, so opening an old mission never changes it silently.
+   */
+  _fillProviderSelect(select, node) {
+    // `providers` is null while the list loads
+    const render = (providers) => {
+      select.innerHTML = '';
+      const own = { name: node.provider, info: { displayName: providers ? `${node.provider} (not registered)` : node.provider } };
+      const list = providers?.some(p => p.name === node.provider) ? providers : [...(providers || []), own];
+      for (const p of list) {
+        const opt = document.createElement('option');
+        opt.value = p.name;
+        const icon = window.FactionData.FACTIONS[p.info?.icon] ? `${window.FactionData.getFactionIcon(p.info.icon)} ` : '';
+        opt.textContent = `${icon}${p.info?.displayName || p.name}`;
+        if (p.info?.faction) opt.title = `${p.name} · ${p.info.faction}`;
+        // Registered but not usable now (e.g. no API key) — listed, not offered
+        if (p.available === false) {
+          opt.textContent += ' (unavailable)';
+          opt.title = p.error || `${p.name} is not available on this server`;
+          opt.disabled = p.name !== node.provider;
+        }
+        if (p.name === node.provider) opt.selected = true;
+        select.appendChild(opt);
+      }
+    };
+
+    const now = Date.now();
+    if (this._providersCache && now - this._providersCacheTime < 60000) {
+      render(this._providersCache);
+      return;
+    }
+    render(null);
+    fetch('/api/providers')
+      .then(r => r.ok ? r.json() : Promise.reject(new Error(`HTTP ${r.status}`)))
+      .then(json => {
+        // Plugins that failed to load are listed with `loaded: false` — not selectable
+        this._providersCache = (json.data || []).filter(p => p.loaded !== false);
+        this._providersCacheTime = Date.now();
+        if (select.isConnected) render(this._providersCache);
+      })
+      .catch(() => { /* keep the node's own provider as the only option */ });
+  }
+
+  _buildEndpointFields(node, field) {
+    const wrap = document.createElement('div');
+    const isOpenAi = node.provider === 'openai';
+
+    const urlInput = document.createElement('input');
+    urlInput.type = 'text';
+    urlInput.spellcheck = false;
+    urlInput.placeholder = isOpenAi ? 'http://localhost:11434/v1' : 'https://api.anthropic.com';
+    urlInput.value = node.config.baseUrl || '';
+    urlInput.addEventListener('input', () => {
+      const value = urlInput.value.trim();
+      if (value) node.config.baseUrl = value;
+      else delete node.config.baseUrl;
+    });
+    wrap.appendChild(field('API Base URL', urlInput));
+
+    if (isOpenAi) {
+      const toggle = document.createElement('label');
+      toggle.style.cssText = 'display:flex;align-items:center;gap:6px;font-size:0.8rem;color:#9CA3AF;margin-bottom:8px;cursor:pointer;';
+      const toolsBox = document.createElement('input');
+      toolsBox.type = 'checkbox';
+      toolsBox.checked = node.config.tools !== false;
+      toolsBox.addEventListener('change', () => {
+        if (toolsBox.checked) delete node.config.tools;
+        else node.config.tools = false;
+      });
+      toggle.appendChild(toolsBox);
+      toggle.appendChild(document.createTextNode('Model supports tool calling'));
+      wrap.appendChild(toggle);
+    }
+
+    const hint = document.createElement('div');
+    hint.style.cssText = 'font-size:0.75rem;color:#6B7280;margin-bottom:10px;';
+    hint.textContent = isOpenAi
+      ? 'Any OpenAI-compatible server (Ollama, llama.cpp, vLLM). Empty uses OPENAI_BASE_URL or Ollama on localhost; the key comes from OPENAI_API_KEY.'
+      : 'Empty uses ANTHROPIC_BASE_URL or the public API; the key comes from ANTHROPIC_API_KEY.';
+    wrap.appendChild(hint);
+    return wrap;
+  }
+
+  _buildOutputSchemaField(node, field) {
+    const wrap = document.createElement('div');
+
+    const schemaTA = document.createElement('textarea');
+    schemaTA.rows = 6;
+    schemaTA.spellcheck = false;
+    schemaTA.style.fontFamily = 'monospace';
+    schemaTA.placeholder = '{\n  "type": "object",\n  "required": ["issues"],\n  "properties": { "issues": { "type": "array" } }\n}';
+    schemaTA.value = node.config.outputSchema ? JSON.stringify(node.config.outputSchema, null, 2) : '';
+    wrap.appendChild(field('Output Schema (JSON Schema)', schemaTA));
+
+    const hint = document.createElement('div');
+    hint.style.cssText = 'font-size:0.75rem;color:#6B7280;';
+    const showHint = () => {
+      hint.style.color = '#6B7280';
+      hint.textContent = node.config.outputSchema
+        ? `Output is validated; reference fields as {${node.id}.output.field}.`
+        : 'Optional. When set, the agent must return matching JSON.';
+    };
+    showHint();
+    wrap.appendChild(hint);
+
+    schemaTA.addEventListener('input', () => {
+      const text = schemaTA.value.trim();
+      if (!text) {
+        delete node.config.outputSchema;
+        showHint();
+        return;
+      }
+      try {
+        const schema = JSON.parse(text);
+        if (!schema || typeof schema !== 'object' || Array.isArray(schema)) throw new Error('Schema must be a JSON object');
+        node.config.outputSchema = schema;
+        showHint();
+      } catch (err) {
+        hint.style.color = '#DC2626';
+        hint.textContent = `Not saved — ${err.message}`;
+      }
+    });
+    return wrap;
+  }
+
+  _buildConditionEditor(edge) {
+    const wrap = document.createElement('div');
+    wrap.className = 'mb-edge-cond';
+
+    const target = document.createElement('div');
+    target.className = 'mb-edge-cond-target';
+    target.textContent = `→ ${this.nodes.get(edge.to)?.label || edge.to}`;
+    wrap.appendChild(target);
+
+    const row = document.createElement('div');
+    row.className = 'mb-edge-cond-row';
+    const typeSelect = document.createElement('select');
+    [
+      { value: '', label: 'Always' },
+      { value: 'regex', label: 'Output matches regex' },
+      { value: 'jsonpath', label: 'JSON path' },
+      { value: 'verdict', label: 'Verdict equals' },
+    ].forEach(t => {
+      const opt = document.createElement('option');
+      opt.value = t.value;
+      opt.textContent = t.label;
+      if (t.value === (edge.condition?.type || '')) opt.selected = true;
+      typeSelect.appendChild(opt);
+    });
+    row.appendChild(typeSelect);
+    wrap.appendChild(row);
+
+    const valueRow = document.createElement('div');
+    valueRow.className = 'mb-edge-cond-row';
+    const mainInput = document.createElement('input');
+    mainInput.type = 'text';
+    const extraInput = document.createElement('input');
+    extraInput.type = 'text';
+    const negateLabel = document.createElement('label');
+    negateLabel.className = 'mb-edge-cond-negate';
+    const negateBox = document.createElement('input');
+    negateBox.type = 'checkbox';
+    negateLabel.append(negateBox, 'not');
+    valueRow.append(mainInput, extraInput, negateLabel);
+    wrap.appendChild(valueRow);
+
+    const syncInputs = () => {
+      const cond = edge.condition || {};
+      const type = typeSelect.value;
+      valueRow.style.display = type ? 'flex' : 'none';
+      extraInput.style.display = type === 'verdict' ? 'none' : '';
+      negateBox.checked = !!cond.negate;
+      if (type === 'regex') {
+        mainInput.placeholder = 'pattern, e.g. issues? found';
+        mainInput.value = cond.pattern || '';
+        extraInput.placeholder = 'flags';
+        extraInput.value = cond.flags || '';
+      } else if (type === 'jsonpath') {
+        mainInput.placeholder = 'path, e.g. $.issues.length';
+        mainInput.value = cond.path || '';
+        extraInput.placeholder = 'equals (optional)';
+        extraInput.value = cond.equals ?? '';
+      } else if (type === 'verdict') {
+        mainInput.placeholder = 'verdict, e.g. fail';
+        mainInput.value = cond.equals || '';
+      }
+    };
+
+    const commit = () => {
+      const type = typeSelect.value;
+      if (!type) {
+        delete edge.condition;
+      } else {
+        const cond = { type };
+        if (type === 'regex') { cond.pattern = mainInput.value; cond.flags = extraInput.value; }
+        if (type === 'jsonpath') { cond.path = mainInput.value; if (extraInput.value !== '') cond.equals = extraInput.value; }
+        if (type === 'verdict') cond.equals = mainInput.value;
+        if (negateBox.checked) cond.negate = true;
+        edge.condition = cond;
+      }
+      this._updateEdgeLabel(edge);
+    };
+
+    typeSelect.addEventListener('change', () => {
+      edge.condition = typeSelect.value ? { type: typeSelect.value } : undefined;
+      syncInputs();
+      commit();
+    });
+    mainInput.addEventListener('input', commit);
+    extraInput.addEventListener('input', commit);
+    negateBox.addEventListener('change', commit);
+
+    syncInputs();
+    return wrap;
+  }
+
+  _updateEdgeLabel(edge) {
+    const text = window.MissionConditions.edgeLabel(edge.condition);
+    try {
+      edge.line.middleLabel = text
+        ? window.LeaderLine.captionLabel(text, { color: '#f4a261', fontSize: '11px' })
+        : '';
+      edge.line.color = text ? '#E07A3080' : '#4fa4ff80';
+    } catch (_) { /* line may already be removed */ }
   }
 
   _computeRelationships(nodeId) {
@@ -1998,6 +2639,153 @@ class MissionBuilder {
     chipContainer.appendChild(workdirChip);
     workdirSection.appendChild(chipContainer);
 
+    // ── Mission-level parallelism ──
+    const parallelSection = document.createElement('div');
+    parallelSection.style.cssText = 'margin-bottom:16px;padding-bottom:14px;border-bottom:1px solid #2a2a2a;';
+    const parallelLabel = document.createElement('label');
+    parallelLabel.textContent = 'Max Parallel Agents';
+    parallelLabel.style.cssText = 'display:block;font-size:11px;color:#888;margin-bottom:5px;font-weight:600;';
+    parallelSection.appendChild(parallelLabel);
+    const parallelInput = document.createElement('input');
+    parallelInput.type = 'number';
+    parallelInput.min = 0;
+    parallelInput.value = this.missionConfig.maxParallel || '';
+    parallelInput.placeholder = 'engine default';
+    parallelInput.style.cssText = 'width:120px;background:#262626;border:1px solid #3a3a3a;color:#F0F0F0;border-radius:5px;padding:7px 10px;font-size:13px;outline:none;box-sizing:border-box;';
+    parallelSection.appendChild(parallelInput);
+    const parallelHint = document.createElement('div');
+    parallelHint.textContent = 'Caps concurrent agents for this mission; the engine-wide limit still applies';
+    parallelHint.style.cssText = 'font-size:10px;color:#555;margin-top:4px;';
+    parallelSection.appendChild(parallelHint);
+
+    // ── Mission-level file isolation ──
+    const isolationSection = document.createElement('div');
+    isolationSection.style.cssText = 'margin-bottom:16px;padding-bottom:14px;border-bottom:1px solid #2a2a2a;';
+    const isolationLabel = document.createElement('label');
+    isolationLabel.style.cssText = 'display:flex;align-items:center;gap:8px;font-size:11px;color:#888;font-weight:600;cursor:pointer;';
+    const isolationInput = document.createElement('input');
+    isolationInput.type = 'checkbox';
+    isolationInput.checked = this.missionConfig.isolation === 'worktree';
+    isolationLabel.appendChild(isolationInput);
+    isolationLabel.appendChild(document.createTextNode('Isolate agents in git worktrees'));
+    isolationSection.appendChild(isolationLabel);
+    const isolationHint = document.createElement('div');
+    isolationHint.textContent = 'Each agent works on its own branch of the workdir; completed branches are merged back and conflicts fail the node. The workdir must be a clean git repo (or not a repo yet).';
+    isolationHint.style.cssText = 'font-size:10px;color:#555;margin-top:4px;';
+    isolationSection.appendChild(isolationHint);
+
+    // ── Mission-level limits ──
+    const limits = this.missionConfig.limits || {};
+    const limitsSection = document.createElement('div');
+    limitsSection.style.cssText = 'margin-bottom:16px;padding-bottom:14px;border-bottom:1px solid #2a2a2a;';
+    const limitsLabel = document.createElement('label');
+    limitsLabel.textContent = 'Run Limits';
+    limitsLabel.style.cssText = 'display:block;font-size:11px;color:#888;margin-bottom:5px;font-weight:600;';
+    limitsSection.appendChild(limitsLabel);
+    const limitsRow = document.createElement('div');
+    limitsRow.style.cssText = 'display:flex;gap:8px;flex-wrap:wrap;align-items:center;';
+    const limitInputStyle = 'width:110px;background:#262626;border:1px solid #3a3a3a;color:#F0F0F0;border-radius:5px;padding:7px 10px;font-size:13px;outline:none;box-sizing:border-box;';
+    const limitInput = (placeholder, value, step = 1) => {
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.min = 0;
+      input.step = step;
+      input.placeholder = placeholder;
+      input.value = value || '';
+      input.style.cssText = limitInputStyle;
+      limitsRow.appendChild(input);
+      return input;
+    };
+    const limitMinutesInput = limitInput('minutes', limits.timeoutSec ? Math.round(limits.timeoutSec / 60) : '');
+    const limitTokensInput = limitInput('max tokens', limits.maxTokens, 1000);
+    const limitCostInput = limitInput('max $', limits.maxCostUsd, 0.5);
+    const onExceedSelect = document.createElement('select');
+    onExceedSelect.style.cssText = limitInputStyle;
+    [{ value: 'abort', label: 'then abort' }, { value: 'pause', label: 'then pause' }].forEach(o => {
+      const opt = document.createElement('option');
+      opt.value = o.value;
+      opt.textContent = o.label;
+      if (o.value === (limits.onExceed || 'abort')) opt.selected = true;
+      onExceedSelect.appendChild(opt);
+    });
+    limitsRow.appendChild(onExceedSelect);
+    limitsSection.appendChild(limitsRow);
+    const limitsHint = document.createElement('div');
+    limitsHint.textContent = 'Wall-clock time (excluding pauses), total tokens and cost across all agents; blank = no limit';
+    limitsHint.style.cssText = 'font-size:10px;color:#555;margin-top:4px;';
+    limitsSection.appendChild(limitsHint);
+
+    // ── Typed launch inputs ──
+    const inputsSection = document.createElement('div');
+    inputsSection.style.cssText = 'margin-bottom:16px;padding-bottom:14px;border-bottom:1px solid #2a2a2a;';
+    const inputsLabel = document.createElement('label');
+    inputsLabel.textContent = 'Launch Inputs';
+    inputsLabel.style.cssText = 'display:block;font-size:11px;color:#888;margin-bottom:8px;font-weight:600;';
+    inputsSection.appendChild(inputsLabel);
+    const inputRowsContainer = document.createElement('div');
+    inputsSection.appendChild(inputRowsContainer);
+
+    const addInputRow = (input = { type: 'string' }) => {
+      const row = document.createElement('div');
+      row.className = 'mb-ctx-row';
+
+      const nameInput = document.createElement('input');
+      nameInput.placeholder = 'name';
+      nameInput.value = input.name || '';
+      nameInput.dataset.field = 'name';
+
+      const typeSelect = document.createElement('select');
+      typeSelect.dataset.field = 'type';
+      ['string', 'number', 'enum', 'path', 'multiline'].forEach(t => {
+        const opt = document.createElement('option');
+        opt.value = t;
+        opt.textContent = t;
+        if (t === input.type) opt.selected = true;
+        typeSelect.appendChild(opt);
+      });
+
+      const defaultInput = document.createElement('input');
+      defaultInput.placeholder = 'default';
+      defaultInput.value = input.default ?? '';
+      defaultInput.dataset.field = 'default';
+
+      const optionsInput = document.createElement('input');
+      optionsInput.placeholder = 'options: a, b, c';
+      optionsInput.value = (input.options || []).join(', ');
+      optionsInput.dataset.field = 'options';
+      const syncOptions = () => { optionsInput.style.display = typeSelect.value === 'enum' ? '' : 'none'; };
+      typeSelect.addEventListener('change', syncOptions);
+      syncOptions();
+
+      const requiredLabel = document.createElement('label');
+      requiredLabel.className = 'mb-input-required';
+      const requiredBox = document.createElement('input');
+      requiredBox.type = 'checkbox';
+      requiredBox.checked = !!input.required;
+      requiredBox.dataset.field = 'required';
+      requiredLabel.appendChild(requiredBox);
+      requiredLabel.appendChild(document.createTextNode('req'));
+
+      const removeBtn = document.createElement('button');
+      removeBtn.className = 'mb-ctx-remove';
+      removeBtn.textContent = '×';
+      removeBtn.addEventListener('click', () => row.remove());
+
+      row.append(nameInput, typeSelect, defaultInput, optionsInput, requiredLabel, removeBtn);
+      inputRowsContainer.appendChild(row);
+    };
+    this.missionInputs.forEach(input => addInputRow(input));
+
+    const addInputBtn = document.createElement('button');
+    addInputBtn.className = 'mb-btn';
+    addInputBtn.textContent = '+ Add Input';
+    addInputBtn.addEventListener('click', () => addInputRow());
+    inputsSection.appendChild(addInputBtn);
+    const inputsHint = document.createElement('div');
+    inputsHint.textContent = 'Asked for on a generated form at launch; prompts reference them as {context.name}';
+    inputsHint.style.cssText = 'font-size:10px;color:#555;margin-top:4px;';
+    inputsSection.appendChild(inputsHint);
+
     // ── Generic key-value rows ──
     const kvTitle = document.createElement('div');
     kvTitle.textContent = 'Additional Variables';
@@ -2069,6 +2857,31 @@ class MissionBuilder {
         if (k && k !== 'workdir') ctx[k] = v;
       });
       this.context = ctx;
+      this.missionInputs = [];
+      inputRowsContainer.querySelectorAll('.mb-ctx-row').forEach(row => {
+        const field = name => row.querySelector(`[data-field="${name}"]`);
+        const name = field('name').value.trim();
+        if (!name) return;
+        const input = { name, type: field('type').value, required: field('required').checked };
+        const def = field('default').value.trim();
+        if (def) input.default = input.type === 'number' && !isNaN(Number(def)) ? Number(def) : def;
+        if (input.type === 'enum') input.options = field('options').value.split(',').map(o => o.trim()).filter(Boolean);
+        this.missionInputs.push(input);
+      });
+      const maxParallel = parseInt(parallelInput.value, 10);
+      if (maxParallel > 0) this.missionConfig.maxParallel = maxParallel;
+      else delete this.missionConfig.maxParallel;
+      if (isolationInput.checked) this.missionConfig.isolation = 'worktree';
+      else delete this.missionConfig.isolation;
+      const newLimits = {};
+      const minutes = parseFloat(limitMinutesInput.value);
+      if (minutes > 0) newLimits.timeoutSec = Math.round(minutes * 60);
+      const maxTokens = parseInt(limitTokensInput.value, 10);
+      if (maxTokens > 0) newLimits.maxTokens = maxTokens;
+      const maxCost = parseFloat(limitCostInput.value);
+      if (maxCost > 0) newLimits.maxCostUsd = maxCost;
+      if (Object.keys(newLimits).length) this.missionConfig.limits = { ...newLimits, onExceed: onExceedSelect.value };
+      else delete this.missionConfig.limits;
       this._updateWorkdirBadge();
       backdrop.remove();
     });
@@ -2079,6 +2892,10 @@ class MissionBuilder {
     modal.appendChild(closeBtn);
     modal.appendChild(title);
     modal.appendChild(workdirSection);
+    modal.appendChild(parallelSection);
+    modal.appendChild(isolationSection);
+    modal.appendChild(limitsSection);
+    modal.appendChild(inputsSection);
     modal.appendChild(kvTitle);
     modal.appendChild(rowsContainer);
     modal.appendChild(addBtn);
@@ -2102,6 +2919,7 @@ class MissionBuilder {
         unitClass: n.unitClass,
         color: n.color,
         position: n.position,
+        kind: n.kind || 'agent',
         prompt: n.prompt,
         config: { ...n.config },
         provider: n.provider,
@@ -2113,9 +2931,12 @@ class MissionBuilder {
         id: e.id,
         from: e.from,
         to: e.to,
-        type: 'sequential',
+        type: e.condition ? 'conditional' : 'sequential',
+        ...(e.condition ? { condition: { ...e.condition } } : {}),
       })),
       context: { ...this.context },
+      inputs: this.missionInputs.map(i => ({ ...i })),
+      config: { ...this.missionConfig },
     };
   }
 
@@ -2132,7 +2953,10 @@ class MissionBuilder {
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify(data),
       });
-      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      if (!res.ok) {
+        const body = await res.json().catch(() => ({}));
+        throw new Error(body.error || `HTTP ${res.status}`);
+      }
       const { data: saved } = await res.json();
       this.missionId = saved.id || saved._id || this.missionId;
       this._toast('Mission saved', '#2D6A4F');
@@ -2209,6 +3033,186 @@ class MissionBuilder {
     document.body.appendChild(backdrop);
   }
 
+  async _showHistory() {
+    if (!this.missionId) {
+      this._toast('Save the mission to start its history', '#E07A30');
+      return;
+    }
+    let revisions;
+    try {
+      const res = await fetch(`/api/missions/${this.missionId}/revisions`);
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      ({ data: revisions } = await res.json());
+    } catch (err) {
+      this._toast('Failed to load history', '#DC2626');
+      return;
+    }
+    const current = revisions[0]?.revision;
+
+    const backdrop = document.createElement('div');
+    backdrop.className = 'mb-modal-backdrop';
+    const modal = document.createElement('div');
+    modal.className = 'mb-modal mb-history-modal';
+
+    const title = document.createElement('div');
+    title.className = 'mb-modal-title';
+    title.textContent = `🕘 History — ${this.missionName}`;
+    const closeBtn = document.createElement('button');
+    closeBtn.className = 'mb-modal-close';
+    closeBtn.textContent = '×';
+    closeBtn.addEventListener('click', () => backdrop.remove());
+
+    // Compare a revision with the one before it, or with the current definition
+    const mode = document.createElement('label');
+    mode.className = 'mb-rev-mode';
+    const modeSelect = document.createElement('select');
+    [['previous', 'Changes made in the revision'], ['current', 'Changes since the revision (up to current)']].forEach(([value, label]) => {
+      const opt = document.createElement('option');
+      opt.value = value;
+      opt.textContent = label;
+      modeSelect.appendChild(opt);
+    });
+    mode.appendChild(document.createTextNode('Show:'));
+    mode.appendChild(modeSelect);
+
+    const list = document.createElement('ul');
+    list.className = 'mb-mission-list';
+    const diffPane = document.createElement('div');
+    diffPane.className = 'mb-rev-diff';
+    diffPane.textContent = 'Select a revision to see its changes.';
+
+    let selected = null;
+    const showDiff = async () => {
+      if (selected === null) return;
+      const query = modeSelect.value === 'current' ? `from=${selected}&to=${current}` : `to=${selected}`;
+      diffPane.textContent = 'Loading…';
+      try {
+        const res = await fetch(`/api/missions/${this.missionId}/diff?${query}`);
+        const body = await res.json();
+        if (!res.ok) throw new Error(body.error || `HTTP ${res.status}`);
+        this._renderRevisionDiff(diffPane, body.data);
+      } catch (err) {
+        diffPane.textContent = `Failed to load diff: ${err.message}`;
+      }
+    };
+    modeSelect.addEventListener('change', showDiff);
+
+    revisions.forEach(rev => {
+      const item = document.createElement('li');
+      item.className = 'mb-mission-item mb-rev-item';
+      const info = document.createElement('div');
+      const name = document.createElement('div');
+      name.className = 'mb-mission-item-name';
+      name.textContent = `r${rev.revision}${rev.revision === current ? ' (current)' : ''}${rev.restoredFrom ? ` · restored from r${rev.restoredFrom}` : ''}`;
+      const meta = document.createElement('div');
+      meta.className = 'mb-mission-item-meta';
+      meta.textContent = [
+        rev.updatedAt ? new Date(rev.updatedAt).toLocaleString() : null,
+        `${rev.nodeCount} nodes, ${rev.edgeCount} edges`,
+        rev.runCount ? `${rev.runCount} run${rev.runCount === 1 ? '' : 's'}` : null,
+      ].filter(Boolean).join(' · ');
+      info.appendChild(name);
+      info.appendChild(meta);
+      item.appendChild(info);
+
+      if (rev.revision !== current) {
+        const restoreBtn = document.createElement('button');
+        restoreBtn.className = 'mb-btn';
+        restoreBtn.textContent = 'Restore';
+        restoreBtn.addEventListener('click', async (e) => {
+          e.stopPropagation();
+          const ok = await showConfirmModal(`Restore r${rev.revision}? It is saved as a new revision; unsaved changes in the builder are discarded.`, { title: 'Restore Revision' });
+          if (!ok) return;
+          try {
+            const res = await fetch(`/api/missions/${this.missionId}/revisions/${rev.revision}/restore`, { method: 'POST' });
+            const body = await res.json();
+            if (!res.ok) throw new Error(body.error || `HTTP ${res.status}`);
+            backdrop.remove();
+            this.loadMission(body.data);
+            this._toast(`Restored r${rev.revision} as r${body.data.revision}`, '#2D6A4F');
+          } catch (err) {
+            this._toast('Restore failed: ' + err.message, '#DC2626');
+          }
+        });
+        item.appendChild(restoreBtn);
+      }
+
+      item.addEventListener('click', () => {
+        list.querySelectorAll('.mb-rev-item').forEach(el => el.classList.remove('active'));
+        item.classList.add('active');
+        selected = rev.revision;
+        showDiff();
+      });
+      list.appendChild(item);
+    });
+
+    modal.appendChild(closeBtn);
+    modal.appendChild(title);
+    modal.appendChild(mode);
+    modal.appendChild(list);
+    modal.appendChild(diffPane);
+    backdrop.appendChild(modal);
+    backdrop.addEventListener('click', e => { if (e.target === backdrop) backdrop.remove(); });
+    document.body.appendChild(backdrop);
+  }
+
+  /** Render a structural diff (lib/mission-diff.js) into a container. */
+  _renderRevisionDiff(container, diff) {
+    container.innerHTML = '';
+    if (diff.unchanged) {
+      container.textContent = diff.from === diff.to ? 'This is the current revision.' : 'No changes.';
+      return;
+    }
+    const line = (cls, text) => {
+      const el = document.createElement('div');
+      el.className = `mb-rev-line ${cls}`;
+      el.textContent = text;
+      return el;
+    };
+    const section = (label) => {
+      const h = document.createElement('h4');
+      h.textContent = label;
+      container.appendChild(h);
+    };
+    const value = v => (v === null || v === undefined ? '—' : typeof v === 'string' ? v : JSON.stringify(v));
+    const fieldLines = (changes, indent = '') => changes.forEach(c => {
+      container.appendChild(line('mb-rev-change', `${indent}~ ${c.path}: ${value(c.before)} → ${value(c.after)}`));
+    });
+
+    section(`r${diff.from ?? 0} → r${diff.to}`);
+    if (diff.mission.length) fieldLines(diff.mission);
+
+    const { nodes, edges } = diff;
+    if (nodes.added.length || nodes.removed.length || nodes.changed.length) {
+      section('Nodes');
+      nodes.added.forEach(n => container.appendChild(line('mb-rev-add', `+ ${n.label} (${n.id})`)));
+      nodes.removed.forEach(n => container.appendChild(line('mb-rev-remove', `− ${n.label} (${n.id})`)));
+      nodes.changed.forEach(n => {
+        container.appendChild(line('mb-rev-change', `~ ${n.label} (${n.id})`));
+        fieldLines(n.changes, '    ');
+        if (n.prompt) {
+          const prompt = document.createElement('div');
+          prompt.className = 'mb-rev-prompt';
+          n.prompt.forEach(l => {
+            const cls = l.op === 'add' ? 'mb-rev-add' : l.op === 'remove' ? 'mb-rev-remove' : '';
+            prompt.appendChild(line(cls, `${l.op === 'add' ? '+' : l.op === 'remove' ? '−' : ' '} ${l.text}`));
+          });
+          container.appendChild(prompt);
+        }
+      });
+    }
+    if (edges.added.length || edges.removed.length || edges.changed.length) {
+      section('Edges');
+      const label = e => `${this.nodes.get(e.from)?.label || e.from} → ${this.nodes.get(e.to)?.label || e.to}`;
+      edges.added.forEach(e => container.appendChild(line('mb-rev-add', `+ ${label(e)}${e.condition ? ` [${window.MissionConditions.edgeLabel(e.condition)}]` : ''}`)));
+      edges.removed.forEach(e => container.appendChild(line('mb-rev-remove', `− ${label(e)}`)));
+      edges.changed.forEach(e => {
+        container.appendChild(line('mb-rev-change', `~ ${label(e)}`));
+        fieldLines(e.changes, '    ');
+      });
+    }
+  }
+
   async _deleteMission() {
     if (!this.missionId) {
       this._toast('No saved mission to delete', '#E07A30');
@@ -2240,10 +3244,8 @@ class MissionBuilder {
     }
 
     try {
-      const res = await fetch(`/api/missions/${this.missionId}/run`, { method: 'POST' });
-      if (!res.ok) throw new Error(`HTTP ${res.status}`);
-      const { data: run } = await res.json();
-      window.location.hash = `/holonet?run=${run.id}`;
+      const run = await window.MissionLaunchForm.launch({ ...this.getMissionData(), id: this.missionId });
+      if (run) window.location.hash = `/holonet?run=${run.id}`;
     } catch (err) {
       this._toast('Execute failed: ' + err.message, '#DC2626');
     }
@@ -2254,6 +3256,8 @@ class MissionBuilder {
     this.missionId = missionDef.id || null;
     this.missionName = missionDef.name || 'Untitled Mission';
     this.context = { ...missionDef.context };
+    this.missionConfig = { ...missionDef.config };
+    this.missionInputs = (missionDef.inputs || []).map(i => ({ ...i }));
     this.nameInput.value = this.missionName;
 
     // Re-create nodes
@@ -2266,11 +3270,14 @@ class MissionBuilder {
 
       const unit = getUnitByType(nd.agentType);
       const pos = nd.position || { x: 80, y: 80 };
-      const node = this._createNode(nd.agentType, pos);
+      // Keep saved ids — prompts reference them ({id.output}) and revision diffs match on them
+      const node = this._createNode(nd.agentType, pos, nd.id || undefined);
 
       // Override with saved data
       node.label = nd.label || unit.label;
       node.unitClass = nd.unitClass || unit.unitClass;
+      node.kind = nd.kind || 'agent';
+      this._applyKindClass(node);
       node.prompt = nd.prompt || '';
       node.config = { timeout: 300, retries: 1, ...nd.config };
       node.provider = nd.provider || 'claude-code';
@@ -2281,7 +3288,7 @@ class MissionBuilder {
       node.iconEl.textContent = node.label.charAt(0);
       node.typeEl.textContent = nd.agentType;
       if (node.badgeEl) {
-        node.badgeEl.textContent = `⚡ ${_modelLabel(node.model)}`;
+        node.badgeEl.textContent = node.provider === 'shell' ? '$ shell' : `⚡ ${_modelLabel(node.model)}`;
       }
 
       nodeIdMap.set(nd.id, node.id);
@@ -2296,6 +3303,11 @@ class MissionBuilder {
         if (!fromNewId || !toNewId) return;
         this.connectingFrom = fromNewId;
         this._finishConnect(toNewId);
+        const edge = this.edges.get(`e-${fromNewId}-${toNewId}`);
+        if (edge && ed.condition) {
+          edge.condition = { ...ed.condition };
+          this._updateEdgeLabel(edge);
+        }
       });
     });
 
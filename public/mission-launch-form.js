@@ -0,0 +1,329 @@
+/**
+ * Mission Launch Form — generated form for a mission's typed inputs
+ * Used by the Missions page and the Mission Builder to start runs
+ */
+
+(function () {
+  // ─── Styles ──────────────────────────────────────────────────────────────────
+
+  function injectLaunchStyles() {
+    if (document.getElementById('ml-styles')) return;
+    const style = document.createElement('style');
+    style.id = 'ml-styles';
+    style.textContent = `
+      .ml-backdrop {
+        position: fixed;
+        inset: 0;
+        background: rgba(0,0,0,0.75);
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        z-index: 1100;
+      }
+      .ml-modal {
+        background: #151515;
+        border: 1px solid #2a2a2a;
+        border-radius: 12px;
+        width: 480px;
+        max-width: 92vw;
+        max-height: 85vh;
+        display: flex;
+        flex-direction: column;
+        overflow: hidden;
+      }
+      .ml-header {
+        display: flex;
+        align-items: center;
+        justify-content: space-between;
+        padding: 14px 16px;
+        border-bottom: 1px solid #2a2a2a;
+        background: #111;
+      }
+      .ml-title { font-size: 14px; font-weight: 600; color: #F0F0F0; }
+      .ml-close-btn {
+        background: none;
+        border: none;
+        color: #666;
+        font-size: 18px;
+        cursor: pointer;
+        padding: 2px 6px;
+        border-radius: 4px;
+        line-height: 1;
+      }
+      .ml-close-btn:hover { color: #F0F0F0; background: #2a2a2a; }
+      .ml-body {
+        flex: 1;
+        overflow-y: auto;
+        padding: 16px;
+        display: flex;
+        flex-direction: column;
+        gap: 14px;
+      }
+      .ml-field { display: flex; flex-direction: column; gap: 5px; }
+      .ml-label { font-size: 12px; font-weight: 600; color: #d0d0d0; }
+      .ml-required { color: #C74634; margin-left: 3px; }
+      .ml-type { font-size: 10px; color: #666; margin-left: 6px; font-weight: 400; text-transform: uppercase; }
+      .ml-help { font-size: 11px; color: #888; line-height: 1.4; }
+      .ml-input {
+        background: #0d0d0d;
+        border: 1px solid #333;
+        border-radius: 6px;
+        color: #F0F0F0;
+        font-size: 13px;
+        padding: 7px 10px;
+        font-family: inherit;
+      }
+      .ml-input:focus { outline: none; border-color: #C74634; }
+      .ml-input.ml-mono { font-family: 'SF Mono', Menlo, monospace; font-size: 12px; }
+      textarea.ml-input { resize: vertical; min-height: 80px; }
+      .ml-errors {
+        background: #2a1010;
+        border: 1px solid #4a1010;
+        border-radius: 6px;
+        color: #f0a0a0;
+        font-size: 12px;
+        padding: 8px 12px;
+        line-height: 1.5;
+      }
+      .ml-errors ul { margin: 4px 0 0; padding-left: 18px; }
+      .ml-footer {
+        display: flex;
+        justify-content: flex-end;
+        gap: 8px;
+        padding: 12px 16px;
+        border-top: 1px solid #2a2a2a;
+        background: #111;
+      }
+      .ml-btn {
+        border: 1px solid #333;
+        background: #1a1a1a;
+        color: #d0d0d0;
+        font-size: 12px;
+        padding: 7px 14px;
+        border-radius: 6px;
+        cursor: pointer;
+      }
+      .ml-btn:hover { background: #222; }
+      .ml-btn-primary { background: #C74634; border-color: #C74634; color: #fff; }
+      .ml-btn-primary:hover { background: #d65545; }
+      .ml-btn:disabled { opacity: 0.5; cursor: default; }
+    `;
+    document.head.appendChild(style);
+  }
+
+  function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text == null ? '' : String(text);
+    return div.innerHTML;
+  }
+
+  async function postRun(missionId, context) {
+    const res = await fetch(`/api/missions/${encodeURIComponent(missionId)}/run`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ context }),
+    });
+    const json = await res.json().catch(() => ({}));
+    return { ok: res.ok, status: res.status, json };
+  }
+
+  // ─── MissionLaunchForm Class ─────────────────────────────────────────────────
+
+  class MissionLaunchForm {
+    /**
+     * Start a run of a mission, asking for its inputs first when it declares any.
+     * Missions without inputs launch straight away; the form only appears if
+     * the server reports missing values.
+     * @param {object} mission - mission definition (needs id, name, inputs, context)
+     * @returns {Promise<object|null>} the new run, or null when cancelled
+     */
+    static async launch(mission) {
+      const form = new MissionLaunchForm(mission);
+      if (!(mission.inputs || []).length) {
+        const result = await postRun(mission.id, {});
+        if (result.ok) return result.json.data;
+        if (result.status !== 400) throw new Error(result.json.error || `HTTP ${result.status}`);
+        form._setProblems(result.json);
+      }
+      return form.open();
+    }
+
+    constructor(mission) {
+      this.mission = mission;
+      this._problems = null; // last 400 body: { error, errors, unresolved }
+      this._extraKeys = [];  // context keys asked for because a placeholder needs them
+      injectLaunchStyles();
+    }
+
+    /** @returns {Promise<object|null>} */
+    open() {
+      return new Promise(resolve => {
+        this._resolve = resolve;
+        this._build();
+        document.body.appendChild(this._backdrop);
+        this._backdrop.querySelector('.ml-input')?.focus();
+      });
+    }
+
+    _close(run) {
+      this._backdrop.remove();
+      this._resolve(run);
+    }
+
+    _build() {
+      this._backdrop = document.createElement('div');
+      this._backdrop.className = 'ml-backdrop';
+      this._backdrop.addEventListener('click', (e) => {
+        if (e.target === this._backdrop) this._close(null);
+      });
+      this._backdrop.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') this._close(null);
+      });
+
+      const modal = document.createElement('div');
+      modal.className = 'ml-modal';
+      modal.innerHTML = `
+        <div class="ml-header">
+          <span class="ml-title">Launch ${escapeHtml(this.mission.name || this.mission.id)}</span>
+          <button class="ml-close-btn">×</button>
+        </div>
+        <form class="ml-body"></form>
+        <div class="ml-footer">
+          <button class="ml-btn" data-action="cancel">Cancel</button>
+          <button class="ml-btn ml-btn-primary" data-action="launch">Launch</button>
+        </div>`;
+      this._backdrop.appendChild(modal);
+
+      this._body = modal.querySelector('.ml-body');
+      this._launchBtn = modal.querySelector('[data-action="launch"]');
+      modal.querySelector('.ml-close-btn').addEventListener('click', () => this._close(null));
+      modal.querySelector('[data-action="cancel"]').addEventListener('click', () => this._close(null));
+      this._launchBtn.addEventListener('click', () => this._submit());
+      this._body.addEventListener('submit', (e) => { e.preventDefault(); this._submit(); });
+
+      this._renderFields();
+    }
+
+    _renderFields(values = {}) {
+      this._body.innerHTML = '';
+      this._renderProblems();
+
+      for (const input of this.mission.inputs || []) {
+        this._body.appendChild(this._buildField(input, values[input.name]));
+      }
+      for (const key of this._extraKeys) {
+        if ((this.mission.inputs || []).some(i => i.name === key)) continue;
+        const field = this._buildField({ name: key, type: 'string', required: true, description: `Used as {context.${key}} in a prompt` }, values[key]);
+        this._body.appendChild(field);
+      }
+      if (!this._body.querySelector('.ml-field') && !this._problems) {
+        const empty = document.createElement('div');
+        empty.className = 'ml-help';
+        empty.textContent = 'This mission has no inputs.';
+        this._body.appendChild(empty);
+      }
+    }
+
+    _renderProblems() {
+      const p = this._problems;
+      if (!p) return;
+      const items = [
+        ...(p.errors || []),
+        ...(p.unresolved || []).map(u => `${u.placeholder} in "${u.label}" has no value`),
+      ];
+      const box = document.createElement('div');
+      box.className = 'ml-errors';
+      box.innerHTML = `${escapeHtml(p.error || 'Cannot launch')}${items.length ? `<ul>${items.map(i => `<li>${escapeHtml(i)}</li>`).join('')}</ul>` : ''}`;
+      this._body.appendChild(box);
+    }
+
+    _buildField(input, value) {
+      const field = document.createElement('label');
+      field.className = 'ml-field';
+
+      const current = value !== undefined ? value
+        : input.default !== undefined && input.default !== '' ? input.default
+          : this.mission.context?.[input.name] ?? '';
+
+      const label = document.createElement('span');
+      label.className = 'ml-label';
+      label.innerHTML = `${escapeHtml(input.label || input.name)}${input.required ? '<span class="ml-required">*</span>' : ''}<span class="ml-type">${escapeHtml(input.type)}</span>`;
+      field.appendChild(label);
+
+      let control;
+      if (input.type === 'enum') {
+        control = document.createElement('select');
+        if (!input.required) control.innerHTML = '<option value="">—</option>';
+        for (const option of input.options || []) {
+          const opt = document.createElement('option');
+          opt.value = String(option);
+          opt.textContent = String(option);
+          control.appendChild(opt);
+        }
+        control.value = String(current);
+      } else if (input.type === 'multiline') {
+        control = document.createElement('textarea');
+        control.value = String(current);
+      } else {
+        control = document.createElement('input');
+        control.type = input.type === 'number' ? 'number' : 'text';
+        if (input.type === 'number') control.step = 'any';
+        if (input.type === 'path') {
+          control.classList.add('ml-mono');
+          control.placeholder = '/absolute/path or ~/path';
+        }
+        control.value = String(current);
+      }
+      control.classList.add('ml-input');
+      control.dataset.name = input.name;
+      field.appendChild(control);
+
+      if (input.description) {
+        const help = document.createElement('span');
+        help.className = 'ml-help';
+        help.textContent = input.description;
+        field.appendChild(help);
+      }
+      return field;
+    }
+
+    /** Record a rejected launch; unresolved `{context.x}` placeholders become extra fields. */
+    _setProblems(body) {
+      this._problems = body;
+      for (const u of body.unresolved || []) {
+        const m = u.placeholder.match(/^\{context\.(.+)\}$/);
+        if (m && !this._extraKeys.includes(m[1])) this._extraKeys.push(m[1]);
+      }
+    }
+
+    _collect() {
+      const values = {};
+      for (const control of this._body.querySelectorAll('.ml-input')) {
+        if (control.value !== '') values[control.dataset.name] = control.value;
+      }
+      return values;
+    }
+
+    async _submit() {
+      const values = this._collect();
+      this._launchBtn.disabled = true;
+      try {
+        const result = await postRun(this.mission.id, values);
+        if (result.ok) {
+          this._close(result.json.data);
+          return;
+        }
+        this._setProblems(result.status === 400 ? result.json : { error: result.json.error || `HTTP ${result.status}` });
+        this._renderFields(values);
+      } catch (e) {
+        this._problems = { error: e.message };
+        this._renderFields(values);
+      } finally {
+        this._launchBtn.disabled = false;
+      }
+    }
+  }
+
+  // Export globally
+  window.MissionLaunchForm = MissionLaunchForm;
+})();
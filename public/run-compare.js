@@ -0,0 +1,327 @@
+/**
+ * Run Compare — side-by-side comparison of two runs of the same mission
+ * Opened from the Runs tab on the Missions page
+ */
+
+(function () {
+  // ─── Styles ──────────────────────────────────────────────────────────────────
+
+  function injectCompareStyles() {
+    if (document.getElementById('rc-styles')) return;
+    const style = document.createElement('style');
+    style.id = 'rc-styles';
+    style.textContent = `
+      .rc-backdrop {
+        position: fixed;
+        inset: 0;
+        background: rgba(0,0,0,0.75);
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        z-index: 1100;
+      }
+      .rc-modal {
+        background: #151515;
+        border: 1px solid #2a2a2a;
+        border-radius: 12px;
+        width: 1000px;
+        max-width: 95vw;
+        max-height: 90vh;
+        display: flex;
+        flex-direction: column;
+        overflow: hidden;
+      }
+      .rc-header {
+        display: flex;
+        align-items: center;
+        gap: 8px;
+        padding: 14px 16px;
+        border-bottom: 1px solid #2a2a2a;
+        background: #111;
+      }
+      .rc-title { font-size: 14px; font-weight: 600; color: #F0F0F0; flex: 1; }
+      .rc-btn {
+        border: 1px solid #333;
+        background: #1a1a1a;
+        color: #d0d0d0;
+        font-size: 12px;
+        padding: 5px 12px;
+        border-radius: 6px;
+        cursor: pointer;
+      }
+      .rc-btn:hover { background: #222; }
+      .rc-close-btn {
+        background: none;
+        border: none;
+        color: #666;
+        font-size: 18px;
+        cursor: pointer;
+        padding: 2px 6px;
+        border-radius: 4px;
+        line-height: 1;
+      }
+      .rc-close-btn:hover { color: #F0F0F0; background: #2a2a2a; }
+      .rc-body { flex: 1; overflow-y: auto; padding: 16px; display: flex; flex-direction: column; gap: 14px; }
+      .rc-loading, .rc-error { font-size: 13px; color: #888; padding: 24px; text-align: center; }
+      .rc-error { color: #f0a0a0; }
+      .rc-table { width: 100%; border-collapse: collapse; font-size: 12px; color: #d0d0d0; }
+      .rc-table th, .rc-table td { padding: 6px 10px; border-bottom: 1px solid #222; text-align: left; }
+      .rc-table th { color: #888; font-weight: 500; font-size: 11px; text-transform: uppercase; letter-spacing: 0.04em; }
+      .rc-table td.rc-metric { color: #888; width: 140px; }
+      .rc-better { color: #40916c; }
+      .rc-worse { color: #e07a5f; }
+      .rc-muted { color: #666; }
+      .rc-status {
+        display: inline-block;
+        font-size: 10px;
+        text-transform: uppercase;
+        padding: 1px 7px;
+        border-radius: 8px;
+        background: #222;
+        color: #aaa;
+      }
+      .rc-status-completed { background: rgba(45,106,79,0.2); color: #40916c; }
+      .rc-status-failed, .rc-status-timeout { background: rgba(199,70,52,0.2); color: #e07a5f; }
+      .rc-status-running, .rc-status-spawning { background: rgba(27,107,147,0.2); color: #4da8da; }
+      .rc-status-skipped, .rc-status-aborted { background: rgba(156,163,175,0.15); color: #9ca3af; }
+      .rc-section-title { font-size: 11px; font-weight: 600; color: #888; text-transform: uppercase; letter-spacing: 0.05em; }
+      .rc-node {
+        border: 1px solid #2a2a2a;
+        border-radius: 8px;
+        background: #111;
+        padding: 10px 12px;
+      }
+      .rc-node-head { display: flex; align-items: baseline; gap: 8px; margin-bottom: 6px; }
+      .rc-node-label { font-size: 13px; font-weight: 600; color: #F0F0F0; }
+      .rc-node-id { font-size: 11px; color: #555; font-family: 'SF Mono', Menlo, monospace; }
+      .rc-node .rc-table td, .rc-node .rc-table th { padding: 4px 8px; }
+      .rc-files { font-size: 11px; margin-top: 6px; font-family: 'SF Mono', Menlo, monospace; }
+      .rc-node details { margin-top: 6px; }
+      .rc-node summary { font-size: 11px; color: #888; cursor: pointer; }
+      .rc-diff { margin-top: 4px; max-height: 320px; overflow: auto; border: 1px solid #222; border-radius: 4px; }
+      .rc-line {
+        font-family: 'SF Mono', Menlo, monospace;
+        font-size: 11px;
+        white-space: pre-wrap;
+        word-break: break-word;
+        padding: 0 6px;
+        color: #aaa;
+      }
+      .rc-line-add { color: #7ee2a8; background: #10291c; }
+      .rc-line-remove { color: #f0a0a0; background: #2a1010; }
+      .rc-revision {
+        font-size: 12px;
+        color: #d4a017;
+        background: rgba(184,134,11,0.1);
+        border: 1px solid rgba(184,134,11,0.3);
+        border-radius: 6px;
+        padding: 8px 12px;
+      }
+    `;
+    document.head.appendChild(style);
+  }
+
+  function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text == null ? '' : String(text);
+    return div.innerHTML;
+  }
+
+  function fmtDuration(ms) {
+    if (ms === null || ms === undefined) return '—';
+    const s = Math.abs(ms) / 1000;
+    if (s < 60) return `${s.toFixed(1)}s`;
+    const m = Math.floor(s / 60);
+    return m < 60 ? `${m}m ${Math.round(s % 60)}s` : `${Math.floor(m / 60)}h ${m % 60}m`;
+  }
+
+  function fmtTokens(n) {
+    if (n === null || n === undefined) return '—';
+    const abs = Math.abs(n);
+    return abs >= 1e6 ? `${(n / 1e6).toFixed(2)}M` : abs >= 1e3 ? `${(n / 1e3).toFixed(1)}k` : String(n);
+  }
+
+  function fmtCost(usd) {
+    return usd === null || usd === undefined ? '—' : `$${Math.abs(usd) < 0.01 && usd !== 0 ? usd.toFixed(4) : usd.toFixed(2)}`;
+  }
+
+  /** Signed delta cell; lower is better for every metric shown. */
+  function deltaCell(value, format) {
+    if (value === null || value === undefined || value === 0) return `<td class="rc-muted">${value === 0 ? '=' : ''}</td>`;
+    const sign = value > 0 ? '+' : '−';
+    return `<td class="${value > 0 ? 'rc-worse' : 'rc-better'}">${sign}${escapeHtml(format(Math.abs(value)))}</td>`;
+  }
+
+  function statusPill(status) {
+    if (!status) return '<span class="rc-muted">not in run</span>';
+    return `<span class="rc-status rc-status-${escapeHtml(status)}">${escapeHtml(status)}</span>`;
+  }
+
+  function diffHtml(lines) {
+    return lines.map(l => {
+      const cls = l.op === 'add' ? 'rc-line-add' : l.op === 'remove' ? 'rc-line-remove' : '';
+      const mark = l.op === 'add' ? '+' : l.op === 'remove' ? '−' : ' ';
+      return `<div class="rc-line ${cls}">${mark} ${escapeHtml(l.text)}</div>`;
+    }).join('');
+  }
+
+  // ─── RunCompare Class ────────────────────────────────────────────────────────
+
+  class RunCompare {
+    /**
+     * Show a comparison of two runs of the same mission.
+     * @param {string} baseRunId - baseline run (left column)
+     * @param {string} runId - run compared against it (right column)
+     */
+    static open(baseRunId, runId) {
+      const view = new RunCompare(baseRunId, runId);
+      view._build();
+      document.body.appendChild(view._backdrop);
+      view._load();
+      return view;
+    }
+
+    constructor(baseRunId, runId) {
+      this.baseRunId = baseRunId;
+      this.runId = runId;
+      injectCompareStyles();
+    }
+
+    close() {
+      this._backdrop.remove();
+    }
+
+    _build() {
+      this._backdrop = document.createElement('div');
+      this._backdrop.className = 'rc-backdrop';
+      this._backdrop.addEventListener('click', (e) => {
+        if (e.target === this._backdrop) this.close();
+      });
+
+      const modal = document.createElement('div');
+      modal.className = 'rc-modal';
+      modal.innerHTML = `
+        <div class="rc-header">
+          <span class="rc-title">Compare Runs</span>
+          <button class="rc-btn" data-action="swap" title="Swap baseline and compared run">⇄ Swap</button>
+          <button class="rc-close-btn">×</button>
+        </div>
+        <div class="rc-body"></div>`;
+      this._backdrop.appendChild(modal);
+
+      this._body = modal.querySelector('.rc-body');
+      modal.querySelector('.rc-close-btn').addEventListener('click', () => this.close());
+      modal.querySelector('[data-action="swap"]').addEventListener('click', () => {
+        [this.baseRunId, this.runId] = [this.runId, this.baseRunId];
+        this._load();
+      });
+    }
+
+    async _load() {
+      this._body.innerHTML = '<div class="rc-loading">Comparing runs…</div>';
+      try {
+        const params = new URLSearchParams({ a: this.baseRunId, b: this.runId });
+        const res = await fetch(`/api/missions/runs/compare?${params}`);
+        const body = await res.json().catch(() => ({}));
+        if (!res.ok) throw new Error(body.error || `HTTP ${res.status}`);
+        this._render(body.data);
+      } catch (err) {
+        this._body.innerHTML = `<div class="rc-error">${escapeHtml(err.message)}</div>`;
+      }
+    }
+
+    _render(cmp) {
+      const { a, b } = cmp;
+      const when = run => (run.startedAt ? new Date(run.startedAt).toLocaleString() : '—');
+      const rev = run => (run.missionRevision ? `r${run.missionRevision}` : '—');
+
+      let html = `
+        <table class="rc-table">
+          <thead><tr><th></th><th>A · baseline</th><th>B</th><th>B − A</th></tr></thead>
+          <tbody>
+            <tr><td class="rc-metric">Run</td><td>${escapeHtml(a.id.slice(0, 16))}<br><span class="rc-muted">${escapeHtml(when(a))}</span></td><td>${escapeHtml(b.id.slice(0, 16))}<br><span class="rc-muted">${escapeHtml(when(b))}</span></td><td></td></tr>
+            <tr><td class="rc-metric">Status</td><td>${statusPill(a.status)}</td><td>${statusPill(b.status)}</td><td></td></tr>
+            <tr><td class="rc-metric">Revision</td><td>${rev(a)}</td><td>${rev(b)}</td><td></td></tr>
+            <tr><td class="rc-metric">Duration</td><td>${fmtDuration(a.durationMs)}</td><td>${fmtDuration(b.durationMs)}</td>${deltaCell(cmp.delta.durationMs, fmtDuration)}</tr>
+            <tr><td class="rc-metric">Tokens</td><td>${fmtTokens(a.tokens)}</td><td>${fmtTokens(b.tokens)}</td>${deltaCell(cmp.delta.tokens, fmtTokens)}</tr>
+            <tr><td class="rc-metric">Cost</td><td>${fmtCost(a.usage.costUsd)}</td><td>${fmtCost(b.usage.costUsd)}</td>${deltaCell(cmp.delta.costUsd, fmtCost)}</tr>
+            <tr><td class="rc-metric">Nodes completed</td><td>${a.nodesCompleted}/${a.nodesTotal}</td><td>${b.nodesCompleted}/${b.nodesTotal}</td><td></td></tr>
+            <tr><td class="rc-metric">Files</td><td>${a.totalFiles}</td><td>${b.totalFiles}</td><td class="rc-muted">${cmp.delta.totalFiles ? (cmp.delta.totalFiles > 0 ? '+' : '') + cmp.delta.totalFiles : ''}</td></tr>
+          </tbody>
+        </table>`;
+
+      const revDiff = cmp.revisionDiff;
+      if (revDiff && !revDiff.unchanged) {
+        const parts = [
+          revDiff.nodes.added.length && `${revDiff.nodes.added.length} node(s) added`,
+          revDiff.nodes.removed.length && `${revDiff.nodes.removed.length} removed`,
+          revDiff.nodes.changed.length && `${revDiff.nodes.changed.length} changed`,
+          (revDiff.edges.added.length + revDiff.edges.removed.length + revDiff.edges.changed.length) && 'edges changed',
+          revDiff.mission.length && 'mission settings changed',
+        ].filter(Boolean);
+        html += `<div class="rc-revision">The runs executed different revisions (${rev(a)} → ${rev(b)}): ${escapeHtml(parts.join(', '))}.</div>`;
+      }
+
+      html += '<div class="rc-section-title">Nodes</div>';
+      const promptDiffs = new Map((revDiff?.nodes.changed || []).filter(n => n.prompt).map(n => [n.id, n.prompt]));
+      for (const node of cmp.nodes) html += this._nodeHtml(node, promptDiffs.get(node.id));
+
+      this._body.innerHTML = html;
+    }
+
+    _nodeHtml(node, promptDiff) {
+      const side = s => (s ? {
+        status: statusPill(s.status),
+        duration: fmtDuration(s.durationMs),
+        retries: String(s.retries),
+        tokens: fmtTokens(s.tokens),
+        cost: fmtCost(s.usage.costUsd),
+        files: String(s.files.length),
+      } : { status: statusPill(null), duration: '—', retries: '—', tokens: '—', cost: '—', files: '—' });
+      const a = side(node.a);
+      const b = side(node.b);
+
+      let html = `
+        <div class="rc-node">
+          <div class="rc-node-head"><span class="rc-node-label">${escapeHtml(node.label)}</span><span class="rc-node-id">${escapeHtml(node.id)}</span></div>
+          <table class="rc-table">
+            <thead><tr><th></th><th>A</th><th>B</th><th>B − A</th></tr></thead>
+            <tbody>
+              <tr><td class="rc-metric">Status</td><td>${a.status}</td><td>${b.status}</td><td></td></tr>
+              <tr><td class="rc-metric">Duration</td><td>${a.duration}</td><td>${b.duration}</td>${deltaCell(node.delta.durationMs, fmtDuration)}</tr>
+              <tr><td class="rc-metric">Retries</td><td>${a.retries}</td><td>${b.retries}</td>${deltaCell(node.delta.retries, String)}</tr>
+              <tr><td class="rc-metric">Tokens</td><td>${a.tokens}</td><td>${b.tokens}</td>${deltaCell(node.delta.tokens, fmtTokens)}</tr>
+              <tr><td class="rc-metric">Cost</td><td>${a.cost}</td><td>${b.cost}</td>${deltaCell(node.delta.costUsd, fmtCost)}</tr>
+              <tr><td class="rc-metric">Files</td><td>${a.files}</td><td>${b.files}</td><td></td></tr>
+            </tbody>
+          </table>`;
+
+      const { added, removed } = node.files;
+      if (added.length || removed.length) {
+        html += `<div class="rc-files">${added.map(f => `<div class="rc-line rc-line-add">+ ${escapeHtml(f)}</div>`).join('')}${removed.map(f => `<div class="rc-line rc-line-remove">− ${escapeHtml(f)}</div>`).join('')}</div>`;
+      }
+
+      if (promptDiff) {
+        html += `<details><summary>Prompt changed between revisions</summary><div class="rc-diff">${diffHtml(promptDiff)}</div></details>`;
+      }
+
+      const out = node.output;
+      if (!out) {
+        html += '<details><summary>No output in either run</summary></details>';
+      } else if (!out.changed) {
+        html += '<details><summary>Output identical</summary></details>';
+      } else if (out.tooLarge) {
+        html += '<details><summary>Output differs (too large to diff)</summary></details>';
+      } else {
+        const adds = out.diff.filter(l => l.op === 'add').length;
+        const removes = out.diff.filter(l => l.op === 'remove').length;
+        html += `<details open><summary>Output differs: +${adds} −${removes} lines</summary><div class="rc-diff">${diffHtml(out.diff)}</div></details>`;
+      }
+
+      return html + '</div>';
+    }
+  }
+
+  // Export globally
+  window.RunCompare = RunCompare;
+})();
@@ -20,12 +20,16 @@ import { startTeamWatcher } from './lib/team-watcher.js';
 import { registerMissionRoutes, handleMissionUpgrade, getMissionWss } from './lib/mission-api-handler.js';
 import { registerWizardRoutes } from './lib/wizard-api-handler.js';
 import { missionEngine } from './lib/mission-engine.js';
+import { missionScheduler } from './lib/mission-scheduler.js';
+import { loadProviderPlugins } from './lib/provider/provider-loader.js';
 import { registerProjectRoutes } from './lib/project-api-handler.js';
 import { addWsClient as addProjectWsClient, shutdownAll as shutdownProjects } from './lib/project-server-manager.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const PUBLIC_DIR = join(__dirname, 'public');
 const UI_COMPONENTS_DIR = join(__dirname, '..', 'ui-components');
+// lib modules without Node dependencies that the UI imports as ES modules
+const SHARED_LIB_FILES = new Set(['mission-conditions.js']);
 const PORT = process.env.PORT || 3848;
 const AUTO_SHUTDOWN_MS = 30 * 60 * 1000; // 30 minutes of inactivity
 
@@ -43,6 +47,12 @@ function resetShutdownTimer() {
   }
 
   shutdownTimer = setTimeout(() => {
+    // Scheduled missions need a running server — stay up while any are enabled
+    if (missionScheduler.hasActiveSchedules()) {
+      console.log('[environment] No activity for 30 minutes, staying up for scheduled missions');
+      resetShutdownTimer();
+      return;
+    }
     console.log('\n[environment] No activity for 30 minutes, shutting down...');
     process.exit(0);
   }, AUTO_SHUTDOWN_MS);
@@ -60,6 +70,21 @@ async function serveStatic(req, res) {
     return;
   }
 
+  // Serve lib modules shared with the UI
+  if (filePath.startsWith('/shared/')) {
+    const name = filePath.slice('/shared/'.length);
+    if (!SHARED_LIB_FILES.has(name)) {
+      sendJson(res, 404, { error: 'Not found' });
+      return;
+    }
+    try {
+      sendFile(res, await readFile(join(__dirname, 'lib', name)), getContentType(filePath));
+    } catch {
+      sendJson(res, 404, { error: 'Not found' });
+    }
+    return;
+  }
+
   // Serve shared UI components
   if (filePath.startsWith('/ui-components/')) {
     const componentPath = filePath.replace('/ui-components/', '');
@@ -175,7 +200,12 @@ server.listen(PORT, () => {
   getMissionWss(); // Initialize mission WebSocket and engine event subscriptions
   startHeartbeatChecker();
   startTeamWatcher();
-  missionEngine.resumeActiveRuns(); // Resume polling for runs that survived a server restart
+  // Plugin providers are registered before any run that uses them resumes or starts
+  loadProviderPlugins()
+    .then(() => missionEngine.resumeActiveRuns()) // Resume polling for runs that survived a server restart
+    .catch(err => console.error('[environment] Failed to resume active runs:', err))
+    .then(() => missionScheduler.start()) // Scheduled missions; ticks missed while down are recorded, not replayed
+    .catch(err => console.error('[environment] Failed to start the mission scheduler:', err));
 
   console.log(`
   ╔════════════════════════════════════════════╗
@@ -199,7 +229,7 @@ server.listen(PORT, () => {
   Missions WS:    ws://localhost:${PORT}/ws/missions
   Projects WS:    ws://localhost:${PORT}/ws/projects
 
-  Auto-shutdown after 30 minutes of inactivity.
+  Auto-shutdown after 30 minutes of inactivity (suppressed while mission schedules are enabled).
   Press Ctrl+C to stop.
   `);
 
@@ -227,6 +257,8 @@ function gracefulShutdown() {
     shutdownTimer = null;
   }
 
+  missionScheduler.stop();
+
   // Stop all managed project child processes
   shutdownProjects();
 